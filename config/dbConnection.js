@@ -1,9 +1,20 @@
 import mongoose from "mongoose";
+import { supportsTransactions } from "../utils/transaction.js";
 
+// Attendance writes (sessions with their records, check-ins, offline sync)
+// run in transactions, which need MONGO_URL to point at a replica set, e.g.
+// mongodb://host:27017/hostel?replicaSet=rs0 (a single-node replica set is
+// enough). On a standalone server they still work, but not atomically.
 const connectDatabase = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URL);
     console.log(`MongoDB Connection Success.`);
+
+    if (!(await supportsTransactions())) {
+      console.warn(
+        "MongoDB is a standalone server: attendance writes run without transactions and are not atomic. Use a replica set in production."
+      );
+    }
   } catch (err) {
     console.log(err);
   }
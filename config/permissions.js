@@ -0,0 +1,115 @@
+// Central registry of every permission checked by requirePermission().
+// Add new permissions here first; role mappings can only reference these keys.
+const PERMISSIONS = {
+  "users:read": "View staff accounts",
+  "users:write": "Create, update, delete and unlock staff accounts",
+  "users:sessions": "View and revoke staff login sessions",
+  "roles:manage": "Edit the permissions granted to each role",
+
+  "students:read": "View student records",
+  "students:write": "Create and update students, change their status",
+  "students:delete": "Delete student records",
+
+  "dorms:read": "View dorms, rooms, bed occupancy and allocation history",
+  "dorms:write": "Manage dorms, rooms and beds and assign wardens",
+  "dorms:allocate": "Allocate, transfer and release student beds",
+
+  "attendance:read": "View attendance sessions, reports and student history",
+  "attendance:mark": "Create and update attendance sessions",
+  "attendance:delete": "Delete attendance sessions",
+  "attendance:checkin": "Scan student QR cards at a check-in kiosk",
+
+  "leave:read": "View student leave requests",
+  "leave:request": "Create and cancel leave requests for students",
+  "leave:approve": "Approve or reject leave requests at their role's step",
+  "leave:gate": "Check students out and in against their leave passes",
+
+  "inventory:read": "View inventory items, usage records and food waste",
+  "inventory:write": "Create and edit inventory items",
+  "inventory:adjust":
+    "Change stock levels and record inventory usage and food waste",
+  "inventory:delete": "Delete inventory items",
+
+  "mealplans:read": "View meal plans and recipes",
+  "mealplans:write": "Create and edit meal plans and recipes",
+  "mealplans:delete": "Delete meal plans and recipes",
+  "meals:read": "View meal opt-outs and expected diner counts",
+  "meals:optout": "Register and cancel meal opt-outs for students",
+  "meals:serve": "Record the meals served at the counter",
+
+  "fees:read": "View fee structures, invoices, payments and student ledgers",
+  "fees:write": "Manage fee structures and generate or cancel invoices",
+  "fees:adjust": "Grant discounts and waivers on invoices",
+  "payments:record": "Record payments and issue receipts",
+  "payments:void": "Void recorded payments",
+  "concessions:configure":
+    "Manage the income tiers of the concession means test",
+  "concessions:review":
+    "Evaluate, approve, override and revoke student concessions",
+
+  "notifications:manage":
+    "Send notifications and read other users' notifications",
+  "dashboard:read": "View dashboard statistics",
+  "audit:read": "Browse the audit trail of every change",
+};
+
+// kiosk is the device account of a check-in terminal or a meal counter
+// scanner
+const ROLES = ["admin", "warden", "accountant", "kitchen", "kiosk"];
+
+// Used until an admin stores a mapping for the role in MongoDB
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  warden: [
+    "students:read",
+    "dorms:read",
+    "dorms:allocate",
+    "attendance:read",
+    "attendance:mark",
+    "attendance:delete",
+    "attendance:checkin",
+    "leave:read",
+    "leave:request",
+    "leave:approve",
+    "leave:gate",
+    "meals:read",
+    "meals:optout",
+    "dashboard:read",
+  ],
+  accountant: [
+    "students:read",
+    "fees:read",
+    "fees:write",
+    "fees:adjust",
+    "payments:record",
+    "payments:void",
+    "concessions:review",
+    "dashboard:read",
+  ],
+  kitchen: [
+    "inventory:read",
+    "inventory:write",
+    "inventory:adjust",
+    "mealplans:read",
+    "mealplans:write",
+    "meals:read",
+    "meals:serve",
+    "dashboard:read",
+  ],
+  kiosk: ["attendance:checkin", "meals:serve"],
+};
+
+// Roles that must enrol in two-factor authentication until an admin stores a
+// policy for them. Enrolment is optional for everyone else.
+const DEFAULT_TWO_FACTOR_REQUIRED_ROLES = ["admin", "accountant"];
+
+// Admins can never lose these, otherwise nobody could fix the mappings again
+const LOCKED_ADMIN_PERMISSIONS = ["roles:manage"];
+
+export {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ADMIN_PERMISSIONS,
+  DEFAULT_TWO_FACTOR_REQUIRED_ROLES,
+};
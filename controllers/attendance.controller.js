@@ -1,21 +1,114 @@
 import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
 import AttendanceSession from "../models/attendanceSession.model.js";
 import AttendanceRecord from "../models/attendanceRecord.model.js";
 import Student from "../models/student.model.js";
+import Dorm from "../models/dorm.model.js";
 import User from "../models/user.model.js";
 import Notification from "../models/notification.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { ATTENDANCE_STATUSES } from "../utils/constants.js";
+import { getStudentsOnLeave } from "../utils/leaveWorkflow.js";
+import { getAssignedDorms } from "../utils/dormOccupancy.js";
+import { getDailyAttendanceRollup } from "../utils/attendanceRollup.js";
+import { closeCheckInWindow } from "../utils/checkIn.js";
+import { withTransaction } from "../utils/transaction.js";
+import {
+  countAttendanceStatuses,
+  getDiningCount,
+  parseRecordStatus,
+} from "../utils/attendanceStatus.js";
 import {
   getUserIdsByRoles,
   sendNotifications,
 } from "./notification.controller.js";
 
+const populateSession = (query) =>
+  query
+    .populate({
+      path: "attendanceRecords",
+      populate: {
+        path: "student",
+        select: "name admissionNumber class dorm",
+      },
+    })
+    .populate("markedBy", "firstName lastName role")
+    .populate("dorm", "name");
+
+/**
+ * Resolve the dorm a session is marked for. Wardens can only use the dorms
+ * they are assigned to and may omit the dorm when they have just one.
+ * @returns {Promise<Object>} Dorm document
+ */
+const resolveSessionDorm = async (req, res, dormId) => {
+  const assignedDorms = await getAssignedDorms(req.user);
+
+  if (!dormId) {
+    if (assignedDorms?.length === 1) return assignedDorms[0];
+    res.status(400);
+    throw new Error(
+      assignedDorms?.length > 1
+        ? "You are assigned to several dorms, please provide dorm"
+        : "Please provide dorm"
+    );
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(dormId)) {
+    res.status(400);
+    throw new Error("Invalid dorm ID");
+  }
+
+  const dorm = await Dorm.findById(dormId);
+  if (!dorm) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  if (assignedDorms && !assignedDorms.some((d) => d._id.equals(dorm._id))) {
+    res.status(403);
+    throw new Error(`You are not the warden of ${dorm.name}`);
+  }
+
+  return dorm;
+};
+
+/**
+ * Wardens may only change the sessions of their own dorms
+ */
+const checkSessionAccess = async (req, res, session) => {
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (
+    assignedDorms &&
+    !assignedDorms.some((dorm) => session.dorm && dorm._id.equals(session.dorm))
+  ) {
+    res.status(403);
+    throw new Error("You can only change attendance of your own dorm");
+  }
+};
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight, today when omitted
+ * @returns {Date|null} Null when the date is invalid
+ */
+const parseAttendanceDate = (date) => {
+  if (!date) {
+    const now = new Date();
+    return new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+    );
+  }
+  const [year, month, day] = String(date).split("-").map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
 /**
  * @desc    Create new attendance session
  * @route   POST /api/attendance
  * @access  Private/Warden
  */
 const createAttendanceSession = asyncHandler(async (req, res) => {
-  const { sessionType, notes, records, date } = req.body;
+  const { sessionType, notes, records, date, dorm: dormId } = req.body;
 
   // Validate required fields
   if (!sessionType || !records) {
@@ -49,13 +142,16 @@ const createAttendanceSession = asyncHandler(async (req, res) => {
     attendanceDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0, 0));
   }
 
-  // Check if attendance already exists for this date and session type
+  const dorm = await resolveSessionDorm(req, res, dormId);
+
+  // Check if attendance already exists for this dorm, date and session type
   const startOfDay = new Date(attendanceDate);
   startOfDay.setHours(0, 0, 0, 0);
   const endOfDay = new Date(attendanceDate);
   endOfDay.setHours(23, 59, 59, 999);
 
   const existingSession = await AttendanceSession.findOne({
+    dorm: dorm._id,
     sessionType,
     markedAt: {
       $gte: startOfDay,
@@ -66,42 +162,40 @@ const createAttendanceSession = asyncHandler(async (req, res) => {
   if (existingSession) {
     res.status(409); // Conflict status code
     throw new Error(
-      `Attendance for ${sessionType} session on ${attendanceDate.toLocaleDateString()} already exists. Please update or delete the existing record instead.`
+      `Attendance for ${dorm.name} ${sessionType} session on ${attendanceDate.toLocaleDateString()} already exists. Please update or delete the existing record instead.`
     );
   }
 
-  // Validate all student records and create attendance records
-  const invalidStudents = [];
-  const attendanceRecordIds = [];
-  let presentCount = 0;
-  let absentCount = 0;
-
-  // Process records in parallel for better performance
-  await Promise.all(
-    records.map(async (record) => {
-      const student = await Student.findById(record.student);
-      if (!student) {
-        invalidStudents.push(record.student);
-        return;
-      }
-
-      // Create attendance record
-      const newRecord = await AttendanceRecord.create({
-        student: record.student,
-        status: record.status,
-        remarks: record.remarks || "",
-      });
-
-      attendanceRecordIds.push(newRecord._id);
+  // Validate statuses and arrival times before any record is created
+  const parsedRecords = [];
+  for (const record of records) {
+    const parsed = parseRecordStatus(record, attendanceDate);
+    if (parsed.error) {
+      res.status(400);
+      throw new Error(`Student ${record.student}: ${parsed.error}`);
+    }
+    parsedRecords.push({ ...record, ...parsed });
+  }
 
-      // Update counters
-      if (record.status === "present") {
-        presentCount++;
-      } else {
-        absentCount++;
-      }
-    })
+  // Students checked out on leave that day are marked on leave, not absent
+  const studentsOnLeave = await getStudentsOnLeave(startOfDay, endOfDay);
+
+  // Every student must exist and belong to the session's dorm
+  const dormStudentIds = new Set(
+    (
+      await Student.find({
+        _id: {
+          $in: parsedRecords
+            .map((record) => record.student)
+            .filter((id) => mongoose.Types.ObjectId.isValid(id)),
+        },
+        dorm: dorm.name,
+      }).select("_id")
+    ).map((student) => String(student._id))
   );
+  const invalidStudents = parsedRecords
+    .map((record) => record.student)
+    .filter((id) => !dormStudentIds.has(String(id)));
 
   if (invalidStudents.length > 0) {
     res.status(400);
@@ -112,29 +206,85 @@ const createAttendanceSession = asyncHandler(async (req, res) => {
     );
   }
 
-  // Create the session with the specified date
-  const session = await AttendanceSession.create({
-    sessionType,
-    attendanceRecords: attendanceRecordIds,
-    totalStudents: records.length,
-    presentCount,
-    absentCount,
-    markedBy: req.user._id,
-    markedAt: attendanceDate, // Set the attendance date
-    notes: notes || "",
-    isCompleted: false,
+  const recordDocs = parsedRecords.map((record) => ({
+    student: record.student,
+    status:
+      record.status === "absent" && studentsOnLeave.has(String(record.student))
+        ? "on_leave"
+        : record.status,
+    arrivalTime: record.arrivalTime,
+    remarks: record.remarks || "",
+  }));
+
+  // Students of the dorm on leave who were left out of the roll call still
+  // get a record
+  const markedStudents = new Set(
+    records.map((record) => String(record.student))
+  );
+  const unmarkedOnLeave = await Student.find({
+    _id: {
+      $in: [...studentsOnLeave].filter((id) => !markedStudents.has(id)),
+    },
+    dorm: dorm.name,
+  }).select("_id");
+  unmarkedOnLeave.forEach((student) =>
+    recordDocs.push({
+      student: student._id,
+      status: "on_leave",
+      remarks: "On approved leave",
+    })
+  );
+
+  const counts = countAttendanceStatuses(recordDocs);
+
+  // Records and session are saved together, a failure leaves neither behind
+  let session;
+  try {
+    session = await withTransaction(async (dbSession) => {
+      const createdRecords = await AttendanceRecord.insertMany(recordDocs, {
+        session: dbSession,
+      });
+
+      const [created] = await AttendanceSession.create(
+        [
+          {
+            sessionType,
+            dorm: dorm._id,
+            attendanceRecords: createdRecords.map((record) => record._id),
+            totalStudents: createdRecords.length,
+            ...counts,
+            markedBy: req.user._id,
+            markedAt: attendanceDate, // Set the attendance date
+            notes: notes || "",
+            isCompleted: false,
+          },
+        ],
+        { session: dbSession }
+      );
+      return created;
+    });
+  } catch (error) {
+    // Another session for this dorm and slot was saved in the meantime
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error(
+        `Attendance for ${dorm.name} ${sessionType} session on ${attendanceDate.toLocaleDateString()} already exists`
+      );
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "AttendanceSession",
+    entityId: session._id,
+    after: session,
   });
 
   // Populate data for the response
-  const populatedSession = await AttendanceSession.findById(session._id)
-    .populate({
-      path: "attendanceRecords",
-      populate: {
-        path: "student",
-        select: "firstName lastName studentId",
-      },
-    })
-    .populate("markedBy", "firstName lastName role");
+  const populatedSession = await populateSession(
+    AttendanceSession.findById(session._id)
+  );
 
   // NOTIFICATION INTEGRATION STARTS HERE
   try {
@@ -147,7 +297,7 @@ const createAttendanceSession = asyncHandler(async (req, res) => {
     // Create notification message
     const sessionTime = sessionType === "morning" ? "Morning" : "Evening";
     const notificationTitle = `${sessionTime} Attendance Marked`;
-    const notificationMessage = `${req.user.firstName} ${req.user.lastName} marked attendance for ${records.length} students (${presentCount} present, ${absentCount} absent)`;
+    const notificationMessage = `${req.user.firstName} ${req.user.lastName} marked ${dorm.name} attendance for ${recordDocs.length} students (${counts.presentCount} present, ${counts.lateCount} late, ${counts.absentCount} absent, ${counts.leaveCount} on leave)`;
 
     // Create notifications for each staff member
     // Send notifications (pass req to access io)
@@ -290,7 +440,13 @@ const getAttendanceSessions = asyncHandler(async (req, res) => {
   if (sessionType) {
     query.sessionType = sessionType;
   }
-  if (dorm) query.dorm = dorm;
+  if (dorm) {
+    if (!mongoose.Types.ObjectId.isValid(dorm)) {
+      res.status(400);
+      throw new Error("Invalid dorm ID");
+    }
+    query.dorm = new mongoose.Types.ObjectId(dorm);
+  }
   if (isCompleted) query.isCompleted = isCompleted === "true";
 
   // Student-specific filtering
@@ -309,6 +465,7 @@ const getAttendanceSessions = asyncHandler(async (req, res) => {
         path: "markedBy",
         select: "firstName lastName role", // Assuming these are the fields in your User model
       })
+      .populate("dorm", "name")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -321,9 +478,16 @@ const getAttendanceSessions = asyncHandler(async (req, res) => {
     id: session._id.toString(),
     date: (session.markedAt || session.createdAt).toISOString().split("T")[0], // Format as YYYY-MM-DD, use markedAt if available
     session: session.sessionType,
+    dorm: session.dorm
+      ? { id: session.dorm._id.toString(), name: session.dorm.name }
+      : null,
     presentCount: session.presentCount,
     absentCount: session.absentCount,
     leaveCount: session.leaveCount || 0, // Default to 0 if not present
+    lateCount: session.lateCount || 0,
+    excusedCount: session.excusedCount || 0,
+    sickCount: session.sickCount || 0,
+    diningCount: getDiningCount(session),
     totalStudents: session.totalStudents,
     recordedBy: session.markedBy
       ? `${session.markedBy.firstName} ${session.markedBy.lastName}`
@@ -342,10 +506,9 @@ const getAttendanceSessions = asyncHandler(async (req, res) => {
  * @access  Private/Warden
  */
 const getAttendanceSessionById = asyncHandler(async (req, res) => {
-  const session = await AttendanceSession.findById(req.params.id)
-    .populate("markedByDetails")
-    .populate("dormDetails")
-    .populate("records.student", "name age studentId dorm");
+  const session = await populateSession(
+    AttendanceSession.findById(req.params.id)
+  );
 
   if (!session) {
     res.status(404);
@@ -359,40 +522,65 @@ const getAttendanceSessionById = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update attendance session
- * @route   PUT /api/attendance/:id
- * @access  Private/Warden
+ * Mark, re-mark and unmark students of an open session in one transaction,
+ * then recount the session. Records are matched by student: known students
+ * get their status replaced, others are added.
+ * @param {Object} changes
+ * @param {Array} changes.records - { student, status, arrivalTime, remarks }
+ * @param {Array} changes.unmark - Ids of students whose record is removed
+ * @param {String} changes.notes - New session notes
+ * @returns {Promise<Object>} The populated session
  */
-const updateAttendanceSession = asyncHandler(async (req, res) => {
-  const { records } = req.body;
-  const sessionId = req.params.id;
-
-  if (!records) {
-    res.status(400);
-    throw new Error("Please provide records to update");
-  }
-
-  const session = await AttendanceSession.findById(sessionId);
+const applyRecordChanges = async (
+  req,
+  res,
+  { records = [], unmark = [], notes }
+) => {
+  const session = await AttendanceSession.findById(req.params.id);
   if (!session) {
     res.status(404);
     throw new Error("Attendance session not found");
   }
 
+  await checkSessionAccess(req, res, session);
+
+  if (session.isCompleted) {
+    res.status(409);
+    throw new Error("Attendance session has been finalized");
+  }
+
+  const dorm = session.dorm
+    ? await Dorm.findById(session.dorm).select("name")
+    : null;
+
+  const startOfDay = new Date(session.markedAt || session.createdAt);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(startOfDay);
+  endOfDay.setHours(23, 59, 59, 999);
+
   // Validate new records
   const invalidStudents = [];
   const validRecords = [];
 
   for (const record of records) {
-    const student = await Student.findById(record.student);
-    if (!student) {
-      invalidStudents.push(record.student);
-      continue;
+    const parsed = parseRecordStatus(record, startOfDay);
+    if (parsed.error) {
+      res.status(400);
+      throw new Error(`Student ${record.student}: ${parsed.error}`);
     }
-    if (student.dorm.toString() !== session.dorm.toString()) {
+
+    // Legacy sessions without a dorm accept any student
+    const student = mongoose.Types.ObjectId.isValid(record.student)
+      ? await Student.exists({
+          _id: record.student,
+          ...(dorm && { dorm: dorm.name }),
+        })
+      : null;
+    if (!student) {
       invalidStudents.push(record.student);
       continue;
     }
-    validRecords.push(record);
+    validRecords.push({ ...record, ...parsed });
   }
 
   if (invalidStudents.length > 0) {
@@ -404,15 +592,137 @@ const updateAttendanceSession = asyncHandler(async (req, res) => {
     );
   }
 
-  // Update records
-  session.records = validRecords;
-  const updatedSession = await session.save();
+  const studentsOnLeave = await getStudentsOnLeave(startOfDay, endOfDay);
+
+  const before = snapshot(session);
+
+  // Read and write the session inside the transaction, so concurrent
+  // changes to the same session are retried instead of overwritten
+  const updatedSession = await withTransaction(
+    async (dbSession) => {
+      const current = await AttendanceSession.findById(session._id).session(
+        dbSession
+      );
+      if (!current || current.isCompleted) {
+        res.status(409);
+        throw new Error("Attendance session has been finalized or deleted");
+      }
+
+      const existingRecords = await AttendanceRecord.find({
+        _id: { $in: current.attendanceRecords },
+      }).session(dbSession);
+      const recordsByStudent = new Map(
+        existingRecords.map((record) => [String(record.student), record])
+      );
+
+      const notMarked = unmark.filter(
+        (studentId) => !recordsByStudent.has(String(studentId))
+      );
+      if (notMarked.length > 0) {
+        res.status(404);
+        throw new Error(
+          `Students not marked in this session: ${notMarked.join(", ")}`
+        );
+      }
+
+      // Update records
+      for (const record of validRecords) {
+        const status =
+          record.status === "absent" &&
+          studentsOnLeave.has(String(record.student))
+            ? "on_leave"
+            : record.status;
+
+        const existing = recordsByStudent.get(String(record.student));
+        if (existing) {
+          existing.status = status;
+          existing.arrivalTime = record.arrivalTime || undefined;
+          if (record.remarks !== undefined) existing.remarks = record.remarks;
+          await existing.save({ session: dbSession });
+        } else {
+          const [newRecord] = await AttendanceRecord.create(
+            [
+              {
+                student: record.student,
+                status,
+                arrivalTime: record.arrivalTime,
+                remarks: record.remarks || "",
+              },
+            ],
+            { session: dbSession }
+          );
+          current.attendanceRecords.push(newRecord._id);
+          recordsByStudent.set(String(record.student), newRecord);
+        }
+      }
+
+      // Remove unmarked students
+      const removedIds = unmark.map(
+        (studentId) => recordsByStudent.get(String(studentId))._id
+      );
+      if (removedIds.length > 0) {
+        await AttendanceRecord.deleteMany(
+          { _id: { $in: removedIds } },
+          { session: dbSession }
+        );
+        current.attendanceRecords.pull(...removedIds);
+        unmark.forEach((studentId) =>
+          recordsByStudent.delete(String(studentId))
+        );
+      }
+
+      // Tombstones let offline devices see that unmarks are newer than
+      // their changes; marked students drop theirs
+      const unmarked = new Set(unmark.map(String));
+      const changedAt = new Date();
+      current.removedRecords = [
+        ...current.removedRecords.filter(
+          (removed) =>
+            !recordsByStudent.has(String(removed.student)) &&
+            !unmarked.has(String(removed.student))
+        ),
+        ...unmark.map((studentId) => ({ student: studentId, changedAt })),
+      ];
+
+      Object.assign(
+        current,
+        countAttendanceStatuses([...recordsByStudent.values()])
+      );
+      current.totalStudents = recordsByStudent.size;
+      if (notes !== undefined) current.notes = notes;
+      return current.save({ session: dbSession });
+    }
+  );
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "AttendanceSession",
+    entityId: updatedSession._id,
+    before,
+    after: updatedSession,
+  });
+
+  return populateSession(AttendanceSession.findById(updatedSession._id));
+};
+
+/**
+ * @desc    Update attendance session. Records are matched by student: known
+ *          students get their status replaced, others are added.
+ * @route   PUT /api/attendance/:id
+ * @access  Private/Warden
+ */
+const updateAttendanceSession = asyncHandler(async (req, res) => {
+  const { records, notes } = req.body;
+
+  if (!Array.isArray(records)) {
+    res.status(400);
+    throw new Error("Please provide records to update");
+  }
 
-  // Populate for response
-  const populatedSession = await AttendanceSession.findById(updatedSession._id)
-    .populate("markedByDetails")
-    .populate("dormDetails")
-    .populate("records.student", "name age studentId");
+  const populatedSession = await applyRecordChanges(req, res, {
+    records,
+    notes,
+  });
 
   res.status(200).json({
     success: true,
@@ -421,19 +731,156 @@ const updateAttendanceSession = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Mark and unmark several students of an open session
+ * @route   PATCH /api/attendance/:id/records
+ * @access  Private/Warden
+ */
+const patchAttendanceRecords = asyncHandler(async (req, res) => {
+  const { records = [], unmark = [] } = req.body;
+
+  if (
+    !Array.isArray(records) ||
+    !Array.isArray(unmark) ||
+    records.length + unmark.length === 0
+  ) {
+    res.status(400);
+    throw new Error("Please provide records to mark or students to unmark");
+  }
+
+  const marked = new Set(records.map((record) => String(record.student)));
+  if (unmark.some((studentId) => marked.has(String(studentId)))) {
+    res.status(400);
+    throw new Error("A student cannot be marked and unmarked at once");
+  }
+
+  const populatedSession = await applyRecordChanges(req, res, {
+    records,
+    unmark,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Attendance records updated successfully",
+    data: populatedSession,
+  });
+});
+
+/**
+ * @desc    Mark one student in an open session
+ * @route   PATCH /api/attendance/:id/records/:studentId
+ * @access  Private/Warden
+ */
+const markStudentAttendance = asyncHandler(async (req, res) => {
+  const { status, arrivalTime, remarks } = req.body;
+
+  const populatedSession = await applyRecordChanges(req, res, {
+    records: [{ student: req.params.studentId, status, arrivalTime, remarks }],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Student marked successfully",
+    data: populatedSession,
+  });
+});
+
+/**
+ * @desc    Remove one student's record from an open session
+ * @route   DELETE /api/attendance/:id/records/:studentId
+ * @access  Private/Warden
+ */
+const unmarkStudentAttendance = asyncHandler(async (req, res) => {
+  const populatedSession = await applyRecordChanges(req, res, {
+    unmark: [req.params.studentId],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Student unmarked successfully",
+    data: populatedSession,
+  });
+});
+
+/**
+ * @desc    Finalize a session, closing its check-in window if still open.
+ *          Finalized sessions can no longer be changed.
+ * @route   PATCH /api/attendance/:id/finalize
+ * @access  Private/Warden
+ */
+const finalizeAttendanceSession = asyncHandler(async (req, res) => {
+  let session = await AttendanceSession.findById(req.params.id);
+  if (!session) {
+    res.status(404);
+    throw new Error("Attendance session not found");
+  }
+
+  await checkSessionAccess(req, res, session);
+
+  if (session.isCompleted) {
+    res.status(409);
+    throw new Error("Attendance session is already finalized");
+  }
+
+  // An open check-in window is closed first, so students who did not check
+  // in are marked before the session can no longer change
+  if (session.checkInOpensAt && !session.checkInClosedAt) {
+    await closeCheckInWindow(session._id, { req });
+    session = await AttendanceSession.findById(session._id);
+  }
+
+  const before = snapshot(session);
+  session.isCompleted = true;
+  session.finalizedAt = new Date();
+  session.finalizedBy = req.user._id;
+  await session.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "AttendanceSession",
+    entityId: session._id,
+    before,
+    after: session,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Attendance session finalized",
+    data: await populateSession(AttendanceSession.findById(session._id)),
+  });
+});
+
 /**
  * @desc    Delete attendance session
  * @route   DELETE /api/attendance/:id
  * @access  Private/Warden/Admin
  */
 const deleteAttendanceSession = asyncHandler(async (req, res) => {
-  const session = await AttendanceSession.findByIdAndDelete(req.params.id);
+  const session = await AttendanceSession.findById(req.params.id);
 
   if (!session) {
     res.status(404);
     throw new Error("Attendance session not found");
   }
 
+  await checkSessionAccess(req, res, session);
+
+  // The session's records go with it
+  await withTransaction(async (dbSession) => {
+    await AttendanceRecord.deleteMany(
+      { _id: { $in: session.attendanceRecords } },
+      { session: dbSession }
+    );
+    await session.deleteOne({ session: dbSession });
+  });
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "AttendanceSession",
+    entityId: session._id,
+    before: session,
+  });
+
   res.status(200).json({
     success: true,
     message: "Attendance session deleted successfully",
@@ -442,12 +889,13 @@ const deleteAttendanceSession = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Check if attendance exists for a specific date and session type
+ * @desc    Check if attendance exists for a specific date and session type,
+ *          in the given dorm or the warden's own dorm
  * @route   GET /api/attendance/check
  * @access  Private/Warden
  */
 const checkAttendanceExists = asyncHandler(async (req, res) => {
-  const { date, sessionType } = req.query;
+  const { date, sessionType, dorm } = req.query;
 
   if (!date || !sessionType) {
     res.status(400);
@@ -467,9 +915,24 @@ const checkAttendanceExists = asyncHandler(async (req, res) => {
   const endOfDay = new Date(attendanceDate);
   endOfDay.setUTCHours(23, 59, 59, 999);
 
+  const dormFilter = {};
+  if (dorm) {
+    if (!mongoose.Types.ObjectId.isValid(dorm)) {
+      res.status(400);
+      throw new Error("Invalid dorm ID");
+    }
+    dormFilter.dorm = dorm;
+  } else {
+    const assignedDorms = await getAssignedDorms(req.user);
+    if (assignedDorms) {
+      dormFilter.dorm = { $in: assignedDorms.map((d) => d._id) };
+    }
+  }
+
   // Check if attendance exists - check both markedAt and createdAt for backwards compatibility
   const existingSession = await AttendanceSession.findOne({
     sessionType,
+    ...dormFilter,
     $or: [
       {
         markedAt: {
@@ -486,7 +949,7 @@ const checkAttendanceExists = asyncHandler(async (req, res) => {
         },
       },
     ],
-  }).select("_id markedAt sessionType");
+  }).select("_id markedAt sessionType dorm");
 
   res.status(200).json({
     exists: !!existingSession,
@@ -494,6 +957,26 @@ const checkAttendanceExists = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Daily roll-up of attendance across all dorms
+ * @route   GET /api/attendance/daily?date=YYYY-MM-DD
+ * @access  Private/Warden
+ */
+const getDailyAttendance = asyncHandler(async (req, res) => {
+  const day = parseAttendanceDate(req.query.date);
+  if (!day) {
+    res.status(400);
+    throw new Error("Invalid date format. Use YYYY-MM-DD.");
+  }
+
+  const rollup = await getDailyAttendanceRollup(day);
+
+  res.status(200).json({
+    success: true,
+    data: rollup,
+  });
+});
+
 /**
  * @desc    Get student attendance history
  * @route   GET /api/attendance/student/:studentId
@@ -501,7 +984,17 @@ const checkAttendanceExists = asyncHandler(async (req, res) => {
  */
 const getStudentAttendanceHistory = asyncHandler(async (req, res) => {
   const { studentId } = req.params;
-  const { fromDate, toDate, page = 1, limit = 10 } = req.query;
+  const { fromDate, toDate, status, page = 1, limit = 10 } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  if (status && !ATTENDANCE_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${ATTENDANCE_STATUSES.join(", ")}`);
+  }
 
   // Validate student exists
   const student = await Student.findById(studentId);
@@ -510,48 +1003,72 @@ const getStudentAttendanceHistory = asyncHandler(async (req, res) => {
     throw new Error("Student not found");
   }
 
-  let query = { "records.student": studentId };
+  // Sessions reference their records, so find the student's records first
+  const studentRecords = await AttendanceRecord.find({
+    student: studentId,
+  }).lean();
+  const recordsById = new Map(
+    studentRecords.map((record) => [String(record._id), record])
+  );
+
+  let query = {
+    attendanceRecords: { $in: studentRecords.map((record) => record._id) },
+  };
 
   // Date range filtering
   if (fromDate || toDate) {
-    query.date = {};
-    if (fromDate) query.date.$gte = new Date(fromDate);
-    if (toDate) query.date.$lte = new Date(toDate);
+    query.markedAt = {};
+    if (fromDate) query.markedAt.$gte = new Date(fromDate);
+    if (toDate) {
+      const endOfDay = new Date(toDate);
+      endOfDay.setHours(23, 59, 59, 999);
+      query.markedAt.$lte = endOfDay;
+    }
   }
 
-  const skip = (page - 1) * limit;
-
-  const [sessions, total] = await Promise.all([
-    AttendanceSession.find(query)
-      .populate("dormDetails")
-      .sort({ date: -1, sessionType: 1 })
-      .skip(skip)
-      .limit(limit),
-    AttendanceSession.countDocuments(query),
-  ]);
+  const sessions = await AttendanceSession.find(query)
+    .select("sessionType markedAt createdAt attendanceRecords")
+    .sort({ markedAt: -1, sessionType: 1 })
+    .lean();
 
   // Extract just this student's records from each session
   const attendanceHistory = sessions.map((session) => {
-    const studentRecord = session.records.find(
-      (record) => record.student.toString() === studentId
-    );
+    const studentRecord = session.attendanceRecords
+      .map((recordId) => recordsById.get(String(recordId)))
+      .find(Boolean);
+    const markedAt = session.markedAt || session.createdAt;
     return {
       _id: session._id,
-      date: session.date,
+      date: markedAt.toISOString().split("T")[0],
       sessionType: session.sessionType,
-      dorm: session.dormDetails,
       status: studentRecord.status,
+      arrivalTime: studentRecord.arrivalTime || null,
       remarks: studentRecord.remarks,
-      markedAt: session.createdAt,
+      markedAt,
     };
   });
 
+  // Per-status totals over the whole date range
+  const summary = Object.fromEntries(
+    ATTENDANCE_STATUSES.map((value) => [value, 0])
+  );
+  attendanceHistory.forEach((entry) => summary[entry.status]++);
+
+  const filteredHistory = status
+    ? attendanceHistory.filter((entry) => entry.status === status)
+    : attendanceHistory;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 10;
+  const skip = (pageNum - 1) * limitNum;
+
   res.status(200).json({
     success: true,
-    total,
-    page: parseInt(page),
-    pages: Math.ceil(total / limit),
-    data: attendanceHistory,
+    total: filteredHistory.length,
+    page: pageNum,
+    pages: Math.ceil(filteredHistory.length / limitNum),
+    summary,
+    data: filteredHistory.slice(skip, skip + limitNum),
   });
 });
 
@@ -563,4 +1080,9 @@ export {
   deleteAttendanceSession,
   getStudentAttendanceHistory,
   checkAttendanceExists,
+  getDailyAttendance,
+  patchAttendanceRecords,
+  markStudentAttendance,
+  unmarkStudentAttendance,
+  finalizeAttendanceSession,
 };
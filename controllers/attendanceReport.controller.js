@@ -0,0 +1,204 @@
+import asyncHandler from "express-async-handler";
+import { getAssignedDorms } from "../utils/dormOccupancy.js";
+import {
+  getStudentAttendanceSummary,
+  getGroupAttendanceSummary,
+  getMonthlyRegister,
+} from "../utils/attendanceReports.js";
+import {
+  ATTENDANCE_REPORT_THRESHOLD,
+  BILLING_MONTH_PATTERN,
+} from "../utils/constants.js";
+
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight, like session markedAt
+ */
+const parseReportDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return null;
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Dorm, class and session filters shared by all reports. Wardens only see
+ * the students of their own dorms.
+ * @returns {Promise<Object>} Filters for utils/attendanceReports
+ */
+const parseScopeFilters = async (req, res) => {
+  const { dorm, class: className, sessionType } = req.query;
+
+  if (sessionType && !["morning", "evening"].includes(sessionType)) {
+    res.status(400);
+    throw new Error("Invalid session type. Must be 'morning' or 'evening'");
+  }
+
+  let dorms = dorm ? [dorm] : undefined;
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (assignedDorms) {
+    const dormNames = assignedDorms.map((d) => d.name);
+    if (dorm && !dormNames.includes(dorm)) {
+      res.status(403);
+      throw new Error(`You are not the warden of ${dorm}`);
+    }
+    dorms = dorm ? [dorm] : dormNames;
+  }
+
+  return { sessionType, dorms, className };
+};
+
+/**
+ * Report filters over a from/to date range. The range defaults to the
+ * current month up to today.
+ * @returns {Promise<Object>} Filters for utils/attendanceReports
+ */
+const parseRangeFilters = async (req, res) => {
+  const now = new Date();
+  const from = req.query.from
+    ? parseReportDate(req.query.from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = req.query.to
+    ? parseReportDate(req.query.to)
+    : new Date(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+      );
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("Invalid date format. Use YYYY-MM-DD.");
+  }
+  if (from > to) {
+    res.status(400);
+    throw new Error("from must not be after to");
+  }
+  to.setUTCHours(23, 59, 59, 999);
+
+  return { from, to, ...(await parseScopeFilters(req, res)) };
+};
+
+const toPeriod = ({ from, to }) => ({
+  from: from.toISOString().split("T")[0],
+  to: to.toISOString().split("T")[0],
+});
+
+/**
+ * @desc    Attendance percentage of each student over a date range
+ * @route   GET /api/attendance-reports/students
+ * @access  Private/Warden/Admin
+ */
+const getStudentReport = asyncHandler(async (req, res) => {
+  const filters = await parseRangeFilters(req, res);
+  const students = await getStudentAttendanceSummary(filters);
+
+  res.status(200).json({
+    success: true,
+    period: toPeriod(filters),
+    total: students.length,
+    data: students,
+  });
+});
+
+/**
+ * @desc    Attendance percentage of each dorm over a date range
+ * @route   GET /api/attendance-reports/dorms
+ * @access  Private/Warden/Admin
+ */
+const getDormReport = asyncHandler(async (req, res) => {
+  const filters = await parseRangeFilters(req, res);
+  const dorms = await getGroupAttendanceSummary("dorm", filters);
+
+  res.status(200).json({
+    success: true,
+    period: toPeriod(filters),
+    total: dorms.length,
+    data: dorms,
+  });
+});
+
+/**
+ * @desc    Attendance percentage of each class over a date range
+ * @route   GET /api/attendance-reports/classes
+ * @access  Private/Warden/Admin
+ */
+const getClassReport = asyncHandler(async (req, res) => {
+  const filters = await parseRangeFilters(req, res);
+  const classes = await getGroupAttendanceSummary("class", filters);
+
+  res.status(200).json({
+    success: true,
+    period: toPeriod(filters),
+    total: classes.length,
+    data: classes,
+  });
+});
+
+/**
+ * @desc    Students whose attendance percentage is below a threshold
+ * @route   GET /api/attendance-reports/below-threshold
+ * @access  Private/Warden/Admin
+ */
+const getBelowThresholdReport = asyncHandler(async (req, res) => {
+  const threshold =
+    req.query.threshold === undefined
+      ? ATTENDANCE_REPORT_THRESHOLD
+      : Number(req.query.threshold);
+
+  if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+    res.status(400);
+    throw new Error("Threshold must be a percentage between 0 and 100");
+  }
+
+  const filters = await parseRangeFilters(req, res);
+  const students = await getStudentAttendanceSummary({
+    ...filters,
+    belowPercent: threshold,
+  });
+
+  res.status(200).json({
+    success: true,
+    period: toPeriod(filters),
+    threshold,
+    total: students.length,
+    data: students,
+  });
+});
+
+/**
+ * @desc    Monthly register: every student's status per day and session
+ * @route   GET /api/attendance-reports/register?month=YYYY-MM
+ * @access  Private/Warden/Admin
+ */
+const getMonthlyRegisterReport = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+
+  if (!month || !BILLING_MONTH_PATTERN.test(month)) {
+    res.status(400);
+    throw new Error("Please provide month as YYYY-MM");
+  }
+
+  const [year, monthNumber] = month.split("-").map(Number);
+  const from = new Date(Date.UTC(year, monthNumber - 1, 1));
+  const to = new Date(Date.UTC(year, monthNumber, 0, 23, 59, 59, 999));
+
+  const students = await getMonthlyRegister({
+    from,
+    to,
+    ...(await parseScopeFilters(req, res)),
+  });
+
+  res.status(200).json({
+    success: true,
+    month,
+    total: students.length,
+    data: students,
+  });
+});
+
+export {
+  getStudentReport,
+  getDormReport,
+  getClassReport,
+  getBelowThresholdReport,
+  getMonthlyRegisterReport,
+};
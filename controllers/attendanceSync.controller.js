@@ -0,0 +1,123 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Dorm from "../models/dorm.model.js";
+import { getAssignedDorms } from "../utils/dormOccupancy.js";
+import { getSyncSnapshot, applySyncChanges } from "../utils/attendanceSync.js";
+
+// Largest batch a device may upload at once
+const MAX_SYNC_CHANGES = 1000;
+
+/**
+ * Resolve the dorm a device syncs. Wardens only sync their own dorms and may
+ * omit the dorm when they have just one.
+ * @returns {Promise<Object>} Dorm document
+ */
+const resolveSyncDorm = async (req, res, dormId) => {
+  const assignedDorms = await getAssignedDorms(req.user);
+
+  if (!dormId) {
+    if (assignedDorms?.length === 1) return assignedDorms[0];
+    res.status(400);
+    throw new Error("Please provide dorm");
+  }
+  if (!mongoose.Types.ObjectId.isValid(dormId)) {
+    res.status(400);
+    throw new Error("Invalid dorm ID");
+  }
+
+  const dorm = await Dorm.findById(dormId);
+  if (!dorm || !dorm.isActive) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+  if (assignedDorms && !assignedDorms.some((d) => d._id.equals(dorm._id))) {
+    res.status(403);
+    throw new Error(`You are not the warden of ${dorm.name}`);
+  }
+
+  return dorm;
+};
+
+/**
+ * Parse the version a device holds
+ * @returns {Number|null} Null when invalid
+ */
+const parseSinceVersion = (since) => {
+  if (since === undefined || since === null || since === "") return 0;
+  const version = Number(since);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+};
+
+/**
+ * @desc    Get a dorm's roster and recent attendance for offline use. With
+ *          since, only sessions changed after that version are returned.
+ * @route   GET /api/attendance/sync?dorm=&since=
+ * @access  Private/Warden
+ */
+const getAttendanceSync = asyncHandler(async (req, res) => {
+  const dorm = await resolveSyncDorm(req, res, req.query.dorm);
+
+  const since = parseSinceVersion(req.query.since);
+  if (since === null) {
+    res.status(400);
+    throw new Error("since must be a version number");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getSyncSnapshot(dorm, since),
+  });
+});
+
+/**
+ * @desc    Upload attendance changes made offline. Conflicting changes are
+ *          resolved by timestamp and reported back, the response carries the
+ *          sessions changed since the device's version.
+ * @route   POST /api/attendance/sync
+ * @access  Private/Warden
+ */
+const syncAttendance = asyncHandler(async (req, res) => {
+  const { dorm: dormId, changes } = req.body;
+
+  const dorm = await resolveSyncDorm(req, res, dormId);
+
+  const since = parseSinceVersion(req.body.since);
+  if (since === null) {
+    res.status(400);
+    throw new Error("since must be a version number");
+  }
+  if (!Array.isArray(changes)) {
+    res.status(400);
+    throw new Error("Please provide changes");
+  }
+  if (changes.length > MAX_SYNC_CHANGES) {
+    res.status(400);
+    throw new Error(
+      `Cannot sync more than ${MAX_SYNC_CHANGES} changes at once`
+    );
+  }
+
+  let result;
+  try {
+    result = await applySyncChanges(dorm, changes, { req });
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error(
+        "Attendance was created by another device meanwhile, please retry"
+      );
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${result.applied.length} change(s) applied, ${result.conflicts.length} conflict(s), ${result.rejected.length} rejected`,
+    data: {
+      ...result,
+      diff: await getSyncSnapshot(dorm, since),
+    },
+  });
+});
+
+export { getAttendanceSync, syncAttendance };
@@ -0,0 +1,118 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.model.js";
+import { getAuditRetentionDays } from "../utils/auditLogger.js";
+
+/**
+ * @desc    Get audit log entries with filtering
+ * @route   GET /api/audit
+ * @access  Private/Admin
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const {
+    entity,
+    entityId,
+    user,
+    action,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  let query = {};
+
+  if (entity) query.entity = entity;
+  if (action) query.action = action;
+
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      res.status(400);
+      throw new Error("Invalid entityId");
+    }
+    query.entityId = entityId;
+  }
+
+  // Filter by the user who made the change
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      res.status(400);
+      throw new Error("Invalid user");
+    }
+    query.actor = user;
+  }
+
+  // Date range filtering (YYYY-MM-DD, inclusive)
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) {
+      const from = new Date(fromDate);
+      if (isNaN(from.getTime())) {
+        res.status(400);
+        throw new Error("Invalid fromDate. Use YYYY-MM-DD.");
+      }
+      query.createdAt.$gte = from;
+    }
+    if (toDate) {
+      const to = new Date(toDate);
+      if (isNaN(to.getTime())) {
+        res.status(400);
+        throw new Error("Invalid toDate. Use YYYY-MM-DD.");
+      }
+      to.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = to;
+    }
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 20, 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .populate("actor", "firstName lastName email role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    retentionDays: getAuditRetentionDays(),
+    data: entries,
+  });
+});
+
+/**
+ * @desc    Get a single audit log entry
+ * @route   GET /api/audit/:id
+ * @access  Private/Admin
+ */
+const getAuditLogById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid audit log ID");
+  }
+
+  const entry = await AuditLog.findById(req.params.id).populate(
+    "actor",
+    "firstName lastName email role"
+  );
+
+  if (!entry) {
+    res.status(404);
+    throw new Error("Audit log entry not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
+
+export { getAuditLogs, getAuditLogById };
@@ -1,10 +1,143 @@
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import LoginAttempt from "../models/loginAttempt.model.js";
 import jwt from "jsonwebtoken";
+import crypto from "node:crypto";
 import asyncHandler from "express-async-handler";
 import {
-  createAccessToken,
-  createRefreshToken,
-} from "../utils/generateToken.js";
+  hashToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "../utils/sessionStore.js";
+import { createTwoFactorChallengeToken } from "../utils/generateToken.js";
+import {
+  getTwoFactorSetupDeadline,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+import { sendMail } from "../utils/mailer.js";
+import {
+  getUserIdsByRoles,
+  sendNotifications,
+} from "./notification.controller.js";
+import {
+  REFRESH_TOKEN_MAX_AGE_MS,
+  PASSWORD_RESET_TOKEN_EXPIRES_MS,
+  PASSWORD_MIN_LENGTH,
+} from "../utils/constants.js";
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+};
+
+/**
+ * Brute-force protection settings, read per call so .env overrides apply
+ */
+const getLoginPolicy = () => ({
+  // Failed passwords before the account is locked
+  maxAccountFailures: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  // Failed logins from one IP (any account) within ipWindowMs
+  maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  ipWindowMs: 15 * 60 * 1000,
+  // Failures allowed before progressive delays kick in
+  freeAttempts: 2,
+  maxDelayMs: 30 * 1000,
+});
+
+/**
+ * Minimum wait after the last failure: 1s, 2s, 4s ... capped at maxDelayMs
+ */
+const getLoginDelayMs = (failedAttempts, policy) => {
+  if (failedAttempts < policy.freeAttempts) return 0;
+  return Math.min(
+    1000 * 2 ** (failedAttempts - policy.freeAttempts),
+    policy.maxDelayMs
+  );
+};
+
+/**
+ * Record a failed password for an existing account and lock it once the
+ * threshold is reached. Admins are notified about the lock.
+ */
+const registerFailedLogin = async (user, ip, policy, req) => {
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+
+  if (updatedUser.failedLoginAttempts < policy.maxAccountFailures) {
+    return updatedUser;
+  }
+
+  updatedUser.lockUntil = new Date(Date.now() + policy.lockoutMs);
+  updatedUser.failedLoginAttempts = 0;
+  await updatedUser.save();
+
+  try {
+    const adminIds = await getUserIdsByRoles(["admin"]);
+    await sendNotifications(
+      adminIds,
+      {
+        title: "Account Locked",
+        message: `${updatedUser.firstName} ${updatedUser.lastName} (${
+          updatedUser.email
+        }) was locked after ${
+          policy.maxAccountFailures
+        } failed login attempts (last from ${ip}) until ${updatedUser.lockUntil.toLocaleString()}`,
+        type: "alert",
+      },
+      req
+    );
+  } catch (notificationError) {
+    console.error("Failed to send notifications:", notificationError);
+  }
+
+  return updatedUser;
+};
+
+/**
+ * Clear brute-force counters, start a session and send the login response
+ */
+const completeLogin = async (foundUser, req, res, extra = {}) => {
+  const twoFactorSetupDeadline = await getTwoFactorSetupDeadline(foundUser);
+  if (foundUser.failedLoginAttempts > 0 || foundUser.lockUntil) {
+    foundUser.failedLoginAttempts = 0;
+    foundUser.lockUntil = null;
+    await foundUser.save();
+  }
+
+  // Every login starts a new server-side session for this device
+  const { accessToken, refreshToken } = await issueSession(foundUser, req);
+
+  // Create secure cookie with refresh token
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_MAX_AGE_MS,
+  });
+
+  const userResponse = {
+    id: foundUser._id,
+    firstName: foundUser.firstName,
+    lastName: foundUser.lastName,
+    email: foundUser.email,
+    nic: foundUser.nic,
+    phone: foundUser.phone,
+    role: foundUser.role,
+    mustChangePassword: foundUser.mustChangePassword,
+    twoFactorEnabled: !!foundUser.twoFactor?.enabled,
+    twoFactorSetupRequired: !!twoFactorSetupDeadline,
+    twoFactorSetupDeadline,
+    createdAt: foundUser.createdAt,
+    updatedAt: foundUser.updatedAt,
+  };
+
+  res.json({ user: userResponse, accessToken, ...extra });
+};
 
 // @desc Login
 // @route POST /auth
@@ -17,54 +150,158 @@ const login = asyncHandler(async (req, res) => {
     throw new Error("Email and password are required");
   }
 
+  const policy = getLoginPolicy();
+  const ip = req.ip || req.connection.remoteAddress;
+
+  const ipFailures = await LoginAttempt.countDocuments({
+    ip,
+    createdAt: { $gte: new Date(Date.now() - policy.ipWindowMs) },
+  });
+
+  if (ipFailures >= policy.maxIpFailures) {
+    res.set("Retry-After", String(Math.ceil(policy.ipWindowMs / 1000)));
+    res.status(429);
+    throw new Error(
+      "Too many failed login attempts from this IP, please try again later"
+    );
+  }
+
   const foundUser = await User.findOne({ email }).exec();
 
   if (!foundUser) {
+    await LoginAttempt.create({ ip, email });
     res.status(401);
     throw new Error("Invalid email or password");
   }
 
+  if (foundUser.isLocked()) {
+    const minutesLeft = Math.ceil((foundUser.lockUntil - Date.now()) / 60000);
+    res.status(423);
+    throw new Error(
+      `Account is temporarily locked. Try again in ${minutesLeft} minute(s) or contact an administrator`
+    );
+  }
+
+  // Progressive delay between consecutive failures on the same account
+  if (foundUser.failedLoginAttempts > 0 && foundUser.lastFailedLoginAt) {
+    const waitMs =
+      getLoginDelayMs(foundUser.failedLoginAttempts, policy) -
+      (Date.now() - foundUser.lastFailedLoginAt.getTime());
+
+    if (waitMs > 0) {
+      res.set("Retry-After", String(Math.ceil(waitMs / 1000)));
+      res.status(429);
+      throw new Error(
+        `Too many failed attempts, please wait ${Math.ceil(
+          waitMs / 1000
+        )} second(s) before trying again`
+      );
+    }
+  }
+
   const isPasswordValid = await foundUser.matchPassword(password);
 
   if (!isPasswordValid) {
+    await LoginAttempt.create({ ip, email, user: foundUser._id });
+    const updatedUser = await registerFailedLogin(foundUser, ip, policy, req);
+
+    if (updatedUser.isLocked()) {
+      res.status(423);
+      throw new Error(
+        "Account has been temporarily locked due to too many failed login attempts"
+      );
+    }
+
     res.status(401);
     throw new Error("Invalid email or password");
   }
 
-  const accessToken = createAccessToken(
-    foundUser,
-    process.env.ACCESS_TOKEN_SECRET
-  );
+  // The password is right but the login is not finished until the second
+  // factor is verified, so failure counters stay untouched for now
+  if (foundUser.twoFactor?.enabled) {
+    return res.status(200).json({
+      twoFactorRequired: true,
+      challengeToken: createTwoFactorChallengeToken(
+        foundUser,
+        process.env.ACCESS_TOKEN_SECRET
+      ),
+    });
+  }
 
-  const refreshToken = createRefreshToken(
-    foundUser,
-    process.env.REFRESH_TOKEN_SECRET
-  );
+  await completeLogin(foundUser, req, res);
+});
 
-  // Create secure cookie with refresh token
-  res.cookie("refreshToken", refreshToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-    maxAge: 7 * 24 * 60 * 60 * 1000,
-  });
+// @desc Login step two - verify the TOTP or backup code
+// @route POST /auth/login/2fa
+// @access Public - requires the challenge token returned by login
+const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
 
-  const userResponse = {
-    id: foundUser._id,
-    firstName: foundUser.firstName,
-    lastName: foundUser.lastName,
-    email: foundUser.email,
-    nic: foundUser.nic,
-    phone: foundUser.phone,
-    role: foundUser.role,
-    createdAt: foundUser.createdAt,
-    updatedAt: foundUser.updatedAt,
-  };
+  if (!challengeToken || (!code && !backupCode)) {
+    res.status(400);
+    throw new Error("Challenge token and a code or backup code are required");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    res.status(401);
+    throw new Error("Login challenge is invalid or has expired, log in again");
+  }
 
-  res.json({ user: userResponse, accessToken });
+  if (decoded.purpose !== "two_factor_login") {
+    res.status(401);
+    throw new Error("Login challenge is invalid or has expired, log in again");
+  }
+
+  const policy = getLoginPolicy();
+  const ip = req.ip || req.connection.remoteAddress;
+
+  const foundUser = await User.findById(decoded.id).exec();
+
+  if (!foundUser) {
+    res.status(401);
+    throw new Error("Login challenge is invalid or has expired, log in again");
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (foundUser.isLocked()) {
+    const minutesLeft = Math.ceil((foundUser.lockUntil - Date.now()) / 60000);
+    res.status(423);
+    throw new Error(
+      `Account is temporarily locked. Try again in ${minutesLeft} minute(s) or contact an administrator`
+    );
+  }
+
+  const result = await verifySecondFactor(foundUser._id, { code, backupCode });
+
+  if (!result) {
+    await LoginAttempt.create({
+      ip,
+      email: foundUser.email,
+      user: foundUser._id,
+    });
+    const updatedUser = await registerFailedLogin(foundUser, ip, policy, req);
+
+    if (updatedUser.isLocked()) {
+      res.status(423);
+      throw new Error(
+        "Account has been temporarily locked due to too many failed login attempts"
+      );
+    }
+
+    res.status(401);
+    throw new Error("Invalid verification code");
+  }
+
+  // Lets the client warn the user when they are running out of backup codes
+  await completeLogin(foundUser, req, res, {
+    backupCodesRemaining: result.backupCodesRemaining,
+  });
 });
 
-// @desc Refresh
+// @desc Refresh - rotates the refresh token on every call
 // @route GET /auth/refresh
 // @access Public - because access token has expired
 const refresh = asyncHandler(async (req, res) => {
@@ -75,30 +312,68 @@ const refresh = asyncHandler(async (req, res) => {
     throw new Error("Refresh token required");
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    const foundUser = await User.findById(decoded.id).exec();
-
-    if (!foundUser) {
-      res.status(404);
-      throw new Error("User not found");
-    }
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    res.status(403);
+    throw new Error("Invalid refresh token");
+  }
 
-    const newAccessToken = createAccessToken(
-      foundUser,
-      process.env.ACCESS_TOKEN_SECRET
-    );
+  // Tokens issued before sessions existed carry no sessionId
+  const session = decoded.sessionId
+    ? await Session.findById(decoded.sessionId).exec()
+    : null;
 
-    res.status(200).json({
-      accessToken: newAccessToken,
-    });
-  } catch (error) {
+  if (!session || session.user.toString() !== decoded.id) {
+    res.clearCookie("refreshToken", refreshCookieOptions);
     res.status(403);
     throw new Error("Invalid refresh token");
   }
+
+  if (session.revokedAt) {
+    res.clearCookie("refreshToken", refreshCookieOptions);
+    res.status(403);
+    throw new Error("Session has been revoked, please log in again");
+  }
+
+  // A correctly signed token that is no longer the current one for its
+  // session has already been rotated, so someone is replaying it
+  if (session.tokenHash !== hashToken(refreshToken)) {
+    await revokeSession(session._id, "reuse_detected");
+    res.clearCookie("refreshToken", refreshCookieOptions);
+    res.status(403);
+    throw new Error("Refresh token reuse detected, please log in again");
+  }
+
+  const foundUser = await User.findById(decoded.id).exec();
+
+  if (!foundUser) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  const tokens = await rotateSession(session, foundUser);
+
+  // Another request rotated this session first with the same token
+  if (!tokens) {
+    await revokeSession(session._id, "reuse_detected");
+    res.clearCookie("refreshToken", refreshCookieOptions);
+    res.status(403);
+    throw new Error("Refresh token reuse detected, please log in again");
+  }
+
+  res.cookie("refreshToken", tokens.refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_MAX_AGE_MS,
+  });
+
+  res.status(200).json({
+    accessToken: tokens.accessToken,
+  });
 });
 
-// @desc Logout
+// @desc Logout - revokes the session of the current device
 // @route POST /auth/logout
 // @access Public - just to clear cookie if exists
 const logout = asyncHandler(async (req, res) => {
@@ -111,11 +386,19 @@ const logout = asyncHandler(async (req, res) => {
     });
   }
 
-  res.clearCookie("refreshToken", {
-    httpOnly: true,
-    sameSite: "None",
-    secure: true,
-  });
+  try {
+    const decoded = jwt.verify(
+      cookies.refreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+    if (decoded.sessionId) {
+      await revokeSession(decoded.sessionId, "logout");
+    }
+  } catch (error) {
+    // An invalid or expired token has nothing left to revoke
+  }
+
+  res.clearCookie("refreshToken", refreshCookieOptions);
 
   res.status(200).json({
     success: true,
@@ -123,4 +406,172 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
-export { login, refresh, logout };
+// @desc Logout from every device
+// @route POST /auth/logout-all
+// @access Private
+const logoutAll = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeUserSessions(req.user._id, "logout_all");
+
+  res.clearCookie("refreshToken", refreshCookieOptions);
+
+  res.status(200).json({
+    success: true,
+    message: `Logged out from ${revokedCount} session(s)`,
+  });
+});
+
+// @desc Request a password reset email
+// @route POST /auth/forgot-password
+// @access Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    res.status(400);
+    throw new Error("Email is required");
+  }
+
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: "If that email is registered, a password reset link has been sent",
+  };
+
+  const foundUser = await User.findOne({ email }).exec();
+
+  if (!foundUser) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  // Issuing a new token replaces any earlier one
+  foundUser.passwordResetTokenHash = hashToken(resetToken);
+  foundUser.passwordResetExpires = new Date(
+    Date.now() + PASSWORD_RESET_TOKEN_EXPIRES_MS
+  );
+  await foundUser.save();
+
+  const resetUrl = `${
+    process.env.PASSWORD_RESET_URL || "http://localhost:5173/reset-password"
+  }?token=${resetToken}`;
+
+  try {
+    await sendMail({
+      to: foundUser.email,
+      subject: "Ananda Hostel - Password reset",
+      text: `Hello ${foundUser.firstName},\n\nUse the link below to reset your password. It expires in ${
+        PASSWORD_RESET_TOKEN_EXPIRES_MS / 60000
+      } minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    foundUser.passwordResetTokenHash = undefined;
+    foundUser.passwordResetExpires = undefined;
+    await foundUser.save();
+
+    // Still the generic response, an error here would tell the account exists
+    console.error("Failed to send password reset email:", error);
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc Reset password with an emailed token
+// @route POST /auth/reset-password
+// @access Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    res.status(400);
+    throw new Error("Token and password are required");
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    res.status(400);
+    throw new Error(
+      `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+    );
+  }
+
+  const foundUser = await User.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).exec();
+
+  if (!foundUser) {
+    res.status(400);
+    throw new Error("Password reset token is invalid or has expired");
+  }
+
+  // Clearing the hash makes the token single-use
+  foundUser.password = password;
+  foundUser.passwordResetTokenHash = undefined;
+  foundUser.passwordResetExpires = undefined;
+  foundUser.mustChangePassword = false;
+  foundUser.failedLoginAttempts = 0;
+  foundUser.lockUntil = null;
+  await foundUser.save();
+
+  // Whoever knew the old password must not stay logged in
+  await revokeUserSessions(foundUser._id, "password_change");
+
+  res.status(200).json({
+    success: true,
+    message: "Password has been reset, please log in",
+  });
+});
+
+// @desc Change own password (also clears a forced password change)
+// @route POST /auth/change-password
+// @access Private
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    res.status(400);
+    throw new Error("Current password and new password are required");
+  }
+
+  if (newPassword.length < PASSWORD_MIN_LENGTH) {
+    res.status(400);
+    throw new Error(
+      `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+    );
+  }
+
+  const foundUser = await User.findById(req.user._id).exec();
+
+  if (!(await foundUser.matchPassword(currentPassword))) {
+    res.status(401);
+    throw new Error("Current password is incorrect");
+  }
+
+  if (await foundUser.matchPassword(newPassword)) {
+    res.status(400);
+    throw new Error("New password must be different from the current one");
+  }
+
+  foundUser.password = newPassword;
+  foundUser.mustChangePassword = false;
+  await foundUser.save();
+
+  // Keep this device signed in, sign out every other one
+  await revokeUserSessions(foundUser._id, "password_change", req.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: "Password changed successfully",
+  });
+});
+
+export {
+  login,
+  verifyLoginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+};
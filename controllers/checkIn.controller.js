@@ -0,0 +1,363 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import AttendanceSession from "../models/attendanceSession.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import Dorm from "../models/dorm.model.js";
+import Student from "../models/student.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { getAssignedDorms } from "../utils/dormOccupancy.js";
+import {
+  STATUS_COUNT_FIELDS,
+  countAttendanceStatuses,
+} from "../utils/attendanceStatus.js";
+import {
+  createCheckInToken,
+  verifyCheckInToken,
+  closeCheckInWindow,
+} from "../utils/checkIn.js";
+import { CHECK_IN_WINDOW_MINUTES } from "../utils/constants.js";
+
+/**
+ * Parse an optional ISO date-time from the request body
+ * @returns {Date|null|undefined} undefined when missing, null when invalid
+ */
+const parseDateTime = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @desc    Get the signed QR token printed on a student's card
+ * @route   GET /api/check-in/token/:admissionNumber
+ * @access  Private/Warden/Admin
+ */
+const getCheckInToken = asyncHandler(async (req, res) => {
+  const admissionNumber = Number(req.params.admissionNumber);
+
+  const student = await Student.findOne({ admissionNumber }).select(
+    "name admissionNumber dorm"
+  );
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      studentId: student._id,
+      name: student.name,
+      admissionNumber: student.admissionNumber,
+      dorm: student.dorm,
+      token: createCheckInToken(student.admissionNumber),
+    },
+  });
+});
+
+/**
+ * @desc    Open a QR check-in window for a dorm's session. The session is
+ *          created when the dorm has not marked it yet.
+ * @route   POST /api/check-in/windows
+ * @access  Private/Warden
+ */
+const openCheckInWindow = asyncHandler(async (req, res) => {
+  const { dorm: dormId, sessionType } = req.body;
+
+  if (!dormId || !sessionType) {
+    res.status(400);
+    throw new Error("Please provide dorm and sessionType");
+  }
+  if (!["morning", "evening"].includes(sessionType)) {
+    res.status(400);
+    throw new Error("Invalid session type. Must be 'morning' or 'evening'");
+  }
+  if (!mongoose.Types.ObjectId.isValid(dormId)) {
+    res.status(400);
+    throw new Error("Invalid dorm ID");
+  }
+
+  const dorm = await Dorm.findById(dormId);
+  if (!dorm || !dorm.isActive) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (assignedDorms && !assignedDorms.some((d) => d._id.equals(dorm._id))) {
+    res.status(403);
+    throw new Error(`You are not the warden of ${dorm.name}`);
+  }
+
+  const opensAt = parseDateTime(req.body.opensAt) ?? new Date();
+  const closesAt =
+    parseDateTime(req.body.closesAt) ??
+    new Date(opensAt.getTime() + CHECK_IN_WINDOW_MINUTES * 60 * 1000);
+  const lateAfter = parseDateTime(req.body.lateAfter);
+
+  if (opensAt === null || closesAt === null || lateAfter === null) {
+    res.status(400);
+    throw new Error("opensAt, closesAt and lateAfter must be valid date-times");
+  }
+  if (closesAt <= opensAt || closesAt <= new Date()) {
+    res.status(400);
+    throw new Error("closesAt must be after opensAt and in the future");
+  }
+  if (lateAfter && (lateAfter < opensAt || lateAfter > closesAt)) {
+    res.status(400);
+    throw new Error("lateAfter must be within the check-in window");
+  }
+
+  // Sessions are dated by the day the window opens (UTC midnight)
+  const markedAt = new Date(
+    Date.UTC(
+      opensAt.getUTCFullYear(),
+      opensAt.getUTCMonth(),
+      opensAt.getUTCDate()
+    )
+  );
+
+  const window = {
+    checkInOpensAt: opensAt,
+    checkInLateAfter: lateAfter || null,
+    checkInClosesAt: closesAt,
+    checkInClosedAt: null,
+  };
+
+  let session = await AttendanceSession.findOne({
+    dorm: dorm._id,
+    sessionType,
+    markedAt,
+  });
+
+  if (session) {
+    if (session.isCompleted) {
+      res.status(409);
+      throw new Error("Attendance session has been finalized");
+    }
+    if (session.checkInOpensAt) {
+      res.status(409);
+      throw new Error(
+        `A check-in window was already opened for ${dorm.name} ${sessionType}`
+      );
+    }
+    Object.assign(session, window);
+    await session.save();
+  } else {
+    try {
+      session = await AttendanceSession.create({
+        sessionType,
+        dorm: dorm._id,
+        attendanceRecords: [],
+        totalStudents: 0,
+        ...countAttendanceStatuses([]),
+        markedBy: req.user._id,
+        markedAt,
+        ...window,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        res.status(409);
+        throw new Error(
+          `Attendance for ${dorm.name} ${sessionType} was created meanwhile, please retry`
+        );
+      }
+      throw error;
+    }
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "AttendanceSession",
+    entityId: session._id,
+    after: session,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Check-in open for ${dorm.name} until ${closesAt.toISOString()}`,
+    data: session,
+  });
+});
+
+/**
+ * @desc    Close a check-in window early and mark students who did not check
+ *          in as absent
+ * @route   POST /api/check-in/windows/:id/close
+ * @access  Private/Warden
+ */
+const closeCheckInWindowNow = asyncHandler(async (req, res) => {
+  const session = await AttendanceSession.findById(req.params.id);
+  if (!session || !session.checkInOpensAt) {
+    res.status(404);
+    throw new Error("Check-in window not found");
+  }
+
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (
+    assignedDorms &&
+    !assignedDorms.some((dorm) => dorm._id.equals(session.dorm))
+  ) {
+    res.status(403);
+    throw new Error("You can only close check-in windows of your own dorm");
+  }
+
+  const result = await closeCheckInWindow(session._id, { req });
+  if (!result) {
+    res.status(409);
+    throw new Error(
+      session.isCompleted
+        ? "Attendance session is already finalized"
+        : "Check-in window is already closed"
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Check-in closed, ${result.absentCount} student(s) marked absent`,
+    data: result.session,
+  });
+});
+
+/**
+ * @desc    Check a student in by scanning their QR card. Only accepted while
+ *          a window of the student's dorm is open, once per session.
+ * @route   POST /api/check-in/scan
+ * @access  Private/Kiosk
+ */
+const scanCheckIn = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Please provide the scanned token");
+  }
+
+  const admissionNumber = verifyCheckInToken(token);
+  if (admissionNumber === null) {
+    res.status(400);
+    throw new Error("Invalid check-in card");
+  }
+
+  const student = await Student.findOne({ admissionNumber, isActive: true });
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found or inactive");
+  }
+
+  const dorm = await Dorm.findOne({ name: student.dorm }).select("name");
+  if (!dorm) {
+    res.status(409);
+    throw new Error(`Dorm ${student.dorm} does not exist`);
+  }
+
+  const now = new Date();
+  const openWindow = {
+    dorm: dorm._id,
+    isCompleted: false,
+    checkInOpensAt: { $lte: now },
+    checkInClosesAt: { $gt: now },
+    checkInClosedAt: null,
+  };
+
+  const openSession = await AttendanceSession.findOne(openWindow);
+  if (!openSession) {
+    res.status(409);
+    throw new Error(`No check-in window is open for ${dorm.name}`);
+  }
+
+  const existing = await AttendanceRecord.findOne({
+    _id: { $in: openSession.attendanceRecords },
+    student: student._id,
+  });
+  if (existing) {
+    res.status(409);
+    throw new Error(
+      existing.source === "scan"
+        ? `${
+            student.name
+          } already checked in at ${existing.scannedAt.toLocaleTimeString()}`
+        : `${student.name} is already marked ${existing.status}`
+    );
+  }
+
+  const status =
+    openSession.checkInLateAfter && now > openSession.checkInLateAfter
+      ? "late"
+      : "present";
+
+  // The unique (session, student) index and the atomic session update keep
+  // concurrent scans correct without a transaction
+  let record;
+  try {
+    record = await AttendanceRecord.create({
+      session: openSession._id,
+      student: student._id,
+      status,
+      arrivalTime: status === "late" ? now : undefined,
+      source: "scan",
+      scannedAt: now,
+      scannedBy: req.user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error(`${student.name} already checked in`);
+    }
+    throw error;
+  }
+
+  // Both present and late students eat in the hostel
+  const session = await AttendanceSession.findOneAndUpdate(
+    { _id: openSession._id, ...openWindow },
+    {
+      $push: { attendanceRecords: record._id },
+      $inc: {
+        totalStudents: 1,
+        [STATUS_COUNT_FIELDS[status]]: 1,
+        diningCount: 1,
+      },
+    },
+    { new: true }
+  );
+  if (!session) {
+    // The window closed or the session was finalized in the meantime
+    await AttendanceRecord.deleteOne({ _id: record._id });
+    res.status(409);
+    throw new Error(`No check-in window is open for ${dorm.name}`);
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "AttendanceSession",
+    entityId: session._id,
+    before: snapshot(openSession),
+    after: session,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${student.name} checked in${
+      record.status === "late" ? " late" : ""
+    }`,
+    data: {
+      sessionId: session._id,
+      sessionType: session.sessionType,
+      dorm: dorm.name,
+      student: {
+        id: student._id,
+        name: student.name,
+        admissionNumber: student.admissionNumber,
+      },
+      status: record.status,
+      scannedAt: record.scannedAt,
+    },
+  });
+});
+
+export {
+  getCheckInToken,
+  openCheckInWindow,
+  closeCheckInWindowNow,
+  scanCheckIn,
+};
@@ -0,0 +1,506 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import ConcessionTier from "../models/concessionTier.model.js";
+import StudentConcession from "../models/studentConcession.model.js";
+import Student from "../models/student.model.js";
+import {
+  evaluateStudentConcession,
+  evaluateAllConcessions,
+  applyConcessionToOpenInvoices,
+} from "../utils/concessionEngine.js";
+import { toBillingMonth } from "../utils/feeBilling.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+
+const TIER_FIELDS = [
+  "name",
+  "description",
+  "maxIncomePerCapita",
+  "discountPercent",
+  "isActive",
+];
+
+/**
+ * Validate the numeric fields of a tier
+ * @returns {String|null} Error message
+ */
+const validateTierInput = ({ maxIncomePerCapita, discountPercent }) => {
+  if (maxIncomePerCapita !== undefined && !(Number(maxIncomePerCapita) >= 0)) {
+    return "Maximum income per capita must be a non-negative number";
+  }
+  if (
+    discountPercent !== undefined &&
+    !(Number(discountPercent) >= 0 && Number(discountPercent) <= 100)
+  ) {
+    return "Discount percent must be between 0 and 100";
+  }
+  return null;
+};
+
+/**
+ * @desc    Get concession tiers
+ * @route   GET /api/concessions/tiers
+ * @access  Private
+ */
+const getConcessionTiers = asyncHandler(async (req, res) => {
+  const tiers = await ConcessionTier.find({}).sort({ maxIncomePerCapita: 1 });
+
+  res.status(200).json({
+    total: tiers.length,
+    data: tiers,
+  });
+});
+
+/**
+ * @desc    Create a concession tier and re-evaluate every student
+ * @route   POST /api/concessions/tiers
+ * @access  Private/Admin
+ */
+const createConcessionTier = asyncHandler(async (req, res) => {
+  const { name, maxIncomePerCapita, discountPercent } = req.body;
+
+  if (
+    !name ||
+    maxIncomePerCapita === undefined ||
+    discountPercent === undefined
+  ) {
+    res.status(400);
+    throw new Error(
+      "Name, maximum income per capita and discount percent are required"
+    );
+  }
+
+  const validationError = validateTierInput(req.body);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  if (await ConcessionTier.exists({ name })) {
+    res.status(400);
+    throw new Error(`Concession tier "${name}" already exists`);
+  }
+
+  const data = {};
+  TIER_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const tier = await ConcessionTier.create({
+    ...data,
+    updatedBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "ConcessionTier",
+    entityId: tier._id,
+    after: tier,
+  });
+
+  const evaluation = await evaluateAllConcessions({ req });
+
+  res.status(201).json({
+    success: true,
+    message: `Concession tier created, ${evaluation.changed} student proposal(s) changed`,
+    data: tier,
+  });
+});
+
+/**
+ * @desc    Update a concession tier and re-evaluate every student
+ * @route   PUT /api/concessions/tiers/:id
+ * @access  Private/Admin
+ */
+const updateConcessionTier = asyncHandler(async (req, res) => {
+  const tier = await ConcessionTier.findById(req.params.id);
+
+  if (!tier) {
+    res.status(404);
+    throw new Error("Concession tier not found");
+  }
+
+  const validationError = validateTierInput(req.body);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const before = snapshot(tier);
+
+  TIER_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) tier[field] = req.body[field];
+  });
+  tier.updatedBy = req.user._id;
+  await tier.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "ConcessionTier",
+    entityId: tier._id,
+    before,
+    after: tier,
+  });
+
+  const evaluation = await evaluateAllConcessions({ req });
+
+  res.status(200).json({
+    success: true,
+    message: `Concession tier updated, ${evaluation.changed} student proposal(s) changed`,
+    data: tier,
+  });
+});
+
+/**
+ * @desc    Delete a concession tier and re-evaluate every student. Approved
+ *          concessions keep applying until they are reviewed again.
+ * @route   DELETE /api/concessions/tiers/:id
+ * @access  Private/Admin
+ */
+const deleteConcessionTier = asyncHandler(async (req, res) => {
+  const tier = await ConcessionTier.findById(req.params.id);
+
+  if (!tier) {
+    res.status(404);
+    throw new Error("Concession tier not found");
+  }
+
+  await tier.deleteOne();
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "ConcessionTier",
+    entityId: tier._id,
+    before: tier,
+  });
+
+  const evaluation = await evaluateAllConcessions({ req });
+
+  res.status(200).json({
+    success: true,
+    message: `Concession tier ${tier.name} deleted, ${evaluation.changed} student proposal(s) changed`,
+  });
+});
+
+/**
+ * @desc    Recompute concession proposals from the students' family details
+ * @route   POST /api/concessions/evaluate
+ * @access  Private/Accountant
+ */
+const evaluateConcessions = asyncHandler(async (req, res) => {
+  const { studentIds } = req.body;
+
+  if (studentIds !== undefined) {
+    if (
+      !Array.isArray(studentIds) ||
+      !studentIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      res.status(400);
+      throw new Error("studentIds must be an array of student IDs");
+    }
+  }
+
+  const { evaluated, changed } = await evaluateAllConcessions({
+    studentIds,
+    req,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${evaluated} student(s) evaluated, ${changed} proposal(s) changed`,
+    data: { evaluated, changed },
+  });
+});
+
+/**
+ * @desc    Get student concessions with filtering
+ * @route   GET /api/concessions
+ * @access  Private
+ */
+const getConcessions = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  let query = {};
+  if (status) query.status = status;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 20, 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [concessions, total] = await Promise.all([
+    StudentConcession.find(query)
+      .populate("student", "name admissionNumber dorm class")
+      .populate("approved.approvedBy", "firstName lastName")
+      .sort({ "proposal.incomePerCapita": 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    StudentConcession.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: concessions,
+  });
+});
+
+/**
+ * @desc    Get the concession of a student (evaluated on first access)
+ * @route   GET /api/concessions/student/:studentId
+ * @access  Private
+ */
+const getStudentConcession = asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  let concession = await StudentConcession.findOne({ student: studentId });
+
+  if (!concession) {
+    const student = await Student.findById(studentId);
+    if (!student) {
+      res.status(404);
+      throw new Error("Student not found");
+    }
+    ({ concession } = await evaluateStudentConcession(student, { req }));
+  }
+
+  await concession.populate([
+    { path: "student", select: "name admissionNumber dorm class" },
+    { path: "approved.approvedBy", select: "firstName lastName" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: concession,
+  });
+});
+
+/**
+ * @desc    Approve the proposed concession, or override it with another tier
+ *          or percentage, and apply it to open invoices
+ * @route   POST /api/concessions/:id/approve
+ * @access  Private/Accountant
+ */
+const approveConcession = asyncHandler(async (req, res) => {
+  const {
+    tierId,
+    discountPercent,
+    reason,
+    validFrom = toBillingMonth(),
+    validTo = null,
+  } = req.body;
+
+  if (!BILLING_MONTH_PATTERN.test(validFrom)) {
+    res.status(400);
+    throw new Error("Valid from must be a month in YYYY-MM format");
+  }
+
+  if (
+    validTo &&
+    (!BILLING_MONTH_PATTERN.test(validTo) || validTo < validFrom)
+  ) {
+    res.status(400);
+    throw new Error("Valid to must be a YYYY-MM month not before valid from");
+  }
+
+  const concession = await StudentConcession.findById(req.params.id);
+
+  if (!concession) {
+    res.status(404);
+    throw new Error("Concession not found");
+  }
+
+  let tier = null;
+  if (tierId) {
+    tier = await ConcessionTier.findById(tierId);
+    if (!tier) {
+      res.status(404);
+      throw new Error("Concession tier not found");
+    }
+  } else if (discountPercent === undefined && concession.proposal.tier) {
+    tier = await ConcessionTier.findById(concession.proposal.tier);
+  }
+
+  let percent;
+  if (discountPercent !== undefined) {
+    percent = Number(discountPercent);
+    if (!(percent > 0 && percent <= 100)) {
+      res.status(400);
+      throw new Error(
+        "Discount percent must be greater than 0 and at most 100"
+      );
+    }
+  } else if (tier) {
+    percent = tier.discountPercent;
+  } else {
+    res.status(400);
+    throw new Error(
+      "No tier is proposed for this student, choose a tier or discount percent"
+    );
+  }
+
+  const overridden =
+    String(tier?._id || "") !== String(concession.proposal.tier || "") ||
+    percent !== concession.proposal.discountPercent;
+
+  if (overridden && !reason) {
+    res.status(400);
+    throw new Error("A reason is required when overriding the proposed tier");
+  }
+
+  const before = snapshot(concession);
+
+  concession.approved = {
+    tier: tier?._id || null,
+    tierName: tier?.name || null,
+    discountPercent: percent,
+    overridden,
+    reason,
+    validFrom,
+    validTo,
+    approvedBy: req.user._id,
+    approvedAt: new Date(),
+  };
+  concession.status = "approved";
+  concession.reviewedBy = req.user._id;
+  concession.reviewedAt = new Date();
+  concession.reviewNote = reason;
+  await concession.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "StudentConcession",
+    entityId: concession._id,
+    before,
+    after: concession,
+  });
+
+  const invoicesAdjusted = await applyConcessionToOpenInvoices(concession, req);
+
+  res.status(200).json({
+    success: true,
+    message: `Concession of ${percent}% approved${
+      overridden ? " (override)" : ""
+    }, applied to ${invoicesAdjusted} open invoice(s)`,
+    data: concession,
+  });
+});
+
+/**
+ * @desc    Reject the proposed concession (an earlier approval keeps applying)
+ * @route   POST /api/concessions/:id/reject
+ * @access  Private/Accountant
+ */
+const rejectConcession = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to reject a concession");
+  }
+
+  const concession = await StudentConcession.findById(req.params.id);
+
+  if (!concession) {
+    res.status(404);
+    throw new Error("Concession not found");
+  }
+
+  const before = snapshot(concession);
+
+  concession.status = "rejected";
+  concession.reviewedBy = req.user._id;
+  concession.reviewedAt = new Date();
+  concession.reviewNote = reason;
+  await concession.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "StudentConcession",
+    entityId: concession._id,
+    before,
+    after: concession,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Concession proposal rejected",
+    data: concession,
+  });
+});
+
+/**
+ * @desc    Stop applying a student's approved concession to new invoices
+ * @route   POST /api/concessions/:id/revoke
+ * @access  Private/Accountant
+ */
+const revokeConcession = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to revoke a concession");
+  }
+
+  const concession = await StudentConcession.findById(req.params.id);
+
+  if (!concession) {
+    res.status(404);
+    throw new Error("Concession not found");
+  }
+
+  if (!concession.approved?.discountPercent) {
+    res.status(400);
+    throw new Error("Student has no approved concession");
+  }
+
+  const before = snapshot(concession);
+
+  concession.approved = {
+    tier: null,
+    tierName: null,
+    discountPercent: 0,
+    overridden: false,
+    validTo: null,
+  };
+  concession.status = "rejected";
+  concession.reviewedBy = req.user._id;
+  concession.reviewedAt = new Date();
+  concession.reviewNote = reason;
+  await concession.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "StudentConcession",
+    entityId: concession._id,
+    before,
+    after: concession,
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Concession revoked, invoices generated from now on will not include it",
+    data: concession,
+  });
+});
+
+export {
+  getConcessionTiers,
+  createConcessionTier,
+  updateConcessionTier,
+  deleteConcessionTier,
+  evaluateConcessions,
+  getConcessions,
+  getStudentConcession,
+  approveConcession,
+  rejectConcession,
+  revokeConcession,
+};
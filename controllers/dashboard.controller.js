@@ -2,6 +2,10 @@ import asyncHandler from "express-async-handler";
 import Student from "../models/student.model.js";
 import AttendanceSession from "../models/attendanceSession.model.js";
 import AttendanceRecord from "../models/attendanceRecord.model.js";
+import Invoice from "../models/invoice.model.js";
+import Payment from "../models/payment.model.js";
+import { getDormOccupancy } from "../utils/dormOccupancy.js";
+import { getAttendedCount } from "../utils/attendanceStatus.js";
 
 /**
  * @desc    Get dashboard statistics
@@ -50,12 +54,16 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     })
     .lean();
 
-  // Calculate present today (count unique students marked present in any session today)
+  // Calculate present today (count unique students marked present or late in any session today)
   const presentStudentIds = new Set();
   todaySessions.forEach((session) => {
     if (session.attendanceRecords && Array.isArray(session.attendanceRecords)) {
       session.attendanceRecords.forEach((record) => {
-        if (record && record.status === "present" && record.student) {
+        if (
+          record &&
+          ["present", "late"].includes(record.status) &&
+          record.student
+        ) {
           presentStudentIds.add(record.student._id.toString());
         }
       });
@@ -63,41 +71,28 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   });
   const presentToday = presentStudentIds.size;
 
-  // Get dorm occupancy data
-  const studentsByDorm = await Student.aggregate([
-    { $match: { isActive: true } },
-    { $group: { _id: "$dorm", count: { $sum: 1 } } },
-    { $sort: { _id: 1 } },
-  ]);
-
-  // Calculate dorm occupancy percentages (assuming capacity of 50 per dorm)
-  const DORM_CAPACITY = 50;
+  // Dorm occupancy against the beds of each dorm's active rooms
+  const dorms = await getDormOccupancy();
   const hostelOccupancy = {};
   let totalOccupiedBeds = 0;
   let totalAvailableBeds = 0;
 
-  studentsByDorm.forEach((dorm) => {
-    const occupancyPercentage = Math.round((dorm.count / DORM_CAPACITY) * 100);
-    hostelOccupancy[dorm._id] = occupancyPercentage;
-    totalOccupiedBeds += dorm.count;
-    totalAvailableBeds += DORM_CAPACITY - dorm.count;
+  dorms.forEach((dorm) => {
+    hostelOccupancy[dorm.name] = dorm.occupancyPercent;
+    totalOccupiedBeds += dorm.occupied;
+    totalAvailableBeds += dorm.available;
   });
 
   // Calculate average occupancy
-  const dormCount = studentsByDorm.length;
+  const totalCapacity = dorms.reduce((sum, dorm) => sum + dorm.capacity, 0);
   const avgOccupancy =
-    dormCount > 0
-      ? Math.round(
-          studentsByDorm.reduce(
-            (sum, dorm) => sum + Math.round((dorm.count / DORM_CAPACITY) * 100),
-            0
-          ) / dormCount
-        )
+    totalCapacity > 0
+      ? Math.round((totalOccupiedBeds / totalCapacity) * 100)
       : 0;
 
   // Count high occupancy dorms (>=90%)
-  const highOccupancyCount = studentsByDorm.filter(
-    (dorm) => Math.round((dorm.count / DORM_CAPACITY) * 100) >= 90
+  const highOccupancyCount = dorms.filter(
+    (dorm) => dorm.capacity > 0 && dorm.occupancyPercent >= 90
   ).length;
 
   // Get last 7 days attendance data for chart
@@ -127,13 +122,12 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     let morningCount = 0;
     let eveningCount = 0;
 
+    // Each dorm marks its own session, so add them up
     daySessions.forEach((session) => {
       if (session.sessionType === "morning") {
-        // Take the maximum if there are multiple morning sessions
-        morningCount = Math.max(morningCount, session.presentCount || 0);
+        morningCount += getAttendedCount(session);
       } else if (session.sessionType === "evening") {
-        // Take the maximum if there are multiple evening sessions
-        eveningCount = Math.max(eveningCount, session.presentCount || 0);
+        eveningCount += getAttendedCount(session);
       }
     });
 
@@ -178,11 +172,36 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       ? Math.round((avgMorning / totalStudents) * 100 * 10) / 10
       : 0;
 
-  // For now, payment data is not available (no payment system)
-  // These can be updated when payment system is implemented
-  const pendingPayments = 0;
-  const overduePayments = 0;
-  const monthlyRevenue = 0;
+  // Outstanding fees. Overdue is derived from the due date so it is accurate
+  // even before the daily overdue job has flagged the invoices.
+  const now = new Date();
+  const [outstanding] = await Invoice.aggregate([
+    { $match: { status: { $in: ["unpaid", "partially_paid", "overdue"] } } },
+    {
+      $group: {
+        _id: null,
+        pendingPayments: { $sum: "$balance" },
+        pendingInvoices: { $sum: 1 },
+        overduePayments: {
+          $sum: { $cond: [{ $lt: ["$dueDate", now] }, "$balance", 0] },
+        },
+        overdueInvoices: {
+          $sum: { $cond: [{ $lt: ["$dueDate", now] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+  const pendingPayments = outstanding ? outstanding.pendingPayments : 0;
+  const overduePayments = outstanding ? outstanding.overduePayments : 0;
+  const pendingInvoices = outstanding ? outstanding.pendingInvoices : 0;
+  const overdueInvoices = outstanding ? outstanding.overdueInvoices : 0;
+
+  // Payments received since the start of this month
+  const [revenue] = await Payment.aggregate([
+    { $match: { voidedAt: null, paidAt: { $gte: firstDayOfMonth } } },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  const monthlyRevenue = revenue ? revenue.amount : 0;
 
   res.status(200).json({
     success: true,
@@ -191,6 +210,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
       presentToday,
       pendingPayments,
       overduePayments,
+      pendingInvoices,
+      overdueInvoices,
       monthlyRevenue,
       hostelOccupancy,
       attendanceRate,
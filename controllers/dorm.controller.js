@@ -0,0 +1,860 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Dorm from "../models/dorm.model.js";
+import Room from "../models/room.model.js";
+import BedAllocation from "../models/bedAllocation.model.js";
+import Student from "../models/student.model.js";
+import User from "../models/user.model.js";
+import FeeStructure from "../models/feeStructure.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import {
+  getDormOccupancy,
+  getDormCapacities,
+  checkDormAssignment,
+  releaseBed,
+} from "../utils/dormOccupancy.js";
+
+const DORM_GENDERS = ["male", "female", "mixed"];
+
+/**
+ * Check that a user can be assigned as the warden of a dorm
+ * @returns {Promise<String|null>} Error message
+ */
+const validateWarden = async (wardenId) => {
+  if (!mongoose.Types.ObjectId.isValid(wardenId)) {
+    return "Invalid warden ID";
+  }
+  const warden = await User.findById(wardenId).select("role");
+  if (!warden || warden.role !== "warden") {
+    return "Warden must be an existing user with the warden role";
+  }
+  return null;
+};
+
+/**
+ * Build the list of beds of some rooms with the student sleeping in each
+ * @param {Array} rooms - Room documents
+ * @returns {Promise<Array>}
+ */
+const withBedOccupants = async (rooms) => {
+  const allocations = await BedAllocation.find({
+    room: { $in: rooms.map((room) => room._id) },
+    isCurrent: true,
+  })
+    .populate("student", "name admissionNumber class")
+    .lean();
+
+  const occupants = new Map(
+    allocations.map((allocation) => [
+      `${allocation.room}:${allocation.bed}`,
+      allocation.student,
+    ])
+  );
+
+  return rooms.map((room) => {
+    const beds = room.beds.map((bed) => ({
+      bed,
+      student: occupants.get(`${room._id}:${bed}`) || null,
+    }));
+    return {
+      ...room.toObject(),
+      beds,
+      occupied: beds.filter((bed) => bed.student).length,
+    };
+  });
+};
+
+/**
+ * Check that removing beds from a dorm (shrinking or deactivating a room)
+ * leaves room for every active student of the dorm
+ * @param {Object} dorm - Dorm document
+ * @param {Number} bedsRemoved - Beds the change takes away
+ * @returns {Promise<String|null>} Error message
+ */
+const checkCapacityReduction = async (dorm, bedsRemoved) => {
+  if (bedsRemoved <= 0) return null;
+
+  const [capacities, occupied] = await Promise.all([
+    getDormCapacities([dorm._id]),
+    Student.countDocuments({ isActive: true, dorm: dorm.name }),
+  ]);
+  const capacity = (capacities.get(String(dorm._id)) || 0) - bedsRemoved;
+
+  if (occupied > capacity) {
+    return `Dorm ${dorm.name} would have ${capacity} bed(s) for ${occupied} student(s)`;
+  }
+  return null;
+};
+
+/**
+ * @desc    Get dorms with capacity and occupancy
+ * @route   GET /api/dorms
+ * @access  Private
+ */
+const getDorms = asyncHandler(async (req, res) => {
+  const dorms = await getDormOccupancy();
+
+  res.status(200).json({
+    total: dorms.length,
+    data: dorms,
+  });
+});
+
+/**
+ * @desc    Get a dorm with its rooms and who sleeps in each bed
+ * @route   GET /api/dorms/:id
+ * @access  Private
+ */
+const getDormById = asyncHandler(async (req, res) => {
+  const dorm = await Dorm.findById(req.params.id).populate(
+    "warden",
+    "firstName lastName email"
+  );
+
+  if (!dorm) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  const rooms = await Room.find({ dorm: dorm._id }).sort({ roomNumber: 1 });
+  const roomsWithBeds = await withBedOccupants(rooms);
+
+  const studentsWithoutBed = await Student.find({
+    dorm: dorm.name,
+    isActive: true,
+    room: null,
+  })
+    .select("name admissionNumber class")
+    .sort({ name: 1 });
+
+  const capacity = rooms
+    .filter((room) => room.isActive)
+    .reduce((sum, room) => sum + room.beds.length, 0);
+  const occupied = await Student.countDocuments({
+    dorm: dorm.name,
+    isActive: true,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...dorm.toObject(),
+      capacity,
+      occupied,
+      available: Math.max(0, capacity - occupied),
+      rooms: roomsWithBeds,
+      studentsWithoutBed,
+    },
+  });
+});
+
+/**
+ * @desc    Create a dorm
+ * @route   POST /api/dorms
+ * @access  Private/Admin
+ */
+const createDorm = asyncHandler(async (req, res) => {
+  const { name, gender, warden, description } = req.body;
+
+  if (!name || !gender) {
+    res.status(400);
+    throw new Error("Please provide name and gender");
+  }
+
+  if (!DORM_GENDERS.includes(gender)) {
+    res.status(400);
+    throw new Error(`Gender must be one of: ${DORM_GENDERS.join(", ")}`);
+  }
+
+  if (await Dorm.exists({ name })) {
+    res.status(400);
+    throw new Error(`Dorm "${name}" already exists`);
+  }
+
+  if (warden) {
+    const wardenError = await validateWarden(warden);
+    if (wardenError) {
+      res.status(400);
+      throw new Error(wardenError);
+    }
+  }
+
+  const dorm = await Dorm.create({
+    name,
+    gender,
+    warden: warden || null,
+    description,
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "Dorm",
+    entityId: dorm._id,
+    after: dorm,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Dorm ${dorm.name} created successfully`,
+    data: dorm,
+  });
+});
+
+/**
+ * @desc    Update a dorm. A new name is carried over to its students and fee
+ *          structures.
+ * @route   PUT /api/dorms/:id
+ * @access  Private/Admin
+ */
+const updateDorm = asyncHandler(async (req, res) => {
+  const { name, gender, warden, description, isActive } = req.body;
+
+  const dorm = await Dorm.findById(req.params.id);
+
+  if (!dorm) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  if (name && name !== dorm.name && (await Dorm.exists({ name }))) {
+    res.status(400);
+    throw new Error(`Dorm "${name}" already exists`);
+  }
+
+  if (gender !== undefined) {
+    if (!DORM_GENDERS.includes(gender)) {
+      res.status(400);
+      throw new Error(`Gender must be one of: ${DORM_GENDERS.join(", ")}`);
+    }
+    if (gender !== "mixed") {
+      const mismatched = await Student.countDocuments({
+        dorm: dorm.name,
+        isActive: true,
+        gender: { $nin: [gender, null] },
+      });
+      if (mismatched > 0) {
+        res.status(400);
+        throw new Error(
+          `${mismatched} student(s) in this dorm are not ${gender}, move them first`
+        );
+      }
+    }
+  }
+
+  if (warden) {
+    const wardenError = await validateWarden(warden);
+    if (wardenError) {
+      res.status(400);
+      throw new Error(wardenError);
+    }
+  }
+
+  if (isActive === false && dorm.isActive) {
+    const occupied = await Student.countDocuments({
+      dorm: dorm.name,
+      isActive: true,
+    });
+    if (occupied > 0) {
+      res.status(400);
+      throw new Error(
+        `Dorm still has ${occupied} active student(s), move them first`
+      );
+    }
+  }
+
+  const before = snapshot(dorm);
+  const previousName = dorm.name;
+
+  if (name) dorm.name = name;
+  if (gender !== undefined) dorm.gender = gender;
+  // An empty warden unassigns the current one
+  if (warden !== undefined) dorm.warden = warden || null;
+  if (description !== undefined) dorm.description = description;
+  if (isActive !== undefined) dorm.isActive = isActive;
+
+  await dorm.save();
+
+  if (dorm.name !== previousName) {
+    await Promise.all([
+      Student.updateMany({ dorm: previousName }, { dorm: dorm.name }),
+      FeeStructure.updateMany({ dorm: previousName }, { dorm: dorm.name }),
+    ]);
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Dorm",
+    entityId: dorm._id,
+    before,
+    after: dorm,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Dorm ${dorm.name} updated successfully`,
+    data: dorm,
+  });
+});
+
+/**
+ * @desc    Delete a dorm that has no rooms and no students
+ * @route   DELETE /api/dorms/:id
+ * @access  Private/Admin
+ */
+const deleteDorm = asyncHandler(async (req, res) => {
+  const dorm = await Dorm.findById(req.params.id);
+
+  if (!dorm) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  const [rooms, students] = await Promise.all([
+    Room.countDocuments({ dorm: dorm._id }),
+    Student.countDocuments({ dorm: dorm.name }),
+  ]);
+
+  if (rooms > 0 || students > 0) {
+    res.status(400);
+    throw new Error(
+      "Dorm has rooms or students and cannot be deleted, deactivate it instead"
+    );
+  }
+
+  await dorm.deleteOne();
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "Dorm",
+    entityId: dorm._id,
+    before: dorm,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Dorm ${dorm.name} deleted successfully`,
+  });
+});
+
+/**
+ * @desc    Add a room to a dorm. Beds are numbered 1..capacity unless bed
+ *          numbers are given.
+ * @route   POST /api/dorms/:id/rooms
+ * @access  Private/Admin
+ */
+const createRoom = asyncHandler(async (req, res) => {
+  const { roomNumber, floor, beds, capacity, notes } = req.body;
+
+  const dorm = await Dorm.findById(req.params.id);
+
+  if (!dorm) {
+    res.status(404);
+    throw new Error("Dorm not found");
+  }
+
+  if (!roomNumber || (!Array.isArray(beds) && !capacity)) {
+    res.status(400);
+    throw new Error("Please provide roomNumber and either beds or capacity");
+  }
+
+  const bedNumbers = Array.isArray(beds)
+    ? beds.map((bed) => String(bed).trim())
+    : Array.from({ length: Number(capacity) }, (_, i) => String(i + 1));
+
+  if (
+    bedNumbers.length === 0 ||
+    bedNumbers.some((bed) => !bed) ||
+    new Set(bedNumbers).size !== bedNumbers.length
+  ) {
+    res.status(400);
+    throw new Error(
+      "Room needs at least one bed and bed numbers must be unique"
+    );
+  }
+
+  if (await Room.exists({ dorm: dorm._id, roomNumber })) {
+    res.status(400);
+    throw new Error(`Room ${roomNumber} already exists in ${dorm.name}`);
+  }
+
+  const room = await Room.create({
+    dorm: dorm._id,
+    roomNumber,
+    floor,
+    beds: bedNumbers,
+    notes,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "Room",
+    entityId: room._id,
+    after: room,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Room ${room.roomNumber} added to ${dorm.name} with ${room.capacity} bed(s)`,
+    data: room,
+  });
+});
+
+/**
+ * @desc    Update a room. Occupied beds cannot be removed and the dorm must
+ *          keep enough beds for its students.
+ * @route   PUT /api/dorms/rooms/:roomId
+ * @access  Private/Admin
+ */
+const updateRoom = asyncHandler(async (req, res) => {
+  const { roomNumber, floor, beds, isActive, notes } = req.body;
+
+  const room = await Room.findById(req.params.roomId);
+
+  if (!room) {
+    res.status(404);
+    throw new Error("Room not found");
+  }
+
+  const dorm = await Dorm.findById(room.dorm);
+
+  if (
+    roomNumber &&
+    roomNumber !== room.roomNumber &&
+    (await Room.exists({ dorm: room.dorm, roomNumber }))
+  ) {
+    res.status(400);
+    throw new Error(`Room ${roomNumber} already exists in ${dorm.name}`);
+  }
+
+  const currentAllocations = await BedAllocation.find({
+    room: room._id,
+    isCurrent: true,
+  }).select("bed");
+  const occupiedBeds = currentAllocations.map((allocation) => allocation.bed);
+
+  let bedNumbers = room.beds;
+  if (beds !== undefined) {
+    if (!Array.isArray(beds)) {
+      res.status(400);
+      throw new Error("Beds must be an array of bed numbers");
+    }
+    bedNumbers = beds.map((bed) => String(bed).trim());
+    if (
+      bedNumbers.length === 0 ||
+      bedNumbers.some((bed) => !bed) ||
+      new Set(bedNumbers).size !== bedNumbers.length
+    ) {
+      res.status(400);
+      throw new Error(
+        "Room needs at least one bed and bed numbers must be unique"
+      );
+    }
+
+    const removedOccupied = occupiedBeds.filter(
+      (bed) => !bedNumbers.includes(bed)
+    );
+    if (removedOccupied.length > 0) {
+      res.status(400);
+      throw new Error(
+        `Bed(s) ${removedOccupied.join(
+          ", "
+        )} are occupied and cannot be removed`
+      );
+    }
+  }
+
+  const willBeActive = isActive !== undefined ? isActive : room.isActive;
+  if (!willBeActive && occupiedBeds.length > 0) {
+    res.status(400);
+    throw new Error("Room has occupied beds and cannot be deactivated");
+  }
+
+  const bedsBefore = room.isActive ? room.beds.length : 0;
+  const bedsAfter = willBeActive ? bedNumbers.length : 0;
+  const capacityError = await checkCapacityReduction(
+    dorm,
+    bedsBefore - bedsAfter
+  );
+  if (capacityError) {
+    res.status(400);
+    throw new Error(capacityError);
+  }
+
+  const before = snapshot(room);
+
+  if (roomNumber) room.roomNumber = roomNumber;
+  if (floor !== undefined) room.floor = floor;
+  if (beds !== undefined) room.beds = bedNumbers;
+  if (isActive !== undefined) room.isActive = isActive;
+  if (notes !== undefined) room.notes = notes;
+
+  await room.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Room",
+    entityId: room._id,
+    before,
+    after: room,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Room ${room.roomNumber} updated successfully`,
+    data: room,
+  });
+});
+
+/**
+ * @desc    Delete a room that has never been allocated
+ * @route   DELETE /api/dorms/rooms/:roomId
+ * @access  Private/Admin
+ */
+const deleteRoom = asyncHandler(async (req, res) => {
+  const room = await Room.findById(req.params.roomId);
+
+  if (!room) {
+    res.status(404);
+    throw new Error("Room not found");
+  }
+
+  if (await BedAllocation.exists({ room: room._id })) {
+    res.status(400);
+    throw new Error(
+      "Room has allocation history and cannot be deleted, deactivate it instead"
+    );
+  }
+
+  const dorm = await Dorm.findById(room.dorm);
+  const capacityError = await checkCapacityReduction(
+    dorm,
+    room.isActive ? room.beds.length : 0
+  );
+  if (capacityError) {
+    res.status(400);
+    throw new Error(capacityError);
+  }
+
+  await room.deleteOne();
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "Room",
+    entityId: room._id,
+    before: room,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Room ${room.roomNumber} deleted successfully`,
+  });
+});
+
+/**
+ * Validate an allocation request and load the student, room and dorm
+ * @returns {Promise<{student, room, dorm, bed, current}>}
+ */
+const loadAllocationTarget = async (req, res) => {
+  const { studentId, roomId } = req.body;
+  const bed = String(req.body.bed ?? "").trim();
+
+  if (!studentId || !roomId || !bed) {
+    res.status(400);
+    throw new Error("Please provide studentId, roomId and bed");
+  }
+
+  if (
+    !mongoose.Types.ObjectId.isValid(studentId) ||
+    !mongoose.Types.ObjectId.isValid(roomId)
+  ) {
+    res.status(400);
+    throw new Error("Invalid student or room ID");
+  }
+
+  const [student, room] = await Promise.all([
+    Student.findById(studentId),
+    Room.findById(roomId),
+  ]);
+
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found");
+  }
+  if (!student.isActive) {
+    res.status(400);
+    throw new Error("Inactive students cannot be given a bed");
+  }
+  if (!room) {
+    res.status(404);
+    throw new Error("Room not found");
+  }
+  if (!room.isActive) {
+    res.status(400);
+    throw new Error(`Room ${room.roomNumber} is inactive`);
+  }
+  if (!room.beds.includes(bed)) {
+    res.status(400);
+    throw new Error(`Room ${room.roomNumber} has no bed ${bed}`);
+  }
+
+  const dorm = await Dorm.findById(room.dorm);
+
+  if (!dorm || !dorm.isActive) {
+    res.status(400);
+    throw new Error("Room belongs to an inactive dorm");
+  }
+
+  // Moving into another dorm needs a free place there; staying in the same
+  // dorm does not change its occupancy
+  if (student.dorm !== dorm.name) {
+    const dormError = await checkDormAssignment(dorm.name, {
+      gender: student.gender,
+      studentId: student._id,
+    });
+    if (dormError) {
+      res.status(400);
+      throw new Error(dormError);
+    }
+  } else if (!dorm.acceptsGender(student.gender)) {
+    res.status(400);
+    throw new Error(`Dorm ${dorm.name} only accepts ${dorm.gender} students`);
+  }
+
+  const occupant = await BedAllocation.findOne({
+    room: room._id,
+    bed,
+    isCurrent: true,
+  });
+  if (occupant) {
+    res.status(409);
+    throw new Error(`Bed ${bed} in room ${room.roomNumber} is already taken`);
+  }
+
+  const current = await BedAllocation.findOne({
+    student: student._id,
+    isCurrent: true,
+  });
+
+  return { student, room, dorm, bed, current };
+};
+
+/**
+ * Create the allocation and point the student at the new bed. The unique
+ * indexes reject a bed or student that was allocated concurrently.
+ * @returns {Promise<Object|null>} The allocation, null on a conflict
+ */
+const placeStudentInBed = async (req, { student, room, dorm, bed, reason }) => {
+  let allocation;
+  try {
+    allocation = await BedAllocation.create({
+      student: student._id,
+      dorm: dorm._id,
+      room: room._id,
+      bed,
+      allocatedBy: req.user._id,
+      reason,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  const before = snapshot(student);
+  student.dorm = dorm.name;
+  student.room = room._id;
+  student.bed = allocation.bed;
+  await student.save();
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "BedAllocation",
+    entityId: allocation._id,
+    after: allocation,
+  });
+  await recordAudit(req, {
+    action: "update",
+    entity: "Student",
+    entityId: student._id,
+    before,
+    after: student,
+  });
+
+  return allocation;
+};
+
+/**
+ * @desc    Give a student without a bed a bed
+ * @route   POST /api/dorms/allocations
+ * @access  Private/Warden
+ */
+const allocateBed = asyncHandler(async (req, res) => {
+  const { student, room, dorm, bed, current } = await loadAllocationTarget(
+    req,
+    res
+  );
+
+  if (current) {
+    res.status(409);
+    throw new Error(
+      "Student already has a bed, use the transfer endpoint to move them"
+    );
+  }
+
+  const allocation = await placeStudentInBed(req, {
+    student,
+    room,
+    dorm,
+    bed,
+    reason: req.body.reason,
+  });
+
+  if (!allocation) {
+    res.status(409);
+    throw new Error("Bed or student was allocated at the same time, try again");
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${student.name} allocated to ${dorm.name}, room ${room.roomNumber}, bed ${allocation.bed}`,
+    data: allocation,
+  });
+});
+
+/**
+ * @desc    Move a student to another bed, room or dorm
+ * @route   POST /api/dorms/allocations/transfer
+ * @access  Private/Warden
+ */
+const transferBed = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to transfer a student");
+  }
+
+  const { student, room, dorm, bed, current } = await loadAllocationTarget(
+    req,
+    res
+  );
+
+  if (!current) {
+    res.status(400);
+    throw new Error("Student has no bed yet, allocate one instead");
+  }
+
+  const currentSnapshot = snapshot(current);
+  current.isCurrent = false;
+  current.releasedAt = new Date();
+  current.releasedBy = req.user._id;
+  current.releaseReason = `Transferred: ${reason}`;
+  await current.save();
+
+  const allocation = await placeStudentInBed(req, {
+    student,
+    room,
+    dorm,
+    bed,
+    reason,
+  });
+
+  if (!allocation) {
+    // Someone took the new bed first, give the student their old bed back
+    current.isCurrent = true;
+    current.releasedAt = undefined;
+    current.releasedBy = undefined;
+    current.releaseReason = undefined;
+    await current.save();
+
+    res.status(409);
+    throw new Error("Bed was allocated at the same time, try again");
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "BedAllocation",
+    entityId: current._id,
+    before: currentSnapshot,
+    after: current,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${student.name} transferred to ${dorm.name}, room ${room.roomNumber}, bed ${allocation.bed}`,
+    data: allocation,
+  });
+});
+
+/**
+ * @desc    Release a student's bed (the student stays in the dorm)
+ * @route   POST /api/dorms/allocations/release
+ * @access  Private/Warden
+ */
+const releaseStudentBed = asyncHandler(async (req, res) => {
+  const { studentId, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to release a bed");
+  }
+
+  const allocation = await releaseBed(studentId, { reason, req });
+
+  if (!allocation) {
+    res.status(404);
+    throw new Error("Student has no bed allocated");
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Bed released",
+    data: allocation,
+  });
+});
+
+/**
+ * @desc    Get the bed allocation history of a student, newest first
+ * @route   GET /api/dorms/allocations/student/:studentId
+ * @access  Private
+ */
+const getStudentAllocations = asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  const allocations = await BedAllocation.find({ student: studentId })
+    .populate("dorm", "name")
+    .populate("room", "roomNumber floor")
+    .populate("allocatedBy", "firstName lastName")
+    .populate("releasedBy", "firstName lastName")
+    .sort({ allocatedAt: -1 });
+
+  res.status(200).json({
+    total: allocations.length,
+    data: allocations,
+  });
+});
+
+export {
+  getDorms,
+  getDormById,
+  createDorm,
+  updateDorm,
+  deleteDorm,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  allocateBed,
+  transferBed,
+  releaseStudentBed,
+  getStudentAllocations,
+};
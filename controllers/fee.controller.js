@@ -0,0 +1,201 @@
+import asyncHandler from "express-async-handler";
+import FeeStructure from "../models/feeStructure.model.js";
+import Invoice from "../models/invoice.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+
+const FEE_STRUCTURE_FIELDS = [
+  "name",
+  "description",
+  "amount",
+  "dorm",
+  "class",
+  "effectiveFrom",
+  "effectiveTo",
+  "isActive",
+];
+
+/**
+ * Validate the fields of a fee structure that mongoose would only reject
+ * with a generic 500
+ * @returns {String|null} Error message
+ */
+const validateFeeStructureInput = ({ amount, effectiveFrom, effectiveTo }) => {
+  if (amount !== undefined && (isNaN(Number(amount)) || Number(amount) < 0)) {
+    return "Amount must be a non-negative number";
+  }
+  if (
+    effectiveFrom !== undefined &&
+    !BILLING_MONTH_PATTERN.test(effectiveFrom)
+  ) {
+    return "Effective from must be a month in YYYY-MM format";
+  }
+  if (effectiveTo && !BILLING_MONTH_PATTERN.test(effectiveTo)) {
+    return "Effective to must be a month in YYYY-MM format";
+  }
+  return null;
+};
+
+/**
+ * @desc    Get fee structures
+ * @route   GET /api/fees/structures
+ * @access  Private
+ */
+const getFeeStructures = asyncHandler(async (req, res) => {
+  const { dorm, class: className, isActive } = req.query;
+  let query = {};
+
+  if (dorm) query.dorm = dorm;
+  if (className) query.class = className;
+  if (isActive !== undefined) query.isActive = isActive === "true";
+
+  const feeStructures = await FeeStructure.find(query)
+    .populate("createdBy", "firstName lastName")
+    .sort({ effectiveFrom: -1, name: 1 });
+
+  res.status(200).json({
+    total: feeStructures.length,
+    data: feeStructures,
+  });
+});
+
+/**
+ * @desc    Create a fee structure
+ * @route   POST /api/fees/structures
+ * @access  Private/Accountant
+ */
+const createFeeStructure = asyncHandler(async (req, res) => {
+  const { name, amount, effectiveFrom } = req.body;
+
+  if (!name || amount === undefined || !effectiveFrom) {
+    res.status(400);
+    throw new Error("Name, amount and effective from month are required");
+  }
+
+  const validationError = validateFeeStructureInput(req.body);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const data = {};
+  FEE_STRUCTURE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const feeStructure = await FeeStructure.create({
+    ...data,
+    amount: Number(amount),
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "FeeStructure",
+    entityId: feeStructure._id,
+    after: feeStructure,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Fee structure created successfully",
+    data: feeStructure,
+  });
+});
+
+/**
+ * @desc    Update a fee structure. Invoices already generated keep the
+ *          amounts they were created with.
+ * @route   PUT /api/fees/structures/:id
+ * @access  Private/Accountant
+ */
+const updateFeeStructure = asyncHandler(async (req, res) => {
+  const feeStructure = await FeeStructure.findById(req.params.id);
+
+  if (!feeStructure) {
+    res.status(404);
+    throw new Error("Fee structure not found");
+  }
+
+  const validationError = validateFeeStructureInput(req.body);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const before = snapshot(feeStructure);
+
+  FEE_STRUCTURE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) feeStructure[field] = req.body[field];
+  });
+
+  if (
+    feeStructure.effectiveTo &&
+    feeStructure.effectiveTo < feeStructure.effectiveFrom
+  ) {
+    res.status(400);
+    throw new Error("Effective to cannot be before effective from");
+  }
+
+  await feeStructure.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "FeeStructure",
+    entityId: feeStructure._id,
+    before,
+    after: feeStructure,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Fee structure updated successfully",
+    data: feeStructure,
+  });
+});
+
+/**
+ * @desc    Delete a fee structure that has never been invoiced
+ * @route   DELETE /api/fees/structures/:id
+ * @access  Private/Accountant
+ */
+const deleteFeeStructure = asyncHandler(async (req, res) => {
+  const feeStructure = await FeeStructure.findById(req.params.id);
+
+  if (!feeStructure) {
+    res.status(404);
+    throw new Error("Fee structure not found");
+  }
+
+  const invoiced = await Invoice.exists({
+    "lineItems.feeStructure": feeStructure._id,
+  });
+
+  if (invoiced) {
+    res.status(400);
+    throw new Error(
+      "Fee structure has already been invoiced, deactivate it or set an effective to month instead"
+    );
+  }
+
+  await feeStructure.deleteOne();
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "FeeStructure",
+    entityId: feeStructure._id,
+    before: feeStructure,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Fee structure ${feeStructure.name} deleted successfully`,
+  });
+});
+
+export {
+  getFeeStructures,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+};
@@ -0,0 +1,388 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import FoodWaste from "../models/foodWaste.model.js";
+import InventoryItem from "../models/inventory.model.js";
+import Recipe from "../models/recipe.model.js";
+import { recordAudit } from "../utils/auditLogger.js";
+import {
+  parsePlanDate,
+  toPlanDate,
+  resolveMealPlan,
+} from "../utils/mealPlanResolver.js";
+import {
+  PERIOD_FORMATS,
+  getRecipePortionCost,
+  analyzeFoodWaste,
+} from "../utils/foodWaste.js";
+import {
+  MEAL_TYPES,
+  FOOD_WASTE_CATEGORIES,
+  MEAL_WASTE_CATEGORIES,
+  STOCK_WASTE_CATEGORIES,
+} from "../utils/constants.js";
+
+// Longest range the analytics cover at once
+const MAX_ANALYTICS_DAYS = 366;
+
+const populateWaste = (query) =>
+  query
+    .populate("inventoryItem", "name unit category")
+    .populate("recipe", "name")
+    .populate("recordedBy", "firstName lastName role");
+
+/**
+ * @desc    Record food waste. Spoiled or expired stock is deducted from the
+ *          inventory item.
+ * @route   POST /api/food-waste
+ * @access  Private/Kitchen
+ */
+const createFoodWaste = asyncHandler(async (req, res) => {
+  const {
+    date,
+    category,
+    mealType,
+    recipeId,
+    inventoryItemId,
+    quantity,
+    notes,
+  } = req.body;
+
+  if (!FOOD_WASTE_CATEGORIES.includes(category)) {
+    res.status(400);
+    throw new Error(
+      `Category must be one of: ${FOOD_WASTE_CATEGORIES.join(", ")}`
+    );
+  }
+  if (typeof quantity !== "number" || !(quantity > 0)) {
+    res.status(400);
+    throw new Error("Quantity must be a positive number");
+  }
+  if (mealType !== undefined && !MEAL_TYPES.includes(mealType)) {
+    res.status(400);
+    throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+  }
+
+  const isStockWaste = STOCK_WASTE_CATEGORIES.includes(category);
+  if (MEAL_WASTE_CATEGORIES.includes(category) && !mealType) {
+    res.status(400);
+    throw new Error("Meal type is required for leftovers of a meal");
+  }
+  if (isStockWaste && (!inventoryItemId || recipeId)) {
+    res.status(400);
+    throw new Error(
+      "Spoiled or expired stock needs an inventory item, not a dish"
+    );
+  }
+  if (!isStockWaste && !recipeId === !inventoryItemId) {
+    res.status(400);
+    throw new Error(
+      "Leftovers need either a dish (recipe) or an inventory item"
+    );
+  }
+  if (
+    (recipeId && !mongoose.Types.ObjectId.isValid(recipeId)) ||
+    (inventoryItemId && !mongoose.Types.ObjectId.isValid(inventoryItemId))
+  ) {
+    res.status(400);
+    throw new Error("Invalid recipe or inventory item ID");
+  }
+
+  const today = toPlanDate(new Date());
+  const planDate = date === undefined ? today : parsePlanDate(date);
+  if (!planDate) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+  if (planDate > today) {
+    res.status(400);
+    throw new Error("Waste cannot be recorded for a future date");
+  }
+
+  let unit;
+  let cost;
+  let inventoryItem = null;
+  if (recipeId) {
+    const recipe = await Recipe.findById(recipeId).populate(
+      "ingredients.inventoryItemId",
+      "costPerUnit"
+    );
+    if (!recipe) {
+      res.status(404);
+      throw new Error("Recipe not found");
+    }
+    unit = "portions";
+    cost = getRecipePortionCost(recipe) * quantity;
+  } else {
+    inventoryItem = await InventoryItem.findById(inventoryItemId);
+    if (!inventoryItem) {
+      res.status(404);
+      throw new Error("Inventory item not found");
+    }
+    unit = inventoryItem.unit;
+    cost = inventoryItem.costPerUnit * quantity;
+  }
+
+  if (isStockWaste && inventoryItem.currentStock < quantity) {
+    res.status(400);
+    throw new Error(
+      `Only ${inventoryItem.currentStock} ${inventoryItem.unit} of ${inventoryItem.name} in stock`
+    );
+  }
+
+  const resolved = mealType
+    ? await resolveMealPlan(planDate.toISOString().slice(0, 10))
+    : null;
+
+  // The entry is saved first, so a failed save never leaves stock deducted
+  const waste = await FoodWaste.create({
+    date: planDate,
+    category,
+    mealType: mealType ?? null,
+    mealPlan: resolved?.mealPlan._id ?? null,
+    recipe: recipeId || null,
+    inventoryItem: inventoryItemId || null,
+    quantity,
+    unit,
+    cost: Math.round(cost * 100) / 100,
+    stockDeducted: isStockWaste,
+    notes,
+    recordedBy: req.user._id,
+  });
+
+  if (isStockWaste) {
+    const before = await InventoryItem.findOneAndUpdate(
+      { _id: inventoryItem._id, currentStock: { $gte: quantity } },
+      { $inc: { currentStock: -quantity }, lastUpdated: new Date() }
+    );
+    if (!before) {
+      // Used up meanwhile
+      await FoodWaste.findByIdAndDelete(waste._id);
+      res.status(400);
+      throw new Error(`Not enough ${inventoryItem.name} left in stock`);
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "InventoryItem",
+      entityId: inventoryItem._id,
+      before,
+      after: await InventoryItem.findById(inventoryItem._id),
+    });
+  }
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "FoodWaste",
+    entityId: waste._id,
+    after: waste,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: isStockWaste
+      ? `Waste recorded and ${quantity} ${unit} deducted from stock`
+      : "Waste recorded",
+    data: await populateWaste(FoodWaste.findById(waste._id)),
+  });
+});
+
+/**
+ * @desc    Get food waste entries with filtering
+ * @route   GET /api/food-waste
+ * @access  Private
+ */
+const getFoodWaste = asyncHandler(async (req, res) => {
+  const {
+    from,
+    to,
+    category,
+    mealType,
+    recipe,
+    inventoryItem,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const query = {};
+
+  if (from || to) {
+    const fromDate = from && parsePlanDate(from);
+    const toDate = to && parsePlanDate(to);
+    if (fromDate === null || toDate === null) {
+      res.status(400);
+      throw new Error("Dates must be in YYYY-MM-DD format");
+    }
+    query.date = {};
+    if (fromDate) query.date.$gte = fromDate;
+    if (toDate) query.date.$lte = toDate;
+  }
+  if (category) {
+    if (!FOOD_WASTE_CATEGORIES.includes(category)) {
+      res.status(400);
+      throw new Error(
+        `Category must be one of: ${FOOD_WASTE_CATEGORIES.join(", ")}`
+      );
+    }
+    query.category = category;
+  }
+  if (mealType) {
+    if (!MEAL_TYPES.includes(mealType)) {
+      res.status(400);
+      throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+    }
+    query.mealType = mealType;
+  }
+  if (recipe) {
+    if (!mongoose.Types.ObjectId.isValid(recipe)) {
+      res.status(400);
+      throw new Error("Invalid recipe ID");
+    }
+    query.recipe = recipe;
+  }
+  if (inventoryItem) {
+    if (!mongoose.Types.ObjectId.isValid(inventoryItem)) {
+      res.status(400);
+      throw new Error("Invalid inventory item ID");
+    }
+    query.inventoryItem = inventoryItem;
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+  const [entries, total] = await Promise.all([
+    populateWaste(FoodWaste.find(query))
+      .sort({ date: -1, createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    FoodWaste.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: entries,
+  });
+});
+
+/**
+ * @desc    Get a food waste entry
+ * @route   GET /api/food-waste/:id
+ * @access  Private
+ */
+const getFoodWasteById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid food waste ID");
+  }
+
+  const waste = await populateWaste(FoodWaste.findById(req.params.id));
+  if (!waste) {
+    res.status(404);
+    throw new Error("Food waste entry not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: waste,
+  });
+});
+
+/**
+ * @desc    Delete a food waste entry recorded by mistake. Stock deducted for
+ *          it is put back.
+ * @route   DELETE /api/food-waste/:id
+ * @access  Private/Kitchen
+ */
+const deleteFoodWaste = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid food waste ID");
+  }
+
+  // Deleted first, so concurrent deletes cannot both put the stock back
+  const waste = await FoodWaste.findOneAndDelete({ _id: req.params.id });
+  if (!waste) {
+    res.status(404);
+    throw new Error("Food waste entry not found");
+  }
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "FoodWaste",
+    entityId: waste._id,
+    before: waste,
+  });
+
+  if (waste.stockDeducted) {
+    const before = await InventoryItem.findByIdAndUpdate(waste.inventoryItem, {
+      $inc: { currentStock: waste.quantity },
+      lastUpdated: new Date(),
+    });
+    if (before) {
+      await recordAudit(req, {
+        action: "update",
+        entity: "InventoryItem",
+        entityId: before._id,
+        before,
+        after: await InventoryItem.findById(before._id),
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: waste.stockDeducted
+      ? "Waste entry deleted and stock restored"
+      : "Waste entry deleted",
+  });
+});
+
+/**
+ * @desc    Get the cost of food waste by category, meal type, dish,
+ *          inventory item and over time
+ * @route   GET /api/food-waste/analytics?from=&to=&period=day|week|month
+ * @access  Private
+ */
+const getWasteAnalytics = asyncHandler(async (req, res) => {
+  const { period = "day" } = req.query;
+  const from = parsePlanDate(req.query.from);
+  const to = parsePlanDate(req.query.to);
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("from and to are required in YYYY-MM-DD format");
+  }
+  if (to < from) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+  if (
+    Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1 >
+    MAX_ANALYTICS_DAYS
+  ) {
+    res.status(400);
+    throw new Error(`Range cannot be longer than ${MAX_ANALYTICS_DAYS} days`);
+  }
+  if (!PERIOD_FORMATS[period]) {
+    res.status(400);
+    throw new Error(
+      `Period must be one of: ${Object.keys(PERIOD_FORMATS).join(", ")}`
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await analyzeFoodWaste(from, to, period),
+  });
+});
+
+export {
+  createFoodWaste,
+  getFoodWaste,
+  getFoodWasteById,
+  deleteFoodWaste,
+  getWasteAnalytics,
+};
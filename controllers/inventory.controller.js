@@ -1,5 +1,11 @@
 import asyncHandler from "express-async-handler";
 import InventoryItem from "../models/inventory.model.js";
+import { hasPermission } from "../utils/permissionStore.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { recalculateMealPlanCosts } from "../utils/mealCost.js";
+import { validateTags, refreshMealPlanAllergens } from "../utils/dietary.js";
+import { validateNutrition } from "../utils/nutrition.js";
+import { ALLERGENS } from "../utils/constants.js";
 
 /**
  * @desc    Create a new inventory item
@@ -7,14 +13,38 @@ import InventoryItem from "../models/inventory.model.js";
  * @access  Private/Admin/Kitchen
  */
 const createInventoryItem = asyncHandler(async (req, res) => {
-  const { name, category, currentStock, unit, minimumStock, costPerUnit } =
-    req.body;
+  const {
+    name,
+    category,
+    currentStock,
+    unit,
+    minimumStock,
+    costPerUnit,
+    allergens,
+    nutrition,
+  } = req.body;
 
   if (!name || !category || currentStock === undefined || !unit) {
     res.status(400);
     throw new Error("Name, category, current stock, and unit are required");
   }
 
+  if (allergens !== undefined) {
+    const allergenError = validateTags(allergens, ALLERGENS, "allergens");
+    if (allergenError) {
+      res.status(400);
+      throw new Error(allergenError);
+    }
+  }
+
+  if (nutrition !== undefined) {
+    const nutritionError = validateNutrition(nutrition);
+    if (nutritionError) {
+      res.status(400);
+      throw new Error(nutritionError);
+    }
+  }
+
   // Check if item with same name already exists
   const existingItem = await InventoryItem.findOne({
     name: { $regex: new RegExp(`^${name}$`, "i") },
@@ -32,10 +62,19 @@ const createInventoryItem = asyncHandler(async (req, res) => {
     unit,
     minimumStock: Number(minimumStock) || 0,
     costPerUnit: Number(costPerUnit) || 0,
+    allergens: allergens || [],
+    nutrition,
     lastUpdated: new Date(),
     createdBy: req.user?._id || null,
   });
 
+  await recordAudit(req, {
+    action: "create",
+    entity: "InventoryItem",
+    entityId: inventoryItem._id,
+    after: inventoryItem,
+  });
+
   res.status(201).json({
     success: true,
     message: "Inventory item created successfully",
@@ -127,8 +166,16 @@ const getInventoryItemById = asyncHandler(async (req, res) => {
  * @access  Private/Admin/Kitchen
  */
 const updateInventoryItem = asyncHandler(async (req, res) => {
-  const { name, category, currentStock, unit, minimumStock, costPerUnit } =
-    req.body;
+  const {
+    name,
+    category,
+    currentStock,
+    unit,
+    minimumStock,
+    costPerUnit,
+    allergens,
+    nutrition,
+  } = req.body;
 
   const inventoryItem = await InventoryItem.findById(req.params.id);
   if (!inventoryItem) {
@@ -136,6 +183,8 @@ const updateInventoryItem = asyncHandler(async (req, res) => {
     throw new Error("Inventory item not found");
   }
 
+  const before = snapshot(inventoryItem);
+
   // Check if name is being changed and if it conflicts with existing item
   if (name && name !== inventoryItem.name) {
     const existingItem = await InventoryItem.findOne({
@@ -150,6 +199,18 @@ const updateInventoryItem = asyncHandler(async (req, res) => {
     inventoryItem.name = name;
   }
 
+  // Editing an item and changing its stock level are separate permissions
+  if (
+    currentStock !== undefined &&
+    Number(currentStock) !== inventoryItem.currentStock &&
+    !(await hasPermission(req.user, "inventory:adjust"))
+  ) {
+    res.status(403);
+    throw new Error(
+      `Role (${req.user.role}) lacks permission: inventory:adjust`
+    );
+  }
+
   if (category) inventoryItem.category = category.toLowerCase();
   if (currentStock !== undefined)
     inventoryItem.currentStock = Number(currentStock);
@@ -158,11 +219,48 @@ const updateInventoryItem = asyncHandler(async (req, res) => {
     inventoryItem.minimumStock = Number(minimumStock);
   if (costPerUnit !== undefined)
     inventoryItem.costPerUnit = Number(costPerUnit);
+  if (allergens !== undefined) {
+    const allergenError = validateTags(allergens, ALLERGENS, "allergens");
+    if (allergenError) {
+      res.status(400);
+      throw new Error(allergenError);
+    }
+    inventoryItem.allergens = allergens;
+  }
+  if (nutrition !== undefined) {
+    const nutritionError = validateNutrition(nutrition);
+    if (nutritionError) {
+      res.status(400);
+      throw new Error(nutritionError);
+    }
+    // Only the nutrients sent change, null clears one
+    Object.entries(nutrition).forEach(([nutrient, amount]) =>
+      inventoryItem.set(`nutrition.${nutrient}`, amount)
+    );
+  }
 
   inventoryItem.lastUpdated = new Date();
 
+  const priceChanged = inventoryItem.isModified("costPerUnit");
+  const allergensChanged = inventoryItem.isModified("allergens");
   const updatedItem = await inventoryItem.save();
 
+  // Meal plan costs and allergens follow the item
+  if (priceChanged) {
+    await recalculateMealPlanCosts({ inventoryItemId: updatedItem._id });
+  }
+  if (allergensChanged) {
+    await refreshMealPlanAllergens(updatedItem._id);
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "InventoryItem",
+    entityId: updatedItem._id,
+    before,
+    after: updatedItem,
+  });
+
   res.status(200).json({
     success: true,
     message: "Inventory item updated successfully",
@@ -185,6 +283,13 @@ const deleteInventoryItem = asyncHandler(async (req, res) => {
 
   await InventoryItem.findByIdAndDelete(req.params.id);
 
+  await recordAudit(req, {
+    action: "delete",
+    entity: "InventoryItem",
+    entityId: inventoryItem._id,
+    before: inventoryItem,
+  });
+
   res.status(200).json({
     success: true,
     message: "Inventory item deleted successfully",
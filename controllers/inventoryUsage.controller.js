@@ -1,27 +1,16 @@
 import asyncHandler from "express-async-handler";
 import InventoryUsage from "../models/inventoryUsage.model.js";
 import InventoryItem from "../models/inventory.model.js";
-import AttendanceSession from "../models/attendanceSession.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { parsePlanDate } from "../utils/mealPlanResolver.js";
+import {
+  getMealAttendanceSlot,
+  getMealDiners,
+  getMealUsageComparison,
+} from "../utils/mealOptOut.js";
 
-/**
- * Helper function to get attendance count for a specific date and session type
- */
-const getAttendanceForDate = async (date, sessionType) => {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const session = await AttendanceSession.findOne({
-    sessionType,
-    markedAt: {
-      $gte: startOfDay,
-      $lte: endOfDay,
-    },
-  });
-
-  return session ? session.presentCount : null;
-};
+// Longest range the diner report covers at once
+const MAX_REPORT_DAYS = 31;
 
 /**
  * @desc    Record inventory usage for a meal
@@ -60,44 +49,23 @@ const recordInventoryUsage = asyncHandler(async (req, res) => {
   }
   usageDate.setHours(0, 0, 0, 0);
 
-  // Determine which attendance session to use
-  // Morning meals (breakfast, lunch) use previous day's evening attendance
-  // Evening meals (dinner) use current day's evening attendance
-  let attendanceDate = new Date(usageDate);
-  let attendanceSessionType = "evening";
-
-  if (mealType === "breakfast" || mealType === "lunch") {
-    // Use previous day's evening attendance
-    attendanceDate.setDate(attendanceDate.getDate() - 1);
-  }
-  // For dinner, use current day's evening attendance (already set)
-
-  // Get attendance count
-  const attendanceCount = await getAttendanceForDate(
-    attendanceDate,
-    attendanceSessionType
-  );
+  // Students expected at the meal: the dining attendance it is cooked for
+  // (previous evening for breakfast and lunch, same evening for dinner),
+  // less the students who opted out
+  const diners = await getMealDiners(mealType, usageDate);
 
-  if (attendanceCount === null) {
+  if (diners === null) {
+    const { sessionType, attendanceDate } = getMealAttendanceSlot(
+      mealType,
+      usageDate
+    );
     res.status(404);
     throw new Error(
-      `Attendance not found for ${attendanceSessionType} session on ${attendanceDate.toLocaleDateString()}. Please record attendance first.`
+      `Attendance not found for ${sessionType} session on ${attendanceDate.toLocaleDateString()}. Please record attendance first.`
     );
   }
 
-  // Get the attendance session for reference
-  const startOfDay = new Date(attendanceDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(attendanceDate);
-  endOfDay.setHours(23, 59, 59, 999);
-
-  const attendanceSession = await AttendanceSession.findOne({
-    sessionType: attendanceSessionType,
-    markedAt: {
-      $gte: startOfDay,
-      $lte: endOfDay,
-    },
-  });
+  const { attendanceCount, optedOut, expectedDiners } = diners;
 
   // Validate and process items
   const processedItems = [];
@@ -132,9 +100,9 @@ const recordInventoryUsage = asyncHandler(async (req, res) => {
     }
 
     // Calculate actual quantity to deduct
-    // Formula: (attendanceCount / recordedForStudents) * recordedQuantity
+    // Formula: (expectedDiners / recordedForStudents) * recordedQuantity
     const actualQuantity =
-      (attendanceCount / recordedForStudents) * recordedQuantity;
+      (expectedDiners / recordedForStudents) * recordedQuantity;
 
     // Check if sufficient stock
     if (inventoryItem.currentStock < actualQuantity) {
@@ -170,9 +138,18 @@ const recordInventoryUsage = asyncHandler(async (req, res) => {
 
   // Deduct inventory
   for (const update of inventoryUpdates) {
+    const before = snapshot(update.item);
     update.item.currentStock -= update.quantityToDeduct;
     update.item.lastUpdated = new Date();
     await update.item.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "InventoryItem",
+      entityId: update.item._id,
+      before,
+      after: update.item,
+    });
   }
 
   // Create usage record
@@ -181,16 +158,28 @@ const recordInventoryUsage = asyncHandler(async (req, res) => {
     mealType,
     items: processedItems,
     attendanceCount,
-    attendanceSessionId: attendanceSession?._id || null,
+    optedOutCount: optedOut,
+    expectedDiners,
+    attendanceSessions: diners.sessionIds,
     recordedBy: req.user._id,
     notes: notes || "",
   });
 
+  await recordAudit(req, {
+    action: "create",
+    entity: "InventoryUsage",
+    entityId: usageRecord._id,
+    after: usageRecord,
+  });
+
   // Populate for response
   const populatedUsage = await InventoryUsage.findById(usageRecord._id)
     .populate("items.inventoryItemId", "name unit category")
     .populate("recordedBy", "name email")
-    .populate("attendanceSessionId", "sessionType presentCount markedAt");
+    .populate(
+      "attendanceSessionId attendanceSessions",
+      "sessionType dorm presentCount diningCount markedAt"
+    );
 
   res.status(201).json({
     success: true,
@@ -234,7 +223,10 @@ const getInventoryUsage = asyncHandler(async (req, res) => {
     InventoryUsage.find(query)
       .populate("items.inventoryItemId", "name unit category")
       .populate("recordedBy", "name email")
-      .populate("attendanceSessionId", "sessionType presentCount markedAt")
+      .populate(
+        "attendanceSessionId attendanceSessions",
+        "sessionType dorm presentCount diningCount markedAt"
+      )
       .sort({ date: -1, createdAt: -1 })
       .skip(skip)
       .limit(limitNum),
@@ -259,7 +251,10 @@ const getInventoryUsageById = asyncHandler(async (req, res) => {
   const usageRecord = await InventoryUsage.findById(req.params.id)
     .populate("items.inventoryItemId", "name unit category")
     .populate("recordedBy", "name email")
-    .populate("attendanceSessionId", "sessionType presentCount markedAt");
+    .populate(
+      "attendanceSessionId attendanceSessions",
+      "sessionType dorm presentCount diningCount markedAt"
+    );
 
   if (!usageRecord) {
     res.status(404);
@@ -316,20 +311,9 @@ const getAttendanceInfo = asyncHandler(async (req, res) => {
     attendanceDate.setDate(attendanceDate.getDate() - 1);
   }
 
-  const startOfDay = new Date(attendanceDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(attendanceDate);
-  endOfDay.setHours(23, 59, 59, 999);
+  const attendance = await getMealDiners(mealType, usageDate);
 
-  const attendanceSession = await AttendanceSession.findOne({
-    sessionType: attendanceSessionType,
-    markedAt: {
-      $gte: startOfDay,
-      $lte: endOfDay,
-    },
-  });
-
-  if (!attendanceSession) {
+  if (!attendance) {
     // Format date for display (YYYY-MM-DD)
     const formattedDate = `${attendanceDate.getFullYear()}-${String(
       attendanceDate.getMonth() + 1
@@ -347,27 +331,58 @@ const getAttendanceInfo = asyncHandler(async (req, res) => {
     return;
   }
 
-  // Get the actual date from the attendance session that was found
-  const sessionDate = new Date(attendanceSession.markedAt);
-  sessionDate.setHours(0, 0, 0, 0);
-  const formattedSessionDate = `${sessionDate.getFullYear()}-${String(
-    sessionDate.getMonth() + 1
-  ).padStart(2, "0")}-${String(sessionDate.getDate()).padStart(2, "0")}`;
+  const formattedSessionDate = `${attendanceDate.getFullYear()}-${String(
+    attendanceDate.getMonth() + 1
+  ).padStart(2, "0")}-${String(attendanceDate.getDate()).padStart(2, "0")}`;
 
   res.status(200).json({
     success: true,
     data: {
-      attendanceCount: attendanceSession.presentCount,
-      attendanceDate: formattedSessionDate, // Use actual date from the session
+      attendanceCount: attendance.attendanceCount,
+      optedOut: attendance.optedOut,
+      expectedDiners: attendance.expectedDiners,
+      attendanceDate: formattedSessionDate,
       sessionType: attendanceSessionType,
-      sessionId: attendanceSession._id,
+      sessionIds: attendance.sessionIds,
     },
   });
 });
 
+/**
+ * @desc    Compare the diners and quantities each meal of a range was
+ *          expected to need with the usage recorded for it
+ * @route   GET /api/inventory-usage/diner-report?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private/Kitchen/Admin
+ */
+const getDinerUsageReport = asyncHandler(async (req, res) => {
+  const from = parsePlanDate(req.query.from);
+  const to = parsePlanDate(req.query.to);
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("from and to are required in YYYY-MM-DD format");
+  }
+  if (to < from) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_REPORT_DAYS) {
+    res.status(400);
+    throw new Error(`Range cannot be longer than ${MAX_REPORT_DAYS} days`);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getMealUsageComparison(from, days),
+  });
+});
+
 export {
   recordInventoryUsage,
   getInventoryUsage,
   getInventoryUsageById,
   getAttendanceInfo,
+  getDinerUsageReport,
 };
@@ -0,0 +1,397 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Invoice from "../models/invoice.model.js";
+import Payment from "../models/payment.model.js";
+import Student from "../models/student.model.js";
+import {
+  generateInvoicesForMonth,
+  toBillingMonth,
+} from "../utils/feeBilling.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+
+/**
+ * Save an invoice, turning a lost optimistic concurrency race into a 409
+ */
+const saveInvoice = async (invoice, res) => {
+  try {
+    await invoice.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      res.status(409);
+      throw new Error(
+        "Invoice was changed by someone else at the same time, please retry"
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Generate invoices for a billing month (skips students already invoiced)
+ * @route   POST /api/invoices/generate
+ * @access  Private/Accountant
+ */
+const generateInvoices = asyncHandler(async (req, res) => {
+  const { month = toBillingMonth(), studentIds } = req.body;
+
+  if (!BILLING_MONTH_PATTERN.test(month)) {
+    res.status(400);
+    throw new Error("Month must be in YYYY-MM format");
+  }
+
+  if (studentIds !== undefined) {
+    if (
+      !Array.isArray(studentIds) ||
+      !studentIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      res.status(400);
+      throw new Error("studentIds must be an array of student IDs");
+    }
+  }
+
+  const { created, skipped } = await generateInvoicesForMonth(month, {
+    req,
+    studentIds,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} invoice(s) generated for ${month}, ${skipped} student(s) skipped`,
+    data: {
+      created: created.length,
+      skipped,
+      invoices: created,
+    },
+  });
+});
+
+/**
+ * @desc    Get invoices with filtering
+ * @route   GET /api/invoices
+ * @access  Private
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const { student, month, status, overdue, page = 1, limit = 20 } = req.query;
+
+  let query = {};
+
+  if (student) {
+    if (!mongoose.Types.ObjectId.isValid(student)) {
+      res.status(400);
+      throw new Error("Invalid student");
+    }
+    // Cast explicitly, aggregate() does not apply schema casting
+    query.student = new mongoose.Types.ObjectId(student);
+  }
+
+  if (month) {
+    if (!BILLING_MONTH_PATTERN.test(month)) {
+      res.status(400);
+      throw new Error("Month must be in YYYY-MM format");
+    }
+    query.billingMonth = month;
+  }
+
+  if (status) query.status = status;
+
+  // Based on the due date, so it is accurate even before the daily job runs
+  if (overdue === "true") {
+    query.status = { $in: ["unpaid", "partially_paid", "overdue"] };
+    query.dueDate = { $lt: new Date() };
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 20, 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [invoices, total, totals] = await Promise.all([
+    Invoice.find(query)
+      .populate("student", "name admissionNumber dorm class")
+      .sort({ billingMonth: -1, invoiceNumber: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Invoice.countDocuments(query),
+    Invoice.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: "$total" },
+          amountPaid: { $sum: "$amountPaid" },
+          balance: { $sum: "$balance" },
+        },
+      },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    summary: totals[0]
+      ? {
+          total: totals[0].total,
+          amountPaid: totals[0].amountPaid,
+          balance: totals[0].balance,
+        }
+      : { total: 0, amountPaid: 0, balance: 0 },
+    data: invoices,
+  });
+});
+
+/**
+ * @desc    Get an invoice with its payments
+ * @route   GET /api/invoices/:id
+ * @access  Private
+ */
+const getInvoiceById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid invoice ID");
+  }
+
+  const invoice = await Invoice.findById(req.params.id)
+    .populate("student", "name admissionNumber dorm class")
+    .populate("adjustments.approvedBy", "firstName lastName")
+    .populate("cancelledBy", "firstName lastName")
+    .lean();
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found");
+  }
+
+  const payments = await Payment.find({ invoice: invoice._id })
+    .populate("receivedBy", "firstName lastName")
+    .sort({ paidAt: 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    data: { ...invoice, payments },
+  });
+});
+
+/**
+ * @desc    Apply a discount or waive the remaining balance of an invoice
+ * @route   POST /api/invoices/:id/adjustments
+ * @access  Private/Accountant
+ */
+const addInvoiceAdjustment = asyncHandler(async (req, res) => {
+  const { type, amount, reason } = req.body;
+
+  if (!["discount", "waiver"].includes(type)) {
+    res.status(400);
+    throw new Error("Type must be discount or waiver");
+  }
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required for discounts and waivers");
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found");
+  }
+
+  if (["paid", "waived", "cancelled"].includes(invoice.status)) {
+    res.status(400);
+    throw new Error(`Cannot adjust an invoice that is ${invoice.status}`);
+  }
+
+  // A waiver forgives whatever is still owed
+  const adjustmentAmount = type === "waiver" ? invoice.balance : Number(amount);
+
+  if (!(adjustmentAmount > 0)) {
+    res.status(400);
+    throw new Error("Discount amount must be a positive number");
+  }
+
+  if (adjustmentAmount > invoice.balance) {
+    res.status(400);
+    throw new Error(
+      `Discount cannot exceed the outstanding balance of ${invoice.balance}`
+    );
+  }
+
+  const before = snapshot(invoice);
+
+  invoice.adjustments.push({
+    type,
+    amount: adjustmentAmount,
+    reason,
+    approvedBy: req.user._id,
+  });
+  invoice.recalculate();
+  await saveInvoice(invoice, res);
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Invoice",
+    entityId: invoice._id,
+    before,
+    after: invoice,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${
+      type === "waiver" ? "Waiver" : "Discount"
+    } of ${adjustmentAmount} applied to ${invoice.invoiceNumber}`,
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Cancel an invoice that has no payments (e.g. billed by mistake)
+ * @route   POST /api/invoices/:id/cancel
+ * @access  Private/Accountant
+ */
+const cancelInvoice = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A cancellation reason is required");
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found");
+  }
+
+  if (invoice.status === "cancelled") {
+    res.status(400);
+    throw new Error("Invoice is already cancelled");
+  }
+
+  if (invoice.amountPaid > 0) {
+    res.status(400);
+    throw new Error("Void the payments on this invoice before cancelling it");
+  }
+
+  const before = snapshot(invoice);
+
+  invoice.status = "cancelled";
+  invoice.cancelledAt = new Date();
+  invoice.cancelledBy = req.user._id;
+  invoice.cancelReason = reason;
+  await saveInvoice(invoice, res);
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Invoice",
+    entityId: invoice._id,
+    before,
+    after: invoice,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Invoice ${invoice.invoiceNumber} cancelled`,
+    data: invoice,
+  });
+});
+
+/**
+ * @desc    Get a student's ledger: charges, discounts and payments in date
+ *          order with a running balance
+ * @route   GET /api/invoices/student/:studentId/ledger
+ * @access  Private
+ */
+const getStudentLedger = asyncHandler(async (req, res) => {
+  const { studentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  const student = await Student.findById(studentId)
+    .select("name admissionNumber dorm class")
+    .lean();
+
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found");
+  }
+
+  const [invoices, payments] = await Promise.all([
+    Invoice.find({ student: studentId, status: { $ne: "cancelled" } }).lean(),
+    Payment.find({ student: studentId, voidedAt: null })
+      .populate("invoice", "invoiceNumber")
+      .lean(),
+  ]);
+
+  const entries = [];
+
+  invoices.forEach((invoice) => {
+    entries.push({
+      date: invoice.createdAt,
+      type: "invoice",
+      reference: invoice.invoiceNumber,
+      description: `Fees for ${invoice.billingMonth}`,
+      debit: invoice.subtotal,
+      credit: 0,
+    });
+
+    invoice.adjustments.forEach((adjustment) => {
+      entries.push({
+        date: adjustment.appliedAt,
+        type: adjustment.type,
+        reference: invoice.invoiceNumber,
+        description: adjustment.reason,
+        debit: 0,
+        credit: adjustment.amount,
+      });
+    });
+  });
+
+  payments.forEach((payment) => {
+    entries.push({
+      date: payment.paidAt,
+      type: "payment",
+      reference: payment.receiptNumber,
+      description: `Payment for ${
+        payment.invoice?.invoiceNumber || "invoice"
+      } (${payment.method})`,
+      debit: 0,
+      credit: payment.amount,
+    });
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  entries.forEach((entry) => {
+    balance = Math.round((balance + entry.debit - entry.credit) * 100) / 100;
+    entry.balance = balance;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      student,
+      entries,
+      balance,
+    },
+  });
+});
+
+export {
+  saveInvoice,
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  addInvoiceAdjustment,
+  cancelInvoice,
+  getStudentLedger,
+};
@@ -0,0 +1,641 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import LeaveRequest from "../models/leaveRequest.model.js";
+import Student from "../models/student.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { getApprovalChain, generatePassCode } from "../utils/leaveWorkflow.js";
+import {
+  getUserIdsByRoles,
+  sendNotifications,
+} from "./notification.controller.js";
+
+const LEAVE_TYPES = ["home_visit", "medical", "family_event", "other"];
+const LEAVE_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "cancelled",
+  "checked_out",
+  "returned",
+];
+
+const populateLeave = (query) =>
+  query
+    .populate("student", "name admissionNumber dorm class")
+    .populate("requestedBy", "firstName lastName role")
+    .populate("approvals.decidedBy", "firstName lastName role")
+    .populate("checkedOutBy", "firstName lastName")
+    .populate("checkedInBy", "firstName lastName");
+
+/**
+ * Notify users without failing the request when notifications fail
+ */
+const notify = async (userIds, notification, req) => {
+  try {
+    await sendNotifications(userIds, notification, req);
+  } catch (error) {
+    console.error("Failed to send leave notifications:", error);
+  }
+};
+
+/**
+ * Check that the current user may decide the pending step of a leave
+ * @returns {String|null} Error message
+ */
+const checkCanDecide = (leave, step, user) => {
+  if (!step) return "Leave request has no pending approval step";
+
+  if (user.role !== step.role && user.role !== "admin") {
+    return `This step must be decided by the ${step.role}`;
+  }
+
+  const alreadyDecided = leave.approvals.some(
+    (other) => other.decidedBy && String(other.decidedBy) === String(user._id)
+  );
+  if (alreadyDecided) {
+    return "You have already approved an earlier step of this request";
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Create a leave request on behalf of a student's parent or guardian
+ * @route   POST /api/leave
+ * @access  Private/Warden
+ */
+const createLeaveRequest = asyncHandler(async (req, res) => {
+  const {
+    studentId,
+    leaveType,
+    reason,
+    destination,
+    requestedFor,
+    departureAt,
+    expectedReturnAt,
+  } = req.body;
+
+  if (!studentId || !reason || !departureAt || !expectedReturnAt) {
+    res.status(400);
+    throw new Error(
+      "Please provide studentId, reason, departureAt and expectedReturnAt"
+    );
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  if (leaveType && !LEAVE_TYPES.includes(leaveType)) {
+    res.status(400);
+    throw new Error(`Leave type must be one of: ${LEAVE_TYPES.join(", ")}`);
+  }
+
+  const departure = new Date(departureAt);
+  const expectedReturn = new Date(expectedReturnAt);
+
+  if (isNaN(departure.getTime()) || isNaN(expectedReturn.getTime())) {
+    res.status(400);
+    throw new Error("Invalid departure or expected return time");
+  }
+
+  if (expectedReturn <= departure) {
+    res.status(400);
+    throw new Error("Expected return must be after departure");
+  }
+
+  if (expectedReturn <= new Date()) {
+    res.status(400);
+    throw new Error("Expected return is already in the past");
+  }
+
+  const student = await Student.findById(studentId);
+
+  if (!student || !student.isActive) {
+    res.status(404);
+    throw new Error("Active student not found");
+  }
+
+  const overlapping = await LeaveRequest.findOne({
+    student: student._id,
+    status: { $in: ["pending", "approved", "checked_out"] },
+    departureAt: { $lt: expectedReturn },
+    expectedReturnAt: { $gt: departure },
+  });
+
+  if (overlapping) {
+    res.status(409);
+    throw new Error(
+      `${student.name} already has a ${overlapping.status} leave in this period`
+    );
+  }
+
+  const chain = getApprovalChain(departure, expectedReturn);
+
+  const leave = await LeaveRequest.create({
+    student: student._id,
+    leaveType,
+    reason,
+    destination,
+    requestedFor,
+    departureAt: departure,
+    expectedReturnAt: expectedReturn,
+    approvals: chain.map((role) => ({ role })),
+    requestedBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    after: leave,
+  });
+
+  const approverIds = await getUserIdsByRoles([chain[0]], req.user._id);
+  await notify(
+    approverIds,
+    {
+      title: "Leave Request Awaiting Approval",
+      message: `${
+        student.name
+      } requests leave from ${departure.toLocaleString()} to ${expectedReturn.toLocaleString()}.`,
+      type: "info",
+    },
+    req
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `Leave request created, awaiting ${chain.join(" then ")} approval`,
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Get leave requests with filtering
+ * @route   GET /api/leave
+ * @access  Private
+ */
+const getLeaveRequests = asyncHandler(async (req, res) => {
+  const {
+    status,
+    student,
+    overdue,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  let query = {};
+
+  if (status) {
+    if (!LEAVE_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`Status must be one of: ${LEAVE_STATUSES.join(", ")}`);
+    }
+    query.status = status;
+  }
+
+  if (student) {
+    if (!mongoose.Types.ObjectId.isValid(student)) {
+      res.status(400);
+      throw new Error("Invalid student ID");
+    }
+    query.student = student;
+  }
+
+  // Students who are out past their expected return time
+  if (overdue === "true") {
+    query.status = "checked_out";
+    query.expectedReturnAt = { $lt: new Date() };
+  }
+
+  if (fromDate || toDate) {
+    query.departureAt = {};
+    if (fromDate) query.departureAt.$gte = new Date(fromDate);
+    if (toDate) query.departureAt.$lte = new Date(toDate);
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 20, 100);
+
+  const [leaves, total] = await Promise.all([
+    populateLeave(LeaveRequest.find(query))
+      .sort({ departureAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    LeaveRequest.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: leaves,
+  });
+});
+
+/**
+ * @desc    Get a leave request
+ * @route   GET /api/leave/:id
+ * @access  Private
+ */
+const getLeaveRequestById = asyncHandler(async (req, res) => {
+  const leave = await populateLeave(LeaveRequest.findById(req.params.id));
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Approve the pending step of a leave request. The last approval
+ *          issues the out-pass code.
+ * @route   POST /api/leave/:id/approve
+ * @access  Private/Warden/Admin
+ */
+const approveLeaveRequest = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const leave = await LeaveRequest.findById(req.params.id).populate(
+    "student",
+    "name"
+  );
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  if (leave.status !== "pending") {
+    res.status(400);
+    throw new Error(`Leave request is already ${leave.status}`);
+  }
+
+  const step = leave.getPendingStep();
+  const decideError = checkCanDecide(leave, step, req.user);
+  if (decideError) {
+    res.status(403);
+    throw new Error(decideError);
+  }
+
+  const before = snapshot(leave);
+
+  step.decision = "approved";
+  step.decidedBy = req.user._id;
+  step.decidedAt = new Date();
+  step.note = note;
+
+  const nextStep = leave.getPendingStep();
+  if (!nextStep) {
+    leave.status = "approved";
+    leave.passCode = generatePassCode();
+  }
+
+  await leave.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    before,
+    after: leave,
+  });
+
+  if (nextStep) {
+    const approverIds = await getUserIdsByRoles([nextStep.role], req.user._id);
+    await notify(
+      approverIds,
+      {
+        title: "Leave Request Awaiting Approval",
+        message: `Leave for ${leave.student.name} was approved by the ${step.role} and needs your approval.`,
+        type: "info",
+      },
+      req
+    );
+  } else {
+    await notify(
+      [leave.requestedBy],
+      {
+        title: "Leave Approved",
+        message: `Leave for ${leave.student.name} was approved. Out-pass code: ${leave.passCode}`,
+        type: "info",
+      },
+      req
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: nextStep
+      ? `Approved, awaiting ${nextStep.role} approval`
+      : "Leave approved, out-pass issued",
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Reject a pending leave request
+ * @route   POST /api/leave/:id/reject
+ * @access  Private/Warden/Admin
+ */
+const rejectLeaveRequest = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  if (!note) {
+    res.status(400);
+    throw new Error("A note is required to reject a leave request");
+  }
+
+  const leave = await LeaveRequest.findById(req.params.id).populate(
+    "student",
+    "name"
+  );
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  if (leave.status !== "pending") {
+    res.status(400);
+    throw new Error(`Leave request is already ${leave.status}`);
+  }
+
+  const step = leave.getPendingStep();
+  const decideError = checkCanDecide(leave, step, req.user);
+  if (decideError) {
+    res.status(403);
+    throw new Error(decideError);
+  }
+
+  const before = snapshot(leave);
+
+  step.decision = "rejected";
+  step.decidedBy = req.user._id;
+  step.decidedAt = new Date();
+  step.note = note;
+  leave.status = "rejected";
+
+  await leave.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    before,
+    after: leave,
+  });
+
+  await notify(
+    [leave.requestedBy],
+    {
+      title: "Leave Rejected",
+      message: `Leave for ${leave.student.name} was rejected: ${note}`,
+      type: "warning",
+    },
+    req
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Leave request rejected",
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Cancel a leave request before the student leaves
+ * @route   POST /api/leave/:id/cancel
+ * @access  Private/Warden
+ */
+const cancelLeaveRequest = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to cancel a leave request");
+  }
+
+  const leave = await LeaveRequest.findById(req.params.id);
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  if (!["pending", "approved"].includes(leave.status)) {
+    res.status(400);
+    throw new Error(`A ${leave.status} leave request cannot be cancelled`);
+  }
+
+  const before = snapshot(leave);
+
+  leave.status = "cancelled";
+  leave.cancelledBy = req.user._id;
+  leave.cancelReason = reason;
+  await leave.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    before,
+    after: leave,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Leave request cancelled",
+    data: leave,
+  });
+});
+
+/**
+ * Record that an approved student left the hostel
+ */
+const performCheckOut = async (leave, req, res) => {
+  if (leave.status !== "approved") {
+    res.status(400);
+    throw new Error(`Only approved leave can be checked out (${leave.status})`);
+  }
+
+  const now = new Date();
+  const departureDay = new Date(leave.departureAt);
+  departureDay.setHours(0, 0, 0, 0);
+
+  if (now < departureDay) {
+    res.status(400);
+    throw new Error(
+      `Leave starts on ${leave.departureAt.toLocaleDateString()}, the student cannot leave yet`
+    );
+  }
+
+  if (now > leave.expectedReturnAt) {
+    res.status(400);
+    throw new Error("The leave period has already ended");
+  }
+
+  const before = snapshot(leave);
+  leave.status = "checked_out";
+  leave.checkedOutAt = now;
+  leave.checkedOutBy = req.user._id;
+  await leave.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    before,
+    after: leave,
+  });
+
+  return "Student checked out";
+};
+
+/**
+ * Record that a student on leave came back
+ */
+const performCheckIn = async (leave, req, res) => {
+  if (leave.status !== "checked_out") {
+    res.status(400);
+    throw new Error(`Student is not checked out (${leave.status})`);
+  }
+
+  const now = new Date();
+  const before = snapshot(leave);
+  leave.status = "returned";
+  leave.checkedInAt = now;
+  leave.checkedInBy = req.user._id;
+  leave.returnedLate = now > leave.expectedReturnAt;
+  await leave.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "LeaveRequest",
+    entityId: leave._id,
+    before,
+    after: leave,
+  });
+
+  // Staff were told the student was missing, tell them they are back
+  if (leave.overdueAlertedAt) {
+    const student = await Student.findById(leave.student).select("name");
+    const staffIds = await getUserIdsByRoles(["admin", "warden"]);
+    await notify(
+      staffIds,
+      {
+        title: "Overdue Student Returned",
+        message: `${
+          student?.name || "A student"
+        } returned from leave at ${now.toLocaleString()}.`,
+        type: "info",
+      },
+      req
+    );
+  }
+
+  return leave.returnedLate ? "Student checked in late" : "Student checked in";
+};
+
+/**
+ * @desc    Check a student out at the gate
+ * @route   POST /api/leave/:id/check-out
+ * @access  Private/Warden
+ */
+const checkOutLeave = asyncHandler(async (req, res) => {
+  const leave = await LeaveRequest.findById(req.params.id);
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  const message = await performCheckOut(leave, req, res);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Check a student back in at the gate
+ * @route   POST /api/leave/:id/check-in
+ * @access  Private/Warden
+ */
+const checkInLeave = asyncHandler(async (req, res) => {
+  const leave = await LeaveRequest.findById(req.params.id);
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("Leave request not found");
+  }
+
+  const message = await performCheckIn(leave, req, res);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: leave,
+  });
+});
+
+/**
+ * @desc    Scan an out-pass at the gate: checks the student out on the way
+ *          out and in on the way back
+ * @route   POST /api/leave/scan
+ * @access  Private/Warden
+ */
+const scanLeavePass = asyncHandler(async (req, res) => {
+  const passCode = String(req.body.passCode || "")
+    .trim()
+    .toUpperCase();
+
+  if (!passCode) {
+    res.status(400);
+    throw new Error("Please provide the pass code");
+  }
+
+  const leave = await LeaveRequest.findOne({ passCode });
+
+  if (!leave) {
+    res.status(404);
+    throw new Error("No leave found for this pass code");
+  }
+
+  const message =
+    leave.status === "checked_out"
+      ? await performCheckIn(leave, req, res)
+      : await performCheckOut(leave, req, res);
+
+  await leave.populate("student", "name admissionNumber dorm class");
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: leave,
+  });
+});
+
+export {
+  createLeaveRequest,
+  getLeaveRequests,
+  getLeaveRequestById,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+  checkOutLeave,
+  checkInLeave,
+  scanLeavePass,
+};
@@ -0,0 +1,342 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import MealOptOut from "../models/mealOptOut.model.js";
+import Student from "../models/student.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import {
+  parsePlanDate,
+  toPlanDate,
+  fromPlanDate,
+} from "../utils/mealPlanResolver.js";
+import { getOptOutCutoff, getMealDiners } from "../utils/mealOptOut.js";
+import { getAssignedDorms } from "../utils/dormOccupancy.js";
+import { MEAL_TYPES, MEAL_OPT_OUT_MAX_DAYS } from "../utils/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const populateOptOut = (query) =>
+  query
+    .populate("student", "name admissionNumber dorm")
+    .populate("requestedBy", "firstName lastName role")
+    .populate("cancelledBy", "firstName lastName role");
+
+/**
+ * Refuse changes to the meals of a date once its opt-outs have closed
+ */
+const checkOptOutCutoff = (res, planDate) => {
+  const cutoff = getOptOutCutoff(planDate);
+  if (new Date() >= cutoff) {
+    res.status(400);
+    throw new Error(
+      `Opt-outs for ${planDate
+        .toISOString()
+        .slice(0, 10)} closed at ${cutoff.toLocaleString()}`
+    );
+  }
+};
+
+/**
+ * Refuse wardens the meals of students outside the dorms they are assigned to
+ */
+const checkStudentDorm = async (req, res, student) => {
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (
+    assignedDorms &&
+    !assignedDorms.some((dorm) => student && dorm.name === student.dorm)
+  ) {
+    res.status(403);
+    throw new Error(
+      "You can only change the meals of students in your own dorms"
+    );
+  }
+};
+
+/**
+ * @desc    Opt a student out of meals, on one date or every date of a range
+ * @route   POST /api/meal-opt-outs
+ * @access  Private/Warden
+ */
+const createMealOptOuts = asyncHandler(async (req, res) => {
+  const { studentId, date, from, to, mealTypes, reason } = req.body;
+
+  if (!studentId || !(date || from)) {
+    res.status(400);
+    throw new Error("Student and a date (or from and to) are required");
+  }
+  if (!mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  const start = parsePlanDate(date || from);
+  const end = parsePlanDate(date || to || from);
+  if (!start || !end) {
+    res.status(400);
+    throw new Error("Dates must be in YYYY-MM-DD format");
+  }
+  if (end < start) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > MEAL_OPT_OUT_MAX_DAYS) {
+    res.status(400);
+    throw new Error(
+      `Opt-outs can cover at most ${MEAL_OPT_OUT_MAX_DAYS} days at once`
+    );
+  }
+
+  const meals = mealTypes ?? MEAL_TYPES;
+  if (
+    !Array.isArray(meals) ||
+    meals.length === 0 ||
+    !meals.every((mealType) => MEAL_TYPES.includes(mealType))
+  ) {
+    res.status(400);
+    throw new Error(`Meal types must be among: ${MEAL_TYPES.join(", ")}`);
+  }
+
+  // Later dates close later, so the first one decides
+  checkOptOutCutoff(res, start);
+
+  const student = await Student.findById(studentId);
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found");
+  }
+  if (!student.isActive) {
+    res.status(400);
+    throw new Error("Only active students can opt out of meals");
+  }
+  await checkStudentDorm(req, res, student);
+
+  const existing = await MealOptOut.find({
+    student: student._id,
+    date: { $gte: start, $lte: end },
+    mealType: { $in: meals },
+    status: "active",
+  });
+  const registered = new Set(
+    existing.map((optOut) => `${optOut.date.toISOString()}:${optOut.mealType}`)
+  );
+
+  const newOptOuts = [];
+  for (let i = 0; i < days; i++) {
+    const planDate = new Date(start);
+    planDate.setUTCDate(planDate.getUTCDate() + i);
+    new Set(meals).forEach((mealType) => {
+      if (registered.has(`${planDate.toISOString()}:${mealType}`)) return;
+      newOptOuts.push({
+        student: student._id,
+        date: planDate,
+        mealType,
+        reason,
+        requestedBy: req.user._id,
+      });
+    });
+  }
+
+  // Unordered, so opt-outs registered meanwhile only skip themselves and the
+  // rest are still created (and audited)
+  let created;
+  try {
+    created = await MealOptOut.insertMany(newOptOuts, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    created = error.insertedDocs;
+  }
+  const alreadyRegistered =
+    existing.length + newOptOuts.length - created.length;
+
+  for (const optOut of created) {
+    await recordAudit(req, {
+      action: "create",
+      entity: "MealOptOut",
+      entityId: optOut._id,
+      after: optOut,
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} meal opt-out(s) registered for ${student.name}${
+      alreadyRegistered > 0 ? `, ${alreadyRegistered} already registered` : ""
+    }`,
+    data: created,
+  });
+});
+
+/**
+ * @desc    Get meal opt-outs with filtering
+ * @route   GET /api/meal-opt-outs
+ * @access  Private
+ */
+const getMealOptOuts = asyncHandler(async (req, res) => {
+  const {
+    student,
+    date,
+    from,
+    to,
+    mealType,
+    status,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const query = {};
+
+  if (student) {
+    if (!mongoose.Types.ObjectId.isValid(student)) {
+      res.status(400);
+      throw new Error("Invalid student ID");
+    }
+    query.student = student;
+  }
+  if (mealType) {
+    if (!MEAL_TYPES.includes(mealType)) {
+      res.status(400);
+      throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+    }
+    query.mealType = mealType;
+  }
+  if (status) {
+    if (!["active", "cancelled"].includes(status)) {
+      res.status(400);
+      throw new Error("Status must be active or cancelled");
+    }
+    query.status = status;
+  }
+
+  const dates = [date, from, to].filter(Boolean).map(parsePlanDate);
+  if (dates.includes(null)) {
+    res.status(400);
+    throw new Error("Dates must be in YYYY-MM-DD format");
+  }
+  if (date) {
+    query.date = parsePlanDate(date);
+  } else if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = parsePlanDate(from);
+    if (to) query.date.$lte = parsePlanDate(to);
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+  const [optOuts, total] = await Promise.all([
+    populateOptOut(MealOptOut.find(query))
+      .sort({ date: -1, createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    MealOptOut.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: optOuts,
+  });
+});
+
+/**
+ * @desc    Cancel a meal opt-out before the cutoff, opting the student back in
+ * @route   POST /api/meal-opt-outs/:id/cancel
+ * @access  Private/Warden
+ */
+const cancelMealOptOut = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid meal opt-out ID");
+  }
+
+  const optOut = await MealOptOut.findById(req.params.id);
+  if (!optOut) {
+    res.status(404);
+    throw new Error("Meal opt-out not found");
+  }
+  if (optOut.status !== "active") {
+    res.status(400);
+    throw new Error("Meal opt-out is already cancelled");
+  }
+
+  checkOptOutCutoff(res, optOut.date);
+  await checkStudentDorm(
+    req,
+    res,
+    await Student.findById(optOut.student).select("dorm")
+  );
+
+  const before = snapshot(optOut);
+
+  optOut.status = "cancelled";
+  optOut.cancelledBy = req.user._id;
+  optOut.cancelledAt = new Date();
+  await optOut.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "MealOptOut",
+    entityId: optOut._id,
+    before,
+    after: optOut,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Meal opt-out cancelled, the student is counted in again",
+    data: optOut,
+  });
+});
+
+/**
+ * @desc    Get the expected diners of each meal of a date: dining attendance
+ *          less the students who opted out
+ * @route   GET /api/meal-opt-outs/expected-diners?date=YYYY-MM-DD
+ * @access  Private
+ */
+const getExpectedDiners = asyncHandler(async (req, res) => {
+  const planDate = req.query.date
+    ? parsePlanDate(req.query.date)
+    : toPlanDate(new Date());
+  if (!planDate) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+
+  const meals = [];
+  for (const mealType of MEAL_TYPES) {
+    const diners = await getMealDiners(mealType, fromPlanDate(planDate));
+    const optOuts = await MealOptOut.countDocuments({
+      date: planDate,
+      mealType,
+      status: "active",
+    });
+    meals.push(
+      diners ?? {
+        mealType,
+        attendanceCount: null,
+        optOuts,
+        optedOut: null,
+        expectedDiners: null,
+      }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date: planDate.toISOString().slice(0, 10),
+      cutoff: getOptOutCutoff(planDate),
+      meals,
+    },
+  });
+});
+
+export {
+  createMealOptOuts,
+  getMealOptOuts,
+  cancelMealOptOut,
+  getExpectedDiners,
+};
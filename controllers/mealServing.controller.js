@@ -0,0 +1,429 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import MealServing from "../models/mealServing.model.js";
+import MealOptOut from "../models/mealOptOut.model.js";
+import Student from "../models/student.model.js";
+import { recordAudit } from "../utils/auditLogger.js";
+import { verifyCheckInToken } from "../utils/checkIn.js";
+import {
+  parsePlanDate,
+  toPlanDate,
+  fromPlanDate,
+} from "../utils/mealPlanResolver.js";
+import { getMealDiners } from "../utils/mealOptOut.js";
+import {
+  NO_SERVINGS,
+  getServingMeal,
+  countServings,
+  reconcileMealServings,
+} from "../utils/mealServing.js";
+import { MEAL_TYPES } from "../utils/constants.js";
+
+// Longest range the reconciliation covers at once
+const MAX_RECONCILIATION_DAYS = 31;
+
+const SERVING_SOURCES = ["scan", "manual", "headcount"];
+
+/**
+ * Date of the meal being recorded, today when not sent. Meals cannot be
+ * served in the future.
+ * @returns {Date} UTC midnight
+ */
+const parseServingDate = (res, value) => {
+  const today = toPlanDate(new Date());
+  if (value === undefined) return today;
+
+  const planDate = parsePlanDate(value);
+  if (!planDate) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+  if (planDate > today) {
+    res.status(400);
+    throw new Error("Meals cannot be recorded for a future date");
+  }
+  return planDate;
+};
+
+/**
+ * @desc    Record the meals served at the counter: students picked by name,
+ *          an anonymous headcount, or both
+ * @route   POST /api/meal-servings
+ * @access  Private/Kitchen
+ */
+const recordMealServings = asyncHandler(async (req, res) => {
+  const { date, mealType, studentIds = [], count, notes } = req.body;
+
+  if (!MEAL_TYPES.includes(mealType)) {
+    res.status(400);
+    throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+  }
+  if (!Array.isArray(studentIds)) {
+    res.status(400);
+    throw new Error("studentIds must be a list");
+  }
+  if (count !== undefined && !(Number.isInteger(count) && count > 0)) {
+    res.status(400);
+    throw new Error("Count must be a positive whole number");
+  }
+  if (studentIds.length === 0 && count === undefined) {
+    res.status(400);
+    throw new Error("Send the students served, a headcount, or both");
+  }
+  if (!studentIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    res.status(400);
+    throw new Error("Invalid student ID");
+  }
+
+  const planDate = parseServingDate(res, date);
+
+  const uniqueIds = [...new Set(studentIds.map(String))];
+  const students = await Student.find({ _id: { $in: uniqueIds } }).select(
+    "name"
+  );
+  if (students.length !== uniqueIds.length) {
+    res.status(404);
+    throw new Error("Some students were not found");
+  }
+
+  const alreadyServed = await MealServing.distinct("student", {
+    date: planDate,
+    mealType,
+    student: { $in: uniqueIds },
+  });
+  const served = new Set(alreadyServed.map(String));
+
+  const newServings = uniqueIds
+    .filter((id) => !served.has(id))
+    .map((student) => ({
+      date: planDate,
+      mealType,
+      student,
+      source: "manual",
+      recordedBy: req.user._id,
+      notes,
+    }));
+  if (count !== undefined) {
+    newServings.push({
+      date: planDate,
+      mealType,
+      student: null,
+      count,
+      source: "headcount",
+      recordedBy: req.user._id,
+      notes,
+    });
+  }
+
+  // Unordered, so students served meanwhile only skip themselves and the
+  // rest are still recorded (and audited)
+  let created;
+  try {
+    created = await MealServing.insertMany(newServings, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    created = error.insertedDocs;
+  }
+  const alreadyServedCount = served.size + newServings.length - created.length;
+
+  for (const serving of created) {
+    await recordAudit(req, {
+      action: "create",
+      entity: "MealServing",
+      entityId: serving._id,
+      after: serving,
+    });
+  }
+
+  const servings = created.reduce((sum, serving) => sum + serving.count, 0);
+  res.status(201).json({
+    success: true,
+    message: `${servings} ${mealType} serving(s) recorded${
+      alreadyServedCount > 0
+        ? `, ${alreadyServedCount} student(s) already served`
+        : ""
+    }`,
+    data: created,
+  });
+});
+
+/**
+ * @desc    Record a serving from a student card scanned at the counter. The
+ *          meal being served now is used unless one is sent.
+ * @route   POST /api/meal-servings/scan
+ * @access  Private/Kitchen/Kiosk
+ */
+const scanMealServing = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  const now = new Date();
+
+  if (!token) {
+    res.status(400);
+    throw new Error("Please provide the scanned token");
+  }
+
+  const mealType = req.body.mealType ?? getServingMeal(now);
+  if (!mealType) {
+    res.status(400);
+    throw new Error("No meal is being served now");
+  }
+  if (!MEAL_TYPES.includes(mealType)) {
+    res.status(400);
+    throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+  }
+
+  const admissionNumber = verifyCheckInToken(token);
+  if (admissionNumber === null) {
+    res.status(400);
+    throw new Error("Invalid student card");
+  }
+
+  const student = await Student.findOne({ admissionNumber, isActive: true });
+  if (!student) {
+    res.status(404);
+    throw new Error("Student not found or inactive");
+  }
+
+  const planDate = toPlanDate(now);
+
+  let serving;
+  try {
+    serving = await MealServing.create({
+      date: planDate,
+      mealType,
+      student: student._id,
+      source: "scan",
+      servedAt: now,
+      recordedBy: req.user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const earlier = await MealServing.findOne({
+        date: planDate,
+        mealType,
+        student: student._id,
+      });
+      res.status(409);
+      throw new Error(
+        `${student.name} was already served ${mealType}${
+          earlier ? ` at ${earlier.servedAt.toLocaleTimeString()}` : ""
+        }`
+      );
+    }
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "MealServing",
+    entityId: serving._id,
+    after: serving,
+  });
+
+  // Served anyway, but the kitchen cooked without them
+  const optedOut = await MealOptOut.exists({
+    student: student._id,
+    date: planDate,
+    mealType,
+    status: "active",
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${student.name} served ${mealType}`,
+    data: {
+      serving,
+      student: {
+        _id: student._id,
+        name: student.name,
+        admissionNumber: student.admissionNumber,
+        dietaryProfile: student.dietaryProfile,
+      },
+      optedOut: Boolean(optedOut),
+    },
+  });
+});
+
+/**
+ * @desc    Get meal servings with filtering
+ * @route   GET /api/meal-servings
+ * @access  Private
+ */
+const getMealServings = asyncHandler(async (req, res) => {
+  const { date, mealType, student, source, page = 1, limit = 50 } = req.query;
+
+  const query = {};
+
+  if (date) {
+    query.date = parsePlanDate(date);
+    if (!query.date) {
+      res.status(400);
+      throw new Error("Date must be in YYYY-MM-DD format");
+    }
+  }
+  if (mealType) {
+    if (!MEAL_TYPES.includes(mealType)) {
+      res.status(400);
+      throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+    }
+    query.mealType = mealType;
+  }
+  if (student) {
+    if (!mongoose.Types.ObjectId.isValid(student)) {
+      res.status(400);
+      throw new Error("Invalid student ID");
+    }
+    query.student = student;
+  }
+  if (source) {
+    if (!SERVING_SOURCES.includes(source)) {
+      res.status(400);
+      throw new Error(`Source must be one of: ${SERVING_SOURCES.join(", ")}`);
+    }
+    query.source = source;
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 50, 100);
+
+  const [servings, total] = await Promise.all([
+    MealServing.find(query)
+      .populate("student", "name admissionNumber dorm")
+      .populate("recordedBy", "firstName lastName role")
+      .sort({ servedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    MealServing.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    data: servings,
+  });
+});
+
+/**
+ * @desc    Remove a serving recorded by mistake
+ * @route   DELETE /api/meal-servings/:id
+ * @access  Private/Kitchen
+ */
+const deleteMealServing = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid meal serving ID");
+  }
+
+  const serving = await MealServing.findById(req.params.id);
+  if (!serving) {
+    res.status(404);
+    throw new Error("Meal serving not found");
+  }
+
+  await MealServing.findByIdAndDelete(serving._id);
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "MealServing",
+    entityId: serving._id,
+    before: serving,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Meal serving removed",
+  });
+});
+
+/**
+ * @desc    Get the servings of each meal of a date against the diners the
+ *          kitchen expected
+ * @route   GET /api/meal-servings/summary?date=YYYY-MM-DD
+ * @access  Private
+ */
+const getServingSummary = asyncHandler(async (req, res) => {
+  const planDate = req.query.date
+    ? parsePlanDate(req.query.date)
+    : toPlanDate(new Date());
+  if (!planDate) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+
+  const counts = await countServings({ date: planDate });
+  const dateKey = planDate.toISOString().slice(0, 10);
+
+  const meals = [];
+  for (const mealType of MEAL_TYPES) {
+    const diners = await getMealDiners(mealType, fromPlanDate(planDate));
+    const optedOutStudents = await MealOptOut.distinct("student", {
+      date: planDate,
+      mealType,
+      status: "active",
+    });
+    const optedOutServed =
+      optedOutStudents.length === 0
+        ? 0
+        : await MealServing.countDocuments({
+            date: planDate,
+            mealType,
+            student: { $in: optedOutStudents },
+          });
+
+    meals.push({
+      mealType,
+      ...(counts.get(`${dateKey}:${mealType}`) ?? NO_SERVINGS),
+      expectedDiners: diners?.expectedDiners ?? null,
+      optedOutServed,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { date: dateKey, meals },
+  });
+});
+
+/**
+ * @desc    Reconcile the inventory used for each meal of a range with the
+ *          servings recorded, with the waste per meal
+ * @route   GET /api/meal-servings/reconciliation?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private
+ */
+const getServingReconciliation = asyncHandler(async (req, res) => {
+  const from = parsePlanDate(req.query.from);
+  const to = parsePlanDate(req.query.to);
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("from and to are required in YYYY-MM-DD format");
+  }
+  if (to < from) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_RECONCILIATION_DAYS) {
+    res.status(400);
+    throw new Error(
+      `Range cannot be longer than ${MAX_RECONCILIATION_DAYS} days`
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await reconcileMealServings(from, days),
+  });
+});
+
+export {
+  recordMealServings,
+  scanMealServing,
+  getMealServings,
+  deleteMealServing,
+  getServingSummary,
+  getServingReconciliation,
+};
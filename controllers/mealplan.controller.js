@@ -1,5 +1,261 @@
 import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
 import MealPlan from "../models/mealplan.model.js";
+import MenuCycle from "../models/menuCycle.model.js";
+import Recipe from "../models/recipe.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import {
+  DAY_NAMES,
+  MEAL_PLAN_POPULATE,
+  toPlanDate,
+  parsePlanDate,
+  getPlanDayName,
+  findOverlappingCycle,
+  resolveMealPlan,
+} from "../utils/mealPlanResolver.js";
+import { applyRecipesToMealPlan } from "../utils/recipes.js";
+import {
+  getExpectedDiners,
+  getPlanItems,
+  computeMealPlanCost,
+  applyCostToMealPlan,
+  recalculateMealPlanCosts,
+  projectFoodCost,
+} from "../utils/mealCost.js";
+import {
+  validateTags,
+  applyDietaryInfoToMealPlan,
+  getMealHeadcount,
+} from "../utils/dietary.js";
+import Student from "../models/student.model.js";
+import NutritionTarget from "../models/nutritionTarget.model.js";
+import {
+  getNutritionTargets,
+  getMealPlanNutrition,
+  getNutritionReport,
+} from "../utils/nutrition.js";
+import {
+  MEAL_TYPES,
+  DIETARY_TAGS,
+  ALLERGENS,
+  NUTRIENTS,
+} from "../utils/constants.js";
+
+// Longest range the calendar endpoint resolves at once
+const MAX_CALENDAR_DAYS = 62;
+
+// Server-time calendar date as YYYY-MM-DD
+const toIsoDate = (date) => toPlanDate(date).toISOString().slice(0, 10);
+
+/**
+ * Work out which slot a plan fills: a date override, a weekday of a cycle
+ * week or a weekday of the default week. On update, fields not sent are
+ * taken from the current plan, sending date or cycle moves the plan to
+ * another kind of slot.
+ * @returns {Promise<{day: String, date: Date|null, cycle: Object|null,
+ *   week: Number|null}>}
+ */
+const resolvePlanSlot = async (res, body, current = null) => {
+  const movesSlot = body.date !== undefined || body.cycle !== undefined;
+  const base = movesSlot ? {} : current ?? {};
+  const date = body.date !== undefined ? body.date : base.date;
+  const cycleId = body.cycle !== undefined ? body.cycle : base.cycle;
+  const week = body.week !== undefined ? body.week : current?.week;
+  const day = body.day ?? current?.day;
+
+  if (date) {
+    if (cycleId) {
+      res.status(400);
+      throw new Error("A meal plan is either for a date or for a menu cycle");
+    }
+    const planDate = date instanceof Date ? date : parsePlanDate(date);
+    if (!planDate) {
+      res.status(400);
+      throw new Error("Date must be in YYYY-MM-DD format");
+    }
+    return {
+      day: getPlanDayName(planDate),
+      date: planDate,
+      cycle: null,
+      week: null,
+    };
+  }
+
+  if (!DAY_NAMES.includes(day)) {
+    res.status(400);
+    throw new Error(`Day must be one of: ${DAY_NAMES.join(", ")}`);
+  }
+
+  if (!cycleId) return { day, date: null, cycle: null, week: null };
+
+  if (!mongoose.Types.ObjectId.isValid(cycleId)) {
+    res.status(400);
+    throw new Error("Invalid menu cycle ID");
+  }
+  const cycle = await MenuCycle.findById(cycleId);
+  if (!cycle) {
+    res.status(404);
+    throw new Error("Menu cycle not found");
+  }
+
+  const weekNumber = Number(week);
+  if (
+    !Number.isInteger(weekNumber) ||
+    weekNumber < 1 ||
+    weekNumber > cycle.weeks
+  ) {
+    res.status(400);
+    throw new Error(
+      `Week must be between 1 and ${cycle.weeks} for ${cycle.name}`
+    );
+  }
+
+  return { day, date: null, cycle, week: weekNumber };
+};
+
+/**
+ * Readable name of a plan slot for messages
+ */
+const describePlanSlot = ({ day, date, cycle, week }) => {
+  if (date) return date.toISOString().slice(0, 10);
+  if (cycle) return `${day} of week ${week} of ${cycle.name}`;
+  return day;
+};
+
+/**
+ * Plan already filling a slot
+ */
+const findPlanInSlot = ({ day, date, cycle, week }, excludeId = null) =>
+  MealPlan.findOne({
+    ...(date
+      ? { date }
+      : cycle
+      ? { cycle: cycle._id, week, day }
+      : { day, date: null, cycle: null }),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+/**
+ * Parse and check the dates of a menu cycle
+ * @returns {{effectiveFrom: Date, effectiveTo: Date|null}}
+ */
+const parseCycleDates = (res, effectiveFrom, effectiveTo) => {
+  const from = parsePlanDate(effectiveFrom);
+  const to = effectiveTo ? parsePlanDate(effectiveTo) : null;
+
+  if (!from || (effectiveTo && !to)) {
+    res.status(400);
+    throw new Error("Effective dates must be in YYYY-MM-DD format");
+  }
+  if (to && to < from) {
+    res.status(400);
+    throw new Error("Effective to date cannot be before effective from date");
+  }
+
+  return { effectiveFrom: from, effectiveTo: to };
+};
+
+/**
+ * Refuse an active cycle whose dates overlap another active cycle
+ */
+const checkCycleOverlap = async (res, cycle) => {
+  if (!cycle.isActive) return;
+  const overlapping = await findOverlappingCycle(
+    cycle.effectiveFrom,
+    cycle.effectiveTo,
+    cycle._id
+  );
+  if (overlapping) {
+    res.status(409);
+    throw new Error(`Dates overlap the active menu cycle ${overlapping.name}`);
+  }
+};
+
+/**
+ * Check the recipe lists sent for each meal
+ * @returns {Promise<Object>} breakfastRecipes, lunchRecipes and
+ *   dinnerRecipes that were sent
+ */
+const parseMealRecipes = async (res, body) => {
+  const mealRecipes = {};
+
+  for (const mealType of MEAL_TYPES) {
+    const recipeIds = body[`${mealType}Recipes`];
+    if (recipeIds === undefined) continue;
+
+    if (
+      !Array.isArray(recipeIds) ||
+      !recipeIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+    ) {
+      res.status(400);
+      throw new Error(`${mealType}Recipes must be a list of recipe IDs`);
+    }
+
+    const found = await Recipe.countDocuments({
+      _id: { $in: recipeIds },
+    });
+    if (found !== new Set(recipeIds.map(String)).size) {
+      res.status(400);
+      throw new Error(`Some ${mealType} recipes were not found`);
+    }
+
+    mealRecipes[`${mealType}Recipes`] = recipeIds;
+  }
+
+  return mealRecipes;
+};
+
+/**
+ * Check the alternate variants sent for each meal
+ * @returns {Promise<Object>} breakfastVariants, lunchVariants and
+ *   dinnerVariants that were sent
+ */
+const parseMealVariants = async (res, body) => {
+  const mealVariants = {};
+
+  for (const mealType of MEAL_TYPES) {
+    const variants = body[`${mealType}Variants`];
+    if (variants === undefined) continue;
+
+    if (!Array.isArray(variants)) {
+      res.status(400);
+      throw new Error(`${mealType}Variants must be a list`);
+    }
+
+    mealVariants[`${mealType}Variants`] = [];
+    for (const variant of variants) {
+      const recipeIds = variant.recipes ?? [];
+      const error =
+        (!variant.name && `Every ${mealType} variant needs a name`) ||
+        validateTags(variant.forDiets ?? [], DIETARY_TAGS, "diet tags") ||
+        validateTags(variant.forAllergies ?? [], ALLERGENS, "allergies") ||
+        (!Array.isArray(recipeIds) ||
+        !recipeIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+          ? `Recipes of ${variant.name} must be a list of recipe IDs`
+          : null);
+      if (error) {
+        res.status(400);
+        throw new Error(error);
+      }
+
+      const found = await Recipe.countDocuments({ _id: { $in: recipeIds } });
+      if (found !== new Set(recipeIds.map(String)).size) {
+        res.status(400);
+        throw new Error(`Some recipes of ${variant.name} were not found`);
+      }
+
+      mealVariants[`${mealType}Variants`].push({
+        name: variant.name,
+        forDiets: variant.forDiets ?? [],
+        forAllergies: variant.forAllergies ?? [],
+        recipes: recipeIds,
+        dishes: variant.dishes ?? [],
+      });
+    }
+  }
+
+  return mealVariants;
+};
 
 /**
  * @desc    Create a new meal plan
@@ -9,7 +265,7 @@ import MealPlan from "../models/mealplan.model.js";
 const createMealPlan = asyncHandler(async (req, res) => {
   const {
     day,
-    estimatedCost,
+    date,
     breakfast,
     lunch,
     dinner,
@@ -18,40 +274,57 @@ const createMealPlan = asyncHandler(async (req, res) => {
     dinnerInventory,
   } = req.body;
 
-  if (!day || !estimatedCost) {
+  if (!day && !date) {
     res.status(400);
-    throw new Error("Day and estimated cost are required");
+    throw new Error("Day or date is required");
   }
 
+  const slot = await resolvePlanSlot(res, req.body);
+
   // Check if plan already exists for the same day
-  const existingPlan = await MealPlan.findOne({ day });
+  const existingPlan = await findPlanInSlot(slot);
   if (existingPlan) {
     res.status(400);
-    throw new Error(`Meal plan for ${day} already exists`);
+    throw new Error(`Meal plan for ${describePlanSlot(slot)} already exists`);
   }
 
-  const mealPlan = await MealPlan.create({
-    day,
-    estimatedCost,
+  const mealRecipes = await parseMealRecipes(res, req.body);
+  const mealVariants = await parseMealVariants(res, req.body);
+
+  // Meals with recipes get their dishes and inventory from them
+  const mealPlan = new MealPlan({
+    day: slot.day,
+    date: slot.date,
+    cycle: slot.cycle?._id ?? null,
+    week: slot.week,
     breakfast: breakfast || [],
     lunch: lunch || [],
     dinner: dinner || [],
     breakfastInventory: breakfastInventory || [],
     lunchInventory: lunchInventory || [],
     dinnerInventory: dinnerInventory || [],
+    ...mealRecipes,
+    ...mealVariants,
     createdBy: req.user?._id || null,
   });
+  await applyRecipesToMealPlan(mealPlan);
+  await applyCostToMealPlan(mealPlan);
+  await applyDietaryInfoToMealPlan(mealPlan);
+  await mealPlan.save();
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "MealPlan",
+    entityId: mealPlan._id,
+    after: mealPlan,
+  });
 
   // Populate inventory items for response
-  await mealPlan.populate([
-    "breakfastInventory.inventoryItemId",
-    "lunchInventory.inventoryItemId",
-    "dinnerInventory.inventoryItemId",
-  ]);
+  await mealPlan.populate(MEAL_PLAN_POPULATE);
 
   res.status(201).json({
     success: true,
-    message: `Meal plan for ${day} created successfully`,
+    message: `Meal plan for ${describePlanSlot(slot)} created successfully`,
     data: mealPlan,
   });
 });
@@ -62,7 +335,7 @@ const createMealPlan = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const getAllMealPlans = asyncHandler(async (req, res) => {
-  const { search, day } = req.query;
+  const { search, day, type, cycle, from, to } = req.query;
   let query = {};
 
   // Filter by day if provided
@@ -70,6 +343,41 @@ const getAllMealPlans = asyncHandler(async (req, res) => {
     query.day = { $regex: new RegExp(day, "i") };
   }
 
+  // Filter by kind of plan: date overrides, cycle plans or the default week
+  if (type === "override") {
+    query.date = { $ne: null };
+  } else if (type === "cycle") {
+    query.cycle = { $ne: null };
+  } else if (type === "default") {
+    query.date = null;
+    query.cycle = null;
+  } else if (type) {
+    res.status(400);
+    throw new Error("Type must be 'override', 'cycle' or 'default'");
+  }
+
+  if (cycle) {
+    if (!mongoose.Types.ObjectId.isValid(cycle)) {
+      res.status(400);
+      throw new Error("Invalid menu cycle ID");
+    }
+    query.cycle = cycle;
+  }
+
+  // Overrides within a date range
+  if (from || to) {
+    const fromDate = from ? parsePlanDate(from) : null;
+    const toDate = to ? parsePlanDate(to) : null;
+    if ((from && !fromDate) || (to && !toDate)) {
+      res.status(400);
+      throw new Error("Dates must be in YYYY-MM-DD format");
+    }
+    query.date = {
+      ...(fromDate ? { $gte: fromDate } : { $ne: null }),
+      ...(toDate && { $lte: toDate }),
+    };
+  }
+
   // Search meals across breakfast, lunch, and dinner
   if (search) {
     query.$or = [
@@ -85,11 +393,8 @@ const getAllMealPlans = asyncHandler(async (req, res) => {
 
   const [mealPlans, total] = await Promise.all([
     MealPlan.find(query)
-      .populate([
-        "breakfastInventory.inventoryItemId",
-        "lunchInventory.inventoryItemId",
-        "dinnerInventory.inventoryItemId",
-      ])
+      .populate(MEAL_PLAN_POPULATE)
+      .populate("cycle", "name weeks")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit),
@@ -108,11 +413,9 @@ const getAllMealPlans = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const getMealPlanById = asyncHandler(async (req, res) => {
-  const mealPlan = await MealPlan.findById(req.params.id).populate([
-    "breakfastInventory.inventoryItemId",
-    "lunchInventory.inventoryItemId",
-    "dinnerInventory.inventoryItemId",
-  ]);
+  const mealPlan = await MealPlan.findById(req.params.id)
+    .populate(MEAL_PLAN_POPULATE)
+    .populate("cycle", "name weeks effectiveFrom effectiveTo");
 
   if (!mealPlan) {
     res.status(404);
@@ -132,8 +435,6 @@ const getMealPlanById = asyncHandler(async (req, res) => {
  */
 const updateMealPlan = asyncHandler(async (req, res) => {
   const {
-    day,
-    estimatedCost,
     breakfast,
     lunch,
     dinner,
@@ -148,17 +449,20 @@ const updateMealPlan = asyncHandler(async (req, res) => {
     throw new Error("Meal plan not found");
   }
 
-  // Check if day already exists for another plan
-  if (day && day !== mealPlan.day) {
-    const existingPlan = await MealPlan.findOne({ day });
-    if (existingPlan) {
-      res.status(400);
-      throw new Error(`Meal plan for ${day} already exists`);
-    }
-    mealPlan.day = day;
+  const before = snapshot(mealPlan);
+
+  // Check if the slot is already filled by another plan
+  const slot = await resolvePlanSlot(res, req.body, mealPlan);
+  const existingPlan = await findPlanInSlot(slot, mealPlan._id);
+  if (existingPlan) {
+    res.status(400);
+    throw new Error(`Meal plan for ${describePlanSlot(slot)} already exists`);
   }
+  mealPlan.day = slot.day;
+  mealPlan.date = slot.date;
+  mealPlan.cycle = slot.cycle?._id ?? null;
+  mealPlan.week = slot.week;
 
-  if (estimatedCost !== undefined) mealPlan.estimatedCost = estimatedCost;
   if (breakfast !== undefined) mealPlan.breakfast = breakfast;
   if (lunch !== undefined) mealPlan.lunch = lunch;
   if (dinner !== undefined) mealPlan.dinner = dinner;
@@ -166,19 +470,28 @@ const updateMealPlan = asyncHandler(async (req, res) => {
     mealPlan.breakfastInventory = breakfastInventory;
   if (lunchInventory !== undefined) mealPlan.lunchInventory = lunchInventory;
   if (dinnerInventory !== undefined) mealPlan.dinnerInventory = dinnerInventory;
+  Object.assign(mealPlan, await parseMealRecipes(res, req.body));
+  Object.assign(mealPlan, await parseMealVariants(res, req.body));
+  await applyRecipesToMealPlan(mealPlan);
+  await applyCostToMealPlan(mealPlan);
+  await applyDietaryInfoToMealPlan(mealPlan);
 
   const updatedMealPlan = await mealPlan.save();
 
+  await recordAudit(req, {
+    action: "update",
+    entity: "MealPlan",
+    entityId: updatedMealPlan._id,
+    before,
+    after: updatedMealPlan,
+  });
+
   // Populate inventory items for response
-  await updatedMealPlan.populate([
-    "breakfastInventory.inventoryItemId",
-    "lunchInventory.inventoryItemId",
-    "dinnerInventory.inventoryItemId",
-  ]);
+  await updatedMealPlan.populate(MEAL_PLAN_POPULATE);
 
   res.status(200).json({
     success: true,
-    message: `Meal plan for ${updatedMealPlan.day} updated successfully`,
+    message: `Meal plan for ${describePlanSlot(slot)} updated successfully`,
     data: updatedMealPlan,
   });
 });
@@ -198,16 +511,560 @@ const deleteMealPlan = asyncHandler(async (req, res) => {
 
   await MealPlan.findByIdAndDelete(req.params.id);
 
+  await recordAudit(req, {
+    action: "delete",
+    entity: "MealPlan",
+    entityId: mealPlan._id,
+    before: mealPlan,
+  });
+
   res.status(200).json({
     success: true,
     message: `Meal plan for ${mealPlan.day} deleted successfully`,
   });
 });
 
+/**
+ * @desc    Get the meal plan served on a date, after applying date
+ *          overrides and menu cycles
+ * @route   GET /api/mealplan/resolve?date=YYYY-MM-DD
+ * @access  Private
+ */
+const getResolvedMealPlan = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+  if (date && !parsePlanDate(date)) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+
+  const resolved = await resolveMealPlan(date || new Date(), {
+    populate: true,
+  });
+  if (!resolved) {
+    res.status(404);
+    throw new Error("No meal plan is planned for this date");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date: resolved.date,
+      day: resolved.mealPlan.day,
+      source: resolved.source,
+      cycle: resolved.cycle && {
+        _id: resolved.cycle._id,
+        name: resolved.cycle.name,
+      },
+      week: resolved.week,
+      mealPlan: resolved.mealPlan,
+    },
+  });
+});
+
+/**
+ * @desc    Get the meal plan served on each date of a range
+ * @route   GET /api/mealplan/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private
+ */
+const getMealPlanCalendar = asyncHandler(async (req, res) => {
+  const from = parsePlanDate(req.query.from);
+  const to = parsePlanDate(req.query.to);
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("from and to are required in YYYY-MM-DD format");
+  }
+  if (to < from) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_CALENDAR_DAYS) {
+    res.status(400);
+    throw new Error(`Range cannot be longer than ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  const calendar = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from);
+    date.setUTCDate(date.getUTCDate() + i);
+    const isoDate = date.toISOString().slice(0, 10);
+    const resolved = await resolveMealPlan(isoDate);
+
+    calendar.push({
+      date: isoDate,
+      day: getPlanDayName(date),
+      source: resolved?.source ?? null,
+      cycle: resolved?.cycle
+        ? { _id: resolved.cycle._id, name: resolved.cycle.name }
+        : null,
+      week: resolved?.week ?? null,
+      mealPlan: resolved?.mealPlan ?? null,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: calendar,
+  });
+});
+
+/**
+ * @desc    Get the cost breakdown of a meal plan at current prices
+ * @route   GET /api/mealplan/:id/cost?diners=
+ * @access  Private
+ */
+const getMealPlanCost = asyncHandler(async (req, res) => {
+  const mealPlan = await MealPlan.findById(req.params.id);
+  if (!mealPlan) {
+    res.status(404);
+    throw new Error("Meal plan not found");
+  }
+
+  let expectedDiners;
+  if (req.query.diners !== undefined) {
+    expectedDiners = Number(req.query.diners);
+    if (!Number.isInteger(expectedDiners) || expectedDiners < 0) {
+      res.status(400);
+      throw new Error("Diners must be a whole number");
+    }
+  } else {
+    expectedDiners = await getExpectedDiners(mealPlan.date);
+  }
+
+  const cost = computeMealPlanCost(
+    mealPlan,
+    await getPlanItems([mealPlan]),
+    expectedDiners
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { mealPlan: mealPlan._id, day: mealPlan.day, ...cost },
+  });
+});
+
+/**
+ * @desc    Project the food cost of a week or a month from the plans that
+ *          will be served, current prices and expected diners
+ * @route   GET /api/mealplan/cost-projection?period=week&from=YYYY-MM-DD
+ * @route   GET /api/mealplan/cost-projection?period=month&month=YYYY-MM
+ * @access  Private
+ */
+const getFoodCostProjection = asyncHandler(async (req, res) => {
+  const { period = "week", from, month } = req.query;
+  let start;
+  let days;
+
+  if (period === "week") {
+    start = from ? parsePlanDate(from) : toPlanDate(new Date());
+    if (!start) {
+      res.status(400);
+      throw new Error("from must be in YYYY-MM-DD format");
+    }
+    days = 7;
+  } else if (period === "month") {
+    const monthValue = month || toIsoDate(new Date()).slice(0, 7);
+    start = /^\d{4}-\d{2}$/.test(monthValue)
+      ? parsePlanDate(`${monthValue}-01`)
+      : null;
+    if (!start) {
+      res.status(400);
+      throw new Error("month must be in YYYY-MM format");
+    }
+    days = new Date(
+      Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+  } else {
+    res.status(400);
+    throw new Error("Period must be 'week' or 'month'");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { period, ...(await projectFoodCost(start, days)) },
+  });
+});
+
+/**
+ * @desc    Recalculate the stored cost of every meal plan
+ * @route   POST /api/mealplan/recalculate-costs
+ * @access  Private/Admin
+ */
+const recalculateCosts = asyncHandler(async (req, res) => {
+  const updated = await recalculateMealPlanCosts();
+
+  res.status(200).json({
+    success: true,
+    message: `${updated} meal plan(s) recalculated`,
+  });
+});
+
+/**
+ * @desc    Get how many students eat the main dishes and each variant of the
+ *          meals served on a date, by diet, restriction and allergy
+ * @route   GET /api/mealplan/headcount?date=YYYY-MM-DD&mealType=
+ * @access  Private
+ */
+const getMealHeadcountByDiet = asyncHandler(async (req, res) => {
+  const { date, mealType } = req.query;
+
+  if (date && !parsePlanDate(date)) {
+    res.status(400);
+    throw new Error("Date must be in YYYY-MM-DD format");
+  }
+  if (mealType && !MEAL_TYPES.includes(mealType)) {
+    res.status(400);
+    throw new Error(`Meal type must be one of: ${MEAL_TYPES.join(", ")}`);
+  }
+
+  const resolved = await resolveMealPlan(date || new Date());
+  if (!resolved) {
+    res.status(404);
+    throw new Error("No meal plan is planned for this date");
+  }
+
+  const students = await Student.find({ isActive: true }).select(
+    "name admissionNumber dietaryProfile"
+  );
+
+  const meals = [];
+  for (const meal of mealType ? [mealType] : MEAL_TYPES) {
+    meals.push(await getMealHeadcount(resolved.mealPlan, meal, students));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date: resolved.date,
+      mealPlan: resolved.mealPlan._id,
+      source: resolved.source,
+      meals,
+    },
+  });
+});
+
+/**
+ * @desc    Get the nutrition one student gets from a meal plan, per meal and
+ *          per day, with warnings for nutrients below their daily target
+ * @route   GET /api/mealplan/:id/nutrition
+ * @access  Private
+ */
+const getMealPlanNutritionById = asyncHandler(async (req, res) => {
+  const mealPlan = await MealPlan.findById(req.params.id);
+  if (!mealPlan) {
+    res.status(404);
+    throw new Error("Meal plan not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      mealPlan: mealPlan._id,
+      day: mealPlan.day,
+      ...(await getMealPlanNutrition(mealPlan)),
+    },
+  });
+});
+
+/**
+ * @desc    Get the nutrition of the plan served on each date of a range and
+ *          the days that fall below the targets
+ * @route   GET /api/mealplan/nutrition-report?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access  Private
+ */
+const getMealPlanNutritionReport = asyncHandler(async (req, res) => {
+  const from = parsePlanDate(req.query.from);
+  const to = parsePlanDate(req.query.to);
+
+  if (!from || !to) {
+    res.status(400);
+    throw new Error("from and to are required in YYYY-MM-DD format");
+  }
+  if (to < from) {
+    res.status(400);
+    throw new Error("to cannot be before from");
+  }
+
+  const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_CALENDAR_DAYS) {
+    res.status(400);
+    throw new Error(`Range cannot be longer than ${MAX_CALENDAR_DAYS} days`);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await getNutritionReport(from, days),
+  });
+});
+
+/**
+ * @desc    Get the daily nutrition targets per student
+ * @route   GET /api/mealplan/nutrition-targets
+ * @access  Private
+ */
+const getMealPlanNutritionTargets = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: await getNutritionTargets(),
+  });
+});
+
+/**
+ * @desc    Set the daily target of a nutrient per student. A null minimum
+ *          goes back to the default target.
+ * @route   PUT /api/mealplan/nutrition-targets/:nutrient
+ * @access  Private/Admin
+ */
+const updateNutritionTarget = asyncHandler(async (req, res) => {
+  const { nutrient } = req.params;
+  const { minimum } = req.body;
+
+  if (!NUTRIENTS.includes(nutrient)) {
+    res.status(400);
+    throw new Error(`Nutrient must be one of: ${NUTRIENTS.join(", ")}`);
+  }
+  if (minimum !== null && !(typeof minimum === "number" && minimum > 0)) {
+    res.status(400);
+    throw new Error(
+      "Minimum must be a positive number, or null for the default"
+    );
+  }
+
+  const existing = await NutritionTarget.findOne({ nutrient });
+
+  if (minimum === null) {
+    if (existing) {
+      await NutritionTarget.findByIdAndDelete(existing._id);
+      await recordAudit(req, {
+        action: "delete",
+        entity: "NutritionTarget",
+        entityId: existing._id,
+        before: existing,
+      });
+    }
+  } else {
+    const target = await NutritionTarget.findOneAndUpdate(
+      { nutrient },
+      { minimum, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await recordAudit(req, {
+      action: existing ? "update" : "create",
+      entity: "NutritionTarget",
+      entityId: target._id,
+      before: existing,
+      after: target,
+    });
+  }
+
+  const targets = await getNutritionTargets();
+
+  res.status(200).json({
+    success: true,
+    message: `Daily ${nutrient} target is now ${targets[nutrient].minimum} ${
+      targets[nutrient].unit
+    }${minimum === null ? " (default)" : ""}`,
+    data: { nutrient, ...targets[nutrient] },
+  });
+});
+
+/**
+ * @desc    Create a rotating menu cycle
+ * @route   POST /api/mealplan/cycles
+ * @access  Private/Admin
+ */
+const createMenuCycle = asyncHandler(async (req, res) => {
+  const { name, weeks, effectiveFrom, effectiveTo, notes } = req.body;
+
+  if (!name || !weeks || !effectiveFrom) {
+    res.status(400);
+    throw new Error("Name, weeks and effective from date are required");
+  }
+
+  const cycle = new MenuCycle({
+    name,
+    weeks,
+    ...parseCycleDates(res, effectiveFrom, effectiveTo),
+    notes,
+    createdBy: req.user?._id || null,
+  });
+  await checkCycleOverlap(res, cycle);
+  await cycle.save();
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "MenuCycle",
+    entityId: cycle._id,
+    after: cycle,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Menu cycle ${cycle.name} created successfully`,
+    data: cycle,
+  });
+});
+
+/**
+ * @desc    Get all menu cycles
+ * @route   GET /api/mealplan/cycles
+ * @access  Private
+ */
+const getMenuCycles = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === "true";
+  }
+
+  const cycles = await MenuCycle.find(query).sort({ effectiveFrom: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: cycles.length,
+    data: cycles,
+  });
+});
+
+/**
+ * @desc    Get a menu cycle with its meal plans
+ * @route   GET /api/mealplan/cycles/:id
+ * @access  Private
+ */
+const getMenuCycleById = asyncHandler(async (req, res) => {
+  const cycle = await MenuCycle.findById(req.params.id);
+  if (!cycle) {
+    res.status(404);
+    throw new Error("Menu cycle not found");
+  }
+
+  const mealPlans = await MealPlan.find({ cycle: cycle._id })
+    .populate(MEAL_PLAN_POPULATE)
+    .lean();
+  mealPlans.sort(
+    (a, b) =>
+      a.week - b.week || DAY_NAMES.indexOf(a.day) - DAY_NAMES.indexOf(b.day)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { ...cycle.toObject(), mealPlans },
+  });
+});
+
+/**
+ * @desc    Update a menu cycle
+ * @route   PUT /api/mealplan/cycles/:id
+ * @access  Private/Admin
+ */
+const updateMenuCycle = asyncHandler(async (req, res) => {
+  const { name, weeks, effectiveFrom, effectiveTo, isActive, notes } = req.body;
+
+  const cycle = await MenuCycle.findById(req.params.id);
+  if (!cycle) {
+    res.status(404);
+    throw new Error("Menu cycle not found");
+  }
+
+  const before = snapshot(cycle);
+
+  if (weeks !== undefined && weeks < cycle.weeks) {
+    const plansBeyond = await MealPlan.countDocuments({
+      cycle: cycle._id,
+      week: { $gt: weeks },
+    });
+    if (plansBeyond > 0) {
+      res.status(400);
+      throw new Error(
+        `Delete the ${plansBeyond} meal plan(s) after week ${weeks} first`
+      );
+    }
+  }
+
+  if (effectiveFrom !== undefined || effectiveTo !== undefined) {
+    Object.assign(
+      cycle,
+      parseCycleDates(
+        res,
+        effectiveFrom ?? cycle.effectiveFrom.toISOString().slice(0, 10),
+        effectiveTo !== undefined
+          ? effectiveTo
+          : cycle.effectiveTo?.toISOString().slice(0, 10)
+      )
+    );
+  }
+  if (name !== undefined) cycle.name = name;
+  if (weeks !== undefined) cycle.weeks = weeks;
+  if (isActive !== undefined) cycle.isActive = isActive;
+  if (notes !== undefined) cycle.notes = notes;
+
+  await checkCycleOverlap(res, cycle);
+  const updatedCycle = await cycle.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "MenuCycle",
+    entityId: updatedCycle._id,
+    before,
+    after: updatedCycle,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Menu cycle ${updatedCycle.name} updated successfully`,
+    data: updatedCycle,
+  });
+});
+
+/**
+ * @desc    Delete a menu cycle and its meal plans
+ * @route   DELETE /api/mealplan/cycles/:id
+ * @access  Private/Admin
+ */
+const deleteMenuCycle = asyncHandler(async (req, res) => {
+  const cycle = await MenuCycle.findById(req.params.id);
+  if (!cycle) {
+    res.status(404);
+    throw new Error("Menu cycle not found");
+  }
+
+  const { deletedCount } = await MealPlan.deleteMany({ cycle: cycle._id });
+  await MenuCycle.findByIdAndDelete(cycle._id);
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "MenuCycle",
+    entityId: cycle._id,
+    before: cycle,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Menu cycle ${cycle.name} and ${deletedCount} meal plan(s) deleted successfully`,
+  });
+});
+
 export {
   createMealPlan,
   getAllMealPlans,
   getMealPlanById,
   updateMealPlan,
   deleteMealPlan,
+  getResolvedMealPlan,
+  getMealPlanCalendar,
+  getMealPlanCost,
+  getFoodCostProjection,
+  recalculateCosts,
+  getMealHeadcountByDiet,
+  getMealPlanNutritionById,
+  getMealPlanNutritionReport,
+  getMealPlanNutritionTargets,
+  updateNutritionTarget,
+  createMenuCycle,
+  getMenuCycles,
+  getMenuCycleById,
+  updateMenuCycle,
+  deleteMenuCycle,
 };
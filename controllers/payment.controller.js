@@ -0,0 +1,342 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Payment from "../models/payment.model.js";
+import Invoice from "../models/invoice.model.js";
+import { saveInvoice } from "./invoice.controller.js";
+import { createReceiptNumber } from "../utils/feeBilling.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { HOSTEL_NAME } from "../utils/constants.js";
+
+const PAYMENT_METHODS = ["cash", "bank_transfer", "cheque", "card", "online"];
+
+/**
+ * @desc    Record a (full or partial) payment against an invoice
+ * @route   POST /api/payments
+ * @access  Private/Accountant
+ */
+const recordPayment = asyncHandler(async (req, res) => {
+  const { invoiceId, amount, method, reference, paidAt, notes } = req.body;
+
+  if (!invoiceId || amount === undefined || !method) {
+    res.status(400);
+    throw new Error("Invoice, amount and payment method are required");
+  }
+
+  if (!PAYMENT_METHODS.includes(method)) {
+    res.status(400);
+    throw new Error(
+      `Invalid payment method. Must be one of: ${PAYMENT_METHODS.join(", ")}`
+    );
+  }
+
+  const paymentAmount = Math.round(Number(amount) * 100) / 100;
+  if (!(paymentAmount > 0)) {
+    res.status(400);
+    throw new Error("Amount must be a positive number");
+  }
+
+  const paymentDate = paidAt ? new Date(paidAt) : new Date();
+  if (isNaN(paymentDate.getTime()) || paymentDate > new Date()) {
+    res.status(400);
+    throw new Error(
+      "Payment date must be a valid date that is not in the future"
+    );
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    res.status(400);
+    throw new Error("Invalid invoice ID");
+  }
+
+  const invoice = await Invoice.findById(invoiceId);
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error("Invoice not found");
+  }
+
+  if (["paid", "waived", "cancelled"].includes(invoice.status)) {
+    res.status(400);
+    throw new Error(
+      `Cannot record a payment on an invoice that is ${invoice.status}`
+    );
+  }
+
+  if (paymentAmount > invoice.balance) {
+    res.status(400);
+    throw new Error(
+      `Amount exceeds the outstanding balance of ${invoice.balance}`
+    );
+  }
+
+  const invoiceBefore = snapshot(invoice);
+
+  invoice.amountPaid =
+    Math.round((invoice.amountPaid + paymentAmount) * 100) / 100;
+  invoice.recalculate();
+
+  // The payment is written first so the invoice never shows money without a
+  // receipt behind it; it is removed again if the invoice cannot be saved
+  const payment = await Payment.create({
+    receiptNumber: await createReceiptNumber(paymentDate),
+    invoice: invoice._id,
+    student: invoice.student,
+    amount: paymentAmount,
+    method,
+    reference,
+    paidAt: paymentDate,
+    balanceAfter: invoice.balance,
+    receivedBy: req.user._id,
+    notes,
+  });
+
+  // The version check on save stops two payments from both passing the
+  // balance check above
+  try {
+    await saveInvoice(invoice, res);
+  } catch (error) {
+    await Payment.deleteOne({ _id: payment._id });
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "Payment",
+    entityId: payment._id,
+    after: payment,
+  });
+  await recordAudit(req, {
+    action: "update",
+    entity: "Invoice",
+    entityId: invoice._id,
+    before: invoiceBefore,
+    after: invoice,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Payment recorded, receipt ${payment.receiptNumber}`,
+    data: { payment, invoice },
+  });
+});
+
+/**
+ * @desc    Get payments with filtering
+ * @route   GET /api/payments
+ * @access  Private
+ */
+const getPayments = asyncHandler(async (req, res) => {
+  const {
+    student,
+    invoice,
+    method,
+    fromDate,
+    toDate,
+    includeVoided,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  let query = {};
+
+  if (student) {
+    if (!mongoose.Types.ObjectId.isValid(student)) {
+      res.status(400);
+      throw new Error("Invalid student");
+    }
+    query.student = new mongoose.Types.ObjectId(student);
+  }
+
+  if (invoice) {
+    if (!mongoose.Types.ObjectId.isValid(invoice)) {
+      res.status(400);
+      throw new Error("Invalid invoice");
+    }
+    query.invoice = new mongoose.Types.ObjectId(invoice);
+  }
+
+  if (method) query.method = method;
+  if (includeVoided !== "true") query.voidedAt = null;
+
+  // Date range filtering (YYYY-MM-DD, inclusive)
+  if (fromDate || toDate) {
+    query.paidAt = {};
+    if (fromDate) {
+      const from = new Date(fromDate);
+      if (isNaN(from.getTime())) {
+        res.status(400);
+        throw new Error("Invalid fromDate. Use YYYY-MM-DD.");
+      }
+      query.paidAt.$gte = from;
+    }
+    if (toDate) {
+      const to = new Date(toDate);
+      if (isNaN(to.getTime())) {
+        res.status(400);
+        throw new Error("Invalid toDate. Use YYYY-MM-DD.");
+      }
+      to.setUTCHours(23, 59, 59, 999);
+      query.paidAt.$lte = to;
+    }
+  }
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = Math.min(parseInt(limit) || 20, 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [payments, total, totals] = await Promise.all([
+    Payment.find(query)
+      .populate("student", "name admissionNumber")
+      .populate("invoice", "invoiceNumber billingMonth")
+      .populate("receivedBy", "firstName lastName")
+      .sort({ paidAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Payment.countDocuments(query),
+    Payment.aggregate([
+      { $match: { ...query, voidedAt: null } },
+      { $group: { _id: null, amount: { $sum: "$amount" } } },
+    ]),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    total,
+    page: pageNum,
+    pages: Math.ceil(total / limitNum),
+    totalAmount: totals[0] ? totals[0].amount : 0,
+    data: payments,
+  });
+});
+
+/**
+ * @desc    Get the receipt of a payment
+ * @route   GET /api/payments/:id/receipt
+ * @access  Private
+ */
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid payment ID");
+  }
+
+  const payment = await Payment.findById(req.params.id)
+    .populate("student", "name admissionNumber dorm class")
+    .populate("invoice", "invoiceNumber billingMonth total lineItems")
+    .populate("receivedBy", "firstName lastName")
+    .lean();
+
+  if (!payment) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      issuer: HOSTEL_NAME,
+      receiptNumber: payment.receiptNumber,
+      issuedAt: payment.createdAt,
+      paidAt: payment.paidAt,
+      student: payment.student,
+      invoice: payment.invoice,
+      amount: payment.amount,
+      method: payment.method,
+      reference: payment.reference,
+      balanceAfter: payment.balanceAfter,
+      receivedBy: payment.receivedBy
+        ? `${payment.receivedBy.firstName} ${payment.receivedBy.lastName}`
+        : null,
+      voided: !!payment.voidedAt,
+      voidReason: payment.voidReason,
+    },
+  });
+});
+
+/**
+ * @desc    Void a payment recorded by mistake and restore the invoice balance
+ * @route   POST /api/payments/:id/void
+ * @access  Private/Accountant
+ */
+const voidPayment = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    res.status(400);
+    throw new Error("A reason is required to void a payment");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error("Invalid payment ID");
+  }
+
+  const paymentBefore = await Payment.findById(req.params.id).lean();
+
+  if (!paymentBefore) {
+    res.status(404);
+    throw new Error("Payment not found");
+  }
+
+  // Claim the void first so two concurrent requests cannot both take the
+  // amount off the invoice
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentBefore._id, voidedAt: null },
+    {
+      $set: {
+        voidedAt: new Date(),
+        voidedBy: req.user._id,
+        voidReason: reason,
+      },
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    res.status(400);
+    throw new Error("Payment is already voided");
+  }
+
+  const invoice = await Invoice.findById(payment.invoice);
+  const invoiceBefore = snapshot(invoice);
+
+  invoice.amountPaid = Math.max(
+    0,
+    Math.round((invoice.amountPaid - payment.amount) * 100) / 100
+  );
+  invoice.recalculate();
+
+  try {
+    await saveInvoice(invoice, res);
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { voidedAt: null }, $unset: { voidedBy: 1, voidReason: 1 } }
+    );
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Payment",
+    entityId: payment._id,
+    before: paymentBefore,
+    after: payment,
+  });
+  await recordAudit(req, {
+    action: "update",
+    entity: "Invoice",
+    entityId: invoice._id,
+    before: invoiceBefore,
+    after: invoice,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Payment ${payment.receiptNumber} voided`,
+    data: { payment, invoice },
+  });
+});
+
+export { recordPayment, getPayments, getPaymentReceipt, voidPayment };
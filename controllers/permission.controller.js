@@ -0,0 +1,203 @@
+import asyncHandler from "express-async-handler";
+import RolePermission from "../models/rolePermission.model.js";
+import TwoFactorPolicy from "../models/twoFactorPolicy.model.js";
+import {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ADMIN_PERMISSIONS,
+  DEFAULT_TWO_FACTOR_REQUIRED_ROLES,
+} from "../config/permissions.js";
+import { invalidatePermissionCache } from "../utils/permissionStore.js";
+import { invalidateTwoFactorPolicyCache } from "../utils/twoFactor.js";
+import { recordAudit } from "../utils/auditLogger.js";
+
+/**
+ * @desc    Get the permission registry and the mapping of every role
+ * @route   GET /api/permissions
+ * @access  Private/Admin
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  const mappings = await RolePermission.find({}).lean();
+  const twoFactorPolicies = await TwoFactorPolicy.find({}).lean();
+
+  const roles = ROLES.map((role) => {
+    const mapping = mappings.find((item) => item.role === role);
+    const twoFactorPolicy = twoFactorPolicies.find(
+      (item) => item.role === role
+    );
+    return {
+      role,
+      permissions: mapping
+        ? mapping.permissions
+        : DEFAULT_ROLE_PERMISSIONS[role] || [],
+      isDefault: !mapping,
+      updatedAt: mapping ? mapping.updatedAt : null,
+      requireTwoFactor: twoFactorPolicy
+        ? twoFactorPolicy.required
+        : DEFAULT_TWO_FACTOR_REQUIRED_ROLES.includes(role),
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description,
+      })),
+      roles,
+    },
+  });
+});
+
+/**
+ * @desc    Replace the permissions granted to a role
+ * @route   PUT /api/permissions/:role
+ * @access  Private/Admin
+ */
+const updateRolePermissions = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+
+  if (!ROLES.includes(role)) {
+    res.status(400);
+    throw new Error("Invalid role provided");
+  }
+
+  if (!Array.isArray(permissions)) {
+    res.status(400);
+    throw new Error("Permissions must be an array");
+  }
+
+  const unknown = permissions.filter(
+    (permission) => !(permission in PERMISSIONS)
+  );
+  if (unknown.length > 0) {
+    res.status(400);
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  if (role === "admin") {
+    const missing = LOCKED_ADMIN_PERMISSIONS.filter(
+      (permission) => !permissions.includes(permission)
+    );
+    if (missing.length > 0) {
+      res.status(400);
+      throw new Error(
+        `The admin role cannot lose these permissions: ${missing.join(", ")}`
+      );
+    }
+  }
+
+  const existing = await RolePermission.findOne({ role });
+
+  const mapping = await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  invalidatePermissionCache(role);
+
+  await recordAudit(req, {
+    action: existing ? "update" : "create",
+    entity: "RolePermission",
+    entityId: mapping._id,
+    before: existing,
+    after: mapping,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Permissions for ${role} updated successfully`,
+    data: mapping,
+  });
+});
+
+/**
+ * @desc    Reset a role back to its default permissions
+ * @route   DELETE /api/permissions/:role
+ * @access  Private/Admin
+ */
+const resetRolePermissions = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+
+  if (!ROLES.includes(role)) {
+    res.status(400);
+    throw new Error("Invalid role provided");
+  }
+
+  const existing = await RolePermission.findOneAndDelete({ role });
+  invalidatePermissionCache(role);
+
+  if (existing) {
+    await recordAudit(req, {
+      action: "delete",
+      entity: "RolePermission",
+      entityId: existing._id,
+      before: existing,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Permissions for ${role} reset to defaults`,
+    data: { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] || [] },
+  });
+});
+
+/**
+ * @desc    Require (or stop requiring) two-factor authentication for a role.
+ *          Users of the role without two-factor are sent to enrolment on
+ *          their next request.
+ * @route   PUT /api/permissions/:role/two-factor
+ * @access  Private/Admin
+ */
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const { required } = req.body;
+
+  if (!ROLES.includes(role)) {
+    res.status(400);
+    throw new Error("Invalid role provided");
+  }
+
+  if (typeof required !== "boolean") {
+    res.status(400);
+    throw new Error("Required must be true or false");
+  }
+
+  const existing = await TwoFactorPolicy.findOne({ role });
+
+  const policy = await TwoFactorPolicy.findOneAndUpdate(
+    { role },
+    { required, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  invalidateTwoFactorPolicyCache(role);
+
+  await recordAudit(req, {
+    action: existing ? "update" : "create",
+    entity: "TwoFactorPolicy",
+    entityId: policy._id,
+    before: existing,
+    after: policy,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Two-factor authentication is now ${
+      required ? "required" : "optional"
+    } for ${role}`,
+    data: policy,
+  });
+});
+
+export {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  updateTwoFactorPolicy,
+};
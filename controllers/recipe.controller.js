@@ -0,0 +1,377 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Recipe from "../models/recipe.model.js";
+import MealPlan from "../models/mealplan.model.js";
+import InventoryItem from "../models/inventory.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import {
+  mealPlansUsingRecipe,
+  refreshMealPlansUsingRecipe,
+  getRecipeRequirements,
+} from "../utils/recipes.js";
+import { validateTags } from "../utils/dietary.js";
+import { validateNutrition } from "../utils/nutrition.js";
+import { MEAL_TYPES, DIETARY_TAGS, ALLERGENS } from "../utils/constants.js";
+
+/**
+ * Check the ingredient list of a recipe
+ * @returns {Promise<Array>} { inventoryItemId, quantity }
+ */
+const parseIngredients = async (res, ingredients) => {
+  if (!Array.isArray(ingredients) || ingredients.length === 0) {
+    res.status(400);
+    throw new Error("A recipe needs at least one ingredient");
+  }
+
+  const seen = new Set();
+  for (const ingredient of ingredients) {
+    const { inventoryItemId, quantity } = ingredient;
+    if (!mongoose.Types.ObjectId.isValid(inventoryItemId)) {
+      res.status(400);
+      throw new Error(`Invalid inventory item ID: ${inventoryItemId}`);
+    }
+    if (seen.has(String(inventoryItemId))) {
+      res.status(400);
+      throw new Error(`Inventory item ${inventoryItemId} is listed twice`);
+    }
+    seen.add(String(inventoryItemId));
+    if (typeof quantity !== "number" || !(quantity > 0)) {
+      res.status(400);
+      throw new Error("Ingredient quantities must be positive numbers");
+    }
+  }
+
+  const found = await InventoryItem.countDocuments({ _id: { $in: [...seen] } });
+  if (found !== seen.size) {
+    res.status(400);
+    throw new Error("Some ingredients are not inventory items");
+  }
+
+  return ingredients.map(({ inventoryItemId, quantity }) => ({
+    inventoryItemId,
+    quantity,
+  }));
+};
+
+/**
+ * Check the meal types, diet tags and allergens of a recipe
+ * @returns {String|null} Error message, null when valid
+ */
+const validateRecipeTags = ({ mealTypes, suitableFor, allergens }) =>
+  (mealTypes !== undefined &&
+    validateTags(mealTypes, MEAL_TYPES, "meal types")) ||
+  (suitableFor !== undefined &&
+    validateTags(suitableFor, DIETARY_TAGS, "diet tags")) ||
+  (allergens !== undefined &&
+    validateTags(allergens, ALLERGENS, "allergens")) ||
+  null;
+
+/**
+ * @desc    Create a recipe
+ * @route   POST /api/recipes
+ * @access  Private/Admin
+ */
+const createRecipe = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    mealTypes,
+    servings,
+    ingredients,
+    suitableFor,
+    allergens,
+    nutritionPerServing,
+  } = req.body;
+
+  if (!name || !servings) {
+    res.status(400);
+    throw new Error("Dish name and servings are required");
+  }
+
+  const tagError = validateRecipeTags(req.body);
+  if (tagError) {
+    res.status(400);
+    throw new Error(tagError);
+  }
+  const nutritionError =
+    nutritionPerServing !== undefined && validateNutrition(nutritionPerServing);
+  if (nutritionError) {
+    res.status(400);
+    throw new Error(nutritionError);
+  }
+
+  const existingRecipe = await Recipe.findOne({
+    name: { $regex: new RegExp(`^${name}$`, "i") },
+  });
+  if (existingRecipe) {
+    res.status(400);
+    throw new Error(`Recipe "${name}" already exists`);
+  }
+
+  const recipe = await Recipe.create({
+    name,
+    description,
+    mealTypes: mealTypes || [],
+    servings,
+    ingredients: await parseIngredients(res, ingredients),
+    suitableFor: suitableFor || [],
+    allergens: allergens || [],
+    nutritionPerServing,
+    createdBy: req.user?._id || null,
+  });
+
+  await recordAudit(req, {
+    action: "create",
+    entity: "Recipe",
+    entityId: recipe._id,
+    after: recipe,
+  });
+
+  await recipe.populate("ingredients.inventoryItemId", "name unit");
+
+  res.status(201).json({
+    success: true,
+    message: `Recipe ${recipe.name} created successfully`,
+    data: recipe,
+  });
+});
+
+/**
+ * @desc    Get all recipes (with pagination & filtering)
+ * @route   GET /api/recipes
+ * @access  Private
+ */
+const getAllRecipes = asyncHandler(async (req, res) => {
+  const { search, mealType, suitableFor, isActive, ingredient } = req.query;
+  const query = {};
+
+  if (search) {
+    query.name = { $regex: new RegExp(search, "i") };
+  }
+  if (mealType) {
+    query.mealTypes = mealType;
+  }
+  // Dishes suitable for a diet or religious restriction
+  if (suitableFor) {
+    query.suitableFor = suitableFor;
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+  // Recipes using an inventory item
+  if (ingredient) {
+    if (!mongoose.Types.ObjectId.isValid(ingredient)) {
+      res.status(400);
+      throw new Error("Invalid inventory item ID");
+    }
+    query["ingredients.inventoryItemId"] = ingredient;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [recipes, total] = await Promise.all([
+    Recipe.find(query)
+      .populate("ingredients.inventoryItemId", "name unit")
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit),
+    Recipe.countDocuments(query),
+  ]);
+
+  res.status(200).json({
+    total,
+    data: recipes,
+  });
+});
+
+/**
+ * @desc    Get recipe by ID
+ * @route   GET /api/recipes/:id
+ * @access  Private
+ */
+const getRecipeById = asyncHandler(async (req, res) => {
+  const recipe = await Recipe.findById(req.params.id).populate(
+    "ingredients.inventoryItemId",
+    "name unit currentStock"
+  );
+
+  if (!recipe) {
+    res.status(404);
+    throw new Error("Recipe not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: recipe,
+  });
+});
+
+/**
+ * @desc    Update a recipe. Meal plans serving it get their inventory
+ *          derived again.
+ * @route   PUT /api/recipes/:id
+ * @access  Private/Admin
+ */
+const updateRecipe = asyncHandler(async (req, res) => {
+  const {
+    name,
+    description,
+    mealTypes,
+    servings,
+    ingredients,
+    suitableFor,
+    allergens,
+    nutritionPerServing,
+    isActive,
+  } = req.body;
+
+  const recipe = await Recipe.findById(req.params.id);
+  if (!recipe) {
+    res.status(404);
+    throw new Error("Recipe not found");
+  }
+
+  const tagError = validateRecipeTags(req.body);
+  if (tagError) {
+    res.status(400);
+    throw new Error(tagError);
+  }
+  const nutritionError =
+    nutritionPerServing !== undefined && validateNutrition(nutritionPerServing);
+  if (nutritionError) {
+    res.status(400);
+    throw new Error(nutritionError);
+  }
+
+  const before = snapshot(recipe);
+
+  if (name && name !== recipe.name) {
+    const existingRecipe = await Recipe.findOne({
+      _id: { $ne: recipe._id },
+      name: { $regex: new RegExp(`^${name}$`, "i") },
+    });
+    if (existingRecipe) {
+      res.status(400);
+      throw new Error(`Recipe "${name}" already exists`);
+    }
+    recipe.name = name;
+  }
+
+  if (description !== undefined) recipe.description = description;
+  if (mealTypes !== undefined) recipe.mealTypes = mealTypes;
+  if (servings !== undefined) recipe.servings = servings;
+  if (isActive !== undefined) recipe.isActive = isActive;
+  if (suitableFor !== undefined) recipe.suitableFor = suitableFor;
+  if (allergens !== undefined) recipe.allergens = allergens;
+  if (nutritionPerServing !== undefined) {
+    // Only the nutrients sent change, null goes back to the ingredients'
+    Object.entries(nutritionPerServing).forEach(([nutrient, amount]) =>
+      recipe.set(`nutritionPerServing.${nutrient}`, amount)
+    );
+  }
+  if (ingredients !== undefined) {
+    recipe.ingredients = await parseIngredients(res, ingredients);
+  }
+
+  const updatedRecipe = await recipe.save();
+  const refreshedPlans = await refreshMealPlansUsingRecipe(updatedRecipe._id);
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "Recipe",
+    entityId: updatedRecipe._id,
+    before,
+    after: updatedRecipe,
+  });
+
+  await updatedRecipe.populate("ingredients.inventoryItemId", "name unit");
+
+  res.status(200).json({
+    success: true,
+    message: `Recipe ${updatedRecipe.name} updated, ${refreshedPlans} meal plan(s) recalculated`,
+    data: updatedRecipe,
+  });
+});
+
+/**
+ * @desc    Delete a recipe that no meal plan serves
+ * @route   DELETE /api/recipes/:id
+ * @access  Private/Admin
+ */
+const deleteRecipe = asyncHandler(async (req, res) => {
+  const recipe = await Recipe.findById(req.params.id);
+  if (!recipe) {
+    res.status(404);
+    throw new Error("Recipe not found");
+  }
+
+  const usedBy = await MealPlan.countDocuments(
+    mealPlansUsingRecipe(recipe._id)
+  );
+  if (usedBy > 0) {
+    res.status(400);
+    throw new Error(
+      `Recipe is served in ${usedBy} meal plan(s), remove it from them or deactivate it instead`
+    );
+  }
+
+  await Recipe.findByIdAndDelete(recipe._id);
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "Recipe",
+    entityId: recipe._id,
+    before: recipe,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Recipe ${recipe.name} deleted successfully`,
+  });
+});
+
+/**
+ * @desc    Get the ingredients needed to cook a recipe for a number of
+ *          servings, with current stock
+ * @route   GET /api/recipes/:id/requirements?servings=
+ * @access  Private
+ */
+const getRecipeRequirementsById = asyncHandler(async (req, res) => {
+  const recipe = await Recipe.findById(req.params.id).populate(
+    "ingredients.inventoryItemId",
+    "name unit currentStock"
+  );
+  if (!recipe) {
+    res.status(404);
+    throw new Error("Recipe not found");
+  }
+
+  const servings =
+    req.query.servings !== undefined
+      ? Number(req.query.servings)
+      : recipe.servings;
+  if (!Number.isInteger(servings) || servings < 1) {
+    res.status(400);
+    throw new Error("Servings must be a positive whole number");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      recipe: { _id: recipe._id, name: recipe.name },
+      servings,
+      ingredients: getRecipeRequirements(recipe, servings),
+    },
+  });
+});
+
+export {
+  createRecipe,
+  getAllRecipes,
+  getRecipeById,
+  updateRecipe,
+  deleteRecipe,
+  getRecipeRequirementsById,
+};
@@ -1,5 +1,23 @@
 import asyncHandler from "express-async-handler";
 import Student from "../models/student.model.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { evaluateStudentConcession } from "../utils/concessionEngine.js";
+import {
+  checkDormAssignment,
+  getAssignedDorms,
+  releaseBed,
+} from "../utils/dormOccupancy.js";
+import { validateDietaryProfile } from "../utils/dietary.js";
+
+// Family details feed the concession means test. A failed evaluation must not
+// fail the student update; the accountant can re-run it from /concessions.
+const refreshConcession = async (student, req) => {
+  try {
+    await evaluateStudentConcession(student, { req });
+  } catch (error) {
+    console.error("Error evaluating student concession:", error);
+  }
+};
 
 /**
  * @desc    Create a new student
@@ -14,6 +32,7 @@ const createStudent = asyncHandler(async (req, res) => {
     admissionDate,
     dateOfBirth,
     bloodGroup,
+    gender,
     dorm,
     contact,
     class: studentClass,
@@ -22,6 +41,7 @@ const createStudent = asyncHandler(async (req, res) => {
     guardian,
     numberOfSiblings,
     isActive,
+    dietaryProfile,
   } = req.body;
 
   // Required field validation
@@ -53,6 +73,22 @@ const createStudent = asyncHandler(async (req, res) => {
     throw new Error("Admission number already exists");
   }
 
+  if (dietaryProfile) {
+    const dietaryError = validateDietaryProfile(dietaryProfile);
+    if (dietaryError) {
+      res.status(400);
+      throw new Error(dietaryError);
+    }
+  }
+
+  if (dorm) {
+    const dormError = await checkDormAssignment(dorm, { gender });
+    if (dormError) {
+      res.status(400);
+      throw new Error(dormError);
+    }
+  }
+
   // Build student object with proper nested structures
   const studentData = {
     admissionNumber,
@@ -71,8 +107,17 @@ const createStudent = asyncHandler(async (req, res) => {
 
   // Add optional fields if they exist
   if (bloodGroup) studentData.bloodGroup = bloodGroup;
+  if (gender) studentData.gender = gender;
   if (dorm) studentData.dorm = dorm;
   if (numberOfSiblings) studentData.numberOfSiblings = numberOfSiblings;
+  if (dietaryProfile) {
+    studentData.dietaryProfile = {
+      diet: dietaryProfile.diet || "regular",
+      religiousRestrictions: dietaryProfile.religiousRestrictions || [],
+      allergies: dietaryProfile.allergies || [],
+      notes: dietaryProfile.notes || "",
+    };
+  }
 
   // Handle father details
   if (father) {
@@ -108,6 +153,15 @@ const createStudent = asyncHandler(async (req, res) => {
 
   const student = await Student.create(studentData);
 
+  await recordAudit(req, {
+    action: "create",
+    entity: "Student",
+    entityId: student._id,
+    after: student,
+  });
+
+  await refreshConcession(student, req);
+
   res.status(201).json({
     success: true,
     message: `Student ${student.name} created successfully`,
@@ -135,6 +189,8 @@ const getAllStudents = asyncHandler(async (req, res) => {
     dorm,
     class: studentClass,
     isActive,
+    diet,
+    allergy,
     page = 1, // Default to page 1
     pageSize = 10, // Default to 10 items per page
   } = req.query;
@@ -161,6 +217,14 @@ const getAllStudents = asyncHandler(async (req, res) => {
     query.isActive = isActive === "true";
   }
 
+  if (diet) {
+    query["dietaryProfile.diet"] = diet;
+  }
+
+  if (allergy) {
+    query["dietaryProfile.allergies"] = allergy;
+  }
+
   if (search) {
     query.$or = [
       { name: { $regex: new RegExp(search, "i") } },
@@ -229,6 +293,44 @@ const updateStudent = asyncHandler(async (req, res) => {
     throw new Error("Student not found");
   }
 
+  const dormChanged =
+    updateData.dorm !== undefined && updateData.dorm !== student.dorm;
+  const genderChanged =
+    updateData.gender !== undefined && updateData.gender !== student.gender;
+
+  // Moving a student who holds a bed must close the bed allocation
+  if (dormChanged && student.room) {
+    res.status(400);
+    throw new Error(
+      "Student has a bed allocated, use the bed transfer endpoint to move them to another dorm"
+    );
+  }
+
+  if (dormChanged || genderChanged) {
+    const dormError = await checkDormAssignment(
+      updateData.dorm ?? student.dorm,
+      {
+        gender: updateData.gender ?? student.gender,
+        studentId: student._id,
+        isCurrentDorm: !dormChanged,
+      }
+    );
+    if (dormError) {
+      res.status(400);
+      throw new Error(dormError);
+    }
+  }
+
+  if (updateData.dietaryProfile) {
+    const dietaryError = validateDietaryProfile(updateData.dietaryProfile);
+    if (dietaryError) {
+      res.status(400);
+      throw new Error(dietaryError);
+    }
+  }
+
+  const before = snapshot(student);
+
   // Update top-level fields
   const topLevelFields = [
     "name",
@@ -236,6 +338,7 @@ const updateStudent = asyncHandler(async (req, res) => {
     "admissionDate",
     "dateOfBirth",
     "bloodGroup",
+    "gender",
     "dorm",
     "class",
     "numberOfSiblings",
@@ -314,8 +417,32 @@ const updateStudent = asyncHandler(async (req, res) => {
     };
   }
 
+  // Update dietary profile, fields not sent are kept
+  if (updateData.dietaryProfile) {
+    const current = student.dietaryProfile ?? {};
+    student.dietaryProfile = {
+      diet: updateData.dietaryProfile.diet ?? current.diet ?? "regular",
+      religiousRestrictions:
+        updateData.dietaryProfile.religiousRestrictions ??
+        current.religiousRestrictions ??
+        [],
+      allergies: updateData.dietaryProfile.allergies ?? current.allergies ?? [],
+      notes: updateData.dietaryProfile.notes ?? current.notes ?? "",
+    };
+  }
+
   const updatedStudent = await student.save();
 
+  await recordAudit(req, {
+    action: "update",
+    entity: "Student",
+    entityId: updatedStudent._id,
+    before,
+    after: updatedStudent,
+  });
+
+  await refreshConcession(updatedStudent, req);
+
   res.status(200).json({
     success: true,
     message: `Student ${updatedStudent.name} updated successfully`,
@@ -338,8 +465,16 @@ const deleteStudent = asyncHandler(async (req, res) => {
     throw new Error("Student not found");
   }
 
+  await releaseBed(student._id, { reason: "Student deleted", req });
   await Student.deleteOne({ admissionNumber });
 
+  await recordAudit(req, {
+    action: "delete",
+    entity: "Student",
+    entityId: student._id,
+    before: student,
+  });
+
   res.status(200).json({
     success: true,
     message: `Student ${student.name} deleted successfully`,
@@ -361,9 +496,35 @@ const toggleStudentStatus = asyncHandler(async (req, res) => {
     throw new Error("Student not found");
   }
 
+  // A returning student needs a place in their dorm again
+  if (!student.isActive) {
+    const dormError = await checkDormAssignment(student.dorm, {
+      gender: student.gender,
+      studentId: student._id,
+      isCurrentDorm: true,
+    });
+    if (dormError) {
+      res.status(400);
+      throw new Error(dormError);
+    }
+  } else {
+    await releaseBed(student._id, { reason: "Student deactivated", req });
+  }
+
+  const before = snapshot(student);
   student.isActive = !student.isActive;
+  student.room = null;
+  student.bed = null;
   await student.save();
 
+  await recordAudit(req, {
+    action: "update",
+    entity: "Student",
+    entityId: student._id,
+    before,
+    after: student,
+  });
+
   res.status(200).json({
     success: true,
     message: `Student ${student.name} status updated to ${
@@ -378,7 +539,8 @@ const toggleStudentStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get students for attendance marking (filter by name and dorm)
+ * @desc    Get students for attendance marking (filter by name and dorm).
+ *          Wardens only get the students of their own dorms.
  * @route   GET /api/students/attendance
  * @access  Private
  */
@@ -396,6 +558,20 @@ const getStudentsForAttendance = asyncHandler(async (req, res) => {
     query.dorm = dorm;
   }
 
+  const assignedDorms = await getAssignedDorms(req.user);
+  if (assignedDorms) {
+    const dormNames = assignedDorms.map((d) => d.name);
+    if (dormNames.length === 0) {
+      res.status(403);
+      throw new Error("You are not assigned to any dorm");
+    }
+    if (dorm && !dormNames.includes(dorm)) {
+      res.status(403);
+      throw new Error(`You are not the warden of ${dorm}`);
+    }
+    if (!dorm) query.dorm = { $in: dormNames };
+  }
+
   if (search) {
     query.$or = [
       { name: { $regex: new RegExp(search, "i") } },
@@ -0,0 +1,246 @@
+import asyncHandler from "express-async-handler";
+import User from "../models/user.model.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+} from "../utils/totp.js";
+import {
+  isTwoFactorRequired,
+  getTwoFactorSetupDeadline,
+  generateBackupCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+} from "../utils/twoFactor.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
+import { TWO_FACTOR_ISSUER } from "../utils/constants.js";
+
+/**
+ * @desc    Get the two-factor status of the current user
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.backupCodeHashes"
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      required: await isTwoFactorRequired(user.role),
+      setupDeadline: await getTwoFactorSetupDeadline(user),
+      backupCodesRemaining: user.twoFactor?.enabled
+        ? user.twoFactor.backupCodeHashes.length
+        : 0,
+    },
+  });
+});
+
+/**
+ * @desc    Start enrolment - generates a secret and its provisioning URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error(
+      "Two-factor authentication is already enabled, disable it first"
+    );
+  }
+
+  // Starting again replaces any unfinished enrolment
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Scan the QR code with your authenticator app, then confirm with a code",
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER,
+      }),
+    },
+  });
+});
+
+/**
+ * @desc    Finish enrolment - verifies the first code and issues backup codes
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error("Verification code is required");
+  }
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret"
+  );
+
+  if (user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    res.status(400);
+    throw new Error("Start two-factor setup before enabling it");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+
+  if (step === null) {
+    res.status(400);
+    throw new Error("Invalid verification code");
+  }
+
+  const before = snapshot(user);
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodeHashes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store the backup codes somewhere safe, they are only shown once",
+    data: { backupCodes: codes },
+  });
+});
+
+/**
+ * @desc    Disable two-factor for the current user
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  if (!password || (!code && !backupCode)) {
+    res.status(400);
+    throw new Error("Password and a code or backup code are required");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    res.status(403);
+    throw new Error(
+      `Two-factor authentication is required for the ${user.role} role`
+    );
+  }
+
+  if (!(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error("Password is incorrect");
+  }
+
+  if (!(await verifySecondFactor(user._id, { code, backupCode }))) {
+    res.status(401);
+    throw new Error("Invalid verification code");
+  }
+
+  const before = snapshot(user);
+  await clearTwoFactor(user._id);
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: await User.findById(user._id),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+/**
+ * @desc    Replace all backup codes with a new set
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    res.status(400);
+    throw new Error("Verification code is required");
+  }
+
+  if (!req.user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  // Only the authenticator app can mint new codes, not an old backup code
+  if (!(await verifySecondFactor(req.user._id, { code }))) {
+    res.status(401);
+    throw new Error("Invalid verification code");
+  }
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.backupCodeHashes"
+  );
+  const before = snapshot(user);
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.backupCodeHashes = hashes;
+  await user.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "New backup codes generated, the old ones no longer work",
+    data: { backupCodes: codes },
+  });
+});
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+};
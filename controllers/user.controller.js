@@ -1,5 +1,9 @@
 import asyncHandler from "express-async-handler";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { revokeSession, revokeUserSessions } from "../utils/sessionStore.js";
+import { clearTwoFactor } from "../utils/twoFactor.js";
+import { recordAudit, snapshot } from "../utils/auditLogger.js";
 
 /**
  * @desc    Create a new user
@@ -14,7 +18,7 @@ const createUser = asyncHandler(async (req, res) => {
     throw new Error("All fields are required");
   }
 
-  const validRoles = ["admin", "warden", "accountant", "kitchen"];
+  const validRoles = ["admin", "warden", "accountant", "kitchen", "kiosk"];
   if (role && !validRoles.includes(role)) {
     res.status(400);
     throw new Error("Invalid role provided");
@@ -40,11 +44,20 @@ const createUser = asyncHandler(async (req, res) => {
     phone,
     password,
     role: role || "student",
+    // The admin chose this password, so the owner has to replace it
+    mustChangePassword: true,
   };
 
   const user = await User.create(userObject);
 
   if (user) {
+    await recordAudit(req, {
+      action: "create",
+      entity: "User",
+      entityId: user._id,
+      after: user,
+    });
+
     res.status(201).json({
       success: true,
       message: `User ${user.firstName} ${user.lastName} created successfully`,
@@ -56,6 +69,7 @@ const createUser = asyncHandler(async (req, res) => {
         nic: user.nic,
         phone: user.phone,
         role: user.role,
+        mustChangePassword: user.mustChangePassword,
         createdAt: user.createdAt,
       },
     });
@@ -194,19 +208,36 @@ const updateUser = asyncHandler(async (req, res) => {
     }
   }
 
-  const updateData = {};
-  if (firstName) updateData.firstName = firstName;
-  if (lastName) updateData.lastName = lastName;
-  if (email) updateData.email = email;
-  if (nic) updateData.nic = nic;
-  if (phone) updateData.phone = phone;
-  if (role) updateData.role = role;
-  if (password) updateData.password = password;
+  const before = snapshot(user);
 
-  const updatedUser = await User.findByIdAndUpdate(id, updateData, {
-    new: true,
-    runValidators: true,
-  }).select("-password");
+  if (firstName) user.firstName = firstName;
+  if (lastName) user.lastName = lastName;
+  if (email) user.email = email;
+  if (nic) user.nic = nic;
+  if (phone) user.phone = phone;
+  if (role) user.role = role;
+  if (password) {
+    // Saved through the document so the pre-save hook hashes it
+    user.password = password;
+    user.mustChangePassword = true;
+  }
+
+  await user.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  // An admin password reset signs the user out everywhere
+  if (password) {
+    await revokeUserSessions(id, "admin");
+  }
+
+  const updatedUser = await User.findById(id).select("-password");
 
   res.status(200).json({
     success: true,
@@ -236,6 +267,14 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   await User.findByIdAndDelete(id);
+  await Session.deleteMany({ user: id });
+
+  await recordAudit(req, {
+    action: "delete",
+    entity: "User",
+    entityId: user._id,
+    before: user,
+  });
 
   res.status(200).json({
     success: true,
@@ -293,15 +332,28 @@ const updateCurrentUserProfile = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = snapshot(user);
+
   if (firstName) user.firstName = firstName;
   if (lastName) user.lastName = lastName;
   if (email) user.email = email;
   if (nic) user.nic = nic;
   if (phone) user.phone = phone;
-  if (password) user.password = password;
+  if (password) {
+    user.password = password;
+    user.mustChangePassword = false;
+  }
 
   const updatedUser = await user.save();
 
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: updatedUser._id,
+    before,
+    after: updatedUser,
+  });
+
   res.status(200).json({
     success: true,
     message: "Profile updated successfully",
@@ -319,6 +371,150 @@ const updateCurrentUserProfile = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Unlock a user locked out after failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private/Admin
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  const before = snapshot(user);
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  await user.save();
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User ${user.firstName} ${user.lastName} unlocked successfully`,
+  });
+});
+
+/**
+ * @desc    Get active sessions of a user
+ * @route   GET /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select("_id");
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  const sessions = await Session.find({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-tokenHash -__v")
+    .sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    total: sessions.length,
+    data: sessions,
+  });
+});
+
+/**
+ * @desc    Revoke a single session of a user
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @access  Private/Admin
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id, sessionId } = req.params;
+
+  const session = await Session.findOne({ _id: sessionId, user: id });
+
+  if (!session) {
+    res.status(404);
+    throw new Error("Session not found");
+  }
+
+  await revokeSession(session._id, "admin");
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+    data: { id: session._id },
+  });
+});
+
+/**
+ * @desc    Revoke all sessions of a user
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private/Admin
+ */
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select("_id");
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  const revokedCount = await revokeUserSessions(user._id, "admin");
+
+  res.status(200).json({
+    success: true,
+    message: `${revokedCount} session(s) revoked successfully`,
+  });
+});
+
+/**
+ * @desc    Remove two-factor from a user who lost their authenticator and
+ *          backup codes. Their sessions are revoked so they must log in again
+ *          (and re-enrol within the setup grace period if their role
+ *          requires it).
+ * @route   DELETE /api/users/:id/two-factor
+ * @access  Private/Admin
+ */
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  if (!user.twoFactor?.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled for this user");
+  }
+
+  const before = snapshot(user);
+  await clearTwoFactor(user._id);
+  await revokeUserSessions(user._id, "admin");
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: await User.findById(user._id),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Two-factor authentication reset for ${user.firstName} ${user.lastName}`,
+  });
+});
+
 export {
   createUser,
   getAllUsers,
@@ -327,4 +523,9 @@ export {
   deleteUser,
   getCurrentUserProfile,
   updateCurrentUserProfile,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  resetUserTwoFactor,
 };
@@ -1,77 +1,143 @@
 import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
 import User from "../models/user.model.js";
+import { isSessionActive } from "../utils/sessionStore.js";
+import { hasPermission } from "../utils/permissionStore.js";
+import { getTwoFactorSetupDeadline } from "../utils/twoFactor.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 /**
- * Middleware to protect routes - verifies token and loads user data
+ * Build a middleware that verifies the access token and loads user data
+ * @param {Object} options
+ * @param {Boolean} options.allowPendingSetup - Let users who must still change
+ * their password or enrol in two-factor through (used by the routes that
+ * complete that setup)
  */
-const protect = asyncHandler(async (req, res, next) => {
-  let token = "";
-
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
-  } else if (req.cookies && req.cookies.token) {
-    token = req.cookies.token;
-  }
-
-  if (!token) {
-    res.status(401);
-    throw new Error("Not authorized, no token");
-  }
+const authenticate = ({ allowPendingSetup = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    let token = "";
 
-  try {
-    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET); // checks token expiration time
-
-    const user = await User.findById(decoded.user.id).select("-password");
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")
+    ) {
+      token = req.headers.authorization.split(" ")[1];
+    } else if (req.cookies && req.cookies.token) {
+      token = req.cookies.token;
+    }
 
-    if (!user) {
+    if (!token) {
       res.status(401);
-      throw new Error("Not authorized, user not found");
+      throw new Error("Not authorized, no token");
     }
 
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error("Token verification error:", error.message); // Log the specific error
-
-    let message = "Not authorized, token failed";
-    if (error.name === "TokenExpiredError") {
-      message = "Not authorized, token expired";
-    } else if (error.name === "JsonWebTokenError") {
-      message = "Not authorized, invalid token";
+    try {
+      const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET); // checks token expiration time
+
+      // Two-factor login challenges are signed with the same secret
+      if (!decoded.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized, invalid token",
+        });
+      }
+
+      // Access tokens die with the session they were issued for (logout / admin revoke)
+      if (decoded.sessionId && !(await isSessionActive(decoded.sessionId))) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized, session revoked",
+        });
+      }
+
+      const user = await User.findById(decoded.user.id).select("-password");
+
+      if (!user) {
+        res.status(401);
+        throw new Error("Not authorized, user not found");
+      }
+
+      // Accounts created or reset by an admin must set their own password first
+      if (user.mustChangePassword && !allowPendingSetup) {
+        return res.status(403).json({
+          success: false,
+          code: "PASSWORD_CHANGE_REQUIRED",
+          message: "Password change required before continuing",
+        });
+      }
+
+      // Users not enrolled yet keep working until their setup deadline
+      const setupDeadline =
+        !allowPendingSetup && (await getTwoFactorSetupDeadline(user));
+      if (setupDeadline && setupDeadline <= new Date()) {
+        return res.status(403).json({
+          success: false,
+          code: "TWO_FACTOR_SETUP_REQUIRED",
+          message: "Two-factor authentication must be set up before continuing",
+        });
+      }
+
+      req.user = user;
+      req.sessionId = decoded.sessionId || null;
+      next();
+    } catch (error) {
+      console.error("Token verification error:", error.message); // Log the specific error
+
+      let message = "Not authorized, token failed";
+      if (error.name === "TokenExpiredError") {
+        message = "Not authorized, token expired";
+      } else if (error.name === "JsonWebTokenError") {
+        message = "Not authorized, invalid token";
+      }
+
+      res.status(401).json({
+        success: false,
+        message: message,
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
     }
+  });
 
-    res.status(401).json({
-      success: false,
-      message: message,
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-});
+/**
+ * Middleware to protect routes - verifies token and loads user data
+ */
+const protect = authenticate();
+
+/**
+ * Same as protect, but also admits users with a pending forced password change
+ * or a pending two-factor enrolment
+ */
+const protectAllowPendingSetup = authenticate({ allowPendingSetup: true });
 
 /**
- * Middleware to authorize users based on role
- * @param {...String} roles - Roles allowed to access the route
+ * Middleware to authorize users based on the permissions of their role
+ * @param {...String} permissions - Permissions required (all of them)
  */
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
+const requirePermission = (...permissions) => {
+  // Catch typos when routes are defined rather than on the first request
+  const unknown = permissions.filter(
+    (permission) => !(permission in PERMISSIONS)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
     if (!req.user) {
       res.status(401);
       throw new Error("User not authenticated");
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!(await hasPermission(req.user, ...permissions))) {
       res.status(403);
       throw new Error(
-        `Role (${req.user.role}) is not authorized to access this resource`
+        `Role (${req.user.role}) lacks permission: ${permissions.join(", ")}`
       );
     }
 
     next();
-  };
+  });
 };
 
-export { protect, authorizeRoles };
+export { protect, protectAllowPendingSetup, requirePermission };
@@ -0,0 +1,84 @@
+import crypto from "node:crypto";
+import asyncHandler from "express-async-handler";
+import IdempotencyKey from "../models/idempotencyKey.model.js";
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay the stored response when a request is retried with the same
+ * Idempotency-Key header. Requests without the header run normally. Failed
+ * requests release their key so the client can retry. Must run after
+ * protect, keys are scoped per user.
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    res.status(400);
+    throw new Error(
+      `Idempotency-Key cannot be longer than ${MAX_KEY_LENGTH} characters`
+    );
+  }
+
+  const request = {
+    method: req.method,
+    path: req.originalUrl,
+    requestHash: crypto
+      .createHash("sha256")
+      .update(JSON.stringify(req.body ?? {}))
+      .digest("hex"),
+  };
+
+  let entry;
+  try {
+    entry = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      ...request,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+    if (
+      existing.method !== request.method ||
+      existing.path !== request.path ||
+      existing.requestHash !== request.requestHash
+    ) {
+      res.status(422);
+      throw new Error("Idempotency-Key was already used for another request");
+    }
+    if (!existing.completedAt) {
+      res.status(409);
+      throw new Error("A request with this Idempotency-Key is still running");
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.statusCode).json(existing.responseBody);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const saved =
+      res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+            { _id: entry._id },
+            {
+              completedAt: new Date(),
+              statusCode: res.statusCode,
+              // Stored as it was sent, documents become plain JSON
+              responseBody: JSON.parse(JSON.stringify(body)),
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: entry._id });
+    saved.catch((error) =>
+      console.error("Failed to store idempotent response:", error)
+    );
+    return json(body);
+  };
+
+  next();
+});
+
+export { idempotent };
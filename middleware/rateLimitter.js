@@ -3,23 +3,37 @@ import { logEvents } from "./logger.js";
 
 // API Rate limitter functionality
 
-const rateLimitter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 1, // limit each IP to 10 requests per `window` per minute
-  message: {
-    message:
-      "Too many request attempts from this IP, please try again after a 60 second pause",
-  },
-  handler: (req, res, next, options) => {
-    logEvents(
-      `Too many RequestsL ${options.message.message}\t${req.method}\t${req.url}\t
-            ${req.headers.origin}`,
-      "reqLog.log"
-    );
-    res.status(options.statusCode).json(options.message);
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
+/**
+ * Build an IP based rate limiter
+ * @param {Object} options
+ * @param {Number} options.windowMs - Length of the window in milliseconds
+ * @param {Number|Function} options.max - Requests allowed per IP per window,
+ * or a function returning it (read per request so .env values apply)
+ */
+const createRateLimiter = ({ windowMs = 60 * 1000, max = 10 } = {}) =>
+  rateLimit({
+    windowMs,
+    limit: max,
+    message: {
+      message: `Too many request attempts from this IP, please try again after a ${Math.ceil(
+        windowMs / 1000
+      )} second pause`,
+    },
+    handler: (req, res, next, options) => {
+      logEvents(
+        `Too many Requests: ${options.message.message}\t${req.method}\t${req.url}\t${req.headers.origin}`,
+        "reqLog.log"
+      );
+      res.status(options.statusCode).json(options.message);
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+// Login requests per IP per minute - LOGIN_RATE_LIMIT_MAX, defaults to 10
+const loginRateLimitter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: () => Number(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
 });
 
-export default rateLimitter;
+export { createRateLimiter, loginRateLimitter };
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Anomalies found by the attendance monitoring job. The key identifies what
+// was alerted about so the same anomaly is only notified once.
+const attendanceAlertSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: ["consecutive_absence", "attendance_drop", "unmarked_session"],
+      index: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    dorm: {
+      type: Schema.Types.ObjectId,
+      ref: "Dorm",
+      default: null,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    session: {
+      type: Schema.Types.ObjectId,
+      ref: "AttendanceSession",
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default model("AttendanceAlert", attendanceAlertSchema);
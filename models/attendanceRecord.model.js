@@ -1,5 +1,6 @@
 // models/AttendanceSession.js
 import mongoose from "mongoose";
+import { ATTENDANCE_STATUSES } from "../utils/constants.js";
 const { Schema, model } = mongoose;
 
 // Individual attendance record schema
@@ -13,16 +14,67 @@ const attendanceRecordSchema = new Schema(
     status: {
       type: String,
       required: true,
-      enum: ["present", "absent"],
+      // on_leave is set automatically for students checked out on leave
+      enum: ATTENDANCE_STATUSES,
       default: "absent",
     },
+    // When a late student arrived
+    arrivalTime: {
+      type: Date,
+      required: [
+        function () {
+          return this.status === "late";
+        },
+        "Arrival time is required for late students",
+      ],
+    },
     remarks: {
       type: String,
       maxlength: 200,
       trim: true,
     },
+    // manual: marked by staff, scan: QR check-in at a kiosk, auto: absent
+    // because the student did not check in before the window closed
+    source: {
+      type: String,
+      enum: ["manual", "scan", "auto"],
+      default: "manual",
+    },
+    // Session a scanned record belongs to. With the unique index below a
+    // card scanned at two kiosks at once is only checked in once.
+    session: {
+      type: Schema.Types.ObjectId,
+      ref: "AttendanceSession",
+    },
+    scannedAt: Date,
+    scannedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // When the status was decided: the client time of changes synced from
+    // an offline device, the save time otherwise. Sync conflicts are
+    // resolved on it.
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Offline change that last wrote the record, a repeated upload of it is
+    // recognised by this id
+    clientChangeId: String,
   },
   { timestamps: true }
 );
 
+attendanceRecordSchema.pre("save", function (next) {
+  if (!this.isNew && !this.isModified("changedAt")) {
+    this.changedAt = new Date();
+  }
+  next();
+});
+
+attendanceRecordSchema.index(
+  { session: 1, student: 1 },
+  { unique: true, partialFilterExpression: { session: { $exists: true } } }
+);
+
 export default model("AttendanceRecord", attendanceRecordSchema);
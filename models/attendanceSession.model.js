@@ -1,5 +1,10 @@
 // models/AttendanceSession.js
 import mongoose from "mongoose";
+import { getNextTrackedSequence } from "../utils/sequence.js";
+import {
+  ATTENDANCE_SYNC_SEQUENCE,
+  ATTENDANCE_SYNC_PENDING_MS,
+} from "../utils/constants.js";
 const { Schema, model } = mongoose;
 
 // Main attendance session schema
@@ -11,12 +16,37 @@ const attendanceSessionSchema = new Schema(
       enum: ["morning", "evening"],
       index: true,
     },
+    // Each dorm marks its own sessions. Sessions from before dorms existed
+    // have no dorm and covered the whole hostel.
+    dorm: {
+      type: Schema.Types.ObjectId,
+      ref: "Dorm",
+      default: null,
+      index: true,
+    },
     attendanceRecords: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "AttendanceRecord",
       },
     ],
+    // Students unmarked from the session and when, so an older change synced
+    // later from another device does not mark them again
+    removedRecords: [
+      {
+        _id: false,
+        student: {
+          type: Schema.Types.ObjectId,
+          ref: "Student",
+          required: true,
+        },
+        changedAt: {
+          type: Date,
+          required: true,
+        },
+        clientChangeId: String,
+      },
+    ],
     totalStudents: {
       type: Number,
       required: true,
@@ -32,6 +62,32 @@ const attendanceSessionSchema = new Schema(
       default: 0,
       min: 0,
     },
+    lateCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    excusedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    leaveCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    sickCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Students who eat in the hostel: present, late and sick bay. Meal
+    // consumption is scaled by this, not by presentCount.
+    diningCount: {
+      type: Number,
+      min: 0,
+    },
 
     markedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -42,19 +98,88 @@ const attendanceSessionSchema = new Schema(
       type: Date,
       default: Date.now,
     },
+    // QR check-in window. Scans between opensAt and closesAt mark students
+    // present (late after lateAfter); when it closes, students who did not
+    // check in are marked absent and closedAt is set.
+    checkInOpensAt: {
+      type: Date,
+      default: null,
+    },
+    checkInLateAfter: {
+      type: Date,
+      default: null,
+    },
+    checkInClosesAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    checkInClosedAt: {
+      type: Date,
+      default: null,
+    },
+    // Finalized sessions can no longer be changed
     isCompleted: {
       type: Boolean,
       default: false,
     },
+    finalizedAt: {
+      type: Date,
+      default: null,
+    },
+    finalizedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     notes: {
       type: String,
       maxlength: 500,
       trim: true,
     },
+    // Number taken from ATTENDANCE_SYNC_SEQUENCE at every save, offline
+    // devices ask for the sessions changed since the version they hold
+    syncVersion: {
+      type: Number,
+      default: 0,
+      index: true,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// One session per dorm, slot and day (markedAt is the day at midnight UTC)
+attendanceSessionSchema.index(
+  { dorm: 1, sessionType: 1, markedAt: 1 },
+  { unique: true, partialFilterExpression: { dorm: { $type: "objectId" } } }
+);
+
+// Taken outside the save's transaction, so the version stays pending until
+// devices can see the session (see getSyncedVersion)
+attendanceSessionSchema.pre("save", async function (next) {
+  this.syncVersion = await getNextTrackedSequence(
+    ATTENDANCE_SYNC_SEQUENCE,
+    ATTENDANCE_SYNC_PENDING_MS
+  );
+  next();
+});
+
+// Atomic updates (check-in scans) change the session too, so they take a
+// version the same way
+attendanceSessionSchema.pre(
+  ["updateOne", "findOneAndUpdate"],
+  async function (next) {
+    this.set(
+      "syncVersion",
+      await getNextTrackedSequence(
+        ATTENDANCE_SYNC_SEQUENCE,
+        ATTENDANCE_SYNC_PENDING_MS
+      )
+    );
+    next();
+  }
+);
+
 export default model("AttendanceSession", attendanceSessionSchema);
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One entry per create/update/delete performed through the API
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for system actions (cron jobs)
+      index: true,
+    },
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ["create", "update", "delete"],
+    },
+    // Model name of the changed document, e.g. "Student"
+    entity: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    method: {
+      type: String,
+    },
+    route: {
+      type: String,
+    },
+    // Field level before/after values, dotted paths for nested fields
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: Schema.Types.Mixed },
+        after: { type: Schema.Types.Mixed },
+      },
+    ],
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export default model("AuditLog", auditLogSchema);
@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One stay of a student in a bed. The current stay has isCurrent set; a
+// transfer or release closes it, so the closed rows are the student's
+// allocation history.
+const bedAllocationSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    dorm: {
+      type: Schema.Types.ObjectId,
+      ref: "Dorm",
+      required: true,
+    },
+    room: {
+      type: Schema.Types.ObjectId,
+      ref: "Room",
+      required: true,
+    },
+    bed: {
+      type: String,
+      required: true,
+    },
+    isCurrent: {
+      type: Boolean,
+      default: true,
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    allocatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    // Null when released by the system, e.g. when the student is deactivated
+    releasedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    releaseReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A bed holds one student and a student holds one bed at a time. The unique
+// indexes make concurrent allocations of the same bed fail instead of
+// over-allocating it.
+bedAllocationSchema.index(
+  { room: 1, bed: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true } }
+);
+bedAllocationSchema.index(
+  { student: 1 },
+  { unique: true, partialFilterExpression: { isCurrent: true } }
+);
+bedAllocationSchema.index({ student: 1, allocatedAt: -1 });
+
+export default model("BedAllocation", bedAllocationSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One band of the means test. A student gets the tier with the lowest
+// maxIncomePerCapita that their household income per capita does not exceed.
+const concessionTierSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Tier name is required"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // Monthly household income divided by household size, inclusive
+    maxIncomePerCapita: {
+      type: Number,
+      required: [true, "Maximum income per capita is required"],
+      min: [0, "Maximum income per capita cannot be negative"],
+    },
+    discountPercent: {
+      type: Number,
+      required: [true, "Discount percent is required"],
+      min: [0, "Discount percent cannot be negative"],
+      max: [100, "Discount percent cannot exceed 100"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("ConcessionTier", concessionTierSchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Named sequences for human readable document numbers (invoices, receipts)
+// and change versions (attendance sync)
+const counterSchema = new Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+  // Numbers recently taken by writes that may not be committed yet, kept
+  // for sequences taken with getNextTrackedSequence
+  pending: [
+    {
+      _id: false,
+      seq: Number,
+      takenAt: Date,
+    },
+  ],
+});
+
+export default model("Counter", counterSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Students reference their dorm by name (Student.dorm), so renaming a dorm
+// must also rename it on the students and fee structures that use it.
+// Capacity is the number of beds in the dorm's active rooms.
+const dormSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Dorm name is required"],
+      trim: true,
+      unique: true,
+    },
+    gender: {
+      type: String,
+      required: [true, "Dorm gender is required"],
+      enum: {
+        values: ["male", "female", "mixed"],
+        message: "Dorm gender must be male, female or mixed",
+      },
+    },
+    warden: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Description cannot exceed 200 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dormSchema.index({ warden: 1 });
+
+/**
+ * Whether a student of the given gender may live in this dorm. Students
+ * without a recorded gender are not restricted.
+ */
+dormSchema.methods.acceptsGender = function (gender) {
+  return !gender || this.gender === "mixed" || this.gender === gender;
+};
+
+export default model("Dorm", dormSchema);
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// A monthly charge. Leaving dorm or class empty applies it to every dorm or
+// class; a student is billed for every active structure that matches them.
+const feeStructureSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Fee name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+    dorm: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    class: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Billing months (YYYY-MM) the fee applies to, both inclusive
+    effectiveFrom: {
+      type: String,
+      required: [true, "Effective from month is required"],
+      match: [BILLING_MONTH_PATTERN, "Effective from must be YYYY-MM"],
+    },
+    effectiveTo: {
+      type: String,
+      default: null,
+      match: [BILLING_MONTH_PATTERN, "Effective to must be YYYY-MM"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feeStructureSchema.pre("validate", function (next) {
+  if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate(
+      "effectiveTo",
+      "Effective to cannot be before effective from"
+    );
+  }
+  next();
+});
+
+/**
+ * Whether this fee is charged to a student for a billing month
+ */
+feeStructureSchema.methods.appliesTo = function (student, billingMonth) {
+  return (
+    this.isActive &&
+    this.effectiveFrom <= billingMonth &&
+    (!this.effectiveTo || billingMonth <= this.effectiveTo) &&
+    (!this.dorm || this.dorm === student.dorm) &&
+    (!this.class || this.class === student.class)
+  );
+};
+
+export default model("FeeStructure", feeStructureSchema);
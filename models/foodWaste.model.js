@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import { FOOD_WASTE_CATEGORIES, MEAL_TYPES } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// Food thrown away. Leftovers of a meal name the meal and the dish (recipe,
+// in portions) or inventory item wasted; spoiled or expired stock names the
+// inventory item, whose stock is reduced.
+const foodWasteSchema = new Schema(
+  {
+    // Calendar date, stored as UTC midnight like meal plan dates
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    category: {
+      type: String,
+      enum: FOOD_WASTE_CATEGORIES,
+      required: [true, "Category is required"],
+    },
+    mealType: {
+      type: String,
+      enum: MEAL_TYPES,
+      default: null,
+    },
+    // Plan served at the meal, resolved from the date
+    mealPlan: {
+      type: Schema.Types.ObjectId,
+      ref: "MealPlan",
+      default: null,
+    },
+    recipe: {
+      type: Schema.Types.ObjectId,
+      ref: "Recipe",
+      default: null,
+    },
+    inventoryItem: {
+      type: Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      default: null,
+    },
+    // In the inventory item's unit, or portions of the recipe
+    quantity: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    unit: {
+      type: String,
+      trim: true,
+    },
+    // Value at the prices of the day it was recorded
+    cost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    stockDeducted: {
+      type: Boolean,
+      default: false,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [500, "Notes cannot exceed 500 characters"],
+    },
+    recordedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+foodWasteSchema.index({ date: 1, category: 1 });
+foodWasteSchema.index({ date: 1, mealType: 1 });
+
+export default model("FoodWaste", foodWasteSchema);
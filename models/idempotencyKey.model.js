@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Idempotency-Key headers seen per user. The response of a successful
+// request is kept so a retry gets the same answer instead of repeating it.
+const idempotencyKeySchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    // Hash of the request body, a key cannot be reused for another payload
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    // Unset while the first request is still running
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    statusCode: Number,
+    responseBody: Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// Keys are forgotten after a day
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+export default model("IdempotencyKey", idempotencyKeySchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ALLERGENS, NUTRIENTS } from "../utils/constants.js";
 
 const inventoryItemSchema = new mongoose.Schema(
   {
@@ -37,6 +38,15 @@ const inventoryItemSchema = new mongoose.Schema(
       min: [0, "Cost per unit cannot be negative"],
       default: 0,
     },
+    // Allergens the item contains, dishes using it inherit them
+    allergens: {
+      type: [{ type: String, enum: ALLERGENS }],
+      default: [],
+    },
+    // Nutrients in one unit of the item (e.g. per kg), unset when unknown
+    nutrition: Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [nutrient, { type: Number, min: 0 }])
+    ),
     lastUpdated: {
       type: Date,
       default: Date.now,
@@ -46,11 +46,37 @@ const inventoryUsageSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
-    // Which attendance session was used (for reference)
+    // Students taken off the attendance because they opted out of the meal
+    optedOutCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Students the quantities were scaled by: attendance less opt-outs. Not
+    // set on usage recorded before opt-outs existed.
+    expectedDiners: {
+      type: Number,
+      min: 0,
+    },
+    // Which attendance session was used (for reference). Only set on usage
+    // recorded before attendance was marked per dorm.
     attendanceSessionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "AttendanceSession",
     },
+    // The dorm sessions whose counts were added up
+    attendanceSessions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AttendanceSession",
+      },
+    ],
+    // Meal plan the quantities came from, when deducted from the plan
+    mealPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MealPlan",
+      default: null,
+    },
     recordedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
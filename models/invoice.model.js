@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const lineItemSchema = new Schema(
+  {
+    feeStructure: {
+      type: Schema.Types.ObjectId,
+      ref: "FeeStructure",
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Line item amount cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+// Discounts reduce the amount due; a waiver forgives whatever is left.
+// Concessions are added automatically from the student's approved means test.
+const adjustmentSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ["discount", "waiver", "concession"],
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, "Adjustment amount must be positive"],
+  },
+  reason: {
+    type: String,
+    required: [true, "Adjustment reason is required"],
+    trim: true,
+  },
+  approvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const invoiceSchema = new Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+    },
+    billingMonth: {
+      type: String,
+      required: [true, "Billing month is required"],
+      match: [BILLING_MONTH_PATTERN, "Billing month must be YYYY-MM"],
+    },
+    lineItems: {
+      type: [lineItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "Invoice needs at least one line item",
+      },
+    },
+    adjustments: [adjustmentSchema],
+
+    // Derived by recalculate(), stored so lists and totals can be queried
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    adjustmentTotal: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    // Sum of payments that have not been voided
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: [
+        "unpaid",
+        "partially_paid",
+        "overdue",
+        "paid",
+        "waived",
+        "cancelled",
+      ],
+      default: "unpaid",
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    paidAt: {
+      type: Date,
+    },
+
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+    },
+    // Null when generated by the monthly cron job
+    generatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    // Payments and adjustments read-modify-write the totals, so concurrent
+    // edits must fail instead of silently overwriting each other
+    optimisticConcurrency: true,
+  }
+);
+
+// One live invoice per student and month, so a retried or concurrent monthly
+// run cannot bill a student twice. Cancelled invoices can be issued again.
+invoiceSchema.index(
+  { student: 1, billingMonth: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: {
+        $in: ["unpaid", "partially_paid", "overdue", "paid", "waived"],
+      },
+    },
+  }
+);
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+/**
+ * Recompute totals, balance and status from line items, adjustments and
+ * amountPaid. Call before saving any change to those fields.
+ */
+invoiceSchema.methods.recalculate = function () {
+  this.subtotal = roundMoney(
+    this.lineItems.reduce((sum, item) => sum + item.amount, 0)
+  );
+  this.adjustmentTotal = roundMoney(
+    this.adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0)
+  );
+  this.total = roundMoney(Math.max(0, this.subtotal - this.adjustmentTotal));
+  this.balance = roundMoney(Math.max(0, this.total - this.amountPaid));
+
+  if (this.status === "cancelled") return this;
+
+  if (this.balance === 0) {
+    const forgiven = this.adjustments.some((adjustment) =>
+      ["waiver", "concession"].includes(adjustment.type)
+    );
+    this.status = forgiven && this.amountPaid === 0 ? "waived" : "paid";
+    this.paidAt = this.paidAt || new Date();
+  } else {
+    this.paidAt = undefined;
+    if (this.dueDate < new Date()) {
+      this.status = "overdue";
+    } else {
+      this.status = this.amountPaid > 0 ? "partially_paid" : "unpaid";
+    }
+  }
+
+  return this;
+};
+
+export default model("Invoice", invoiceSchema);
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One decision in the approval chain
+const approvalStepSchema = new Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    decidedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Note cannot exceed 200 characters"],
+    },
+  },
+  { _id: false }
+);
+
+// A request for a student to leave the hostel, usually entered by a warden
+// after a parent or guardian asks. Lifecycle:
+// pending -> approved -> checked_out -> returned, or rejected / cancelled
+// before the student leaves.
+const leaveRequestSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+    },
+    leaveType: {
+      type: String,
+      enum: {
+        values: ["home_visit", "medical", "family_event", "other"],
+        message: "Invalid leave type",
+      },
+      default: "home_visit",
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxLength: [500, "Reason cannot exceed 500 characters"],
+    },
+    destination: {
+      type: String,
+      trim: true,
+    },
+    // The parent or guardian who asked for the leave and collects the student
+    requestedFor: {
+      name: {
+        type: String,
+        trim: true,
+      },
+      relationship: {
+        type: String,
+        trim: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+    },
+    departureAt: {
+      type: Date,
+      required: [true, "Departure time is required"],
+    },
+    expectedReturnAt: {
+      type: Date,
+      required: [true, "Expected return time is required"],
+    },
+
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "approved",
+        "rejected",
+        "cancelled",
+        "checked_out",
+        "returned",
+      ],
+      default: "pending",
+    },
+    approvals: [approvalStepSchema],
+
+    // Printed on the out-pass and scanned at the gate
+    passCode: {
+      type: String,
+    },
+    checkedOutAt: {
+      type: Date,
+    },
+    checkedOutBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    checkedInAt: {
+      type: Date,
+    },
+    checkedInBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    returnedLate: {
+      type: Boolean,
+      default: false,
+    },
+    // Set when staff were alerted that the student has not returned on time
+    overdueAlertedAt: {
+      type: Date,
+    },
+
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+leaveRequestSchema.index({ student: 1, departureAt: -1 });
+leaveRequestSchema.index({ status: 1, expectedReturnAt: 1 });
+leaveRequestSchema.index(
+  { passCode: 1 },
+  { unique: true, partialFilterExpression: { passCode: { $type: "string" } } }
+);
+
+leaveRequestSchema.pre("validate", function (next) {
+  if (
+    this.departureAt &&
+    this.expectedReturnAt &&
+    this.expectedReturnAt <= this.departureAt
+  ) {
+    this.invalidate(
+      "expectedReturnAt",
+      "Expected return must be after departure"
+    );
+  }
+  next();
+});
+
+/**
+ * The first approval step still waiting for a decision, if any
+ */
+leaveRequestSchema.methods.getPendingStep = function () {
+  return this.approvals.find((step) => step.decision === "pending") || null;
+};
+
+/**
+ * Whether the student is out and past their expected return time
+ */
+leaveRequestSchema.methods.isOverdue = function (now = new Date()) {
+  return this.status === "checked_out" && this.expectedReturnAt < now;
+};
+
+export default model("LeaveRequest", leaveRequestSchema);
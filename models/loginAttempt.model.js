@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// Failed login attempts, used for per-IP brute-force protection.
+// Per-account counters live on the User document itself.
+const loginAttemptSchema = new Schema(
+  {
+    ip: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Attempts older than a day are no longer relevant to any window
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+export default model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { MEAL_TYPES } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// A student skipping one meal (exam, trip) while staying in the hostel,
+// registered by a warden before the cutoff. Cancelling it opts the student
+// back in; the document is kept for the history.
+const mealOptOutSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+    },
+    // Calendar date of the meal, stored as UTC midnight like meal plan dates
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    mealType: {
+      type: String,
+      enum: MEAL_TYPES,
+      required: [true, "Meal type is required"],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Reason cannot exceed 200 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// A student opts out of a meal once
+mealOptOutSchema.index(
+  { student: 1, date: 1, mealType: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+mealOptOutSchema.index({ date: 1, mealType: 1, status: 1 });
+
+export default model("MealOptOut", mealOptOutSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import { MEAL_TYPES } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// Meals handed out at the counter. A serving is tied to a student when their
+// card was scanned or they were picked by name, otherwise it is a headcount
+// of several anonymous servings.
+const mealServingSchema = new Schema(
+  {
+    // Calendar date of the meal, stored as UTC midnight like meal plan dates
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    mealType: {
+      type: String,
+      enum: MEAL_TYPES,
+      required: [true, "Meal type is required"],
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      default: null,
+    },
+    // Servings the entry stands for, always 1 for a student
+    count: {
+      type: Number,
+      default: 1,
+      min: [1, "Count must be at least 1"],
+    },
+    // scan: card scanned at the counter, manual: student picked by staff,
+    // headcount: anonymous servings counted by staff
+    source: {
+      type: String,
+      enum: ["scan", "manual", "headcount"],
+      default: "manual",
+    },
+    servedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    recordedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Notes cannot exceed 200 characters"],
+    },
+  },
+  { timestamps: true }
+);
+
+// A student is served each meal once
+mealServingSchema.index(
+  { student: 1, date: 1, mealType: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { student: { $type: "objectId" } },
+  }
+);
+mealServingSchema.index({ date: 1, mealType: 1 });
+
+export default model("MealServing", mealServingSchema);
@@ -1,4 +1,34 @@
 import mongoose from "mongoose";
+import { DIETARY_TAGS, ALLERGENS } from "../utils/constants.js";
+
+// Alternate dishes of a meal for students the main dishes do not suit
+const mealVariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Diets and restrictions the variant is cooked for
+  forDiets: {
+    type: [{ type: String, enum: DIETARY_TAGS }],
+    default: [],
+  },
+  // Allergies the variant is safe for. Allergens found in its recipes
+  // override this, it only counts for variants without recipes.
+  forAllergies: {
+    type: [{ type: String, enum: ALLERGENS }],
+    default: [],
+  },
+  recipes: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recipe" }],
+    default: [],
+  },
+  // Dish names, derived from recipes when the variant has them
+  dishes: {
+    type: [String],
+    default: [],
+  },
+});
 
 const mealPlanSchema = new mongoose.Schema(
   {
@@ -16,12 +46,60 @@ const mealPlanSchema = new mongoose.Schema(
       ], // restricts to valid days
     },
 
+    // Set on plans that replace the menu of one date (UTC midnight), e.g. a
+    // holiday. day is then the weekday of that date.
+    date: {
+      type: Date,
+      default: null,
+    },
+
+    // Set on plans belonging to a rotating menu cycle, for the given week
+    // of the cycle. Plans with neither date nor cycle are the default week.
+    cycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MenuCycle",
+      default: null,
+    },
+
+    week: {
+      type: Number,
+      min: [1, "Week must be at least 1"],
+      default: null,
+    },
+
+    // Cost of the day for expectedDiners, computed from the inventory of
+    // each meal and current prices
     estimatedCost: {
       type: Number,
       required: true,
       default: 0,
     },
 
+    costPerStudent: {
+      breakfast: { type: Number, default: 0 },
+      lunch: { type: Number, default: 0 },
+      dinner: { type: Number, default: 0 },
+    },
+
+    // Cost of each meal for expectedDiners
+    mealCosts: {
+      breakfast: { type: Number, default: 0 },
+      lunch: { type: Number, default: 0 },
+      dinner: { type: Number, default: 0 },
+    },
+
+    // Diners each meal was costed for, from the dining headcount
+    expectedDiners: {
+      breakfast: { type: Number, default: 0 },
+      lunch: { type: Number, default: 0 },
+      dinner: { type: Number, default: 0 },
+    },
+
+    costCalculatedAt: {
+      type: Date,
+      default: null,
+    },
+
     breakfast: {
       type: [String], // list of breakfast items (food names/descriptions)
       default: [],
@@ -37,6 +115,47 @@ const mealPlanSchema = new mongoose.Schema(
       default: [],
     },
 
+    // Recipes served at each meal. When a meal has recipes, its dish names
+    // and inventory below are derived from them.
+    breakfastRecipes: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recipe" }],
+      default: [],
+    },
+
+    lunchRecipes: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recipe" }],
+      default: [],
+    },
+
+    dinnerRecipes: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Recipe" }],
+      default: [],
+    },
+
+    // Alternate dishes of each meal for special diets and allergies
+    breakfastVariants: {
+      type: [mealVariantSchema],
+      default: [],
+    },
+
+    lunchVariants: {
+      type: [mealVariantSchema],
+      default: [],
+    },
+
+    dinnerVariants: {
+      type: [mealVariantSchema],
+      default: [],
+    },
+
+    // Allergens in the main dishes of each meal, derived from recipes and
+    // inventory items
+    allergens: {
+      breakfast: { type: [{ type: String, enum: ALLERGENS }], default: [] },
+      lunch: { type: [{ type: String, enum: ALLERGENS }], default: [] },
+      dinner: { type: [{ type: String, enum: ALLERGENS }], default: [] },
+    },
+
     // Inventory items used for each meal with quantities
     breakfastInventory: {
       type: [
@@ -121,4 +240,14 @@ const mealPlanSchema = new mongoose.Schema(
   }
 );
 
+// One override per date and one plan per weekday of each cycle week
+mealPlanSchema.index(
+  { date: 1 },
+  { unique: true, partialFilterExpression: { date: { $type: "date" } } }
+);
+mealPlanSchema.index(
+  { cycle: 1, week: 1, day: 1 },
+  { unique: true, partialFilterExpression: { cycle: { $type: "objectId" } } }
+);
+
 export default mongoose.model("MealPlan", mealPlanSchema);
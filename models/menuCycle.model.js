@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// A menu that repeats every few weeks. Week 1 starts on effectiveFrom and
+// the cycle's meal plans give the menu of each weekday of each week.
+const menuCycleSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Cycle name is required"],
+      trim: true,
+    },
+    weeks: {
+      type: Number,
+      required: [true, "Number of weeks is required"],
+      min: [1, "A cycle has at least 1 week"],
+      max: [12, "A cycle cannot be longer than 12 weeks"],
+    },
+    // Calendar dates stored as UTC midnight, both inclusive
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective from date is required"],
+    },
+    // Open ended when not set
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+      trim: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+menuCycleSchema.index({ isActive: 1, effectiveFrom: -1 });
+
+export default model("MenuCycle", menuCycleSchema);
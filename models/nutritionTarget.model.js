@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { NUTRIENTS } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// Admin-editable daily minimum of a nutrient per student. Nutrients without
+// a document fall back to DEFAULT_NUTRITION_TARGETS in utils/constants.js.
+const nutritionTargetSchema = new Schema(
+  {
+    nutrient: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: NUTRIENTS,
+    },
+    minimum: {
+      type: Number,
+      required: true,
+      min: [0, "Target cannot be negative"],
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("NutritionTarget", nutritionTargetSchema);
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const paymentSchema = new Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    invoice: {
+      type: Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: [true, "Invoice is required"],
+    },
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: [true, "Student is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be positive"],
+    },
+    method: {
+      type: String,
+      required: [true, "Payment method is required"],
+      enum: ["cash", "bank_transfer", "cheque", "card", "online"],
+    },
+    // Bank slip, cheque or transaction number
+    reference: {
+      type: String,
+      trim: true,
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Invoice balance right after this payment, printed on the receipt
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    receivedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+
+    // Payments are voided rather than deleted so receipts stay traceable
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ invoice: 1 });
+paymentSchema.index({ student: 1, paidAt: -1 });
+paymentSchema.index({ paidAt: -1 });
+
+export default model("Payment", paymentSchema);
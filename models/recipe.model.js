@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import {
+  MEAL_TYPES,
+  DIETARY_TAGS,
+  ALLERGENS,
+  NUTRIENTS,
+} from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// A dish and the inventory it takes. Ingredient quantities make `servings`
+// portions, one portion feeds one student.
+const recipeSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Dish name is required"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      trim: true,
+    },
+    // Meals the dish is usually served at, for filtering
+    mealTypes: {
+      type: [
+        {
+          type: String,
+          enum: MEAL_TYPES,
+        },
+      ],
+      default: [],
+    },
+    // Yield: number of portions the ingredient quantities make
+    servings: {
+      type: Number,
+      required: [true, "Servings is required"],
+      min: [1, "A recipe makes at least 1 serving"],
+    },
+    ingredients: {
+      type: [
+        {
+          inventoryItemId: {
+            type: Schema.Types.ObjectId,
+            ref: "InventoryItem",
+            required: true,
+          },
+          // In the inventory item's unit
+          quantity: {
+            type: Number,
+            required: true,
+            min: [0, "Quantity cannot be negative"],
+          },
+        },
+      ],
+      default: [],
+    },
+    // Diets and religious restrictions the dish is suitable for
+    suitableFor: {
+      type: [{ type: String, enum: DIETARY_TAGS }],
+      default: [],
+    },
+    // Allergens not coming from an inventory item, e.g. a garnish. The
+    // ingredients' allergens are added when the dish is served.
+    allergens: {
+      type: [{ type: String, enum: ALLERGENS }],
+      default: [],
+    },
+    // Nutrients of one serving when known better than what the ingredients
+    // add up to, e.g. from a supplier's label. Unset nutrients are derived.
+    nutritionPerServing: Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [nutrient, { type: Number, min: 0 }])
+    ),
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("Recipe", recipeSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { PERMISSIONS, ROLES } from "../config/permissions.js";
+const { Schema, model } = mongoose;
+
+// Admin-editable role to permission mapping. Roles without a document fall
+// back to DEFAULT_ROLE_PERMISSIONS in config/permissions.js.
+const rolePermissionSchema = new Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: ROLES,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) => permission in PERMISSIONS),
+        message: "Permissions contain an unknown permission",
+      },
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("RolePermission", rolePermissionSchema);
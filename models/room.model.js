@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+const roomSchema = new Schema(
+  {
+    dorm: {
+      type: Schema.Types.ObjectId,
+      ref: "Dorm",
+      required: [true, "Dorm is required"],
+    },
+    roomNumber: {
+      type: String,
+      required: [true, "Room number is required"],
+      trim: true,
+    },
+    floor: {
+      type: Number,
+    },
+    // Bed numbers as printed in the room, e.g. ["A", "B"]. The room's
+    // capacity is the number of beds.
+    beds: {
+      type: [{ type: String, trim: true }],
+      validate: [
+        {
+          validator: (beds) => beds.length > 0,
+          message: "Room needs at least one bed",
+        },
+        {
+          validator: (beds) =>
+            beds.every(Boolean) && new Set(beds).size === beds.length,
+          message: "Bed numbers must be unique and not empty",
+        },
+      ],
+    },
+    // Inactive rooms keep their current occupants but take no new ones and
+    // do not count towards the dorm's capacity
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+roomSchema.index({ dorm: 1, roomNumber: 1 }, { unique: true });
+
+roomSchema.virtual("capacity").get(function () {
+  return this.beds ? this.beds.length : 0;
+});
+
+export default model("Room", roomSchema);
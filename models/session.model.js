@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+const { Schema, model } = mongoose;
+
+// One session per logged-in device. The session id doubles as the refresh
+// token family id: every rotation keeps the same session and only swaps the
+// stored token hash, so replaying an older token revokes the whole family.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the refresh token currently issued for this session
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      default: "unknown",
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "admin",
+        "reuse_detected",
+        "password_change",
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+export default model("Session", sessionSchema);
@@ -1,4 +1,9 @@
 import mongoose from "mongoose";
+import {
+  DIETS,
+  RELIGIOUS_RESTRICTIONS,
+  ALLERGENS,
+} from "../utils/constants.js";
 const { Schema, model } = mongoose;
 
 const studentSchema = new Schema(
@@ -27,7 +32,25 @@ const studentSchema = new Schema(
       type: String,
       enum: ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"],
     },
+    gender: {
+      type: String,
+      enum: {
+        values: ["male", "female"],
+        message: "Gender must be male or female",
+      },
+    },
+    // Name of a Dorm. Room and bed are set by bed allocation, see
+    // BedAllocation for the history.
     dorm: { type: String, required: [true, "Dorm is required"] },
+    room: {
+      type: Schema.Types.ObjectId,
+      ref: "Room",
+      default: null,
+    },
+    bed: {
+      type: String,
+      default: null,
+    },
 
     // Contact Information
     contact: {
@@ -187,6 +210,28 @@ const studentSchema = new Schema(
       max: [20, "Number of siblings seems unrealistic"],
     },
 
+    // Dietary Profile
+    dietaryProfile: {
+      diet: {
+        type: String,
+        enum: DIETS,
+        default: "regular",
+      },
+      religiousRestrictions: {
+        type: [{ type: String, enum: RELIGIOUS_RESTRICTIONS }],
+        default: [],
+      },
+      allergies: {
+        type: [{ type: String, enum: ALLERGENS }],
+        default: [],
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Dietary notes cannot exceed 500 characters"],
+      },
+    },
+
     // Status
     isActive: {
       type: Boolean,
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import { BILLING_MONTH_PATTERN } from "../utils/constants.js";
+const { Schema, model } = mongoose;
+
+// The means test result for one student. `proposal` is recomputed whenever
+// the family details or the tiers change; `approved` is what invoices use and
+// only changes when an accountant reviews the proposal.
+const studentConcessionSchema = new Schema(
+  {
+    student: {
+      type: Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      unique: true,
+    },
+    proposal: {
+      tier: {
+        type: Schema.Types.ObjectId,
+        ref: "ConcessionTier",
+        default: null,
+      },
+      tierName: {
+        type: String,
+        default: null,
+      },
+      discountPercent: {
+        type: Number,
+        default: 0,
+      },
+      householdIncome: {
+        type: Number,
+        default: null,
+      },
+      householdSize: {
+        type: Number,
+        default: null,
+      },
+      incomePerCapita: {
+        type: Number,
+        default: null,
+      },
+      // No parent has an income or an "Unemployed" employment type recorded
+      insufficientData: {
+        type: Boolean,
+        default: false,
+      },
+      computedAt: {
+        type: Date,
+      },
+    },
+    approved: {
+      tier: {
+        type: Schema.Types.ObjectId,
+        ref: "ConcessionTier",
+        default: null,
+      },
+      tierName: {
+        type: String,
+        default: null,
+      },
+      discountPercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+      },
+      // True when the accountant approved something other than the proposal
+      overridden: {
+        type: Boolean,
+        default: false,
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      validFrom: {
+        type: String,
+        match: [BILLING_MONTH_PATTERN, "Valid from must be YYYY-MM"],
+      },
+      validTo: {
+        type: String,
+        default: null,
+        match: [BILLING_MONTH_PATTERN, "Valid to must be YYYY-MM"],
+      },
+      approvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedAt: {
+        type: Date,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["pending_review", "approved", "rejected", "not_eligible"],
+      default: "pending_review",
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+studentConcessionSchema.index({ status: 1 });
+
+/**
+ * Discount percent that applies to a billing month (0 when none)
+ */
+studentConcessionSchema.methods.getDiscountPercentFor = function (
+  billingMonth
+) {
+  const { discountPercent, validFrom, validTo } = this.approved || {};
+  if (!discountPercent || !validFrom) return 0;
+  if (billingMonth < validFrom) return 0;
+  if (validTo && billingMonth > validTo) return 0;
+  return discountPercent;
+};
+
+export default model("StudentConcession", studentConcessionSchema);
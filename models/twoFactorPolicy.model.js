@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { ROLES } from "../config/permissions.js";
+const { Schema, model } = mongoose;
+
+// Admin-editable two-factor enforcement per role. Roles without a document
+// fall back to DEFAULT_TWO_FACTOR_REQUIRED_ROLES in config/permissions.js.
+const twoFactorPolicySchema = new Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: ROLES,
+    },
+    required: {
+      type: Boolean,
+      required: true,
+    },
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default model("TwoFactorPolicy", twoFactorPolicySchema);
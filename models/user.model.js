@@ -34,7 +34,71 @@ const UserSchema = new Schema(
       type: String,
       required: true,
       default: "student",
-      enum: ["admin", "warden", "accountant", "kitchen"],
+      enum: ["admin", "warden", "accountant", "kitchen", "kiosk"],
+    },
+    // Set when an admin creates the account or resets its password
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Only the SHA-256 of the emailed reset token is stored
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Brute-force protection, reset on successful login or admin unlock
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // TOTP second factor. The secret only moves from pendingSecret to secret
+    // once the user has proven their authenticator app produces valid codes.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 of the unused backup codes; a code is removed once used
+      backupCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // Set the first time the user's role requires two-factor of them,
+      // they have to enrol by then
+      setupDeadline: {
+        type: Date,
+      },
     },
   },
   {
@@ -52,6 +116,7 @@ UserSchema.pre("save", async function (next) {
     // Hashing the password
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -63,4 +128,8 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+UserSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
 export default model("User", UserSchema);
@@ -7,31 +7,90 @@ import {
   deleteAttendanceSession,
   getStudentAttendanceHistory,
   checkAttendanceExists,
+  getDailyAttendance,
+  patchAttendanceRecords,
+  markStudentAttendance,
+  unmarkStudentAttendance,
+  finalizeAttendanceSession,
 } from "../controllers/attendance.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import {
+  getAttendanceSync,
+  syncAttendance,
+} from "../controllers/attendanceSync.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+import { idempotent } from "../middleware/idempotency.js";
 
 const router = express.Router();
 
 router
   .route("/")
-  .post(protect, authorizeRoles("admin", "warden"), createAttendanceSession)
-  .get(protect, authorizeRoles("admin", "warden"), getAttendanceSessions);
+  .post(
+    protect,
+    requirePermission("attendance:mark"),
+    idempotent,
+    createAttendanceSession
+  )
+  .get(protect, requirePermission("attendance:read"), getAttendanceSessions);
 
 router
   .route("/check")
-  .get(protect, authorizeRoles("admin", "warden"), checkAttendanceExists);
+  .get(protect, requirePermission("attendance:read"), checkAttendanceExists);
+
+router
+  .route("/daily")
+  .get(protect, requirePermission("attendance:read"), getDailyAttendance);
+
+router
+  .route("/sync")
+  .get(protect, requirePermission("attendance:mark"), getAttendanceSync)
+  .post(
+    protect,
+    requirePermission("attendance:mark"),
+    idempotent,
+    syncAttendance
+  );
 
 router
   .route("/:id")
-  .get(protect, authorizeRoles("admin", "warden"), getAttendanceSessionById)
-  .put(protect, authorizeRoles("admin", "warden"), updateAttendanceSession)
-  .delete(protect, authorizeRoles("admin", "warden"), deleteAttendanceSession);
+  .get(protect, requirePermission("attendance:read"), getAttendanceSessionById)
+  .put(protect, requirePermission("attendance:mark"), updateAttendanceSession)
+  .delete(
+    protect,
+    requirePermission("attendance:delete"),
+    deleteAttendanceSession
+  );
+
+router
+  .route("/:id/records")
+  .patch(
+    protect,
+    requirePermission("attendance:mark"),
+    idempotent,
+    patchAttendanceRecords
+  );
+
+router
+  .route("/:id/records/:studentId")
+  .patch(protect, requirePermission("attendance:mark"), markStudentAttendance)
+  .delete(
+    protect,
+    requirePermission("attendance:mark"),
+    unmarkStudentAttendance
+  );
+
+router
+  .route("/:id/finalize")
+  .patch(
+    protect,
+    requirePermission("attendance:mark"),
+    finalizeAttendanceSession
+  );
 
 router
   .route("/student/:studentId")
   .get(
     protect,
-    authorizeRoles(["admin", "warden"]),
+    requirePermission("attendance:read"),
     getStudentAttendanceHistory
   );
 
@@ -0,0 +1,207 @@
+import express from "express";
+const router = express.Router();
+import {
+  getStudentReport,
+  getDormReport,
+  getClassReport,
+  getBelowThresholdReport,
+  getMonthlyRegisterReport,
+} from "../controllers/attendanceReport.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance Reports
+ *   description: Attendance percentages, monthly registers and low attendance lists
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: First day, defaults to the start of the current month
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Last day, defaults to today
+ *     ReportDorm:
+ *       in: query
+ *       name: dorm
+ *       schema:
+ *         type: string
+ *       description: Dorm name. Wardens only see their own dorms.
+ *     ReportClass:
+ *       in: query
+ *       name: class
+ *       schema:
+ *         type: string
+ *     ReportSessionType:
+ *       in: query
+ *       name: sessionType
+ *       schema:
+ *         type: string
+ *         enum: [morning, evening]
+ *   schemas:
+ *     AttendanceSummary:
+ *       type: object
+ *       description: >
+ *         Percentages count present and late as attended and leave excused
+ *         and on-leave records out
+ *       properties:
+ *         totalRecords:
+ *           type: integer
+ *         presentCount:
+ *           type: integer
+ *         lateCount:
+ *           type: integer
+ *         excusedCount:
+ *           type: integer
+ *         leaveCount:
+ *           type: integer
+ *         sickCount:
+ *           type: integer
+ *         absentCount:
+ *           type: integer
+ *         attendedCount:
+ *           type: integer
+ *         expectedCount:
+ *           type: integer
+ *         attendancePercent:
+ *           type: number
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /attendance-reports/students:
+ *   get:
+ *     summary: Attendance percentage of each student
+ *     tags: [Attendance Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportDorm'
+ *       - $ref: '#/components/parameters/ReportClass'
+ *       - $ref: '#/components/parameters/ReportSessionType'
+ *     responses:
+ *       200:
+ *         description: One AttendanceSummary per student
+ *       400:
+ *         description: Invalid dates or session type
+ */
+router
+  .route("/students")
+  .get(protect, requirePermission("attendance:read"), getStudentReport);
+
+/**
+ * @swagger
+ * /attendance-reports/dorms:
+ *   get:
+ *     summary: Attendance percentage of each dorm
+ *     tags: [Attendance Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportDorm'
+ *       - $ref: '#/components/parameters/ReportClass'
+ *       - $ref: '#/components/parameters/ReportSessionType'
+ *     responses:
+ *       200:
+ *         description: One AttendanceSummary per dorm, with its student count
+ */
+router
+  .route("/dorms")
+  .get(protect, requirePermission("attendance:read"), getDormReport);
+
+/**
+ * @swagger
+ * /attendance-reports/classes:
+ *   get:
+ *     summary: Attendance percentage of each class
+ *     tags: [Attendance Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportDorm'
+ *       - $ref: '#/components/parameters/ReportClass'
+ *       - $ref: '#/components/parameters/ReportSessionType'
+ *     responses:
+ *       200:
+ *         description: One AttendanceSummary per class, with its student count
+ */
+router
+  .route("/classes")
+  .get(protect, requirePermission("attendance:read"), getClassReport);
+
+/**
+ * @swagger
+ * /attendance-reports/below-threshold:
+ *   get:
+ *     summary: Students whose attendance percentage is below a threshold
+ *     tags: [Attendance Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           default: 75
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportDorm'
+ *       - $ref: '#/components/parameters/ReportClass'
+ *       - $ref: '#/components/parameters/ReportSessionType'
+ *     responses:
+ *       200:
+ *         description: Students sorted from the lowest percentage
+ */
+router
+  .route("/below-threshold")
+  .get(protect, requirePermission("attendance:read"), getBelowThresholdReport);
+
+/**
+ * @swagger
+ * /attendance-reports/register:
+ *   get:
+ *     summary: Monthly register of each student's status per day and session
+ *     tags: [Attendance Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2025-06
+ *       - $ref: '#/components/parameters/ReportDorm'
+ *       - $ref: '#/components/parameters/ReportClass'
+ *       - $ref: '#/components/parameters/ReportSessionType'
+ *     responses:
+ *       200:
+ *         description: Students with a days grid and their monthly totals
+ *       400:
+ *         description: Missing or invalid month
+ */
+router
+  .route("/register")
+  .get(protect, requirePermission("attendance:read"), getMonthlyRegisterReport);
+
+export default router;
@@ -0,0 +1,101 @@
+import express from "express";
+const router = express.Router();
+import {
+  getAuditLogs,
+  getAuditLogById,
+} from "../controllers/audit.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of create, update and delete operations
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Search the audit trail
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: entity
+ *         in: query
+ *         description: Model name, e.g. Student, InventoryItem, AttendanceSession, User
+ *         schema:
+ *           type: string
+ *       - name: entityId
+ *         in: query
+ *         description: ID of the changed document
+ *         schema:
+ *           type: string
+ *       - name: user
+ *         in: query
+ *         description: ID of the user who made the change
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - name: fromDate
+ *         in: query
+ *         description: Start date (YYYY-MM-DD, inclusive)
+ *         schema:
+ *           type: string
+ *       - name: toDate
+ *         in: query
+ *         description: End date (YYYY-MM-DD, inclusive)
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: Matching audit entries, newest first
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing audit:read permission
+ */
+router.route("/").get(protect, requirePermission("audit:read"), getAuditLogs);
+
+/**
+ * @swagger
+ * /audit/{id}:
+ *   get:
+ *     summary: Get a single audit entry
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entry
+ *       404:
+ *         description: Audit entry not found
+ */
+router
+  .route("/:id")
+  .get(protect, requirePermission("audit:read"), getAuditLogById);
+
+export default router;
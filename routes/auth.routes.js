@@ -1,6 +1,27 @@
 import express from "express";
 const router = express.Router();
-import { login, refresh, logout } from "../controllers/auth.controller.js";
+import {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyLoginTwoFactor,
+} from "../controllers/auth.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from "../controllers/twoFactor.controller.js";
+import {
+  protect,
+  protectAllowPendingSetup,
+} from "../middleware/authmiddleware.js";
+import { loginRateLimitter } from "../middleware/rateLimitter.js";
 
 /**
  * @swagger
@@ -53,7 +74,7 @@ import { login, refresh, logout } from "../controllers/auth.controller.js";
  *             $ref: '#/components/schemas/LoginCredentials'
  *     responses:
  *       200:
- *         description: Successfully authenticated
+ *         description: Successfully authenticated, or `twoFactorRequired` with a `challengeToken` for POST /auth/login/2fa
  *         content:
  *           application/json:
  *             schema:
@@ -62,14 +83,60 @@ import { login, refresh, logout } from "../controllers/auth.controller.js";
  *         description: Unauthorized - Invalid credentials
  *       400:
  *         description: Bad request - Missing required fields
+ *       423:
+ *         description: Locked - Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many attempts - Wait for the Retry-After period
  */
-router.route("/login").post(login);
+router.route("/login").post(loginRateLimitter, login);
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Second step for users with two-factor enabled. Send either the authenticator code or one of the backup codes.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Returned by POST /auth/login, valid for 5 minutes
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               backupCode:
+ *                 type: string
+ *                 example: "3f9a1-c07de"
+ *     responses:
+ *       200:
+ *         description: Successfully authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Bad request - Missing fields
+ *       401:
+ *         description: Unauthorized - Invalid code or expired challenge
+ *       423:
+ *         description: Locked - Account temporarily locked after repeated failures
+ */
+router.route("/login/2fa").post(loginRateLimitter, verifyLoginTwoFactor);
 
 /**
  * @swagger
  * /auth/refresh:
  *   get:
  *     summary: Refresh access token
+ *     description: Rotates the refresh token cookie. Presenting an already rotated token revokes the whole session.
  *     tags: [Authentication]
  *     responses:
  *       200:
@@ -83,9 +150,9 @@ router.route("/login").post(login);
  *                   type: string
  *                   description: New JWT access token
  *       401:
- *         description: Unauthorized - Invalid or expired refresh token
- *       400:
- *         description: Bad request - Missing refresh token
+ *         description: Unauthorized - Missing refresh token
+ *       403:
+ *         description: Forbidden - Invalid, revoked or reused refresh token
  */
 router.route("/refresh").get(refresh);
 
@@ -109,4 +176,243 @@ router.route("/refresh").get(refresh);
  */
 router.route("/logout").post(logout);
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout from every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions of the current user revoked
+ *       401:
+ *         description: Unauthorized - No valid token provided
+ */
+router.route("/logout-all").post(protectAllowPendingSetup, logoutAll);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always answers with the same message so registered emails cannot be discovered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Bad request - Missing email
+ */
+router.route("/forgot-password").post(forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password using the emailed token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset, all sessions revoked
+ *       400:
+ *         description: Bad request - Invalid or expired token, or weak password
+ */
+router.route("/reset-password").post(resetPassword);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change own password
+ *     description: Required before any other call when an admin created or reset the account.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password changed, other sessions revoked
+ *       400:
+ *         description: Bad request - Missing fields or weak password
+ *       401:
+ *         description: Unauthorized - Wrong current password
+ */
+router.route("/change-password").post(protectAllowPendingSetup, changePassword);
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get own two-factor status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is enabled or required, and backup codes left
+ *       401:
+ *         description: Unauthorized - No valid token provided
+ */
+router.route("/2fa").get(protectAllowPendingSetup, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new secret and its otpauth:// URI to render as a QR code. Confirm with POST /auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Two-factor already enabled
+ *       401:
+ *         description: Unauthorized - No valid token provided
+ */
+router.route("/2fa/setup").post(protectAllowPendingSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrolment with a code from the authenticator app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled, backup codes returned once
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized - No valid token provided
+ */
+router.route("/2fa/enable").post(protectAllowPendingSetup, enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor
+ *     description: Not allowed while the user's role requires two-factor.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Missing fields or two-factor not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor is required for the role
+ */
+router.route("/2fa/disable").post(protect, disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New backup codes returned once
+ *       400:
+ *         description: Missing code or two-factor not enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.route("/2fa/backup-codes").post(protect, regenerateBackupCodes);
+
 export default router;
@@ -0,0 +1,152 @@
+import express from "express";
+const router = express.Router();
+import {
+  getCheckInToken,
+  openCheckInWindow,
+  closeCheckInWindowNow,
+  scanCheckIn,
+} from "../controllers/checkIn.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Check-in
+ *   description: QR card self check-in at kiosks during attendance windows
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckInWindowInput:
+ *       type: object
+ *       required:
+ *         - dorm
+ *         - sessionType
+ *       properties:
+ *         dorm:
+ *           type: string
+ *           description: Dorm ID
+ *         sessionType:
+ *           type: string
+ *           enum: [morning, evening]
+ *         opensAt:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to now
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to 30 minutes after opensAt
+ *         lateAfter:
+ *           type: string
+ *           format: date-time
+ *           description: Scans after this time are marked late
+ */
+
+/**
+ * @swagger
+ * /check-in/token/{admissionNumber}:
+ *   get:
+ *     summary: Get the signed QR token for a student's card
+ *     tags: [Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: admissionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Token to encode in the QR code
+ *       404:
+ *         description: Student not found
+ */
+router
+  .route("/token/:admissionNumber")
+  .get(protect, requirePermission("attendance:mark"), getCheckInToken);
+
+/**
+ * @swagger
+ * /check-in/windows:
+ *   post:
+ *     summary: Open a check-in window for a dorm's attendance session
+ *     tags: [Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CheckInWindowInput'
+ *     responses:
+ *       201:
+ *         description: Window opened, the session is created if needed
+ *       409:
+ *         description: Session finalized or window already opened
+ */
+router
+  .route("/windows")
+  .post(protect, requirePermission("attendance:mark"), openCheckInWindow);
+
+/**
+ * @swagger
+ * /check-in/windows/{id}/close:
+ *   post:
+ *     summary: Close a check-in window now and mark the rest absent
+ *     tags: [Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance session ID
+ *     responses:
+ *       200:
+ *         description: Window closed
+ *       409:
+ *         description: Window already closed
+ */
+router
+  .route("/windows/:id/close")
+  .post(protect, requirePermission("attendance:mark"), closeCheckInWindowNow);
+
+/**
+ * @swagger
+ * /check-in/scan:
+ *   post:
+ *     summary: Check a student in from a scanned QR card
+ *     tags: [Check-in]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Student marked present or late
+ *       400:
+ *         description: Invalid card
+ *       409:
+ *         description: No open window for the student's dorm, or already checked in
+ */
+router
+  .route("/scan")
+  .post(protect, requirePermission("attendance:checkin"), scanCheckIn);
+
+export default router;
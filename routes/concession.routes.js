@@ -0,0 +1,363 @@
+import express from "express";
+const router = express.Router();
+import {
+  getConcessionTiers,
+  createConcessionTier,
+  updateConcessionTier,
+  deleteConcessionTier,
+  evaluateConcessions,
+  getConcessions,
+  getStudentConcession,
+  approveConcession,
+  rejectConcession,
+  revokeConcession,
+} from "../controllers/concession.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Concessions
+ *   description: Means-tested fee concessions based on family income
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConcessionTier:
+ *       type: object
+ *       required:
+ *         - name
+ *         - maxIncomePerCapita
+ *         - discountPercent
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Tier A
+ *         description:
+ *           type: string
+ *         maxIncomePerCapita:
+ *           type: number
+ *           description: Highest monthly household income per family member (inclusive)
+ *           example: 5000
+ *         discountPercent:
+ *           type: number
+ *           example: 50
+ *         isActive:
+ *           type: boolean
+ *     ConcessionReview:
+ *       type: object
+ *       required:
+ *         - reason
+ *       properties:
+ *         reason:
+ *           type: string
+ *           example: Verified with the grama niladhari certificate
+ */
+
+/**
+ * @swagger
+ * /concessions/tiers:
+ *   get:
+ *     summary: Get concession tiers
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tiers ordered by income ceiling
+ *       401:
+ *         description: Unauthorized access
+ *   post:
+ *     summary: Create a concession tier and re-evaluate every student
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConcessionTier'
+ *     responses:
+ *       201:
+ *         description: Tier created
+ *       400:
+ *         description: Missing or invalid fields
+ *       403:
+ *         description: Forbidden - Missing concessions:configure permission
+ */
+router
+  .route("/tiers")
+  .get(protect, requirePermission("fees:read"), getConcessionTiers)
+  .post(
+    protect,
+    requirePermission("concessions:configure"),
+    createConcessionTier
+  );
+
+/**
+ * @swagger
+ * /concessions/tiers/{id}:
+ *   put:
+ *     summary: Update a concession tier and re-evaluate every student
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConcessionTier'
+ *     responses:
+ *       200:
+ *         description: Tier updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Tier not found
+ *   delete:
+ *     summary: Delete a concession tier and re-evaluate every student
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tier deleted
+ *       404:
+ *         description: Tier not found
+ */
+router
+  .route("/tiers/:id")
+  .put(
+    protect,
+    requirePermission("concessions:configure"),
+    updateConcessionTier
+  )
+  .delete(
+    protect,
+    requirePermission("concessions:configure"),
+    deleteConcessionTier
+  );
+
+/**
+ * @swagger
+ * /concessions/evaluate:
+ *   post:
+ *     summary: Recompute concession proposals from family income
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only these students (all active students when omitted)
+ *     responses:
+ *       200:
+ *         description: Number of students evaluated and proposals changed
+ *       400:
+ *         description: Invalid student IDs
+ */
+router.post(
+  "/evaluate",
+  protect,
+  requirePermission("concessions:review"),
+  evaluateConcessions
+);
+
+/**
+ * @swagger
+ * /concessions:
+ *   get:
+ *     summary: Get student concessions
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_review, approved, rejected, not_eligible]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated concessions, lowest income first
+ */
+router.get("/", protect, requirePermission("fees:read"), getConcessions);
+
+/**
+ * @swagger
+ * /concessions/student/{studentId}:
+ *   get:
+ *     summary: Get the proposed and approved concession of a student
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student concession
+ *       404:
+ *         description: Student not found
+ */
+router.get(
+  "/student/:studentId",
+  protect,
+  requirePermission("fees:read"),
+  getStudentConcession
+);
+
+/**
+ * @swagger
+ * /concessions/{id}/approve:
+ *   post:
+ *     summary: Approve or override a concession and apply it to open invoices
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tierId:
+ *                 type: string
+ *                 description: Approve a different tier than proposed
+ *               discountPercent:
+ *                 type: number
+ *                 description: Approve a custom percentage
+ *               reason:
+ *                 type: string
+ *                 description: Required when overriding the proposal
+ *               validFrom:
+ *                 type: string
+ *                 example: "2025-01"
+ *                 description: Defaults to the current month
+ *               validTo:
+ *                 type: string
+ *                 example: "2025-12"
+ *     responses:
+ *       200:
+ *         description: Concession approved
+ *       400:
+ *         description: Invalid months, missing override reason or nothing to approve
+ *       404:
+ *         description: Concession or tier not found
+ */
+router.post(
+  "/:id/approve",
+  protect,
+  requirePermission("concessions:review"),
+  approveConcession
+);
+
+/**
+ * @swagger
+ * /concessions/{id}/reject:
+ *   post:
+ *     summary: Reject the proposed concession
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConcessionReview'
+ *     responses:
+ *       200:
+ *         description: Proposal rejected
+ *       404:
+ *         description: Concession not found
+ */
+router.post(
+  "/:id/reject",
+  protect,
+  requirePermission("concessions:review"),
+  rejectConcession
+);
+
+/**
+ * @swagger
+ * /concessions/{id}/revoke:
+ *   post:
+ *     summary: Revoke an approved concession for future invoices
+ *     tags: [Concessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConcessionReview'
+ *     responses:
+ *       200:
+ *         description: Concession revoked
+ *       400:
+ *         description: No approved concession
+ *       404:
+ *         description: Concession not found
+ */
+router.post(
+  "/:id/revoke",
+  protect,
+  requirePermission("concessions:review"),
+  revokeConcession
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 import { getDashboardStats } from "../controllers/dashboard.controller.js";
-import { protect } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 const router = express.Router();
 
@@ -31,18 +31,27 @@ const router = express.Router();
  *                       type: number
  *                     pendingPayments:
  *                       type: number
+ *                       description: Outstanding balance of all unpaid invoices
  *                     overduePayments:
  *                       type: number
+ *                       description: Outstanding balance of invoices past their due date
+ *                     pendingInvoices:
+ *                       type: number
+ *                     overdueInvoices:
+ *                       type: number
  *                     monthlyRevenue:
  *                       type: number
+ *                       description: Payments received this month
  *                     hostelOccupancy:
  *                       type: object
+ *                       description: Occupancy percent per dorm name, from the beds of its active rooms
  *                     attendanceRate:
  *                       type: number
  *                     studentsThisMonth:
  *                       type: number
  *                     avgOccupancy:
  *                       type: number
+ *                       description: Occupied beds as a percent of all beds
  *                     totalOccupiedBeds:
  *                       type: number
  *                     totalAvailableBeds:
@@ -60,6 +69,8 @@ const router = express.Router();
  *       401:
  *         description: Unauthorized access
  */
-router.route("/stats").get(protect, getDashboardStats);
+router
+  .route("/stats")
+  .get(protect, requirePermission("dashboard:read"), getDashboardStats);
 
 export default router;
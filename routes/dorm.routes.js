@@ -0,0 +1,401 @@
+import express from "express";
+const router = express.Router();
+import {
+  getDorms,
+  getDormById,
+  createDorm,
+  updateDorm,
+  deleteDorm,
+  createRoom,
+  updateRoom,
+  deleteRoom,
+  allocateBed,
+  transferBed,
+  releaseStudentBed,
+  getStudentAllocations,
+} from "../controllers/dorm.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Dorms
+ *   description: Dorms, rooms, beds and student bed allocation
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Dorm:
+ *       type: object
+ *       required:
+ *         - name
+ *         - gender
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Dorm A
+ *         gender:
+ *           type: string
+ *           enum: [male, female, mixed]
+ *         warden:
+ *           type: string
+ *           nullable: true
+ *           description: User ID of a warden
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *     Room:
+ *       type: object
+ *       required:
+ *         - roomNumber
+ *       properties:
+ *         roomNumber:
+ *           type: string
+ *           example: "101"
+ *         floor:
+ *           type: integer
+ *           example: 1
+ *         beds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["A", "B", "C", "D"]
+ *         capacity:
+ *           type: integer
+ *           description: Number of beds to create as 1..capacity when beds is omitted
+ *           example: 4
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ *     BedAllocationRequest:
+ *       type: object
+ *       required:
+ *         - studentId
+ *         - roomId
+ *         - bed
+ *       properties:
+ *         studentId:
+ *           type: string
+ *         roomId:
+ *           type: string
+ *         bed:
+ *           type: string
+ *           example: A
+ *         reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /dorms:
+ *   get:
+ *     summary: Get dorms with capacity and occupancy
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active dorms with capacity, occupied and available beds
+ *       401:
+ *         description: Unauthorized access
+ *   post:
+ *     summary: Create a dorm
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Dorm'
+ *     responses:
+ *       201:
+ *         description: Dorm created
+ *       400:
+ *         description: Missing or invalid fields
+ *       403:
+ *         description: Forbidden - Missing dorms:write permission
+ */
+router
+  .route("/")
+  .get(protect, requirePermission("dorms:read"), getDorms)
+  .post(protect, requirePermission("dorms:write"), createDorm);
+
+/**
+ * @swagger
+ * /dorms/allocations:
+ *   post:
+ *     summary: Allocate a bed to a student without one
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BedAllocationRequest'
+ *     responses:
+ *       201:
+ *         description: Bed allocated
+ *       400:
+ *         description: Invalid bed, dorm full or gender mismatch
+ *       409:
+ *         description: Bed taken or student already has a bed
+ */
+router.post(
+  "/allocations",
+  protect,
+  requirePermission("dorms:allocate"),
+  allocateBed
+);
+
+/**
+ * @swagger
+ * /dorms/allocations/transfer:
+ *   post:
+ *     summary: Move a student to another bed, room or dorm
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BedAllocationRequest'
+ *     responses:
+ *       200:
+ *         description: Student transferred
+ *       400:
+ *         description: Missing reason, invalid bed, dorm full or no current bed
+ *       409:
+ *         description: Bed taken
+ */
+router.post(
+  "/allocations/transfer",
+  protect,
+  requirePermission("dorms:allocate"),
+  transferBed
+);
+
+/**
+ * @swagger
+ * /dorms/allocations/release:
+ *   post:
+ *     summary: Release a student's bed
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *               - reason
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bed released
+ *       404:
+ *         description: Student has no bed
+ */
+router.post(
+  "/allocations/release",
+  protect,
+  requirePermission("dorms:allocate"),
+  releaseStudentBed
+);
+
+/**
+ * @swagger
+ * /dorms/allocations/student/{studentId}:
+ *   get:
+ *     summary: Get the bed allocation history of a student
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Allocations, newest first
+ */
+router.get(
+  "/allocations/student/:studentId",
+  protect,
+  requirePermission("dorms:read"),
+  getStudentAllocations
+);
+
+/**
+ * @swagger
+ * /dorms/rooms/{roomId}:
+ *   put:
+ *     summary: Update a room (occupied beds cannot be removed)
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Room'
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *       400:
+ *         description: Invalid beds or not enough beds left for the dorm
+ *       404:
+ *         description: Room not found
+ *   delete:
+ *     summary: Delete a room that has never been allocated
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *       400:
+ *         description: Room has allocation history
+ *       404:
+ *         description: Room not found
+ */
+router
+  .route("/rooms/:roomId")
+  .put(protect, requirePermission("dorms:write"), updateRoom)
+  .delete(protect, requirePermission("dorms:write"), deleteRoom);
+
+/**
+ * @swagger
+ * /dorms/{id}:
+ *   get:
+ *     summary: Get a dorm with its rooms and bed occupants
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dorm details
+ *       404:
+ *         description: Dorm not found
+ *   put:
+ *     summary: Update a dorm (a new name is applied to its students)
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Dorm'
+ *     responses:
+ *       200:
+ *         description: Dorm updated
+ *       400:
+ *         description: Invalid fields or students conflict with the change
+ *       404:
+ *         description: Dorm not found
+ *   delete:
+ *     summary: Delete a dorm without rooms or students
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dorm deleted
+ *       400:
+ *         description: Dorm has rooms or students
+ *       404:
+ *         description: Dorm not found
+ */
+router
+  .route("/:id")
+  .get(protect, requirePermission("dorms:read"), getDormById)
+  .put(protect, requirePermission("dorms:write"), updateDorm)
+  .delete(protect, requirePermission("dorms:write"), deleteDorm);
+
+/**
+ * @swagger
+ * /dorms/{id}/rooms:
+ *   post:
+ *     summary: Add a room to a dorm
+ *     tags: [Dorms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Room'
+ *     responses:
+ *       201:
+ *         description: Room created
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Dorm not found
+ */
+router.post(
+  "/:id/rooms",
+  protect,
+  requirePermission("dorms:write"),
+  createRoom
+);
+
+export default router;
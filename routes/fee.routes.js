@@ -0,0 +1,159 @@
+import express from "express";
+const router = express.Router();
+import {
+  getFeeStructures,
+  createFeeStructure,
+  updateFeeStructure,
+  deleteFeeStructure,
+} from "../controllers/fee.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fees
+ *   description: Fee structures, invoices and payments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FeeStructure:
+ *       type: object
+ *       required:
+ *         - name
+ *         - amount
+ *         - effectiveFrom
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Monthly hostel fee
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           example: 2500
+ *         dorm:
+ *           type: string
+ *           nullable: true
+ *           description: Only charge students of this dorm (empty for all)
+ *         class:
+ *           type: string
+ *           nullable: true
+ *           description: Only charge students of this class (empty for all)
+ *         effectiveFrom:
+ *           type: string
+ *           example: "2025-01"
+ *         effectiveTo:
+ *           type: string
+ *           nullable: true
+ *           example: "2025-12"
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /fees/structures:
+ *   get:
+ *     summary: Get fee structures
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dorm
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of fee structures
+ *       401:
+ *         description: Unauthorized access
+ *   post:
+ *     summary: Create a fee structure
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeStructure'
+ *     responses:
+ *       201:
+ *         description: Fee structure created
+ *       400:
+ *         description: Missing or invalid fields
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing fees:write permission
+ */
+router
+  .route("/structures")
+  .get(protect, requirePermission("fees:read"), getFeeStructures)
+  .post(protect, requirePermission("fees:write"), createFeeStructure);
+
+/**
+ * @swagger
+ * /fees/structures/{id}:
+ *   put:
+ *     summary: Update a fee structure (existing invoices are not changed)
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeStructure'
+ *     responses:
+ *       200:
+ *         description: Fee structure updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Fee structure not found
+ *   delete:
+ *     summary: Delete a fee structure that has never been invoiced
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee structure deleted
+ *       400:
+ *         description: Already invoiced, deactivate instead
+ *       404:
+ *         description: Fee structure not found
+ */
+router
+  .route("/structures/:id")
+  .put(protect, requirePermission("fees:write"), updateFeeStructure)
+  .delete(protect, requirePermission("fees:write"), deleteFeeStructure);
+
+export default router;
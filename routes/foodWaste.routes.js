@@ -0,0 +1,196 @@
+import express from "express";
+const router = express.Router();
+import {
+  createFoodWaste,
+  getFoodWaste,
+  getFoodWasteById,
+  deleteFoodWaste,
+  getWasteAnalytics,
+} from "../controllers/foodWaste.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: FoodWaste
+ *   description: Leftovers of meals and spoiled or expired stock
+ */
+
+/**
+ * @swagger
+ * /food-waste:
+ *   post:
+ *     summary: Record food waste, spoiled or expired stock is deducted
+ *     tags: [FoodWaste]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - quantity
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               category:
+ *                 type: string
+ *                 enum: [plate_waste, cooking_surplus, spoilage, expiry]
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner]
+ *                 description: Required for plate waste and cooking surplus
+ *               recipeId:
+ *                 type: string
+ *                 description: Dish left over, quantity is then in portions
+ *               inventoryItemId:
+ *                 type: string
+ *                 description: Item wasted, quantity is then in its unit. Required for spoilage and expiry.
+ *               quantity:
+ *                 type: number
+ *                 example: 12
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Waste recorded with its cost at current prices
+ *       400:
+ *         description: Validation error or not enough stock
+ *       404:
+ *         description: Recipe or inventory item not found
+ *   get:
+ *     summary: Get food waste entries with filtering and pagination
+ *     tags: [FoodWaste]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: category
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [plate_waste, cooking_surplus, spoilage, expiry]
+ *       - name: mealType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *       - name: recipe
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: inventoryItem
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Waste entries, latest first
+ */
+router
+  .route("/")
+  .post(protect, requirePermission("inventory:adjust"), createFoodWaste)
+  .get(protect, requirePermission("inventory:read"), getFoodWaste);
+
+/**
+ * @swagger
+ * /food-waste/analytics:
+ *   get:
+ *     summary: Get waste cost by category, meal type, dish, item and over time
+ *     tags: [FoodWaste]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         description: At most 366 days after from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: period
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Waste cost breakdowns
+ *       400:
+ *         description: Invalid range or period
+ */
+router
+  .route("/analytics")
+  .get(protect, requirePermission("inventory:read"), getWasteAnalytics);
+
+/**
+ * @swagger
+ * /food-waste/{id}:
+ *   get:
+ *     summary: Get a food waste entry
+ *     tags: [FoodWaste]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Waste entry
+ *       404:
+ *         description: Food waste entry not found
+ *   delete:
+ *     summary: Delete a waste entry recorded by mistake, restoring deducted stock
+ *     tags: [FoodWaste]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Waste entry deleted
+ *       404:
+ *         description: Food waste entry not found
+ */
+router
+  .route("/:id")
+  .get(protect, requirePermission("inventory:read"), getFoodWasteById)
+  .delete(protect, requirePermission("inventory:adjust"), deleteFoodWaste);
+
+export default router;
@@ -7,7 +7,7 @@ import {
   updateInventoryItem,
   deleteInventoryItem,
 } from "../controllers/inventory.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 /**
  * @swagger
@@ -56,6 +56,13 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *           type: number
  *           description: Cost per unit
  *           example: 45
+ *         allergens:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [gluten, dairy, eggs, peanuts, tree_nuts, soy, fish, shellfish, sesame]
+ *         nutrition:
+ *           $ref: '#/components/schemas/Nutrition'
  *         lastUpdated:
  *           type: string
  *           format: date-time
@@ -68,6 +75,37 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     Nutrition:
+ *       type: object
+ *       description: Nutrients per unit of an inventory item, or per serving of a recipe. Null clears a nutrient.
+ *       properties:
+ *         calories:
+ *           type: number
+ *           description: kcal
+ *         protein:
+ *           type: number
+ *           description: g
+ *         carbs:
+ *           type: number
+ *           description: g
+ *         fat:
+ *           type: number
+ *           description: g
+ *         fiber:
+ *           type: number
+ *           description: g
+ *         calcium:
+ *           type: number
+ *           description: mg
+ *         iron:
+ *           type: number
+ *           description: mg
+ *         vitaminA:
+ *           type: number
+ *           description: µg
+ *         vitaminC:
+ *           type: number
+ *           description: mg
  */
 
 /**
@@ -210,13 +248,13 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
 
 router
   .route("/")
-  .post(protect, authorizeRoles("admin", "kitchen"), createInventoryItem)
-  .get(protect, authorizeRoles("admin", "kitchen"), getAllInventoryItems);
+  .post(protect, requirePermission("inventory:write"), createInventoryItem)
+  .get(protect, requirePermission("inventory:read"), getAllInventoryItems);
 
 router
   .route("/:id")
-  .get(protect, authorizeRoles("admin", "kitchen"), getInventoryItemById)
-  .put(protect, authorizeRoles("admin", "kitchen"), updateInventoryItem)
-  .delete(protect, authorizeRoles("admin"), deleteInventoryItem);
+  .get(protect, requirePermission("inventory:read"), getInventoryItemById)
+  .put(protect, requirePermission("inventory:write"), updateInventoryItem)
+  .delete(protect, requirePermission("inventory:delete"), deleteInventoryItem);
 
 export default router;
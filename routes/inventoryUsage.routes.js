@@ -4,8 +4,9 @@ import {
   getInventoryUsage,
   getInventoryUsageById,
   getAttendanceInfo,
+  getDinerUsageReport,
 } from "../controllers/inventoryUsage.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 const router = express.Router();
 
@@ -16,10 +17,21 @@ const router = express.Router();
 router.get(
   "/attendance-info",
   protect,
-  authorizeRoles("admin", "kitchen"),
+  requirePermission("inventory:read"),
   getAttendanceInfo
 );
 
+/**
+ * @route   GET /api/inventory-usage/diner-report
+ * @access  Private/Kitchen/Admin
+ */
+router.get(
+  "/diner-report",
+  protect,
+  requirePermission("inventory:read"),
+  getDinerUsageReport
+);
+
 /**
  * @route   POST /api/inventory-usage
  * @access  Private/Kitchen
@@ -27,7 +39,7 @@ router.get(
 router.post(
   "/",
   protect,
-  authorizeRoles("admin", "kitchen"),
+  requirePermission("inventory:adjust"),
   recordInventoryUsage
 );
 
@@ -35,7 +47,12 @@ router.post(
  * @route   GET /api/inventory-usage
  * @access  Private/Kitchen/Admin
  */
-router.get("/", protect, authorizeRoles("admin", "kitchen"), getInventoryUsage);
+router.get(
+  "/",
+  protect,
+  requirePermission("inventory:read"),
+  getInventoryUsage
+);
 
 /**
  * @route   GET /api/inventory-usage/:id
@@ -44,7 +61,7 @@ router.get("/", protect, authorizeRoles("admin", "kitchen"), getInventoryUsage);
 router.get(
   "/:id",
   protect,
-  authorizeRoles("admin", "kitchen"),
+  requirePermission("inventory:read"),
   getInventoryUsageById
 );
 
@@ -0,0 +1,220 @@
+import express from "express";
+const router = express.Router();
+import {
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  addInvoiceAdjustment,
+  cancelInvoice,
+  getStudentLedger,
+} from "../controllers/invoice.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * /invoices:
+ *   get:
+ *     summary: Get invoices with filtering
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2025-01"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unpaid, partially_paid, overdue, paid, waived, cancelled]
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only unpaid invoices past their due date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated invoices with totals for the whole filter
+ *       401:
+ *         description: Unauthorized access
+ */
+router.route("/").get(protect, requirePermission("fees:read"), getInvoices);
+
+/**
+ * @swagger
+ * /invoices/generate:
+ *   post:
+ *     summary: Generate invoices for a billing month
+ *     description: Bills every active student for the fee structures that apply to them. Students already invoiced for the month are skipped.
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2025-01"
+ *                 description: Defaults to the current month
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Invoices generated
+ *       400:
+ *         description: Invalid month or student IDs
+ *       403:
+ *         description: Forbidden - Missing fees:write permission
+ */
+router
+  .route("/generate")
+  .post(protect, requirePermission("fees:write"), generateInvoices);
+
+/**
+ * @swagger
+ * /invoices/student/{studentId}/ledger:
+ *   get:
+ *     summary: Get a student's ledger with running balance
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Charges, discounts and payments in date order
+ *       404:
+ *         description: Student not found
+ */
+router
+  .route("/student/:studentId/ledger")
+  .get(protect, requirePermission("fees:read"), getStudentLedger);
+
+/**
+ * @swagger
+ * /invoices/{id}:
+ *   get:
+ *     summary: Get an invoice with its payments
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice details
+ *       404:
+ *         description: Invoice not found
+ */
+router
+  .route("/:id")
+  .get(protect, requirePermission("fees:read"), getInvoiceById);
+
+/**
+ * @swagger
+ * /invoices/{id}/adjustments:
+ *   post:
+ *     summary: Apply a discount or waive the remaining balance
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - reason
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [discount, waiver]
+ *               amount:
+ *                 type: number
+ *                 description: Required for discounts, ignored for waivers
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment applied
+ *       400:
+ *         description: Invalid adjustment or invoice already settled
+ *       409:
+ *         description: Invoice changed concurrently, retry
+ */
+router
+  .route("/:id/adjustments")
+  .post(protect, requirePermission("fees:adjust"), addInvoiceAdjustment);
+
+/**
+ * @swagger
+ * /invoices/{id}/cancel:
+ *   post:
+ *     summary: Cancel an invoice without payments
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice cancelled
+ *       400:
+ *         description: Already cancelled or has payments
+ */
+router
+  .route("/:id/cancel")
+  .post(protect, requirePermission("fees:write"), cancelInvoice);
+
+export default router;
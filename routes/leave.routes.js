@@ -0,0 +1,353 @@
+import express from "express";
+const router = express.Router();
+import {
+  createLeaveRequest,
+  getLeaveRequests,
+  getLeaveRequestById,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+  checkOutLeave,
+  checkInLeave,
+  scanLeavePass,
+} from "../controllers/leave.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leave
+ *   description: Student leave requests, approvals and gate check-out/check-in
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LeaveRequestInput:
+ *       type: object
+ *       required:
+ *         - studentId
+ *         - reason
+ *         - departureAt
+ *         - expectedReturnAt
+ *       properties:
+ *         studentId:
+ *           type: string
+ *         leaveType:
+ *           type: string
+ *           enum: [home_visit, medical, family_event, other]
+ *         reason:
+ *           type: string
+ *           example: Grandmother's birthday
+ *         destination:
+ *           type: string
+ *         requestedFor:
+ *           type: object
+ *           description: Parent or guardian who asked for the leave
+ *           properties:
+ *             name:
+ *               type: string
+ *             relationship:
+ *               type: string
+ *               example: Mother
+ *             phone:
+ *               type: string
+ *         departureAt:
+ *           type: string
+ *           format: date-time
+ *         expectedReturnAt:
+ *           type: string
+ *           format: date-time
+ *     LeaveDecision:
+ *       type: object
+ *       properties:
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /leave:
+ *   get:
+ *     summary: Get leave requests
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, checked_out, returned]
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only students who are out past their expected return
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated leave requests
+ *   post:
+ *     summary: Create a leave request on behalf of a parent or guardian
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveRequestInput'
+ *     responses:
+ *       201:
+ *         description: Leave request created and sent for approval
+ *       400:
+ *         description: Missing or invalid fields
+ *       409:
+ *         description: Student already has leave in this period
+ */
+router
+  .route("/")
+  .get(protect, requirePermission("leave:read"), getLeaveRequests)
+  .post(protect, requirePermission("leave:request"), createLeaveRequest);
+
+/**
+ * @swagger
+ * /leave/scan:
+ *   post:
+ *     summary: Scan an out-pass at the gate (checks out, or in when already out)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - passCode
+ *             properties:
+ *               passCode:
+ *                 type: string
+ *                 example: K7MQ2XPA
+ *     responses:
+ *       200:
+ *         description: Student checked out or in
+ *       400:
+ *         description: Leave not approved or outside its period
+ *       404:
+ *         description: Unknown pass code
+ */
+router.post("/scan", protect, requirePermission("leave:gate"), scanLeavePass);
+
+/**
+ * @swagger
+ * /leave/{id}:
+ *   get:
+ *     summary: Get a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Leave request with its approval chain
+ *       404:
+ *         description: Leave request not found
+ */
+router.get(
+  "/:id",
+  protect,
+  requirePermission("leave:read"),
+  getLeaveRequestById
+);
+
+/**
+ * @swagger
+ * /leave/{id}/approve:
+ *   post:
+ *     summary: Approve the pending step of a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveDecision'
+ *     responses:
+ *       200:
+ *         description: Step approved; the last approval issues the out-pass code
+ *       400:
+ *         description: Leave request is not pending
+ *       403:
+ *         description: Step belongs to another role or you approved an earlier step
+ */
+router.post(
+  "/:id/approve",
+  protect,
+  requirePermission("leave:approve"),
+  approveLeaveRequest
+);
+
+/**
+ * @swagger
+ * /leave/{id}/reject:
+ *   post:
+ *     summary: Reject a pending leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LeaveDecision'
+ *     responses:
+ *       200:
+ *         description: Leave request rejected
+ *       400:
+ *         description: Missing note or request not pending
+ */
+router.post(
+  "/:id/reject",
+  protect,
+  requirePermission("leave:approve"),
+  rejectLeaveRequest
+);
+
+/**
+ * @swagger
+ * /leave/{id}/cancel:
+ *   post:
+ *     summary: Cancel a leave request before the student leaves
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Leave request cancelled
+ *       400:
+ *         description: Missing reason or student already left
+ */
+router.post(
+  "/:id/cancel",
+  protect,
+  requirePermission("leave:request"),
+  cancelLeaveRequest
+);
+
+/**
+ * @swagger
+ * /leave/{id}/check-out:
+ *   post:
+ *     summary: Check a student out at the gate
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student checked out
+ *       400:
+ *         description: Leave not approved or outside its period
+ */
+router.post(
+  "/:id/check-out",
+  protect,
+  requirePermission("leave:gate"),
+  checkOutLeave
+);
+
+/**
+ * @swagger
+ * /leave/{id}/check-in:
+ *   post:
+ *     summary: Check a student back in at the gate
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student checked in (flagged when late)
+ *       400:
+ *         description: Student is not checked out
+ */
+router.post(
+  "/:id/check-in",
+  protect,
+  requirePermission("leave:gate"),
+  checkInLeave
+);
+
+export default router;
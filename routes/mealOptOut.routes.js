@@ -0,0 +1,169 @@
+import express from "express";
+const router = express.Router();
+import {
+  createMealOptOuts,
+  getMealOptOuts,
+  cancelMealOptOut,
+  getExpectedDiners,
+} from "../controllers/mealOptOut.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: MealOptOuts
+ *   description: Students skipping meals while in the hostel, and the diners each meal is cooked for
+ */
+
+/**
+ * @swagger
+ * /meal-opt-outs:
+ *   post:
+ *     summary: Opt a student out of meals on a date or a range of dates
+ *     description: Opt-outs for a day close at 21:00 on the day before.
+ *     tags: [MealOptOuts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: At most 31 days after from
+ *               mealTypes:
+ *                 type: array
+ *                 description: All meals when omitted
+ *                 items:
+ *                   type: string
+ *                   enum: [breakfast, lunch, dinner]
+ *               reason:
+ *                 type: string
+ *                 example: Board exam
+ *     responses:
+ *       201:
+ *         description: Opt-outs registered, ones already registered are skipped
+ *       400:
+ *         description: Validation error or past the cutoff
+ *       403:
+ *         description: Student is not in one of the warden's dorms
+ *       404:
+ *         description: Student not found
+ *   get:
+ *     summary: Get meal opt-outs with filtering and pagination
+ *     tags: [MealOptOuts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: student
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: date
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: mealType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Opt-outs, latest dates first
+ */
+router
+  .route("/")
+  .post(protect, requirePermission("meals:optout"), createMealOptOuts)
+  .get(protect, requirePermission("meals:read"), getMealOptOuts);
+
+/**
+ * @swagger
+ * /meal-opt-outs/expected-diners:
+ *   get:
+ *     summary: Get the students expected at each meal of a date
+ *     tags: [MealOptOuts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         description: YYYY-MM-DD, defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Dining attendance, opt-outs and expected diners per meal, null counts while attendance is not marked
+ */
+router
+  .route("/expected-diners")
+  .get(protect, requirePermission("meals:read"), getExpectedDiners);
+
+/**
+ * @swagger
+ * /meal-opt-outs/{id}/cancel:
+ *   post:
+ *     summary: Cancel an opt-out before the cutoff, opting the student back in
+ *     tags: [MealOptOuts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Opt-out cancelled
+ *       400:
+ *         description: Already cancelled or past the cutoff
+ *       403:
+ *         description: Student is not in one of the warden's dorms
+ *       404:
+ *         description: Meal opt-out not found
+ */
+router
+  .route("/:id/cancel")
+  .post(protect, requirePermission("meals:optout"), cancelMealOptOut);
+
+export default router;
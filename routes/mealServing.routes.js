@@ -0,0 +1,215 @@
+import express from "express";
+const router = express.Router();
+import {
+  recordMealServings,
+  scanMealServing,
+  getMealServings,
+  deleteMealServing,
+  getServingSummary,
+  getServingReconciliation,
+} from "../controllers/mealServing.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: MealServings
+ *   description: Meals served at the counter, reconciled with inventory usage
+ */
+
+/**
+ * @swagger
+ * /meal-servings:
+ *   post:
+ *     summary: Record servings for students picked by name and/or an anonymous headcount
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mealType
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner]
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               count:
+ *                 type: integer
+ *                 description: Servings handed out without knowing to whom
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Servings recorded, students already served are skipped
+ *       400:
+ *         description: Validation error
+ *   get:
+ *     summary: Get meal servings with filtering and pagination
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: mealType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *       - name: student
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: source
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [scan, manual, headcount]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Servings, latest first
+ */
+router
+  .route("/")
+  .post(protect, requirePermission("meals:serve"), recordMealServings)
+  .get(protect, requirePermission("meals:read"), getMealServings);
+
+/**
+ * @swagger
+ * /meal-servings/scan:
+ *   post:
+ *     summary: Record a serving from a student card scanned at the counter
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: QR token printed on the student card
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner]
+ *                 description: Defaults to the meal being served now
+ *     responses:
+ *       201:
+ *         description: Serving recorded, optedOut tells whether the student had opted out
+ *       400:
+ *         description: Invalid card or no meal being served
+ *       409:
+ *         description: Student already served this meal
+ */
+router
+  .route("/scan")
+  .post(protect, requirePermission("meals:serve"), scanMealServing);
+
+/**
+ * @swagger
+ * /meal-servings/summary:
+ *   get:
+ *     summary: Get the servings of each meal of a date against the expected diners
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         description: YYYY-MM-DD, defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Served, student, anonymous and scanned counts per meal
+ */
+router
+  .route("/summary")
+  .get(protect, requirePermission("meals:read"), getServingSummary);
+
+/**
+ * @swagger
+ * /meal-servings/reconciliation:
+ *   get:
+ *     summary: Reconcile inventory usage with servings and get the waste per meal
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         description: At most 31 days after from
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Deducted and served quantities, waste and its cost per meal
+ *       400:
+ *         description: Invalid range
+ */
+router
+  .route("/reconciliation")
+  .get(protect, requirePermission("meals:read"), getServingReconciliation);
+
+/**
+ * @swagger
+ * /meal-servings/{id}:
+ *   delete:
+ *     summary: Remove a serving recorded by mistake
+ *     tags: [MealServings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Serving removed
+ *       404:
+ *         description: Meal serving not found
+ */
+router
+  .route("/:id")
+  .delete(protect, requirePermission("meals:serve"), deleteMealServing);
+
+export default router;
@@ -6,8 +6,23 @@ import {
   getMealPlanById,
   updateMealPlan,
   deleteMealPlan,
+  getResolvedMealPlan,
+  getMealPlanCalendar,
+  getMealHeadcountByDiet,
+  getMealPlanNutritionById,
+  getMealPlanNutritionReport,
+  getMealPlanNutritionTargets,
+  updateNutritionTarget,
+  getMealPlanCost,
+  getFoodCostProjection,
+  recalculateCosts,
+  createMenuCycle,
+  getMenuCycles,
+  getMenuCycleById,
+  updateMenuCycle,
+  deleteMenuCycle,
 } from "../controllers/mealplan.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 /**
  * @swagger
@@ -22,21 +37,43 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *   schemas:
  *     MealPlan:
  *       type: object
- *       required:
- *         - day
- *         - estimatedCost
  *       properties:
  *         id:
  *           type: string
  *           description: Unique identifier for the meal plan
  *         day:
  *           type: string
- *           description: The date of the meal plan (YYYY-MM-DD)
- *           example: 2025-09-01
+ *           description: Weekday of the plan, derived from date on overrides
+ *           example: Monday
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Set on plans that replace the menu of one date (YYYY-MM-DD)
+ *           example: 2025-12-25
+ *         cycle:
+ *           type: string
+ *           description: Menu cycle ID, for plans of a rotating cycle
+ *         week:
+ *           type: integer
+ *           description: Week of the cycle the plan is for
+ *           example: 2
  *         estimatedCost:
  *           type: number
- *           description: Estimated cost of the meals for the day
+ *           readOnly: true
+ *           description: Cost of the day for the expected diners, computed from inventory prices
  *           example: 1500
+ *         costPerStudent:
+ *           type: object
+ *           readOnly: true
+ *           description: Cost of breakfast, lunch and dinner per student
+ *         mealCosts:
+ *           type: object
+ *           readOnly: true
+ *           description: Cost of breakfast, lunch and dinner for the expected diners
+ *         expectedDiners:
+ *           type: object
+ *           readOnly: true
+ *           description: Diners breakfast, lunch and dinner were costed for, from the dining headcount less opt-outs (active students less opt-outs for dates not marked yet)
  *         breakfast:
  *           type: array
  *           items:
@@ -52,6 +89,49 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *           items:
  *             type: string
  *           example: ["Pasta", "Salad"]
+ *         breakfastRecipes:
+ *           type: array
+ *           description: Recipe IDs, the breakfast dishes and inventory are derived from them
+ *           items:
+ *             type: string
+ *         lunchRecipes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         dinnerRecipes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         breakfastVariants:
+ *           type: array
+ *           description: Alternate dishes for students the main dishes do not suit
+ *           items:
+ *             $ref: '#/components/schemas/MealVariant'
+ *         lunchVariants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MealVariant'
+ *         dinnerVariants:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MealVariant'
+ *         allergens:
+ *           type: object
+ *           readOnly: true
+ *           description: Allergens of each meal's main dishes, from recipes and inventory items
+ *           properties:
+ *             breakfast:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             lunch:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             dinner:
+ *               type: array
+ *               items:
+ *                 type: string
  *         createdBy:
  *           type: string
  *           description: ID of the user who created the meal plan
@@ -61,6 +141,60 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     MealVariant:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Vegan lunch
+ *         forDiets:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [vegetarian, vegan, halal, no_beef, no_pork]
+ *         forAllergies:
+ *           type: array
+ *           description: Allergies the variant is cooked without. Only used for variants without recipes, otherwise the allergens of the recipes decide.
+ *           items:
+ *             type: string
+ *             enum: [gluten, dairy, eggs, peanuts, tree_nuts, soy, fish, shellfish, sesame]
+ *         recipes:
+ *           type: array
+ *           description: Recipe IDs, the variant's dishes are derived from them
+ *           items:
+ *             type: string
+ *         dishes:
+ *           type: array
+ *           items:
+ *             type: string
+ *     MenuCycle:
+ *       type: object
+ *       required:
+ *         - name
+ *         - weeks
+ *         - effectiveFrom
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Term 1 menu
+ *         weeks:
+ *           type: integer
+ *           description: Length of the rotation in weeks
+ *           example: 3
+ *         effectiveFrom:
+ *           type: string
+ *           format: date
+ *           description: First day of week 1
+ *         effectiveTo:
+ *           type: string
+ *           format: date
+ *           description: Last day the cycle is used, open ended when empty
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
  */
 
 /**
@@ -103,6 +237,29 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *         required: false
  *         schema:
  *           type: string
+ *       - name: type
+ *         in: query
+ *         description: Only date overrides, cycle plans or default week plans
+ *         schema:
+ *           type: string
+ *           enum: [override, cycle, default]
+ *       - name: cycle
+ *         in: query
+ *         description: Only plans of this menu cycle
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         description: Only date overrides from this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         description: Only date overrides up to this date (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
  *       - name: page
  *         in: query
  *         description: Page number for pagination
@@ -194,15 +351,406 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *         description: Unauthorized access
  */
 
+/**
+ * @swagger
+ * /mealplan/resolve:
+ *   get:
+ *     summary: Get the meal plan served on a date
+ *     description: A date override wins, then the active menu cycle covering the date, then the default plan of the weekday.
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         description: YYYY-MM-DD, defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Resolved plan with its source (override, cycle or default)
+ *       404:
+ *         description: Nothing planned for the date
+ */
+router
+  .route("/resolve")
+  .get(protect, requirePermission("mealplans:read"), getResolvedMealPlan);
+
+/**
+ * @swagger
+ * /mealplan/calendar:
+ *   get:
+ *     summary: Get the meal plan served on each date of a range
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         description: At most 62 days after from
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: One entry per date, mealPlan is null when nothing is planned
+ *       400:
+ *         description: Invalid range
+ */
+router
+  .route("/calendar")
+  .get(protect, requirePermission("mealplans:read"), getMealPlanCalendar);
+
+/**
+ * @swagger
+ * /mealplan/headcount:
+ *   get:
+ *     summary: Get how many active students eat each dish variant of a date's meals
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: date
+ *         in: query
+ *         description: YYYY-MM-DD, defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: mealType
+ *         in: query
+ *         description: All meals when omitted
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *     responses:
+ *       200:
+ *         description: Counts for the main dishes and each variant, by diet, restriction and allergy, and the students no dish suits
+ *       404:
+ *         description: Nothing planned for the date
+ */
+router
+  .route("/headcount")
+  .get(protect, requirePermission("mealplans:read"), getMealHeadcountByDiet);
+
+/**
+ * @swagger
+ * /mealplan/nutrition-report:
+ *   get:
+ *     summary: Get the nutrition per student of the plan served on each date of a range
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         description: At most 62 days after from
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Daily nutrition and warnings per date, the average day and how many days fall below each target
+ *       400:
+ *         description: Invalid range
+ */
+router
+  .route("/nutrition-report")
+  .get(
+    protect,
+    requirePermission("mealplans:read"),
+    getMealPlanNutritionReport
+  );
+
+/**
+ * @swagger
+ * /mealplan/nutrition-targets:
+ *   get:
+ *     summary: Get the daily nutrition targets per student
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Minimum and unit of each nutrient, custom when set by an admin
+ */
+router
+  .route("/nutrition-targets")
+  .get(
+    protect,
+    requirePermission("mealplans:read"),
+    getMealPlanNutritionTargets
+  );
+
+/**
+ * @swagger
+ * /mealplan/nutrition-targets/{nutrient}:
+ *   put:
+ *     summary: Set the daily target of a nutrient per student
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: nutrient
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [calories, protein, carbs, fat, fiber, calcium, iron, vitaminA, vitaminC]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [minimum]
+ *             properties:
+ *               minimum:
+ *                 type: number
+ *                 nullable: true
+ *                 description: In the nutrient's unit, null goes back to the default
+ *     responses:
+ *       200:
+ *         description: Target updated
+ *       400:
+ *         description: Unknown nutrient or invalid minimum
+ */
+router
+  .route("/nutrition-targets/:nutrient")
+  .put(protect, requirePermission("mealplans:write"), updateNutritionTarget);
+
+/**
+ * @swagger
+ * /mealplan/cost-projection:
+ *   get:
+ *     summary: Project the food cost of a week or a month
+ *     description: Uses the plan served on each date, current inventory prices and the expected diners of each meal (the dining headcount less opt-outs, or the active students less opt-outs for dates whose attendance is not marked yet).
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: period
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: week
+ *       - name: from
+ *         in: query
+ *         description: First day of the week (YYYY-MM-DD), defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: month
+ *         in: query
+ *         description: Month to project (YYYY-MM), defaults to this month
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cost per day with totals and unplanned dates
+ */
+router
+  .route("/cost-projection")
+  .get(protect, requirePermission("mealplans:read"), getFoodCostProjection);
+
+/**
+ * @swagger
+ * /mealplan/recalculate-costs:
+ *   post:
+ *     summary: Recalculate the stored cost of all meal plans
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of meal plans recalculated
+ */
+router
+  .route("/recalculate-costs")
+  .post(protect, requirePermission("mealplans:write"), recalculateCosts);
+
+/**
+ * @swagger
+ * /mealplan/cycles:
+ *   post:
+ *     summary: Create a rotating menu cycle
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MenuCycle'
+ *     responses:
+ *       201:
+ *         description: Cycle created, add its plans with cycle and week set
+ *       409:
+ *         description: Dates overlap another active cycle
+ *   get:
+ *     summary: Get all menu cycles
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: isActive
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Menu cycles, latest first
+ */
+router
+  .route("/cycles")
+  .post(protect, requirePermission("mealplans:write"), createMenuCycle)
+  .get(protect, requirePermission("mealplans:read"), getMenuCycles);
+
+/**
+ * @swagger
+ * /mealplan/cycles/{id}:
+ *   get:
+ *     summary: Get a menu cycle with its meal plans
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cycle and its plans by week and weekday
+ *       404:
+ *         description: Menu cycle not found
+ *   put:
+ *     summary: Update a menu cycle
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MenuCycle'
+ *     responses:
+ *       200:
+ *         description: Menu cycle updated
+ *       400:
+ *         description: Plans exist beyond the new number of weeks
+ *       409:
+ *         description: Dates overlap another active cycle
+ *   delete:
+ *     summary: Delete a menu cycle and its meal plans
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Menu cycle deleted
+ *       404:
+ *         description: Menu cycle not found
+ */
+router
+  .route("/cycles/:id")
+  .get(protect, requirePermission("mealplans:read"), getMenuCycleById)
+  .put(protect, requirePermission("mealplans:write"), updateMenuCycle)
+  .delete(protect, requirePermission("mealplans:delete"), deleteMenuCycle);
+
 router
   .route("/")
-  .post(protect, authorizeRoles("admin", "kitchen"), createMealPlan)
-  .get(protect, authorizeRoles("admin", "kitchen"), getAllMealPlans);
+  .post(protect, requirePermission("mealplans:write"), createMealPlan)
+  .get(protect, requirePermission("mealplans:read"), getAllMealPlans);
+
+/**
+ * @swagger
+ * /mealplan/{id}/cost:
+ *   get:
+ *     summary: Get the cost breakdown of a meal plan at current prices
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: diners
+ *         in: query
+ *         description: Number of students to cost for, defaults to the expected diners of each meal
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cost per meal, per student and per inventory line
+ *       404:
+ *         description: Meal plan not found
+ */
+router
+  .route("/:id/cost")
+  .get(protect, requirePermission("mealplans:read"), getMealPlanCost);
+
+/**
+ * @swagger
+ * /mealplan/{id}/nutrition:
+ *   get:
+ *     summary: Get the nutrition one student gets from a meal plan
+ *     description: Meals made of recipes use the recipes' nutrition per serving, other meals their inventory lines. Items without nutrition data count as nothing and are listed in missingItems.
+ *     tags: [MealPlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Nutrients per meal and per day, with warnings for nutrients below their daily target
+ *       404:
+ *         description: Meal plan not found
+ */
+router
+  .route("/:id/nutrition")
+  .get(protect, requirePermission("mealplans:read"), getMealPlanNutritionById);
 
 router
   .route("/:id")
-  .get(protect, authorizeRoles("admin", "kitchen"), getMealPlanById)
-  .put(protect, authorizeRoles("admin", "kitchen"), updateMealPlan)
-  .delete(protect, authorizeRoles("admin"), deleteMealPlan);
+  .get(protect, requirePermission("mealplans:read"), getMealPlanById)
+  .put(protect, requirePermission("mealplans:write"), updateMealPlan)
+  .delete(protect, requirePermission("mealplans:delete"), deleteMealPlan);
 
 export default router;
@@ -1,7 +1,7 @@
 // routes/notification.routes.js
 import express from "express";
 import Notification from "../models/notification.model.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 const router = express.Router();
 
@@ -18,17 +18,22 @@ router.get("/", protect, async (req, res) => {
 });
 
 // Get notifications for a specific user (admin only)
-router.get("/:userId", protect, authorizeRoles("admin"), async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const notifications = await Notification.find({ user: userId }).sort({
-      createdAt: -1,
-    });
-    res.json(notifications);
-  } catch (error) {
-    res.status(500).json({ message: "Error fetching notifications" });
+router.get(
+  "/:userId",
+  protect,
+  requirePermission("notifications:manage"),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const notifications = await Notification.find({ user: userId }).sort({
+        createdAt: -1,
+      });
+      res.json(notifications);
+    } catch (error) {
+      res.status(500).json({ message: "Error fetching notifications" });
+    }
   }
-});
+);
 
 // Mark notification as read
 router.put("/:id/read", protect, async (req, res) => {
@@ -51,15 +56,20 @@ router.put("/:id/read", protect, async (req, res) => {
 });
 
 // Create notification (admin/system action)
-router.post("/", protect, authorizeRoles("admin"), async (req, res) => {
-  try {
-    const { user, title, message, type } = req.body;
-    const notif = new Notification({ user, title, message, type });
-    await notif.save();
-    res.status(201).json(notif);
-  } catch (error) {
-    res.status(500).json({ message: "Error creating notification" });
+router.post(
+  "/",
+  protect,
+  requirePermission("notifications:manage"),
+  async (req, res) => {
+    try {
+      const { user, title, message, type } = req.body;
+      const notif = new Notification({ user, title, message, type });
+      await notif.save();
+      res.status(201).json(notif);
+    } catch (error) {
+      res.status(500).json({ message: "Error creating notification" });
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,159 @@
+import express from "express";
+const router = express.Router();
+import {
+  recordPayment,
+  getPayments,
+  getPaymentReceipt,
+  voidPayment,
+} from "../controllers/payment.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * /payments:
+ *   get:
+ *     summary: Get payments with filtering
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: invoice
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [cash, bank_transfer, cheque, card, online]
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeVoided
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Paginated payments with the total amount received
+ *       401:
+ *         description: Unauthorized access
+ *   post:
+ *     summary: Record a full or partial payment
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - invoiceId
+ *               - amount
+ *               - method
+ *             properties:
+ *               invoiceId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 example: 1500
+ *               method:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, cheque, card, online]
+ *               reference:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded and receipt number issued
+ *       400:
+ *         description: Invalid payment or amount exceeds balance
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice changed concurrently, retry
+ */
+router
+  .route("/")
+  .get(protect, requirePermission("fees:read"), getPayments)
+  .post(protect, requirePermission("payments:record"), recordPayment);
+
+/**
+ * @swagger
+ * /payments/{id}/receipt:
+ *   get:
+ *     summary: Get the receipt of a payment
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receipt details
+ *       404:
+ *         description: Payment not found
+ */
+router
+  .route("/:id/receipt")
+  .get(protect, requirePermission("fees:read"), getPaymentReceipt);
+
+/**
+ * @swagger
+ * /payments/{id}/void:
+ *   post:
+ *     summary: Void a payment and restore the invoice balance
+ *     tags: [Fees]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment voided
+ *       400:
+ *         description: Already voided or missing reason
+ *       404:
+ *         description: Payment not found
+ */
+router
+  .route("/:id/void")
+  .post(protect, requirePermission("payments:void"), voidPayment);
+
+export default router;
@@ -0,0 +1,145 @@
+import express from "express";
+const router = express.Router();
+import {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  updateTwoFactorPolicy,
+} from "../controllers/permission.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Role to permission mappings
+ */
+
+/**
+ * @swagger
+ * /permissions:
+ *   get:
+ *     summary: Get the permission registry and each role's permissions
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registry and role mappings
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing roles:manage permission
+ */
+router
+  .route("/")
+  .get(protect, requirePermission("roles:manage"), getPermissions);
+
+/**
+ * @swagger
+ * /permissions/{role}:
+ *   put:
+ *     summary: Replace the permissions granted to a role
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, warden, accountant, kitchen, kiosk]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["students:read", "attendance:mark"]
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Invalid role or unknown permission
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing roles:manage permission
+ *   delete:
+ *     summary: Reset a role to its default permissions
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, warden, accountant, kitchen, kiosk]
+ *     responses:
+ *       200:
+ *         description: Permissions reset
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing roles:manage permission
+ */
+router
+  .route("/:role")
+  .put(protect, requirePermission("roles:manage"), updateRolePermissions)
+  .delete(protect, requirePermission("roles:manage"), resetRolePermissions);
+
+/**
+ * @swagger
+ * /permissions/{role}/two-factor:
+ *   put:
+ *     summary: Require or stop requiring two-factor authentication for a role
+ *     description: Users of the role without two-factor get 7 days to enrol, then 403 TWO_FACTOR_SETUP_REQUIRED until they do. Admins and accountants require it by default.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [admin, warden, accountant, kitchen, kiosk]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid role or value
+ *       401:
+ *         description: Unauthorized access
+ *       403:
+ *         description: Forbidden - Missing roles:manage permission
+ */
+router
+  .route("/:role/two-factor")
+  .put(protect, requirePermission("roles:manage"), updateTwoFactorPolicy);
+
+export default router;
@@ -0,0 +1,232 @@
+import express from "express";
+const router = express.Router();
+import {
+  createRecipe,
+  getAllRecipes,
+  getRecipeById,
+  updateRecipe,
+  deleteRecipe,
+  getRecipeRequirementsById,
+} from "../controllers/recipe.controller.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recipes
+ *   description: Dishes and the inventory ingredients they are cooked from
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recipe:
+ *       type: object
+ *       required:
+ *         - name
+ *         - servings
+ *         - ingredients
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Chicken Curry
+ *         description:
+ *           type: string
+ *         mealTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [breakfast, lunch, dinner]
+ *         servings:
+ *           type: integer
+ *           description: Number of portions the ingredient quantities make
+ *           example: 50
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               inventoryItemId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 description: In the inventory item's unit, for all servings
+ *                 example: 5
+ *         suitableFor:
+ *           type: array
+ *           description: Diets and religious restrictions the dish respects
+ *           items:
+ *             type: string
+ *             enum: [vegetarian, vegan, halal, no_beef, no_pork]
+ *         allergens:
+ *           type: array
+ *           description: Allergens beyond those of the ingredient items
+ *           items:
+ *             type: string
+ *             enum: [gluten, dairy, eggs, peanuts, tree_nuts, soy, fish, shellfish, sesame]
+ *         nutritionPerServing:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Nutrition'
+ *           description: Nutrients of one serving. Those not set are worked out from the ingredient items.
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /recipes:
+ *   post:
+ *     summary: Create a recipe
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Recipe'
+ *     responses:
+ *       201:
+ *         description: Recipe created
+ *       400:
+ *         description: Validation error or recipe already exists
+ *   get:
+ *     summary: Get all recipes with search, filter, and pagination
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: search
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: mealType
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner]
+ *       - name: suitableFor
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [vegetarian, vegan, halal, no_beef, no_pork]
+ *       - name: ingredient
+ *         in: query
+ *         description: Only recipes using this inventory item
+ *         schema:
+ *           type: string
+ *       - name: isActive
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recipes by name
+ */
+router
+  .route("/")
+  .post(protect, requirePermission("mealplans:write"), createRecipe)
+  .get(protect, requirePermission("mealplans:read"), getAllRecipes);
+
+/**
+ * @swagger
+ * /recipes/{id}:
+ *   get:
+ *     summary: Get a recipe by ID
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipe with its ingredients
+ *       404:
+ *         description: Recipe not found
+ *   put:
+ *     summary: Update a recipe and recalculate the meal plans serving it
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Recipe'
+ *     responses:
+ *       200:
+ *         description: Recipe updated
+ *       404:
+ *         description: Recipe not found
+ *   delete:
+ *     summary: Delete a recipe no meal plan serves
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipe deleted
+ *       400:
+ *         description: Recipe is still served in meal plans
+ */
+router
+  .route("/:id")
+  .get(protect, requirePermission("mealplans:read"), getRecipeById)
+  .put(protect, requirePermission("mealplans:write"), updateRecipe)
+  .delete(protect, requirePermission("mealplans:delete"), deleteRecipe);
+
+/**
+ * @swagger
+ * /recipes/{id}/requirements:
+ *   get:
+ *     summary: Get the ingredients needed for a number of servings
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: servings
+ *         in: query
+ *         description: Defaults to the recipe's yield
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scaled quantities with current stock
+ */
+router
+  .route("/:id/requirements")
+  .get(protect, requirePermission("mealplans:read"), getRecipeRequirementsById);
+
+export default router;
@@ -9,24 +9,27 @@ import {
   deleteStudent,
   getStudentsForAttendance, // Import the new controller
 } from "../controllers/student.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect, requirePermission } from "../middleware/authmiddleware.js";
 
 // Admin routes
-router.route("/").post(createStudent).get(getAllStudents);
+router
+  .route("/")
+  .post(protect, requirePermission("students:write"), createStudent)
+  .get(protect, requirePermission("students:read"), getAllStudents);
 
 router
   .route("/:id")
-  .get(getStudentByAdmissionNumber)
-  .put(updateStudent)
-  .delete(deleteStudent);
+  .get(protect, requirePermission("students:read"), getStudentByAdmissionNumber)
+  .put(protect, requirePermission("students:write"), updateStudent)
+  .delete(protect, requirePermission("students:delete"), deleteStudent);
 
-router.route("/:id/status").patch(toggleStudentStatus);
+router
+  .route("/:id/status")
+  .patch(protect, requirePermission("students:write"), toggleStudentStatus);
 
 // New route for attendance marking
-router.route("/attendance/marking").get(
-  protect,
-  authorizeRoles("warden", "admin"), // Assuming teachers and admins can mark attendance
-  getStudentsForAttendance
-);
+router
+  .route("/attendance/marking")
+  .get(protect, requirePermission("attendance:mark"), getStudentsForAttendance);
 
 export default router;
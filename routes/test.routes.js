@@ -1,6 +1,6 @@
 // routes/test.routes.js
 import express from "express";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import { protect } from "../middleware/authmiddleware.js";
 
 const router = express.Router();
 
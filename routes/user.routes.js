@@ -8,8 +8,17 @@ import {
   getCurrentUserProfile,
   updateCurrentUserProfile,
   deleteUser,
+  unlockUser,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  resetUserTwoFactor,
 } from "../controllers/user.controller.js";
-import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
+import {
+  protect,
+  protectAllowPendingSetup,
+  requirePermission,
+} from "../middleware/authmiddleware.js";
 
 /**
  * @swagger
@@ -118,7 +127,7 @@ import { protect, authorizeRoles } from "../middleware/authmiddleware.js";
  *       500:
  *         description: Server error
  */
-router.route("/profile").get(protect, getCurrentUserProfile);
+router.route("/profile").get(protectAllowPendingSetup, getCurrentUserProfile);
 
 /**
  * @swagger
@@ -194,7 +203,7 @@ router.route("/profile").put(protect, updateCurrentUserProfile);
  *       500:
  *         description: Server error
  */
-router.route("/").post(createUser);
+router.route("/").post(protect, requirePermission("users:write"), createUser);
 
 /**
  * @swagger
@@ -255,7 +264,7 @@ router.route("/").post(createUser);
  *       500:
  *         description: Server error
  */
-router.route("/").get(protect, authorizeRoles("admin"), getAllUsers);
+router.route("/").get(protect, requirePermission("users:read"), getAllUsers);
 
 /**
  * @swagger
@@ -288,7 +297,7 @@ router.route("/").get(protect, authorizeRoles("admin"), getAllUsers);
  *       500:
  *         description: Server error
  */
-router.route("/:id").get(protect, authorizeRoles("admin"), getUserById);
+router.route("/:id").get(protect, requirePermission("users:read"), getUserById);
 
 /**
  * @swagger
@@ -329,7 +338,7 @@ router.route("/:id").get(protect, authorizeRoles("admin"), getUserById);
  *       500:
  *         description: Server error
  */
-router.route("/:id").put(protect, authorizeRoles("admin"), updateUser);
+router.route("/:id").put(protect, requirePermission("users:write"), updateUser);
 
 /**
  * @swagger
@@ -358,6 +367,155 @@ router.route("/:id").put(protect, authorizeRoles("admin"), updateUser);
  *       500:
  *         description: Server error
  */
-router.route("/:id").delete(protect, authorizeRoles("admin"), deleteUser);
+router
+  .route("/:id")
+  .delete(protect, requirePermission("users:write"), deleteUser);
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: MongoDB ID of the user to unlock
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       401:
+ *         description: Unauthorized - No valid token or not admin
+ *       403:
+ *         description: Forbidden - Not authorized as admin
+ *       404:
+ *         description: User not found
+ */
+router
+  .route("/:id/unlock")
+  .post(protect, requirePermission("users:write"), unlockUser);
+
+/**
+ * @swagger
+ * /users/{id}/two-factor:
+ *   delete:
+ *     summary: Reset two-factor for a user who lost their authenticator (Admin only)
+ *     description: Removes the secret and backup codes and revokes the user's sessions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: MongoDB ID of the user
+ *     responses:
+ *       200:
+ *         description: Two-factor reset
+ *       400:
+ *         description: Two-factor not enabled for the user
+ *       401:
+ *         description: Unauthorized - No valid token or not admin
+ *       403:
+ *         description: Forbidden - Not authorized as admin
+ *       404:
+ *         description: User not found
+ */
+router
+  .route("/:id/two-factor")
+  .delete(protect, requirePermission("users:write"), resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List active sessions (devices) of a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: MongoDB ID of the user
+ *     responses:
+ *       200:
+ *         description: Active sessions of the user
+ *       401:
+ *         description: Unauthorized - No valid token or not admin
+ *       403:
+ *         description: Forbidden - Not authorized as admin
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Revoke every session of a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: MongoDB ID of the user
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Unauthorized - No valid token or not admin
+ *       403:
+ *         description: Forbidden - Not authorized as admin
+ *       404:
+ *         description: User not found
+ */
+router
+  .route("/:id/sessions")
+  .get(protect, requirePermission("users:sessions"), getUserSessions)
+  .delete(protect, requirePermission("users:sessions"), revokeAllUserSessions);
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session of a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: MongoDB ID of the user
+ *       - in: path
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the session to revoke
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized - No valid token or not admin
+ *       403:
+ *         description: Forbidden - Not authorized as admin
+ *       404:
+ *         description: Session not found
+ */
+router
+  .route("/:id/sessions/:sessionId")
+  .delete(protect, requirePermission("users:sessions"), revokeUserSession);
 
 export default router;
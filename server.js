@@ -24,11 +24,25 @@ import authRoutes from "./routes/auth.routes.js";
 import userRoutes from "./routes/user.routes.js";
 import studentRoutes from "./routes/student.routes.js";
 import attendanceRoutes from "./routes/attendance.routes.js";
+import attendanceReportRoutes from "./routes/attendanceReport.routes.js";
+import checkInRoutes from "./routes/checkIn.routes.js";
 import mealplanRoutes from "./routes/mealplan.routes.js";
+import recipeRoutes from "./routes/recipe.routes.js";
+import mealOptOutRoutes from "./routes/mealOptOut.routes.js";
+import mealServingRoutes from "./routes/mealServing.routes.js";
 import inventoryRoutes from "./routes/inventory.routes.js";
 import inventoryUsageRoutes from "./routes/inventoryUsage.routes.js";
+import foodWasteRoutes from "./routes/foodWaste.routes.js";
 import notificationRoutes from "./routes/notification.routes.js";
 import dashboardRoutes from "./routes/dashboard.routes.js";
+import permissionRoutes from "./routes/permission.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import feeRoutes from "./routes/fee.routes.js";
+import invoiceRoutes from "./routes/invoice.routes.js";
+import paymentRoutes from "./routes/payment.routes.js";
+import concessionRoutes from "./routes/concession.routes.js";
+import dormRoutes from "./routes/dorm.routes.js";
+import leaveRoutes from "./routes/leave.routes.js";
 import testRoutes from "./routes/test.routes.js";
 
 // 🔹 Socket handler (central entry point)
@@ -58,7 +72,7 @@ connectMongoDb();
 
 // Initialize cron jobs for automated inventory management
 // The cron jobs will wait for database connection automatically
-initializeCronJobs();
+initializeCronJobs(io);
 
 const swaggerDocs = swaggerJsDoc(getSwaggerOptions(PORT, BASE_URL));
 
@@ -136,11 +150,25 @@ app.use(`${BASE_URL}/auth`, authRoutes);
 app.use(`${BASE_URL}/users`, userRoutes);
 app.use(`${BASE_URL}/student`, studentRoutes);
 app.use(`${BASE_URL}/attendance`, attendanceRoutes);
+app.use(`${BASE_URL}/attendance-reports`, attendanceReportRoutes);
+app.use(`${BASE_URL}/check-in`, checkInRoutes);
 app.use(`${BASE_URL}/mealplan`, mealplanRoutes);
+app.use(`${BASE_URL}/recipes`, recipeRoutes);
+app.use(`${BASE_URL}/meal-opt-outs`, mealOptOutRoutes);
+app.use(`${BASE_URL}/meal-servings`, mealServingRoutes);
 app.use(`${BASE_URL}/inventory`, inventoryRoutes);
 app.use(`${BASE_URL}/inventory-usage`, inventoryUsageRoutes);
+app.use(`${BASE_URL}/food-waste`, foodWasteRoutes);
 app.use(`${BASE_URL}/notification`, notificationRoutes);
 app.use(`${BASE_URL}/dashboard`, dashboardRoutes);
+app.use(`${BASE_URL}/permissions`, permissionRoutes);
+app.use(`${BASE_URL}/audit`, auditRoutes);
+app.use(`${BASE_URL}/fees`, feeRoutes);
+app.use(`${BASE_URL}/invoices`, invoiceRoutes);
+app.use(`${BASE_URL}/payments`, paymentRoutes);
+app.use(`${BASE_URL}/concessions`, concessionRoutes);
+app.use(`${BASE_URL}/dorms`, dormRoutes);
+app.use(`${BASE_URL}/leave`, leaveRoutes);
 app.use(`${BASE_URL}/test`, testRoutes);
 
 app.all("*", (req, res) => {
@@ -0,0 +1,224 @@
+import AttendanceAlert from "../models/attendanceAlert.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import AttendanceSession from "../models/attendanceSession.model.js";
+import Student from "../models/student.model.js";
+import { getAttendedCount } from "./attendanceStatus.js";
+import { getDailyAttendanceRollup } from "./attendanceRollup.js";
+import {
+  ABSENCE_ALERT_SESSIONS,
+  ATTENDANCE_DROP_ALERT_POINTS,
+  ATTENDANCE_DROP_BASELINE_SESSIONS,
+  ATTENDANCE_MARKING_CUTOFFS,
+} from "./constants.js";
+
+// How far back absence streaks are followed
+const ABSENCE_LOOKBACK_DAYS = 30;
+// A drop is only judged against at least this many earlier sessions
+const ATTENDANCE_DROP_MIN_BASELINE = 3;
+
+const SESSION_ORDER = { morning: 0, evening: 1 };
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
+
+const getAttendanceRate = (session) =>
+  session.totalStudents > 0
+    ? (getAttendedCount(session) / session.totalStudents) * 100
+    : null;
+
+/**
+ * Active students absent in their last ABSENCE_ALERT_SESSIONS sessions or
+ * more. A streak is keyed by the record that reached the threshold, so it is
+ * alerted once however long it lasts.
+ * @param {Date} now
+ * @returns {Promise<Array>} Alerts to raise
+ */
+const detectConsecutiveAbsences = async (now = new Date()) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - ABSENCE_LOOKBACK_DAYS);
+  since.setHours(0, 0, 0, 0);
+
+  const sessions = await AttendanceSession.find({ markedAt: { $gte: since } })
+    .select("dorm sessionType markedAt attendanceRecords")
+    .lean();
+
+  const sessionByRecord = new Map();
+  sessions.forEach((session) =>
+    session.attendanceRecords.forEach((recordId) =>
+      sessionByRecord.set(String(recordId), session)
+    )
+  );
+
+  const records = await AttendanceRecord.find({
+    _id: { $in: [...sessionByRecord.keys()] },
+  })
+    .select("student status")
+    .lean();
+
+  const recordsByStudent = new Map();
+  records.forEach((record) => {
+    const key = String(record.student);
+    if (!recordsByStudent.has(key)) recordsByStudent.set(key, []);
+    recordsByStudent
+      .get(key)
+      .push({ record, session: sessionByRecord.get(String(record._id)) });
+  });
+
+  const students = await Student.find({
+    _id: { $in: [...recordsByStudent.keys()] },
+    isActive: true,
+  })
+    .select("name admissionNumber dorm")
+    .lean();
+
+  const alerts = [];
+  for (const student of students) {
+    // Most recent session first
+    const history = recordsByStudent
+      .get(String(student._id))
+      .sort(
+        (a, b) =>
+          b.session.markedAt - a.session.markedAt ||
+          SESSION_ORDER[b.session.sessionType] -
+            SESSION_ORDER[a.session.sessionType]
+      );
+
+    const firstNotAbsent = history.findIndex(
+      (entry) => entry.record.status !== "absent"
+    );
+    const streak = firstNotAbsent === -1 ? history.length : firstNotAbsent;
+    if (streak < ABSENCE_ALERT_SESSIONS) continue;
+
+    const thresholdEntry = history[streak - ABSENCE_ALERT_SESSIONS];
+    alerts.push({
+      type: "consecutive_absence",
+      key: `consecutive_absence:${thresholdEntry.record._id}`,
+      dorm: history[0].session.dorm,
+      student: student._id,
+      session: history[0].session._id,
+      message: `${student.name} (${student.admissionNumber}, ${student.dorm}) has been absent for ${streak} sessions in a row`,
+    });
+  }
+
+  return alerts;
+};
+
+/**
+ * Dorm sessions marked since yesterday whose attendance rate is well below
+ * the dorm's average for the same slot over its previous sessions
+ * @param {Date} now
+ * @returns {Promise<Array>} Alerts to raise
+ */
+const detectAttendanceDrops = async (now = new Date()) => {
+  const since = new Date(now);
+  since.setDate(since.getDate() - 1);
+  since.setHours(0, 0, 0, 0);
+
+  const sessions = await AttendanceSession.find({
+    dorm: { $ne: null },
+    markedAt: { $gte: since },
+  })
+    .populate("dorm", "name")
+    .lean();
+
+  const alerts = [];
+  for (const session of sessions) {
+    const rate = getAttendanceRate(session);
+    if (rate === null || !session.dorm) continue;
+
+    const previous = await AttendanceSession.find({
+      dorm: session.dorm._id,
+      sessionType: session.sessionType,
+      markedAt: { $lt: session.markedAt },
+    })
+      .sort({ markedAt: -1 })
+      .limit(ATTENDANCE_DROP_BASELINE_SESSIONS)
+      .lean();
+    const previousRates = previous
+      .map(getAttendanceRate)
+      .filter((value) => value !== null);
+    if (previousRates.length < ATTENDANCE_DROP_MIN_BASELINE) continue;
+
+    const baseline =
+      previousRates.reduce((sum, value) => sum + value, 0) /
+      previousRates.length;
+    if (baseline - rate < ATTENDANCE_DROP_ALERT_POINTS) continue;
+
+    const sessionDate = toDateKey(session.markedAt);
+    const percent = Math.round(rate);
+    const baselinePercent = Math.round(baseline);
+
+    alerts.push({
+      type: "attendance_drop",
+      key: `attendance_drop:${session._id}`,
+      dorm: session.dorm._id,
+      session: session._id,
+      message: `${session.dorm.name} ${session.sessionType} attendance on ${sessionDate} was ${percent}%, against an average of ${baselinePercent}% over the previous ${previousRates.length} sessions`,
+    });
+  }
+
+  return alerts;
+};
+
+/**
+ * Active dorms with students that have not marked today's sessions by the
+ * ATTENDANCE_MARKING_CUTOFFS times
+ * @param {Date} now
+ * @returns {Promise<Array>} Alerts to raise
+ */
+const detectUnmarkedSessions = async (now = new Date()) => {
+  const overdueTypes = Object.entries(ATTENDANCE_MARKING_CUTOFFS)
+    .filter(([, cutoff]) => {
+      const [hours, minutes] = cutoff.split(":").map(Number);
+      const cutoffAt = new Date(now);
+      cutoffAt.setHours(hours, minutes, 0, 0);
+      return now >= cutoffAt;
+    })
+    .map(([sessionType]) => sessionType);
+  if (overdueTypes.length === 0) return [];
+
+  const [rollup, occupiedDorms] = await Promise.all([
+    getDailyAttendanceRollup(now),
+    Student.distinct("dorm", { isActive: true }),
+  ]);
+  const dateKey = toDateKey(now);
+
+  return overdueTypes.flatMap((sessionType) =>
+    rollup[sessionType].missingDorms
+      .filter((dorm) => occupiedDorms.includes(dorm.name))
+      .map((dorm) => ({
+        type: "unmarked_session",
+        key: `unmarked_session:${dorm.id}:${sessionType}:${dateKey}`,
+        dorm: dorm.id,
+        message: `${dorm.name} has not marked ${sessionType} attendance for ${dateKey} (cutoff ${ATTENDANCE_MARKING_CUTOFFS[sessionType]})`,
+      }))
+  );
+};
+
+/**
+ * Save alerts that were not raised before
+ * @param {Array} alerts
+ * @returns {Promise<Array>} The newly saved alerts
+ */
+const recordNewAlerts = async (alerts) => {
+  const created = [];
+  for (const alert of alerts) {
+    try {
+      created.push(await AttendanceAlert.create(alert));
+    } catch (error) {
+      // Already alerted
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return created;
+};
+
+export {
+  detectConsecutiveAbsences,
+  detectAttendanceDrops,
+  detectUnmarkedSessions,
+  recordNewAlerts,
+};
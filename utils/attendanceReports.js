@@ -0,0 +1,248 @@
+import AttendanceSession from "../models/attendanceSession.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import Student from "../models/student.model.js";
+import { STATUS_COUNT_FIELDS } from "./attendanceStatus.js";
+import {
+  ATTENDANCE_EXCUSED_STATUSES,
+  ATTENDANCE_STATUSES,
+} from "./constants.js";
+
+/**
+ * One document per attendance record in the range, joined with its student.
+ * Students are filtered on their current dorm and class.
+ * @param {Object} filters
+ * @param {Date} filters.from - First day (UTC midnight)
+ * @param {Date} filters.to - Last moment of the range
+ * @param {String} filters.sessionType - Only morning or evening sessions
+ * @param {Array<String>} filters.dorms - Dorm names
+ * @param {String} filters.className - Student class
+ * @returns {Array} Aggregation stages
+ */
+const buildRecordPipeline = ({ from, to, sessionType, dorms, className }) => {
+  const sessionMatch = { markedAt: { $gte: from, $lte: to } };
+  if (sessionType) sessionMatch.sessionType = sessionType;
+
+  const studentMatch = {};
+  if (dorms) studentMatch["student.dorm"] = { $in: dorms };
+  if (className) studentMatch["student.class"] = className;
+
+  return [
+    { $match: sessionMatch },
+    { $project: { markedAt: 1, sessionType: 1, attendanceRecords: 1 } },
+    { $unwind: "$attendanceRecords" },
+    {
+      $lookup: {
+        from: AttendanceRecord.collection.name,
+        localField: "attendanceRecords",
+        foreignField: "_id",
+        as: "record",
+      },
+    },
+    { $unwind: "$record" },
+    {
+      $lookup: {
+        from: Student.collection.name,
+        localField: "record.student",
+        foreignField: "_id",
+        as: "student",
+      },
+    },
+    { $unwind: "$student" },
+    { $match: studentMatch },
+  ];
+};
+
+/**
+ * $group accumulators counting the records of each status
+ */
+const statusCountAccumulators = () => ({
+  totalRecords: { $sum: 1 },
+  ...Object.fromEntries(
+    ATTENDANCE_STATUSES.map((status) => [
+      STATUS_COUNT_FIELDS[status],
+      { $sum: { $cond: [{ $eq: ["$record.status", status] }, 1, 0] } },
+    ])
+  ),
+});
+
+/**
+ * Stages adding attendedCount (present or late), expectedCount (records not
+ * excused or on leave) and attendancePercent, null when nothing was expected
+ */
+const attendancePercentStages = () => [
+  {
+    $addFields: {
+      attendedCount: {
+        $add: [
+          `$${STATUS_COUNT_FIELDS.present}`,
+          `$${STATUS_COUNT_FIELDS.late}`,
+        ],
+      },
+      expectedCount: {
+        $subtract: [
+          "$totalRecords",
+          {
+            $add: ATTENDANCE_EXCUSED_STATUSES.map(
+              (status) => `$${STATUS_COUNT_FIELDS[status]}`
+            ),
+          },
+        ],
+      },
+    },
+  },
+  {
+    $addFields: {
+      attendancePercent: {
+        $cond: [
+          { $gt: ["$expectedCount", 0] },
+          {
+            $round: [
+              {
+                $multiply: [
+                  { $divide: ["$attendedCount", "$expectedCount"] },
+                  100,
+                ],
+              },
+              1,
+            ],
+          },
+          null,
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Attendance counts and percentage of each student
+ * @param {Object} filters - See buildRecordPipeline
+ * @param {Number} filters.belowPercent - Only students under this percentage
+ * @returns {Promise<Array>}
+ */
+const getStudentAttendanceSummary = async ({ belowPercent, ...filters }) => {
+  const pipeline = [
+    ...buildRecordPipeline(filters),
+    {
+      $group: {
+        _id: "$student._id",
+        name: { $first: "$student.name" },
+        admissionNumber: { $first: "$student.admissionNumber" },
+        dorm: { $first: "$student.dorm" },
+        class: { $first: "$student.class" },
+        isActive: { $first: "$student.isActive" },
+        ...statusCountAccumulators(),
+      },
+    },
+    ...attendancePercentStages(),
+  ];
+
+  if (belowPercent !== undefined) {
+    pipeline.push(
+      { $match: { attendancePercent: { $ne: null, $lt: belowPercent } } },
+      { $sort: { attendancePercent: 1, name: 1 } }
+    );
+  } else {
+    pipeline.push({ $sort: { name: 1 } });
+  }
+
+  return AttendanceSession.aggregate(pipeline);
+};
+
+/**
+ * Attendance counts and percentage per student dorm or class
+ * @param {String} groupBy - "dorm" or "class"
+ * @param {Object} filters - See buildRecordPipeline
+ * @returns {Promise<Array>}
+ */
+const getGroupAttendanceSummary = (groupBy, filters) =>
+  AttendanceSession.aggregate([
+    ...buildRecordPipeline(filters),
+    {
+      $group: {
+        _id: `$student.${groupBy}`,
+        students: { $addToSet: "$student._id" },
+        ...statusCountAccumulators(),
+      },
+    },
+    ...attendancePercentStages(),
+    {
+      $project: {
+        _id: 0,
+        [groupBy]: "$_id",
+        studentCount: { $size: "$students" },
+        totalRecords: 1,
+        ...Object.fromEntries(
+          Object.values(STATUS_COUNT_FIELDS).map((field) => [field, 1])
+        ),
+        attendedCount: 1,
+        expectedCount: 1,
+        attendancePercent: 1,
+      },
+    },
+    { $sort: { [groupBy]: 1 } },
+  ]);
+
+/**
+ * Monthly register: each student's status in every session of every day
+ * @param {Object} filters - See buildRecordPipeline, from/to span the month
+ * @returns {Promise<Array>} Students with a `days` grid and their totals
+ */
+const getMonthlyRegister = async (filters) => {
+  const rows = await AttendanceSession.aggregate([
+    ...buildRecordPipeline(filters),
+    {
+      $group: {
+        _id: "$student._id",
+        name: { $first: "$student.name" },
+        admissionNumber: { $first: "$student.admissionNumber" },
+        dorm: { $first: "$student.dorm" },
+        class: { $first: "$student.class" },
+        entries: {
+          $push: {
+            date: {
+              $dateToString: { format: "%Y-%m-%d", date: "$markedAt" },
+            },
+            sessionType: "$sessionType",
+            status: "$record.status",
+          },
+        },
+        ...statusCountAccumulators(),
+      },
+    },
+    ...attendancePercentStages(),
+    { $sort: { name: 1 } },
+  ]);
+
+  // Every day of the range, in order
+  const dates = [];
+  for (
+    const day = new Date(filters.from);
+    day <= filters.to;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    dates.push(day.toISOString().split("T")[0]);
+  }
+
+  return rows.map(({ entries, ...row }) => {
+    const statuses = new Map(
+      entries.map((entry) => [
+        `${entry.date}:${entry.sessionType}`,
+        entry.status,
+      ])
+    );
+    return {
+      ...row,
+      days: dates.map((date) => ({
+        date,
+        morning: statuses.get(`${date}:morning`) || null,
+        evening: statuses.get(`${date}:evening`) || null,
+      })),
+    };
+  });
+};
+
+export {
+  getStudentAttendanceSummary,
+  getGroupAttendanceSummary,
+  getMonthlyRegister,
+};
@@ -0,0 +1,121 @@
+import AttendanceSession from "../models/attendanceSession.model.js";
+import Dorm from "../models/dorm.model.js";
+import { STATUS_COUNT_FIELDS, getDiningCount } from "./attendanceStatus.js";
+
+const SESSION_TYPES = ["morning", "evening"];
+
+/**
+ * Sessions marked on a day, one per dorm (plus any legacy hostel-wide one)
+ * @param {Date} date - Any time on the day
+ * @param {String} sessionType - Only this slot (all when omitted)
+ * @returns {Promise<Array>} Lean sessions
+ */
+const getSessionsForDay = (date, sessionType = null) => {
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const query = { markedAt: { $gte: startOfDay, $lte: endOfDay } };
+  if (sessionType) query.sessionType = sessionType;
+
+  return AttendanceSession.find(query).lean();
+};
+
+/**
+ * Add up the counts of several sessions of the same slot
+ * @param {Array} sessions
+ * @returns {Object} totalStudents, per-status counts and diningCount
+ */
+const sumSessions = (sessions) => {
+  const totals = { totalStudents: 0, diningCount: 0 };
+  Object.values(STATUS_COUNT_FIELDS).forEach((field) => (totals[field] = 0));
+
+  sessions.forEach((session) => {
+    totals.totalStudents += session.totalStudents || 0;
+    totals.diningCount += getDiningCount(session);
+    Object.values(STATUS_COUNT_FIELDS).forEach(
+      (field) => (totals[field] += session[field] || 0)
+    );
+  });
+
+  return totals;
+};
+
+/**
+ * Students eating in the hostel across all dorms for one slot of a day
+ * @param {String} sessionType
+ * @param {Date} date
+ * @returns {Promise<{diningCount: Number, sessionIds: Array}|null>} Null when
+ *   no dorm has marked the slot yet
+ */
+const getDiningCountForDay = async (sessionType, date) => {
+  const sessions = await getSessionsForDay(date, sessionType);
+  if (sessions.length === 0) return null;
+
+  return {
+    diningCount: sumSessions(sessions).diningCount,
+    sessionIds: sessions.map((session) => session._id),
+  };
+};
+
+/**
+ * Attendance of a day across dorms: totals per slot, each dorm's session and
+ * the active dorms that have not marked a slot yet
+ * @param {Date} date
+ * @returns {Promise<Object>}
+ */
+const getDailyAttendanceRollup = async (date) => {
+  const [sessions, dorms] = await Promise.all([
+    getSessionsForDay(date),
+    Dorm.find({ isActive: true }).select("name").sort({ name: 1 }).lean(),
+  ]);
+  const dormNames = new Map(dorms.map((dorm) => [String(dorm._id), dorm.name]));
+
+  const rollup = {};
+  for (const sessionType of SESSION_TYPES) {
+    const slotSessions = sessions.filter(
+      (session) => session.sessionType === sessionType
+    );
+    const markedDorms = new Set(
+      slotSessions.map((session) => String(session.dorm))
+    );
+
+    rollup[sessionType] = {
+      ...sumSessions(slotSessions),
+      sessions: slotSessions.map((session) => ({
+        id: session._id,
+        dorm: session.dorm
+          ? {
+              id: session.dorm,
+              name: dormNames.get(String(session.dorm)) || null,
+            }
+          : null,
+        totalStudents: session.totalStudents,
+        ...Object.fromEntries(
+          Object.values(STATUS_COUNT_FIELDS).map((field) => [
+            field,
+            session[field] || 0,
+          ])
+        ),
+        diningCount: getDiningCount(session),
+        isCompleted: session.isCompleted,
+      })),
+      missingDorms: dorms
+        .filter((dorm) => !markedDorms.has(String(dorm._id)))
+        .map((dorm) => ({ id: dorm._id, name: dorm.name })),
+    };
+  }
+
+  return {
+    date: new Date(date).toISOString().split("T")[0],
+    ...rollup,
+  };
+};
+
+export {
+  getSessionsForDay,
+  sumSessions,
+  getDiningCountForDay,
+  getDailyAttendanceRollup,
+};
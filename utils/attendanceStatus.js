@@ -0,0 +1,96 @@
+import {
+  ATTENDANCE_STATUSES,
+  DINING_ATTENDANCE_STATUSES,
+} from "./constants.js";
+
+// Session field holding the number of records in each status
+const STATUS_COUNT_FIELDS = {
+  present: "presentCount",
+  late: "lateCount",
+  excused: "excusedCount",
+  on_leave: "leaveCount",
+  sick: "sickCount",
+  absent: "absentCount",
+};
+
+/**
+ * Per-status counts of a session's records, plus how many students eat in
+ * the hostel
+ * @param {Array} records - Attendance records (only status is read)
+ * @returns {Object} presentCount, lateCount, excusedCount, leaveCount,
+ *   sickCount, absentCount and diningCount
+ */
+const countAttendanceStatuses = (records) => {
+  const counts = Object.fromEntries(
+    Object.values(STATUS_COUNT_FIELDS).map((field) => [field, 0])
+  );
+  let diningCount = 0;
+
+  records.forEach((record) => {
+    counts[STATUS_COUNT_FIELDS[record.status]]++;
+    if (DINING_ATTENDANCE_STATUSES.includes(record.status)) diningCount++;
+  });
+
+  return { ...counts, diningCount };
+};
+
+/**
+ * Number of students eating in the hostel according to a session. Sessions
+ * saved before diningCount existed only knew who was present.
+ */
+const getDiningCount = (session) =>
+  session.diningCount ?? session.presentCount ?? 0;
+
+/**
+ * Students physically at the roll call: present or late
+ */
+const getAttendedCount = (session) =>
+  (session.presentCount || 0) + (session.lateCount || 0);
+
+/**
+ * Validate the status of a submitted record and resolve its arrival time.
+ * "HH:mm" arrival times are taken on the attendance date.
+ * @param {Object} record - { status, arrivalTime }
+ * @param {Date} attendanceDate - Midnight of the session date
+ * @returns {{error: String}|{status: String, arrivalTime: Date|null}}
+ */
+const parseRecordStatus = (record, attendanceDate) => {
+  if (!ATTENDANCE_STATUSES.includes(record.status)) {
+    return {
+      error: `Invalid status "${
+        record.status
+      }". Must be one of: ${ATTENDANCE_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (record.status !== "late") {
+    return { status: record.status, arrivalTime: null };
+  }
+
+  if (!record.arrivalTime) {
+    return { error: "Late records need an arrival time" };
+  }
+
+  let arrivalTime;
+  const timeMatch = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(record.arrivalTime);
+  if (timeMatch) {
+    arrivalTime = new Date(attendanceDate);
+    arrivalTime.setHours(Number(timeMatch[1]), Number(timeMatch[2]), 0, 0);
+  } else {
+    arrivalTime = new Date(record.arrivalTime);
+  }
+
+  if (isNaN(arrivalTime.getTime())) {
+    return { error: "Arrival time must be HH:mm or an ISO date-time" };
+  }
+
+  return { status: "late", arrivalTime };
+};
+
+export {
+  STATUS_COUNT_FIELDS,
+  countAttendanceStatuses,
+  getDiningCount,
+  getAttendedCount,
+  parseRecordStatus,
+};
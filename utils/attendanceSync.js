@@ -0,0 +1,413 @@
+import AttendanceSession from "../models/attendanceSession.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import Student from "../models/student.model.js";
+import { recordAudit, snapshot } from "./auditLogger.js";
+import { getTrackedSequence } from "./sequence.js";
+import { getStudentsOnLeave } from "./leaveWorkflow.js";
+import {
+  countAttendanceStatuses,
+  parseRecordStatus,
+} from "./attendanceStatus.js";
+import {
+  ATTENDANCE_SYNC_SEQUENCE,
+  ATTENDANCE_SYNC_DAYS,
+  ATTENDANCE_SYNC_PENDING_MS,
+} from "./constants.js";
+import { withTransaction } from "./transaction.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC midnight of the oldest day devices may still sync
+ */
+const getSyncWindowStart = () => {
+  const now = new Date();
+  return new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) -
+      (ATTENDANCE_SYNC_DAYS - 1) * DAY_MS
+  );
+};
+
+/**
+ * Record and session as stored on devices
+ */
+const formatSyncRecord = (record) => ({
+  student: record.student,
+  status: record.status,
+  arrivalTime: record.arrivalTime ?? null,
+  remarks: record.remarks,
+  source: record.source,
+  changedAt: record.changedAt,
+});
+
+const formatSyncSession = (session) => ({
+  _id: session._id,
+  sessionType: session.sessionType,
+  date: session.markedAt,
+  isCompleted: session.isCompleted,
+  syncVersion: session.syncVersion,
+  records: session.attendanceRecords.map(formatSyncRecord),
+});
+
+/**
+ * Highest version devices can be told they hold. Sessions may take their
+ * version inside a transaction still open, so a version taken recently but
+ * not seen on any session holds the answer back to just below it; devices
+ * then get those sessions on a later sync once committed.
+ * @returns {Promise<Number>}
+ */
+const getSyncedVersion = async () => {
+  const { seq, pending } = await getTrackedSequence(
+    ATTENDANCE_SYNC_SEQUENCE,
+    ATTENDANCE_SYNC_PENDING_MS
+  );
+  if (pending.length === 0) return seq;
+
+  const visible = await AttendanceSession.find({
+    syncVersion: { $in: pending },
+  }).distinct("syncVersion");
+  const uncommitted = pending.filter((version) => !visible.includes(version));
+  return uncommitted.length > 0 ? Math.min(...uncommitted) - 1 : seq;
+};
+
+/**
+ * Roster and attendance of a dorm as known by the server. The version is
+ * worked out before the data is read, so changes saved meanwhile are sent
+ * again on the next sync rather than missed.
+ * @param {Object} dorm - Dorm document
+ * @param {Number} since - Version the device holds, 0 for a full snapshot
+ * @returns {Promise<Object>} version, serverTime, students, sessions changed
+ *   since the version and the ids of all sessions in the sync window, so
+ *   devices can drop deleted sessions
+ */
+const getSyncSnapshot = async (dorm, since = 0) => {
+  const version = await getSyncedVersion();
+  const windowStart = getSyncWindowStart();
+
+  const [students, sessions, sessionIds] = await Promise.all([
+    Student.find({ dorm: dorm.name, isActive: true })
+      .select("name admissionNumber class")
+      .sort({ name: 1 }),
+    AttendanceSession.find({
+      dorm: dorm._id,
+      markedAt: { $gte: windowStart },
+      syncVersion: { $gt: since },
+    })
+      .populate(
+        "attendanceRecords",
+        "student status arrivalTime remarks source changedAt"
+      )
+      .sort({ markedAt: 1, sessionType: 1 }),
+    AttendanceSession.find({
+      dorm: dorm._id,
+      markedAt: { $gte: windowStart },
+    }).distinct("_id"),
+  ]);
+
+  return {
+    version,
+    serverTime: new Date(),
+    dorm: { _id: dorm._id, name: dorm.name },
+    windowStart,
+    students,
+    sessions: sessions.map(formatSyncSession),
+    sessionIds,
+  };
+};
+
+/**
+ * Check the shape of an offline change
+ * @returns {{error: String}|{change: Object}} change has its date, status
+ *   and client timestamp parsed
+ */
+const parseSyncChange = (change, { windowStart, now, studentIds }) => {
+  const { date, sessionType, student, op } = change;
+
+  if (!change.clientChangeId) {
+    return { error: "clientChangeId is required" };
+  }
+  if (!["mark", "unmark"].includes(op)) {
+    return { error: "op must be 'mark' or 'unmark'" };
+  }
+  if (!["morning", "evening"].includes(sessionType)) {
+    return { error: "sessionType must be 'morning' or 'evening'" };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? "")) {
+    return { error: "date must be YYYY-MM-DD" };
+  }
+  const markedAt = new Date(`${date}T00:00:00.000Z`);
+  if (isNaN(markedAt.getTime()) || markedAt > now) {
+    return { error: "date is invalid or in the future" };
+  }
+  if (markedAt < windowStart) {
+    return {
+      error: `Changes older than ${ATTENDANCE_SYNC_DAYS} days cannot be synced`,
+    };
+  }
+
+  if (!studentIds.has(String(student))) {
+    return { error: "Student is not an active student of this dorm" };
+  }
+
+  // Device clocks running ahead cannot win over later server changes
+  let clientTimestamp = new Date(change.clientTimestamp);
+  if (!change.clientTimestamp || isNaN(clientTimestamp.getTime())) {
+    return { error: "clientTimestamp must be an ISO date-time" };
+  }
+  if (clientTimestamp > now) clientTimestamp = now;
+
+  const parsed = { ...change, markedAt, clientTimestamp };
+  if (op === "mark") {
+    const status = parseRecordStatus(change, markedAt);
+    if (status.error) return { error: status.error };
+    Object.assign(parsed, status);
+  }
+
+  return { change: parsed };
+};
+
+/**
+ * Apply the changes of one session in a transaction. Changes must be sorted
+ * by client timestamp. A change loses against a record, or the tombstone of
+ * an unmarked record, changed at or after its timestamp, unless that was
+ * written by this same batch. Repeated uploads are matched by clientChangeId.
+ * @returns {Promise<Object>} session, created, before, applied, conflicts
+ *   and rejected
+ */
+const applySessionChanges = async (
+  { dorm, sessionType, markedAt, changes },
+  { studentsOnLeave, userId }
+) =>
+  withTransaction(async (dbSession) => {
+    const result = {
+      session: null,
+      created: false,
+      before: null,
+      applied: [],
+      conflicts: [],
+      rejected: [],
+    };
+
+    let session = await AttendanceSession.findOne({
+      dorm: dorm._id,
+      sessionType,
+      markedAt,
+    }).session(dbSession);
+
+    if (session?.isCompleted) {
+      result.rejected = changes.map((change) => ({
+        clientChangeId: change.clientChangeId,
+        reason: "Attendance session has been finalized",
+      }));
+      return result;
+    }
+
+    if (session) {
+      result.before = snapshot(session);
+    } else {
+      session = new AttendanceSession({
+        sessionType,
+        dorm: dorm._id,
+        attendanceRecords: [],
+        totalStudents: 0,
+        markedBy: userId,
+        markedAt,
+      });
+      result.created = true;
+    }
+
+    const existingRecords = await AttendanceRecord.find({
+      _id: { $in: session.attendanceRecords },
+    }).session(dbSession);
+    const recordsByStudent = new Map(
+      existingRecords.map((record) => [String(record.student), record])
+    );
+    const removedByStudent = new Map(
+      session.removedRecords.map((removed) => [
+        String(removed.student),
+        removed,
+      ])
+    );
+    const writtenByBatch = new Set();
+
+    for (const change of changes) {
+      const studentKey = String(change.student);
+      const existing = recordsByStudent.get(studentKey);
+      // Unmarked students keep a tombstone to compare against
+      const latest = existing ?? removedByStudent.get(studentKey);
+
+      // A change uploaded twice, e.g. after a lost response
+      if (latest?.clientChangeId === String(change.clientChangeId)) {
+        result.applied.push(change.clientChangeId);
+        continue;
+      }
+
+      if (
+        latest &&
+        !writtenByBatch.has(studentKey) &&
+        latest.changedAt >= change.clientTimestamp
+      ) {
+        result.conflicts.push({
+          clientChangeId: change.clientChangeId,
+          reason: "The server has a newer change for this student",
+          server: existing
+            ? formatSyncRecord(existing)
+            : {
+                student: latest.student,
+                removed: true,
+                changedAt: latest.changedAt,
+              },
+        });
+        continue;
+      }
+
+      if (change.op === "unmark") {
+        if (existing) {
+          await AttendanceRecord.deleteOne(
+            { _id: existing._id },
+            { session: dbSession }
+          );
+          session.attendanceRecords.pull(existing._id);
+          recordsByStudent.delete(studentKey);
+        }
+        removedByStudent.set(studentKey, {
+          student: change.student,
+          changedAt: change.clientTimestamp,
+          clientChangeId: String(change.clientChangeId),
+        });
+      } else {
+        const status =
+          change.status === "absent" && studentsOnLeave.has(studentKey)
+            ? "on_leave"
+            : change.status;
+
+        if (existing) {
+          existing.status = status;
+          existing.arrivalTime = change.arrivalTime || undefined;
+          if (change.remarks !== undefined) existing.remarks = change.remarks;
+          existing.source = "manual";
+          existing.changedAt = change.clientTimestamp;
+          existing.clientChangeId = String(change.clientChangeId);
+          await existing.save({ session: dbSession });
+        } else {
+          const [record] = await AttendanceRecord.create(
+            [
+              {
+                student: change.student,
+                status,
+                arrivalTime: change.arrivalTime || undefined,
+                remarks: change.remarks || "",
+                changedAt: change.clientTimestamp,
+                clientChangeId: String(change.clientChangeId),
+              },
+            ],
+            { session: dbSession }
+          );
+          session.attendanceRecords.push(record._id);
+          recordsByStudent.set(studentKey, record);
+        }
+        removedByStudent.delete(studentKey);
+      }
+
+      writtenByBatch.add(studentKey);
+      result.applied.push(change.clientChangeId);
+    }
+
+    // Nothing to save when every change lost
+    if (result.applied.length === 0) {
+      return { ...result, session: null };
+    }
+
+    Object.assign(
+      session,
+      countAttendanceStatuses([...recordsByStudent.values()])
+    );
+    session.totalStudents = recordsByStudent.size;
+    session.removedRecords = [...removedByStudent.values()];
+    result.session = await session.save({ session: dbSession });
+    return result;
+  });
+
+/**
+ * Apply a batch of changes made offline on a warden's device. Changes are
+ * replayed in client timestamp order (clientChangeId breaks ties), so the
+ * outcome does not depend on the order the device sent them in. Each
+ * session is written in its own transaction.
+ * @param {Object} dorm - Dorm document
+ * @param {Array} changes - { clientChangeId, date, sessionType, student, op,
+ *   status, arrivalTime, remarks, clientTimestamp }
+ * @param {Object} options
+ * @param {Object} options.req - Request of the syncing user, for auditing
+ * @returns {Promise<{applied: Array, conflicts: Array, rejected: Array}>}
+ */
+const applySyncChanges = async (dorm, changes, { req }) => {
+  const now = new Date();
+  const windowStart = getSyncWindowStart();
+  const studentIds = new Set(
+    (
+      await Student.find({ dorm: dorm.name, isActive: true }).distinct("_id")
+    ).map(String)
+  );
+
+  const applied = [];
+  const conflicts = [];
+  const rejected = [];
+  const sessions = new Map();
+
+  for (const change of changes) {
+    const parsed = parseSyncChange(change, { windowStart, now, studentIds });
+    if (parsed.error) {
+      rejected.push({
+        clientChangeId: change.clientChangeId ?? null,
+        reason: parsed.error,
+      });
+      continue;
+    }
+
+    const key = `${change.date}:${change.sessionType}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, {
+        dorm,
+        sessionType: change.sessionType,
+        markedAt: parsed.change.markedAt,
+        changes: [],
+      });
+    }
+    sessions.get(key).changes.push(parsed.change);
+  }
+
+  for (const group of sessions.values()) {
+    group.changes.sort(
+      (a, b) =>
+        a.clientTimestamp - b.clientTimestamp ||
+        String(a.clientChangeId).localeCompare(String(b.clientChangeId))
+    );
+
+    const endOfDay = new Date(group.markedAt.getTime() + DAY_MS - 1);
+    const studentsOnLeave = await getStudentsOnLeave(group.markedAt, endOfDay);
+
+    const result = await applySessionChanges(group, {
+      studentsOnLeave,
+      userId: req.user._id,
+    });
+
+    applied.push(...result.applied);
+    conflicts.push(...result.conflicts);
+    rejected.push(...result.rejected);
+
+    if (result.session) {
+      await recordAudit(req, {
+        action: result.created ? "create" : "update",
+        entity: "AttendanceSession",
+        entityId: result.session._id,
+        before: result.before,
+        after: result.session,
+      });
+    }
+  }
+
+  return { applied, conflicts, rejected };
+};
+
+export { getSyncSnapshot, applySyncChanges };
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.model.js";
+
+// Bookkeeping fields that change on every save and carry no information
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "lastUpdated"];
+
+// Secrets are recorded as changed, never with their values
+const REDACTED_FIELDS = [
+  "password",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "tokenHash",
+  "secret",
+  "pendingSecret",
+  "backupCodeHashes",
+];
+
+const toPlainObject = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === "function"
+    ? doc.toObject({ depopulate: true })
+    : doc;
+};
+
+const normalizeValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== "_id")
+        .map(([key, item]) => [key, normalizeValue(item)])
+    );
+  }
+  return value;
+};
+
+// Nested objects become dotted paths; arrays are compared as a whole
+const flatten = (obj, prefix = "", out = {}) => {
+  Object.entries(obj).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof mongoose.Types.ObjectId) &&
+      !(value instanceof Date)
+    ) {
+      flatten(value, path, out);
+    } else {
+      out[path] = normalizeValue(value);
+    }
+  });
+  return out;
+};
+
+/**
+ * Compute field level changes between two snapshots
+ * @param {Object|null} before - Document before the change (null on create)
+ * @param {Object|null} after - Document after the change (null on delete)
+ * @returns {Array<{field: String, before: *, after: *}>}
+ */
+const diffSnapshots = (before, after) => {
+  const beforeFlat = flatten(toPlainObject(before));
+  const afterFlat = flatten(toPlainObject(after));
+  const fields = new Set([
+    ...Object.keys(beforeFlat),
+    ...Object.keys(afterFlat),
+  ]);
+
+  const changes = [];
+  fields.forEach((field) => {
+    const oldValue = beforeFlat[field];
+    const newValue = afterFlat[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    const redacted = REDACTED_FIELDS.includes(field.split(".").pop());
+    changes.push({
+      field,
+      before: redacted && oldValue !== undefined ? "[redacted]" : oldValue,
+      after: redacted && newValue !== undefined ? "[redacted]" : newValue,
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Record a mutation in the audit trail. Never throws - a failed audit write
+ * is logged and must not fail the request that made the change.
+ * @param {Object} req - Express request (actor, route, IP); null for system jobs
+ * @param {Object} entry
+ * @param {String} entry.action - create, update or delete
+ * @param {String} entry.entity - Model name, e.g. "Student"
+ * @param {String} entry.entityId - ID of the changed document
+ * @param {Object} entry.before - Snapshot before the change (omit on create)
+ * @param {Object} entry.after - Snapshot after the change (omit on delete)
+ */
+const recordAudit = async (
+  req,
+  { action, entity, entityId, before = null, after = null }
+) => {
+  try {
+    const changes = diffSnapshots(before, after);
+
+    // Saves that did not change anything are not worth an entry
+    if (action === "update" && changes.length === 0) return null;
+
+    return await AuditLog.create({
+      actor: req?.user?._id || null,
+      actorRole: req?.user?.role || "system",
+      action,
+      entity,
+      entityId,
+      method: req?.method,
+      route: req?.originalUrl,
+      changes,
+      ip: req ? req.ip || req.connection?.remoteAddress : undefined,
+      userAgent: req?.get ? req.get("user-agent") : undefined,
+    });
+  } catch (error) {
+    console.error(`Failed to record audit log for ${entity}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Snapshot a document before it is modified in place
+ */
+const snapshot = (doc) => (doc ? toPlainObject(doc) : null);
+
+/**
+ * Days audit entries are kept before the retention job deletes them.
+ * AUDIT_RETENTION_DAYS=0 keeps them forever.
+ */
+const getAuditRetentionDays = () => {
+  const days = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 365 : days;
+};
+
+export { recordAudit, diffSnapshots, snapshot, getAuditRetentionDays };
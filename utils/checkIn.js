@@ -0,0 +1,165 @@
+import crypto from "node:crypto";
+import AttendanceSession from "../models/attendanceSession.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import Dorm from "../models/dorm.model.js";
+import Student from "../models/student.model.js";
+import { countAttendanceStatuses } from "./attendanceStatus.js";
+import { getStudentsOnLeave } from "./leaveWorkflow.js";
+import { recordAudit, snapshot } from "./auditLogger.js";
+import { withTransaction } from "./transaction.js";
+
+// Printed on student cards: CI1.<admissionNumber>.<signature>
+const TOKEN_PREFIX = "CI1";
+
+// Cards stay valid as long as the secret does, so it is kept apart from the
+// login secrets when CHECK_IN_TOKEN_SECRET is set
+const getTokenSecret = () =>
+  process.env.CHECK_IN_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const sign = (admissionNumber) =>
+  crypto
+    .createHmac("sha256", getTokenSecret())
+    .update(`check-in:${admissionNumber}`)
+    .digest("base64url");
+
+/**
+ * Signed QR token of a student
+ * @param {Number} admissionNumber
+ * @returns {String}
+ */
+const createCheckInToken = (admissionNumber) =>
+  `${TOKEN_PREFIX}.${admissionNumber}.${sign(admissionNumber)}`;
+
+/**
+ * Check the signature of a scanned token
+ * @param {String} token
+ * @returns {Number|null} Admission number, null when the token is not valid
+ */
+const verifyCheckInToken = (token) => {
+  const [prefix, admissionNumber, signature, ...rest] =
+    String(token).split(".");
+  if (
+    prefix !== TOKEN_PREFIX ||
+    rest.length > 0 ||
+    !/^\d+$/.test(admissionNumber) ||
+    !signature
+  ) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(admissionNumber));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  return Number(admissionNumber);
+};
+
+/**
+ * Close a session's check-in window: active students of the dorm who did not
+ * check in are marked absent, or on leave when they were checked out that
+ * day. Closing an already closed window, or one of a finalized session, does
+ * nothing.
+ * @param {String} sessionId
+ * @param {Object} options
+ * @param {Object} options.req - Request for auditing (null for system runs)
+ * @returns {Promise<{session: Object, absentCount: Number}|null>}
+ */
+const closeCheckInWindow = async (sessionId, { req = null } = {}) => {
+  const now = new Date();
+  let before = null;
+
+  const result = await withTransaction(async (dbSession) => {
+    const session = await AttendanceSession.findById(sessionId).session(
+      dbSession
+    );
+    if (
+      !session ||
+      !session.checkInOpensAt ||
+      session.checkInClosedAt ||
+      session.isCompleted
+    ) {
+      return null;
+    }
+    before = snapshot(session);
+
+    const dorm = await Dorm.findById(session.dorm)
+      .select("name")
+      .session(dbSession);
+    const markedRecords = await AttendanceRecord.find({
+      _id: { $in: session.attendanceRecords },
+    })
+      .select("student status")
+      .session(dbSession);
+
+    const missingStudents = await Student.find({
+      dorm: dorm.name,
+      isActive: true,
+      _id: { $nin: markedRecords.map((record) => record.student) },
+    })
+      .select("_id")
+      .session(dbSession);
+
+    const startOfDay = new Date(session.markedAt);
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setHours(23, 59, 59, 999);
+    const studentsOnLeave = await getStudentsOnLeave(startOfDay, endOfDay);
+
+    const createdRecords = await AttendanceRecord.insertMany(
+      missingStudents.map((student) =>
+        studentsOnLeave.has(String(student._id))
+          ? {
+              student: student._id,
+              status: "on_leave",
+              remarks: "On approved leave",
+              source: "auto",
+            }
+          : {
+              student: student._id,
+              status: "absent",
+              remarks: "Did not check in",
+              source: "auto",
+            }
+      ),
+      { session: dbSession }
+    );
+
+    session.attendanceRecords.push(
+      ...createdRecords.map((record) => record._id)
+    );
+    Object.assign(
+      session,
+      countAttendanceStatuses([...markedRecords, ...createdRecords])
+    );
+    session.totalStudents = markedRecords.length + createdRecords.length;
+    session.checkInClosedAt = now;
+    // Closed before its time
+    if (session.checkInClosesAt > now) session.checkInClosesAt = now;
+    await session.save({ session: dbSession });
+
+    return {
+      session,
+      absentCount: createdRecords.filter((record) => record.status === "absent")
+        .length,
+    };
+  });
+
+  if (result) {
+    await recordAudit(req, {
+      action: "update",
+      entity: "AttendanceSession",
+      entityId: result.session._id,
+      before,
+      after: result.session,
+    });
+  }
+
+  return result;
+};
+
+export { createCheckInToken, verifyCheckInToken, closeCheckInWindow };
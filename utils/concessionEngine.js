@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import Student from "../models/student.model.js";
+import ConcessionTier from "../models/concessionTier.model.js";
+import StudentConcession from "../models/studentConcession.model.js";
+import Invoice from "../models/invoice.model.js";
+import { recordAudit, snapshot } from "./auditLogger.js";
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// A parent counts towards the household when we know anything about them
+const isParentRecorded = (parent) =>
+  !!parent && (!!parent.name || parent.monthlyIncome > 0);
+
+// Student forms default a missing income to 0, so 0 only counts as a real
+// income when the parent is recorded as unemployed
+const isIncomeKnown = (parent) =>
+  !!parent &&
+  (parent.monthlyIncome > 0 || parent.employmentType === "Unemployed");
+
+/**
+ * Monthly household income per capita of a student's family. The household is
+ * the student, their siblings and the recorded parents.
+ * @param {Object} student - Student document
+ * @returns {{householdIncome: Number, householdSize: Number,
+ *   incomePerCapita: Number, insufficientData: Boolean}}
+ */
+const computeHouseholdIncome = (student) => {
+  const parents = [student.father, student.mother].filter(isParentRecorded);
+
+  const householdIncome = roundMoney(
+    parents.reduce((sum, parent) => sum + (parent.monthlyIncome || 0), 0)
+  );
+  const householdSize = 1 + (student.numberOfSiblings || 0) + parents.length;
+
+  return {
+    householdIncome,
+    householdSize,
+    incomePerCapita: roundMoney(householdIncome / householdSize),
+    insufficientData: ![student.father, student.mother].some(isIncomeKnown),
+  };
+};
+
+/**
+ * Pick the tier for an income per capita
+ * @param {Number} incomePerCapita
+ * @param {Array} tiers - Active tiers
+ * @returns {Object|null} The matching tier with the lowest ceiling
+ */
+const selectTier = (incomePerCapita, tiers) =>
+  [...tiers]
+    .sort((a, b) => a.maxIncomePerCapita - b.maxIncomePerCapita)
+    .find((tier) => incomePerCapita <= tier.maxIncomePerCapita) || null;
+
+const getActiveTiers = () =>
+  ConcessionTier.find({ isActive: true }).sort({ maxIncomePerCapita: 1 });
+
+/**
+ * Recompute the concession proposal of one student. A proposal that differs
+ * from the previous one goes back to the accountant for review; the approved
+ * concession keeps applying until then.
+ * @param {Object} student - Student document
+ * @param {Object} options
+ * @param {Array} options.tiers - Active tiers (loaded when omitted)
+ * @param {Object} options.req - Request for auditing (null for system runs)
+ * @returns {Promise<{concession: Object, changed: Boolean}>}
+ */
+const evaluateStudentConcession = async (
+  student,
+  { tiers = null, req = null } = {}
+) => {
+  const activeTiers = tiers || (await getActiveTiers());
+  const household = computeHouseholdIncome(student);
+  const tier = household.insufficientData
+    ? null
+    : selectTier(household.incomePerCapita, activeTiers);
+
+  let concession = await StudentConcession.findOne({ student: student._id });
+  const isNew = !concession;
+  if (isNew) concession = new StudentConcession({ student: student._id });
+
+  const before = isNew ? null : snapshot(concession);
+  const previous = concession.proposal || {};
+  const proposedPercent = tier ? tier.discountPercent : 0;
+
+  const changed =
+    isNew ||
+    String(previous.tier || "") !== String(tier?._id || "") ||
+    previous.discountPercent !== proposedPercent ||
+    previous.insufficientData !== household.insufficientData;
+
+  concession.proposal = {
+    tier: tier?._id || null,
+    tierName: tier?.name || null,
+    discountPercent: proposedPercent,
+    ...household,
+    computedAt: new Date(),
+  };
+
+  if (changed) {
+    const approved = concession.approved || {};
+    const hasApproval = approved.discountPercent > 0 && !!approved.validFrom;
+    const matchesApproval =
+      hasApproval &&
+      String(approved.tier || "") === String(tier?._id || "") &&
+      approved.discountPercent === proposedPercent;
+
+    if (matchesApproval) {
+      concession.status = "approved";
+    } else if (!tier && !household.insufficientData && !hasApproval) {
+      concession.status = "not_eligible";
+    } else {
+      concession.status = "pending_review";
+    }
+  }
+
+  await concession.save();
+
+  if (changed) {
+    await recordAudit(req, {
+      action: isNew ? "create" : "update",
+      entity: "StudentConcession",
+      entityId: concession._id,
+      before,
+      after: concession,
+    });
+  }
+
+  return { concession, changed };
+};
+
+/**
+ * Re-evaluate every active student (or the given ones)
+ * @returns {Promise<{evaluated: Number, changed: Number}>}
+ */
+const evaluateAllConcessions = async ({
+  studentIds = null,
+  req = null,
+} = {}) => {
+  const query = { isActive: true };
+  if (studentIds) query._id = { $in: studentIds };
+
+  const [students, tiers] = await Promise.all([
+    Student.find(query).select("father mother numberOfSiblings"),
+    getActiveTiers(),
+  ]);
+
+  let changed = 0;
+  for (const student of students) {
+    const result = await evaluateStudentConcession(student, { tiers, req });
+    if (result.changed) changed++;
+  }
+
+  return { evaluated: students.length, changed };
+};
+
+// Invoices whose amount can still change
+const OPEN_INVOICE_STATUSES = ["unpaid", "partially_paid", "overdue"];
+
+// Lost optimistic concurrency races retried per invoice
+const INVOICE_SAVE_ATTEMPTS = 3;
+
+/**
+ * Set the concession adjustment of an invoice from the student's approved
+ * concession, replacing the one it already carries. The adjustment is
+ * removed when the concession gives nothing for the invoice's month.
+ * @param {Object} invoice - Invoice document (recalculated afterwards)
+ * @param {Object} concession - StudentConcession document
+ * @returns {Boolean} Whether the invoice changed
+ */
+const applyConcessionToInvoice = (invoice, concession) => {
+  const percent = concession.getDiscountPercentFor(invoice.billingMonth);
+  const existing = invoice.adjustments.filter(
+    (item) => item.type === "concession"
+  );
+
+  invoice.adjustments = invoice.adjustments.filter(
+    (item) => item.type !== "concession"
+  );
+  invoice.recalculate();
+
+  const amount = percent
+    ? Math.min(roundMoney((invoice.subtotal * percent) / 100), invoice.balance)
+    : 0;
+  const reason = `${
+    concession.approved.tierName || "Custom"
+  } concession (${percent}%)`;
+
+  if (amount > 0) {
+    invoice.adjustments.push({
+      type: "concession",
+      amount,
+      reason,
+      approvedBy: concession.approved.approvedBy,
+    });
+  }
+  invoice.recalculate();
+
+  return amount > 0
+    ? existing.length !== 1 ||
+        existing[0].amount !== amount ||
+        existing[0].reason !== reason
+    : existing.length > 0;
+};
+
+/**
+ * Bring the concession of the student's open invoices in line with a newly
+ * approved concession: discounted within its validity, not outside it
+ * @returns {Promise<Number>} Number of invoices adjusted
+ */
+const applyConcessionToOpenInvoices = async (concession, req = null) => {
+  const invoices = await Invoice.find({
+    student: concession.student,
+    status: { $in: OPEN_INVOICE_STATUSES },
+  });
+
+  let applied = 0;
+  for (let invoice of invoices) {
+    for (let attempt = 1; invoice; attempt++) {
+      const before = snapshot(invoice);
+      if (!applyConcessionToInvoice(invoice, concession)) break;
+
+      try {
+        await invoice.save();
+      } catch (error) {
+        if (
+          !(error instanceof mongoose.Error.VersionError) ||
+          attempt >= INVOICE_SAVE_ATTEMPTS
+        ) {
+          throw error;
+        }
+        // Paid or adjusted meanwhile, apply to the latest version
+        invoice = await Invoice.findOne({
+          _id: invoice._id,
+          status: { $in: OPEN_INVOICE_STATUSES },
+        });
+        continue;
+      }
+
+      await recordAudit(req, {
+        action: "update",
+        entity: "Invoice",
+        entityId: invoice._id,
+        before,
+        after: invoice,
+      });
+      applied++;
+      break;
+    }
+  }
+
+  return applied;
+};
+
+export {
+  computeHouseholdIncome,
+  selectTier,
+  evaluateStudentConcession,
+  evaluateAllConcessions,
+  applyConcessionToInvoice,
+  applyConcessionToOpenInvoices,
+};
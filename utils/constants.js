@@ -1,4 +1,157 @@
 const ACCESS_TOKEN_EXPIRES_IN = "15m";
 const REFRESH_TOKEN_EXPIRES_IN = "7d";
+const REFRESH_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TOKEN_EXPIRES_MS = 30 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 8;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+const TWO_FACTOR_BACKUP_CODE_COUNT = 10;
+// Users whose role requires two-factor can keep working this long without it
+const TWO_FACTOR_SETUP_GRACE_MS = 7 * 24 * 60 * 60 * 1000;
+const HOSTEL_NAME = "Ananda Hostel";
+const TWO_FACTOR_ISSUER = HOSTEL_NAME;
+// Fees are billed per calendar month, identified as YYYY-MM
+const BILLING_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+// Roles that approve a leave request, in order. Short leaves only need the
+// first step.
+const LEAVE_APPROVAL_CHAIN = ["warden", "admin"];
+const LEAVE_SHORT_MAX_HOURS = 48;
+// late needs an arrival time; on_leave is set from checked-out leave requests
+const ATTENDANCE_STATUSES = [
+  "present",
+  "late",
+  "excused",
+  "on_leave",
+  "sick",
+  "absent",
+];
+// Students in these statuses are in the hostel and eat its meals. Sick bay
+// students are fed by the kitchen too.
+const DINING_ATTENDANCE_STATUSES = ["present", "late", "sick"];
+// Attendance monitoring: alert after this many absences in a row, when a
+// dorm's attendance falls this many percentage points below its average over
+// the previous sessions, and when a session is still unmarked at its cutoff
+const ABSENCE_ALERT_SESSIONS = 3;
+const ATTENDANCE_DROP_ALERT_POINTS = 20;
+const ATTENDANCE_DROP_BASELINE_SESSIONS = 7;
+const ATTENDANCE_MARKING_CUTOFFS = { morning: "10:00", evening: "21:30" };
+// Attendance percentages leave out sessions the student was excused from
+// or away on leave. Students below the threshold are listed in reports.
+const ATTENDANCE_EXCUSED_STATUSES = ["excused", "on_leave"];
+const ATTENDANCE_REPORT_THRESHOLD = 75;
+// QR check-in windows stay open this long unless a closing time is given
+const CHECK_IN_WINDOW_MINUTES = 30;
+// Offline attendance sync: sequence numbering session changes and how many
+// days back devices may sync
+const ATTENDANCE_SYNC_SEQUENCE = "attendance-sync";
+const ATTENDANCE_SYNC_DAYS = 7;
+// Versions taken by session saves count as possibly uncommitted this long,
+// past MongoDB's 60 second transaction lifetime
+const ATTENDANCE_SYNC_PENDING_MS = 2 * 60 * 1000;
+// Meals served each day, in order
+const MEAL_TYPES = ["breakfast", "lunch", "dinner"];
+// Dietary profiles: a student's diet, religious restrictions and allergies.
+// Dishes are tagged with the diets and restrictions they are suitable for
+// and the allergens they contain.
+const DIETS = ["regular", "vegetarian", "vegan"];
+const RELIGIOUS_RESTRICTIONS = ["halal", "no_beef", "no_pork"];
+const DIETARY_TAGS = ["vegetarian", "vegan", ...RELIGIOUS_RESTRICTIONS];
+const ALLERGENS = [
+  "gluten",
+  "dairy",
+  "eggs",
+  "peanuts",
+  "tree_nuts",
+  "soy",
+  "fish",
+  "shellfish",
+  "sesame",
+];
+// Meal opt-outs for a day close at this time on the evening before, when
+// the attendance its breakfast and lunch are cooked for is taken. One request
+// covers at most MEAL_OPT_OUT_MAX_DAYS days.
+const MEAL_OPT_OUT_CUTOFF = "21:00";
+const MEAL_OPT_OUT_MAX_DAYS = 31;
+// When each meal is served at the counter, in server time. Scans without a
+// meal type count for the meal being served.
+const MEAL_SERVING_WINDOWS = {
+  breakfast: { from: "06:30", to: "09:30" },
+  lunch: { from: "12:00", to: "14:30" },
+  dinner: { from: "19:00", to: "21:30" },
+};
+// Food waste: plate waste and cooking surplus are left over from a meal,
+// spoilage and expiry are stock thrown away, which is deducted from it
+const MEAL_WASTE_CATEGORIES = ["plate_waste", "cooking_surplus"];
+const STOCK_WASTE_CATEGORIES = ["spoilage", "expiry"];
+const FOOD_WASTE_CATEGORIES = [
+  ...MEAL_WASTE_CATEGORIES,
+  ...STOCK_WASTE_CATEGORIES,
+];
+// Nutrients tracked per unit of inventory items and per serving of recipes,
+// with their units
+const NUTRIENT_UNITS = {
+  calories: "kcal",
+  protein: "g",
+  carbs: "g",
+  fat: "g",
+  fiber: "g",
+  calcium: "mg",
+  iron: "mg",
+  vitaminA: "µg",
+  vitaminC: "mg",
+};
+const NUTRIENTS = Object.keys(NUTRIENT_UNITS);
+// Daily minimum per student, for teenagers still growing, until an admin
+// stores a target for the nutrient
+const DEFAULT_NUTRITION_TARGETS = {
+  calories: 2200,
+  protein: 52,
+  carbs: 130,
+  fat: 60,
+  fiber: 26,
+  calcium: 1300,
+  iron: 15,
+  vitaminA: 700,
+  vitaminC: 65,
+};
 
-export { ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_EXPIRES_IN };
+export {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_MAX_AGE_MS,
+  PASSWORD_RESET_TOKEN_EXPIRES_MS,
+  PASSWORD_MIN_LENGTH,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  TWO_FACTOR_BACKUP_CODE_COUNT,
+  TWO_FACTOR_SETUP_GRACE_MS,
+  HOSTEL_NAME,
+  TWO_FACTOR_ISSUER,
+  BILLING_MONTH_PATTERN,
+  LEAVE_APPROVAL_CHAIN,
+  LEAVE_SHORT_MAX_HOURS,
+  ATTENDANCE_STATUSES,
+  DINING_ATTENDANCE_STATUSES,
+  ABSENCE_ALERT_SESSIONS,
+  ATTENDANCE_DROP_ALERT_POINTS,
+  ATTENDANCE_DROP_BASELINE_SESSIONS,
+  ATTENDANCE_MARKING_CUTOFFS,
+  ATTENDANCE_EXCUSED_STATUSES,
+  ATTENDANCE_REPORT_THRESHOLD,
+  CHECK_IN_WINDOW_MINUTES,
+  ATTENDANCE_SYNC_SEQUENCE,
+  ATTENDANCE_SYNC_DAYS,
+  ATTENDANCE_SYNC_PENDING_MS,
+  MEAL_TYPES,
+  DIETS,
+  RELIGIOUS_RESTRICTIONS,
+  DIETARY_TAGS,
+  ALLERGENS,
+  MEAL_OPT_OUT_CUTOFF,
+  MEAL_OPT_OUT_MAX_DAYS,
+  MEAL_SERVING_WINDOWS,
+  MEAL_WASTE_CATEGORIES,
+  STOCK_WASTE_CATEGORIES,
+  FOOD_WASTE_CATEGORIES,
+  NUTRIENT_UNITS,
+  NUTRIENTS,
+  DEFAULT_NUTRITION_TARGETS,
+};
@@ -1,37 +1,58 @@
 import cron from "node-cron";
 import mongoose from "mongoose";
 import InventoryItem from "../models/inventory.model.js";
-import MealPlan from "../models/mealplan.model.js";
 import Notification from "../models/notification.model.js";
 import User from "../models/user.model.js";
 import AttendanceSession from "../models/attendanceSession.model.js";
 import Student from "../models/student.model.js";
 import InventoryUsage from "../models/inventoryUsage.model.js";
+import AuditLog from "../models/auditLog.model.js";
+import Invoice from "../models/invoice.model.js";
+import LeaveRequest from "../models/leaveRequest.model.js";
+import Dorm from "../models/dorm.model.js";
+import { getAuditRetentionDays } from "./auditLogger.js";
+import { getDiningCountForDay } from "./attendanceRollup.js";
+import {
+  detectConsecutiveAbsences,
+  detectAttendanceDrops,
+  detectUnmarkedSessions,
+  recordNewAlerts,
+} from "./attendanceAlerts.js";
+import { closeCheckInWindow } from "./checkIn.js";
+import { DAY_NAMES, resolveMealPlan } from "./mealPlanResolver.js";
+import { recalculateMealPlanCosts } from "./mealCost.js";
+import { getMealAttendanceSlot, getMealDiners } from "./mealOptOut.js";
+import {
+  generateInvoicesForMonth,
+  markOverdueInvoices,
+  toBillingMonth,
+} from "./feeBilling.js";
+import {
+  getUserIdsByRoles,
+  sendNotifications,
+} from "../controllers/notification.controller.js";
+
+// Socket.io server, set by initializeCronJobs so jobs can push notifications
+// in real time
+let socketIO = null;
+
+// Notification title and type of each attendance alert
+const ATTENDANCE_ALERT_NOTIFICATIONS = {
+  consecutive_absence: { title: "Consecutive Absences", type: "warning" },
+  attendance_drop: { title: "Attendance Drop", type: "warning" },
+  unmarked_session: { title: "Attendance Not Marked", type: "alert" },
+};
 
 /**
  * @desc    Get attendance count for today based on session type
- * @desc    Returns the number of students present for a given session
+ * @desc    Returns the number of students eating in the hostel (present, late
+ * @desc    or in the sick bay) for a given session, summed over all dorms
  */
 const getAttendanceCount = async (sessionType, date) => {
   try {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const attendanceSession = await AttendanceSession.findOne({
-      sessionType,
-      markedAt: {
-        $gte: startOfDay,
-        $lte: endOfDay,
-      },
-    });
+    const attendance = await getDiningCountForDay(sessionType, date);
 
-    if (attendanceSession) {
-      return attendanceSession.presentCount || 0;
-    }
-
-    return null; // No attendance recorded yet
+    return attendance ? attendance.diningCount : null; // null: not recorded yet
   } catch (error) {
     console.error(
       `[Cron Job] Error getting attendance for ${sessionType}:`,
@@ -46,73 +67,59 @@ const getAttendanceCount = async (sessionType, date) => {
  * @desc    This function handles the logic for consuming inventory for breakfast, lunch, or dinner
  * @desc    Morning meals (breakfast/lunch) use previous day's evening attendance
  * @desc    Evening meals (dinner) use current day's evening attendance
+ * @desc    Students who opted out of the meal are taken off the attendance
  */
 const consumeInventoryForMeal = async (mealType, date = new Date()) => {
   try {
-    const dayNames = [
-      "Sunday",
-      "Monday",
-      "Tuesday",
-      "Wednesday",
-      "Thursday",
-      "Friday",
-      "Saturday",
-    ];
     const dateObj = new Date(date);
-    const dayName = dayNames[dateObj.getDay()];
+    const dayName = DAY_NAMES[dateObj.getDay()];
 
     console.log(
       `[Cron Job] Starting inventory consumption for ${mealType} on ${dayName}...`
     );
 
-    // Find today's meal plan
-    const mealPlan = await MealPlan.findOne({ day: dayName });
+    // Find the meal plan served today: date override, menu cycle or the
+    // default week
+    const resolved = await resolveMealPlan(dateObj);
 
-    if (!mealPlan) {
+    if (!resolved) {
       console.log(
         `[Cron Job] No meal plan found for ${dayName}. Skipping ${mealType} inventory consumption.`
       );
       return;
     }
 
-    // Determine which attendance session to use
-    // Morning meals (breakfast, lunch) use previous day's evening attendance
-    // Evening meals (dinner) use current day's evening attendance
-    let attendanceDate = new Date(dateObj);
-    let attendanceSessionType = "evening";
-
-    if (mealType === "breakfast" || mealType === "lunch") {
-      // Use previous day's evening attendance
-      attendanceDate.setDate(attendanceDate.getDate() - 1);
-    }
-    // For dinner, use current day's evening attendance (already set)
-
-    // Get attendance count
-    const attendanceCount = await getAttendanceCount(
-      attendanceSessionType,
-      attendanceDate
+    const { mealPlan } = resolved;
+    console.log(
+      `[Cron Job] Using ${resolved.source} meal plan ${mealPlan._id} for ${mealType}`
     );
 
-    if (attendanceCount === null || attendanceCount === 0) {
+    // Students expected at the meal: the dining attendance it is cooked for
+    // (previous evening for breakfast and lunch, same evening for dinner),
+    // less the students who opted out
+    const diners = await getMealDiners(mealType, dateObj);
+
+    if (diners === null || diners.attendanceCount === 0) {
+      const { sessionType, attendanceDate } = getMealAttendanceSlot(
+        mealType,
+        dateObj
+      );
       console.log(
-        `[Cron Job] No ${attendanceSessionType} attendance found for ${attendanceDate.toLocaleDateString()}. Skipping ${mealType} inventory consumption.`
+        `[Cron Job] No ${sessionType} attendance found for ${attendanceDate.toLocaleDateString()}. Skipping ${mealType} inventory consumption.`
       );
       return;
     }
 
-    // Get the attendance session for reference
-    const startOfDay = new Date(attendanceDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(attendanceDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const attendanceSession = await AttendanceSession.findOne({
-      sessionType: attendanceSessionType,
-      markedAt: {
-        $gte: startOfDay,
-        $lte: endOfDay,
-      },
-    });
+    const { attendanceCount, optedOut, expectedDiners, sessionIds } = diners;
+    if (expectedDiners === 0) {
+      console.log(
+        `[Cron Job] All ${attendanceCount} diners opted out of ${mealType}. Skipping inventory consumption.`
+      );
+      return;
+    }
+    console.log(
+      `[Cron Job] ${mealType} diners - Attendance: ${attendanceCount}, Opted out: ${optedOut}, Expected: ${expectedDiners}`
+    );
 
     // Get meal inventory based on meal type
     const mealInventory =
@@ -155,13 +162,12 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
           continue;
         }
 
-        // Calculate actual usage based on attendance
+        // Calculate actual usage based on expected diners
         // The meal plan quantity is for a specific number of students (item.forStudents)
-        // We scale it based on actual attendance
+        // We scale it to the students expected at the meal
         const baseQuantity = item.quantity;
         const forStudents = item.forStudents || 10; // Default to 10 if not specified
-        const quantityToConsume =
-          (attendanceCount / forStudents) * baseQuantity;
+        const quantityToConsume = (expectedDiners / forStudents) * baseQuantity;
 
         if (inventoryItem.currentStock < quantityToConsume) {
           errors.push(
@@ -171,7 +177,7 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
               inventoryItem.unit
             }, Required: ${quantityToConsume.toFixed(2)} ${
               inventoryItem.unit
-            } (Attendance: ${attendanceCount})`
+            } (Diners: ${expectedDiners})`
           );
           continue;
         }
@@ -186,7 +192,7 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
           item: inventoryItem.name,
           baseQuantity: baseQuantity,
           quantity: quantityToConsume,
-          attendance: attendanceCount,
+          attendance: expectedDiners,
           remainingStock: inventoryItem.currentStock,
         });
 
@@ -212,7 +218,10 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
           mealType: mealType,
           items: usageItems,
           attendanceCount: attendanceCount,
-          attendanceSessionId: attendanceSession?._id || null,
+          optedOutCount: optedOut,
+          expectedDiners: expectedDiners,
+          attendanceSessions: sessionIds,
+          mealPlan: mealPlan._id,
           recordedBy: systemUser._id,
           notes: `Automated deduction via cron job`,
         });
@@ -235,7 +244,7 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
         console.log(
           `  - ${update.item} - Base: ${update.baseQuantity.toFixed(
             2
-          )}, Consumed: ${update.quantity.toFixed(2)} (Att: ${
+          )}, Consumed: ${update.quantity.toFixed(2)} (Diners: ${
             update.attendance
           }), Remaining: ${update.remainingStock.toFixed(2)}`
         );
@@ -275,23 +284,14 @@ const consumeInventoryForMeal = async (mealType, date = new Date()) => {
 const consumeInventoryFromMealPlans = async () => {
   try {
     const today = new Date();
-    const dayNames = [
-      "Sunday",
-      "Monday",
-      "Tuesday",
-      "Wednesday",
-      "Thursday",
-      "Friday",
-      "Saturday",
-    ];
-    const todayName = dayNames[today.getDay()];
+    const todayName = DAY_NAMES[today.getDay()];
 
     console.log(
       `[Cron Job] Starting inventory consumption for ${todayName}...`
     );
 
     // Find today's meal plan
-    const mealPlan = await MealPlan.findOne({ day: todayName });
+    const mealPlan = (await resolveMealPlan(today))?.mealPlan;
 
     if (!mealPlan) {
       console.log(
@@ -665,11 +665,232 @@ const checkLowStockItems = async () => {
   }
 };
 
+/**
+ * @desc    Delete audit log entries older than the retention period
+ * @desc    Retention is configured with AUDIT_RETENTION_DAYS (0 keeps everything)
+ */
+const purgeExpiredAuditLogs = async () => {
+  try {
+    const retentionDays = getAuditRetentionDays();
+    if (retentionDays === 0) {
+      console.log("[Cron Job] Audit retention disabled. Skipping purge.");
+      return;
+    }
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    const result = await AuditLog.deleteMany({ createdAt: { $lt: cutoff } });
+
+    console.log(
+      `[Cron Job] Purged ${result.deletedCount} audit log entries older than ${retentionDays} days.`
+    );
+  } catch (error) {
+    console.error("[Cron Job] Error in purgeExpiredAuditLogs:", error);
+  }
+};
+
+/**
+ * @desc    Generate this month's invoices for every active student
+ * @desc    Safe to re-run, students already invoiced for the month are skipped
+ */
+const generateMonthlyInvoices = async () => {
+  try {
+    const billingMonth = toBillingMonth();
+    const { created, skipped } = await generateInvoicesForMonth(billingMonth);
+
+    console.log(
+      `[Cron Job] Generated ${created.length} invoices for ${billingMonth} (${skipped} students skipped).`
+    );
+
+    if (created.length > 0) {
+      const accountantIds = await getUserIdsByRoles(["admin", "accountant"]);
+      await sendNotifications(accountantIds, {
+        title: "Monthly Invoices Generated",
+        message: `${created.length} invoices were generated for ${billingMonth}.`,
+        type: "info",
+      });
+    }
+  } catch (error) {
+    console.error("[Cron Job] Error in generateMonthlyInvoices:", error);
+  }
+};
+
+/**
+ * @desc    Mark invoices past their due date as overdue and alert accountants
+ */
+const checkOverdueInvoices = async () => {
+  try {
+    const newlyOverdue = await markOverdueInvoices();
+
+    if (newlyOverdue === 0) {
+      console.log("[Cron Job] No newly overdue invoices.");
+      return;
+    }
+
+    const [summary] = await Invoice.aggregate([
+      { $match: { status: "overdue" } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          balance: { $sum: "$balance" },
+        },
+      },
+    ]);
+
+    const accountantIds = await getUserIdsByRoles(["admin", "accountant"]);
+    await sendNotifications(accountantIds, {
+      title: "Overdue Invoices",
+      message: `${newlyOverdue} invoice(s) became overdue. ${summary.count} invoice(s) are overdue in total with ${summary.balance} outstanding.`,
+      type: "warning",
+    });
+
+    console.log(`[Cron Job] Marked ${newlyOverdue} invoices as overdue.`);
+  } catch (error) {
+    console.error("[Cron Job] Error in checkOverdueInvoices:", error);
+  }
+};
+
+/**
+ * @desc    Alert admins and wardens about students who have not returned from
+ * @desc    leave by their expected return time. Each leave is alerted once.
+ */
+const checkOverdueLeaves = async () => {
+  try {
+    const overdueLeaves = await LeaveRequest.find({
+      status: "checked_out",
+      expectedReturnAt: { $lt: new Date() },
+      overdueAlertedAt: null,
+    }).populate("student", "name admissionNumber dorm");
+
+    if (overdueLeaves.length === 0) {
+      console.log("[Cron Job] No students overdue from leave.");
+      return;
+    }
+
+    const studentList = overdueLeaves
+      .map(
+        (leave) =>
+          `${leave.student?.name} (${
+            leave.student?.dorm
+          }, due ${leave.expectedReturnAt.toLocaleString()})`
+      )
+      .join(", ");
+
+    const staffIds = await getUserIdsByRoles(["admin", "warden"]);
+    await sendNotifications(staffIds, {
+      title: "Students Overdue From Leave",
+      message: `${overdueLeaves.length} student(s) have not returned from leave: ${studentList}`,
+      type: "alert",
+    });
+
+    await LeaveRequest.updateMany(
+      { _id: { $in: overdueLeaves.map((leave) => leave._id) } },
+      { overdueAlertedAt: new Date() }
+    );
+
+    console.log(
+      `[Cron Job] Alerted staff about ${overdueLeaves.length} overdue leave(s).`
+    );
+  } catch (error) {
+    console.error("[Cron Job] Error in checkOverdueLeaves:", error);
+  }
+};
+
+/**
+ * @desc    Look for students absent several sessions in a row, sudden drops in
+ * @desc    a dorm's attendance and sessions still unmarked at their cutoff.
+ * @desc    New anomalies are sent to admins and the dorm's warden.
+ */
+const checkAttendanceAnomalies = async () => {
+  try {
+    const now = new Date();
+    const detected = [
+      ...(await detectConsecutiveAbsences(now)),
+      ...(await detectAttendanceDrops(now)),
+      ...(await detectUnmarkedSessions(now)),
+    ];
+    const alerts = await recordNewAlerts(detected);
+
+    if (alerts.length === 0) {
+      console.log("[Cron Job] No new attendance anomalies found.");
+      return;
+    }
+
+    const [adminIds, wardenIds, dorms] = await Promise.all([
+      getUserIdsByRoles(["admin"]),
+      getUserIdsByRoles(["warden"]),
+      Dorm.find({
+        _id: { $in: alerts.map((alert) => alert.dorm).filter(Boolean) },
+      }).select("warden"),
+    ]);
+    const dormWardens = new Map(
+      dorms.map((dorm) => [String(dorm._id), dorm.warden])
+    );
+
+    // One notification per dorm and kind of anomaly
+    const groups = new Map();
+    alerts.forEach((alert) => {
+      const key = `${alert.type}:${alert.dorm}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(alert);
+    });
+
+    for (const group of groups.values()) {
+      const { type, dorm } = group[0];
+      // Dorms without a warden alert every warden
+      const warden = dorm ? dormWardens.get(String(dorm)) : null;
+      const recipients = [...adminIds, ...(warden ? [warden] : wardenIds)];
+
+      await sendNotifications(
+        recipients,
+        {
+          ...ATTENDANCE_ALERT_NOTIFICATIONS[type],
+          message: group.map((alert) => alert.message).join("; "),
+        },
+        { io: socketIO }
+      );
+    }
+
+    console.log(`[Cron Job] Raised ${alerts.length} attendance alert(s).`);
+  } catch (error) {
+    console.error("[Cron Job] Error in checkAttendanceAnomalies:", error);
+  }
+};
+
+/**
+ * @desc    Close QR check-in windows whose closing time has passed and mark
+ * @desc    the students who did not check in as absent
+ */
+const closeExpiredCheckInWindows = async () => {
+  try {
+    const expired = await AttendanceSession.find({
+      checkInClosesAt: { $lte: new Date() },
+      checkInClosedAt: null,
+      isCompleted: { $ne: true },
+    }).select("_id");
+
+    for (const { _id } of expired) {
+      const result = await closeCheckInWindow(_id);
+      if (result) {
+        console.log(
+          `[Cron Job] Closed check-in window ${_id}, ${result.absentCount} student(s) marked absent.`
+        );
+      }
+    }
+  } catch (error) {
+    console.error("[Cron Job] Error in closeExpiredCheckInWindows:", error);
+  }
+};
+
 /**
  * @desc    Initialize and start all cron jobs
  * @desc    Schedule patterns can be configured here
  */
-const initializeCronJobs = () => {
+const initializeCronJobs = (io = null) => {
+  socketIO = io;
+
   // Wait for database connection before initializing cron jobs
   if (mongoose.connection.readyState !== 1) {
     console.log("[Cron Jobs] Waiting for database connection...");
@@ -682,6 +903,19 @@ const initializeCronJobs = () => {
   }
 };
 
+/**
+ * @desc    Recalculate meal plan costs for the current number of active
+ * @desc    students. Price changes recalculate the affected plans right away.
+ */
+const recalculateMealCosts = async () => {
+  try {
+    const updated = await recalculateMealPlanCosts();
+    console.log(`[Cron Job] Recalculated cost of ${updated} meal plan(s)`);
+  } catch (error) {
+    console.error("[Cron Job] Error in recalculateMealCosts:", error);
+  }
+};
+
 /**
  * @desc    Setup and schedule all cron jobs
  */
@@ -708,6 +942,27 @@ const setupCronJobs = () => {
     // Change to "0 */4 * * *" for every 4 hours, or "0 9,17 * * *" for 9 AM and 5 PM
     lowStockCheck: process.env.CRON_LOW_STOCK_CHECK || "0 */4 * * *",
 
+    // Audit log retention purge - runs at 2:30 AM every day
+    auditRetention: process.env.CRON_AUDIT_RETENTION || "30 2 * * *",
+
+    // Monthly invoice generation - runs at 1:00 AM on the 1st of every month
+    invoiceGeneration: process.env.CRON_INVOICE_GENERATION || "0 1 1 * *",
+
+    // Overdue invoice check - runs at 8:00 AM every day
+    overdueInvoices: process.env.CRON_OVERDUE_INVOICES || "0 8 * * *",
+
+    // Overdue leave check - runs every 15 minutes
+    overdueLeaves: process.env.CRON_OVERDUE_LEAVES || "*/15 * * * *",
+
+    // Attendance anomaly check - runs at the start of every hour
+    attendanceAlerts: process.env.CRON_ATTENDANCE_ALERTS || "0 * * * *",
+
+    // Check-in window closing - runs every minute
+    checkInWindows: process.env.CRON_CHECK_IN_WINDOWS || "* * * * *",
+
+    // Meal plan cost recalculation - runs at 00:30 every day
+    mealCosts: process.env.CRON_MEAL_COSTS || "30 0 * * *",
+
     // New: Runs every 30 seconds
     // Format: second(optional) minute hour day month dayOfWeek
     every30Seconds: process.env.CRON_EVERY_30_SECONDS || "*/30 * * * * *",
@@ -786,6 +1041,87 @@ const setupCronJobs = () => {
     `[Cron Job] Low stock check scheduled: ${schedules.lowStockCheck}`
   );
 
+  // Schedule audit log retention purge
+  cron.schedule(schedules.auditRetention, () => {
+    console.log(
+      `[Cron Job] Scheduled audit log purge triggered at ${new Date().toISOString()}`
+    );
+    purgeExpiredAuditLogs();
+  });
+
+  console.log(
+    `[Cron Job] Audit log purge scheduled: ${schedules.auditRetention}`
+  );
+
+  // Schedule monthly invoice generation
+  cron.schedule(schedules.invoiceGeneration, () => {
+    console.log(
+      `[Cron Job] Scheduled invoice generation triggered at ${new Date().toISOString()}`
+    );
+    generateMonthlyInvoices();
+  });
+
+  console.log(
+    `[Cron Job] Invoice generation scheduled: ${schedules.invoiceGeneration}`
+  );
+
+  // Schedule overdue invoice check
+  cron.schedule(schedules.overdueInvoices, () => {
+    console.log(
+      `[Cron Job] Scheduled overdue invoice check triggered at ${new Date().toISOString()}`
+    );
+    checkOverdueInvoices();
+  });
+
+  console.log(
+    `[Cron Job] Overdue invoice check scheduled: ${schedules.overdueInvoices}`
+  );
+
+  // Schedule overdue leave check
+  cron.schedule(schedules.overdueLeaves, () => {
+    console.log(
+      `[Cron Job] Scheduled overdue leave check triggered at ${new Date().toISOString()}`
+    );
+    checkOverdueLeaves();
+  });
+
+  console.log(
+    `[Cron Job] Overdue leave check scheduled: ${schedules.overdueLeaves}`
+  );
+
+  // Schedule attendance anomaly check
+  cron.schedule(schedules.attendanceAlerts, () => {
+    console.log(
+      `[Cron Job] Scheduled attendance anomaly check triggered at ${new Date().toISOString()}`
+    );
+    checkAttendanceAnomalies();
+  });
+
+  console.log(
+    `[Cron Job] Attendance anomaly check scheduled: ${schedules.attendanceAlerts}`
+  );
+
+  // Schedule check-in window closing
+  cron.schedule(schedules.checkInWindows, () => {
+    closeExpiredCheckInWindows();
+  });
+
+  console.log(
+    `[Cron Job] Check-in window closing scheduled: ${schedules.checkInWindows}`
+  );
+
+  // Schedule meal plan cost recalculation
+  cron.schedule(schedules.mealCosts, () => {
+    console.log(
+      `[Cron Job] Scheduled meal cost recalculation triggered at ${new Date().toISOString()}`
+    );
+    recalculateMealCosts();
+  });
+
+  console.log(
+    `[Cron Job] Meal cost recalculation scheduled: ${schedules.mealCosts}`
+  );
+
   console.log("[Cron Jobs] All cron jobs initialized successfully.");
 };
 
@@ -794,4 +1130,11 @@ export {
   consumeInventoryFromMealPlans,
   consumeInventoryForMeal,
   checkLowStockItems,
+  purgeExpiredAuditLogs,
+  generateMonthlyInvoices,
+  checkOverdueInvoices,
+  checkOverdueLeaves,
+  checkAttendanceAnomalies,
+  closeExpiredCheckInWindows,
+  recalculateMealCosts,
 };
@@ -0,0 +1,304 @@
+import MealPlan from "../models/mealplan.model.js";
+import Recipe from "../models/recipe.model.js";
+import InventoryItem from "../models/inventory.model.js";
+import {
+  MEAL_TYPES,
+  DIETS,
+  RELIGIOUS_RESTRICTIONS,
+  ALLERGENS,
+} from "./constants.js";
+
+/**
+ * Check a list of tags against the allowed values
+ * @returns {String|null} Error message, null when valid
+ */
+const validateTags = (values, allowed, label) => {
+  if (!Array.isArray(values)) return `${label} must be a list`;
+  const invalid = values.filter((value) => !allowed.includes(value));
+  return invalid.length > 0
+    ? `Invalid ${label}: ${invalid.join(", ")}. Must be one of: ${allowed.join(
+        ", "
+      )}`
+    : null;
+};
+
+/**
+ * Check a student's dietary profile
+ * @returns {String|null} Error message, null when valid
+ */
+const validateDietaryProfile = (profile) => {
+  if (typeof profile !== "object" || profile === null) {
+    return "Dietary profile must be an object";
+  }
+  if (profile.diet !== undefined && !DIETS.includes(profile.diet)) {
+    return `Diet must be one of: ${DIETS.join(", ")}`;
+  }
+  if (profile.religiousRestrictions !== undefined) {
+    const error = validateTags(
+      profile.religiousRestrictions,
+      RELIGIOUS_RESTRICTIONS,
+      "religious restrictions"
+    );
+    if (error) return error;
+  }
+  if (profile.allergies !== undefined) {
+    const error = validateTags(profile.allergies, ALLERGENS, "allergies");
+    if (error) return error;
+  }
+  return null;
+};
+
+/**
+ * What a student's meals must respect
+ * @returns {{tags: Array, allergies: Array}} tags are the diet (unless
+ *   regular) and religious restrictions
+ */
+const getDietaryNeeds = (student) => {
+  const profile = student.dietaryProfile ?? {};
+  return {
+    tags: [
+      ...(profile.diet && profile.diet !== "regular" ? [profile.diet] : []),
+      ...(profile.religiousRestrictions ?? []),
+    ],
+    allergies: [...(profile.allergies ?? [])],
+  };
+};
+
+/**
+ * Allergens of a set of dishes and the tags all of them are suitable for
+ * @param {Array} recipes - Recipes with populated ingredient items
+ * @param {Array} extraItems - Inventory items used outside recipes
+ * @returns {{allergens: Set, suitableFor: Set|null}} suitableFor is null
+ *   when there are no recipes to tell
+ */
+const describeDishes = (recipes, extraItems = []) => {
+  const allergens = new Set();
+  let suitableFor = null;
+
+  recipes.forEach((recipe) => {
+    recipe.allergens.forEach((allergen) => allergens.add(allergen));
+    recipe.ingredients.forEach((ingredient) =>
+      (ingredient.inventoryItemId?.allergens ?? []).forEach((allergen) =>
+        allergens.add(allergen)
+      )
+    );
+    suitableFor = new Set(
+      recipe.suitableFor.filter((tag) => !suitableFor || suitableFor.has(tag))
+    );
+  });
+  extraItems.forEach((item) =>
+    (item?.allergens ?? []).forEach((allergen) => allergens.add(allergen))
+  );
+
+  return { allergens, suitableFor };
+};
+
+/**
+ * Load the recipes used by a meal plan's main dishes and variants
+ * @returns {Promise<Map>} Recipe id to recipe with ingredient items
+ */
+const loadPlanRecipes = async (mealPlan) => {
+  const ids = new Set();
+  MEAL_TYPES.forEach((mealType) => {
+    mealPlan[`${mealType}Recipes`].forEach((id) =>
+      ids.add(String(id?._id ?? id))
+    );
+    mealPlan[`${mealType}Variants`].forEach((variant) =>
+      variant.recipes.forEach((id) => ids.add(String(id?._id ?? id)))
+    );
+  });
+
+  const recipes = await Recipe.find({ _id: { $in: [...ids] } }).populate(
+    "ingredients.inventoryItemId",
+    "allergens"
+  );
+  return new Map(recipes.map((recipe) => [String(recipe._id), recipe]));
+};
+
+const pickRecipes = (ids, recipesById) =>
+  ids.map((id) => recipesById.get(String(id?._id ?? id))).filter(Boolean);
+
+/**
+ * Allergens and suitable tags of the main dishes of a meal
+ */
+const describeMainDishes = async (mealPlan, mealType, recipesById) => {
+  const recipes = pickRecipes(mealPlan[`${mealType}Recipes`], recipesById);
+  // Inventory entered by hand, when the meal is not built from recipes
+  const items =
+    recipes.length === 0
+      ? await InventoryItem.find({
+          _id: {
+            $in: mealPlan[`${mealType}Inventory`].map(
+              (line) => line.inventoryItemId?._id ?? line.inventoryItemId
+            ),
+          },
+        }).select("allergens")
+      : [];
+  return describeDishes(recipes, items);
+};
+
+/**
+ * Set the allergens of each meal's main dishes and the dish names of
+ * variants built from recipes. The plan is not saved.
+ * @param {Object} mealPlan
+ * @returns {Promise<Object>} The same meal plan
+ */
+const applyDietaryInfoToMealPlan = async (mealPlan) => {
+  const recipesById = await loadPlanRecipes(mealPlan);
+
+  for (const mealType of MEAL_TYPES) {
+    const { allergens } = await describeMainDishes(
+      mealPlan,
+      mealType,
+      recipesById
+    );
+    mealPlan.allergens[mealType] = ALLERGENS.filter((allergen) =>
+      allergens.has(allergen)
+    );
+
+    mealPlan[`${mealType}Variants`].forEach((variant) => {
+      const recipes = pickRecipes(variant.recipes, recipesById);
+      if (recipes.length > 0) {
+        variant.dishes = recipes.map((recipe) => recipe.name);
+      }
+    });
+  }
+
+  return mealPlan;
+};
+
+/**
+ * Derive the allergens of the meal plans using an inventory item again,
+ * after the item's allergens changed
+ * @param {String} inventoryItemId
+ * @returns {Promise<Number>} Number of meal plans updated
+ */
+const refreshMealPlanAllergens = async (inventoryItemId) => {
+  const mealPlans = await MealPlan.find({
+    $or: MEAL_TYPES.map((mealType) => ({
+      [`${mealType}Inventory.inventoryItemId`]: inventoryItemId,
+    })),
+  });
+
+  for (const mealPlan of mealPlans) {
+    await applyDietaryInfoToMealPlan(mealPlan);
+    await mealPlan.save();
+  }
+
+  return mealPlans.length;
+};
+
+/**
+ * Whether a set of tags covers a need. Vegan dishes are vegetarian too.
+ */
+const hasTag = (tags, tag) =>
+  Boolean(tags?.has(tag) || (tag === "vegetarian" && tags?.has("vegan")));
+
+/**
+ * Whether dishes suit a student's needs. Diets a dish was not tagged for
+ * count as unsuitable.
+ */
+const dishesSuit = ({ allergens, suitableFor }, needs) =>
+  needs.allergies.every((allergy) => !allergens.has(allergy)) &&
+  needs.tags.every((tag) => hasTag(suitableFor, tag));
+
+/**
+ * Split the students eating a meal between its main dishes and variants.
+ * A student gets the main dishes when they suit them, otherwise the first
+ * variant cooked for all their needs.
+ * @param {Object} mealPlan
+ * @param {String} mealType
+ * @param {Array} students - With name, admissionNumber and dietaryProfile
+ * @returns {Promise<Object>} Counts for the main dishes, each variant, by
+ *   diet, restriction and allergy, and the students no dish suits
+ */
+const getMealHeadcount = async (mealPlan, mealType, students) => {
+  const recipesById = await loadPlanRecipes(mealPlan);
+  const main = await describeMainDishes(mealPlan, mealType, recipesById);
+
+  // What a variant was declared for adds to what its recipes tell
+  const variants = mealPlan[`${mealType}Variants`].map((variant) => {
+    const recipes = pickRecipes(variant.recipes, recipesById);
+    const described = describeDishes(recipes);
+    const declared = new Set(variant.forDiets);
+    return {
+      variant,
+      // Allergens found in the recipes always rule the variant out, the
+      // declared allergies only count for variants without recipes
+      suitsAllergy: (allergy) =>
+        !described.allergens.has(allergy) &&
+        (recipes.length > 0 || variant.forAllergies.includes(allergy)),
+      suitsTag: (tag) =>
+        hasTag(declared, tag) || hasTag(described.suitableFor, tag),
+      count: 0,
+    };
+  });
+
+  const byDiet = Object.fromEntries(DIETS.map((diet) => [diet, 0]));
+  const byRestriction = Object.fromEntries(
+    RELIGIOUS_RESTRICTIONS.map((restriction) => [restriction, 0])
+  );
+  const byAllergy = Object.fromEntries(
+    ALLERGENS.map((allergen) => [allergen, 0])
+  );
+  let mainCount = 0;
+  const unmatched = [];
+
+  students.forEach((student) => {
+    const needs = getDietaryNeeds(student);
+    const profile = student.dietaryProfile ?? {};
+
+    byDiet[profile.diet ?? "regular"]++;
+    (profile.religiousRestrictions ?? []).forEach(
+      (restriction) => byRestriction[restriction]++
+    );
+    needs.allergies.forEach((allergy) => byAllergy[allergy]++);
+
+    if (dishesSuit(main, needs)) {
+      mainCount++;
+      return;
+    }
+
+    const variant = variants.find(
+      (candidate) =>
+        needs.allergies.every(candidate.suitsAllergy) &&
+        needs.tags.every(candidate.suitsTag)
+    );
+    if (variant) {
+      variant.count++;
+      return;
+    }
+
+    unmatched.push({
+      _id: student._id,
+      name: student.name,
+      admissionNumber: student.admissionNumber,
+      needs: [...needs.tags, ...needs.allergies],
+    });
+  });
+
+  return {
+    mealType,
+    totalStudents: students.length,
+    allergens: ALLERGENS.filter((allergen) => main.allergens.has(allergen)),
+    main: mainCount,
+    variants: variants.map(({ variant, count }) => ({
+      _id: variant._id,
+      name: variant.name,
+      count,
+    })),
+    unmatched,
+    byDiet,
+    byRestriction,
+    byAllergy,
+  };
+};
+
+export {
+  validateTags,
+  validateDietaryProfile,
+  getDietaryNeeds,
+  applyDietaryInfoToMealPlan,
+  refreshMealPlanAllergens,
+  getMealHeadcount,
+};
@@ -0,0 +1,159 @@
+import Dorm from "../models/dorm.model.js";
+import Room from "../models/room.model.js";
+import Student from "../models/student.model.js";
+import BedAllocation from "../models/bedAllocation.model.js";
+import { recordAudit, snapshot } from "./auditLogger.js";
+
+/**
+ * Number of beds in the active rooms of each dorm
+ * @param {Array} dormIds - Only these dorms (all when omitted)
+ * @returns {Promise<Map<String, Number>>} Dorm id to capacity
+ */
+const getDormCapacities = async (dormIds = null) => {
+  const match = { isActive: true };
+  if (dormIds) match.dorm = { $in: dormIds };
+
+  const rows = await Room.aggregate([
+    { $match: match },
+    { $group: { _id: "$dorm", capacity: { $sum: { $size: "$beds" } } } },
+  ]);
+
+  return new Map(rows.map((row) => [String(row._id), row.capacity]));
+};
+
+/**
+ * Capacity and occupancy of every active dorm. Occupants are the active
+ * students of the dorm, whether or not they have been given a bed yet.
+ * @returns {Promise<Array>}
+ */
+const getDormOccupancy = async () => {
+  const dorms = await Dorm.find({ isActive: true })
+    .populate("warden", "firstName lastName email")
+    .sort({ name: 1 })
+    .lean();
+
+  const [capacities, studentsByDorm] = await Promise.all([
+    getDormCapacities(dorms.map((dorm) => dorm._id)),
+    Student.aggregate([
+      { $match: { isActive: true, dorm: { $in: dorms.map((d) => d.name) } } },
+      {
+        $group: {
+          _id: "$dorm",
+          occupied: { $sum: 1 },
+          withBed: { $sum: { $cond: [{ $ifNull: ["$room", false] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+  const counts = new Map(studentsByDorm.map((row) => [row._id, row]));
+
+  return dorms.map((dorm) => {
+    const capacity = capacities.get(String(dorm._id)) || 0;
+    const { occupied = 0, withBed = 0 } = counts.get(dorm.name) || {};
+    return {
+      ...dorm,
+      capacity,
+      occupied,
+      withoutBed: occupied - withBed,
+      available: Math.max(0, capacity - occupied),
+      occupancyPercent:
+        capacity > 0 ? Math.round((occupied / capacity) * 100) : 0,
+    };
+  });
+};
+
+/**
+ * Check that a student may be placed in a dorm: it exists, is active,
+ * accepts the student's gender and has a free place
+ * @param {String} dormName - Value of Student.dorm
+ * @param {Object} options
+ * @param {String} options.gender - Student gender, if recorded
+ * @param {String} options.studentId - Student already counted in the dorm
+ * @param {Boolean} options.isCurrentDorm - The student is already in the dorm.
+ *   Dorm names kept from before dorms were managed have no Dorm document
+ *   and are accepted as they are.
+ * @returns {Promise<String|null>} Error message
+ */
+const checkDormAssignment = async (
+  dormName,
+  { gender = null, studentId = null, isCurrentDorm = false } = {}
+) => {
+  const dorm = await Dorm.findOne({ name: dormName });
+
+  if (!dorm && isCurrentDorm) return null;
+  if (!dorm || !dorm.isActive) {
+    return `Dorm "${dormName}" does not exist or is inactive`;
+  }
+  if (!dorm.acceptsGender(gender)) {
+    return `Dorm ${dorm.name} only accepts ${dorm.gender} students`;
+  }
+
+  const query = { isActive: true, dorm: dorm.name };
+  if (studentId) query._id = { $ne: studentId };
+
+  const [capacities, occupied] = await Promise.all([
+    getDormCapacities([dorm._id]),
+    Student.countDocuments(query),
+  ]);
+  const capacity = capacities.get(String(dorm._id)) || 0;
+
+  if (occupied >= capacity) {
+    return `Dorm ${dorm.name} is full (${occupied}/${capacity} beds taken)`;
+  }
+
+  return null;
+};
+
+/**
+ * Dorms a warden is assigned to. Other roles are not limited to a dorm.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array|null>} Dorm documents, null when unrestricted
+ */
+const getAssignedDorms = async (user) => {
+  if (user.role !== "warden") return null;
+  return Dorm.find({ warden: user._id, isActive: true }).sort({ name: 1 });
+};
+
+/**
+ * End the current bed allocation of a student, e.g. when they leave the
+ * hostel. The student keeps their dorm.
+ * @param {String} studentId
+ * @param {Object} options
+ * @param {String} options.reason - Why the bed was released
+ * @param {Object} options.req - Request for auditing (null for system runs)
+ * @returns {Promise<Object|null>} The closed allocation, null if none
+ */
+const releaseBed = async (studentId, { reason, req = null } = {}) => {
+  const allocation = await BedAllocation.findOne({
+    student: studentId,
+    isCurrent: true,
+  });
+  if (!allocation) return null;
+
+  const before = snapshot(allocation);
+  allocation.isCurrent = false;
+  allocation.releasedAt = new Date();
+  allocation.releasedBy = req?.user?._id;
+  allocation.releaseReason = reason;
+  await allocation.save();
+
+  await Student.updateOne({ _id: studentId }, { room: null, bed: null });
+
+  await recordAudit(req, {
+    action: "update",
+    entity: "BedAllocation",
+    entityId: allocation._id,
+    before,
+    after: allocation,
+  });
+
+  return allocation;
+};
+
+export {
+  getDormCapacities,
+  getDormOccupancy,
+  checkDormAssignment,
+  getAssignedDorms,
+  releaseBed,
+};
@@ -0,0 +1,164 @@
+import Student from "../models/student.model.js";
+import FeeStructure from "../models/feeStructure.model.js";
+import Invoice from "../models/invoice.model.js";
+import StudentConcession from "../models/studentConcession.model.js";
+import { applyConcessionToInvoice } from "./concessionEngine.js";
+import { getNextSequence } from "./sequence.js";
+import { recordAudit } from "./auditLogger.js";
+
+/**
+ * Day of the billing month invoices fall due, read per call so .env applies
+ */
+const getInvoiceDueDay = () => {
+  const day = parseInt(process.env.INVOICE_DUE_DAY, 10);
+  return day >= 1 && day <= 28 ? day : 10;
+};
+
+/**
+ * Billing month (YYYY-MM) of a date, in server local time
+ */
+const toBillingMonth = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+/**
+ * End of the due day within a billing month
+ */
+const getDueDate = (billingMonth) => {
+  const [year, month] = billingMonth.split("-").map(Number);
+  return new Date(year, month - 1, getInvoiceDueDay(), 23, 59, 59, 999);
+};
+
+const createInvoiceNumber = async (billingMonth) => {
+  const seq = await getNextSequence(`invoice-${billingMonth}`);
+  return `INV-${billingMonth.replace("-", "")}-${String(seq).padStart(5, "0")}`;
+};
+
+const createReceiptNumber = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const seq = await getNextSequence(`receipt-${year}`);
+  return `RCT-${year}-${String(seq).padStart(6, "0")}`;
+};
+
+/**
+ * Create invoices for a billing month, including each student's approved
+ * concession. Students that already have a (non-cancelled) invoice for the
+ * month, were admitted after it, or match no fee structure are skipped, so
+ * running it twice is harmless.
+ * @param {String} billingMonth - YYYY-MM
+ * @param {Object} options
+ * @param {Object} options.req - Request for auditing (null for cron)
+ * @param {Array<String>} options.studentIds - Limit to these students
+ * @returns {Promise<{created: Array, skipped: Number}>}
+ */
+const generateInvoicesForMonth = async (
+  billingMonth,
+  { req = null, studentIds = null } = {}
+) => {
+  const studentQuery = { isActive: true };
+  if (studentIds) studentQuery._id = { $in: studentIds };
+
+  const [students, feeStructures, existingInvoices] = await Promise.all([
+    Student.find(studentQuery).select(
+      "name admissionNumber admissionDate dorm class"
+    ),
+    FeeStructure.find({ isActive: true }),
+    Invoice.find({ billingMonth, status: { $ne: "cancelled" } })
+      .select("student")
+      .lean(),
+  ]);
+
+  const invoicedStudentIds = new Set(
+    existingInvoices.map((invoice) => invoice.student.toString())
+  );
+
+  const concessions = await StudentConcession.find({
+    student: { $in: students.map((student) => student._id) },
+    "approved.discountPercent": { $gt: 0 },
+  });
+  const concessionByStudent = new Map(
+    concessions.map((concession) => [concession.student.toString(), concession])
+  );
+
+  const created = [];
+  let skipped = 0;
+
+  for (const student of students) {
+    // admissionDate is stored as a YYYY-MM-DD string
+    const admittedAfter =
+      student.admissionDate && student.admissionDate.slice(0, 7) > billingMonth;
+
+    const lineItems = feeStructures
+      .filter((fee) => fee.appliesTo(student, billingMonth))
+      .map((fee) => ({
+        feeStructure: fee._id,
+        description: fee.name,
+        amount: fee.amount,
+      }));
+
+    if (
+      invoicedStudentIds.has(student._id.toString()) ||
+      admittedAfter ||
+      lineItems.length === 0
+    ) {
+      skipped++;
+      continue;
+    }
+
+    const invoice = new Invoice({
+      invoiceNumber: await createInvoiceNumber(billingMonth),
+      student: student._id,
+      billingMonth,
+      lineItems,
+      dueDate: getDueDate(billingMonth),
+      generatedBy: req?.user?._id || null,
+    });
+    invoice.recalculate();
+
+    const concession = concessionByStudent.get(student._id.toString());
+    if (concession) applyConcessionToInvoice(invoice, concession);
+
+    try {
+      await invoice.save();
+    } catch (error) {
+      // Invoiced meanwhile by another run for the month
+      if (error.code !== 11000) throw error;
+      skipped++;
+      continue;
+    }
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "Invoice",
+      entityId: invoice._id,
+      after: invoice,
+    });
+
+    created.push(invoice);
+  }
+
+  return { created, skipped };
+};
+
+/**
+ * Flag unpaid and partially paid invoices whose due date has passed
+ * @returns {Promise<Number>} Number of invoices that just became overdue
+ */
+const markOverdueInvoices = async () => {
+  const result = await Invoice.updateMany(
+    {
+      status: { $in: ["unpaid", "partially_paid"] },
+      dueDate: { $lt: new Date() },
+    },
+    { status: "overdue" }
+  );
+  return result.modifiedCount;
+};
+
+export {
+  getInvoiceDueDay,
+  toBillingMonth,
+  getDueDate,
+  createReceiptNumber,
+  generateInvoicesForMonth,
+  markOverdueInvoices,
+};
@@ -0,0 +1,148 @@
+import FoodWaste from "../models/foodWaste.model.js";
+import Recipe from "../models/recipe.model.js";
+import InventoryItem from "../models/inventory.model.js";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// $dateToString formats of the analytics periods, dates are UTC midnight
+const PERIOD_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+
+// Biggest dishes and items listed in the analytics
+const TOP_ENTRIES = 20;
+
+/**
+ * Cost of one portion of a recipe at current prices
+ * @param {Object} recipe - Recipe with populated ingredient items
+ * @returns {Number}
+ */
+const getRecipePortionCost = (recipe) =>
+  recipe.ingredients.reduce(
+    (sum, ingredient) =>
+      sum +
+      (ingredient.quantity / recipe.servings) *
+        (ingredient.inventoryItemId?.costPerUnit ?? 0),
+    0
+  );
+
+const costGroup = (id, extra = {}) => ({
+  $group: {
+    _id: id,
+    cost: { $sum: "$cost" },
+    entries: { $sum: 1 },
+    ...extra,
+  },
+});
+
+const topBy = (field, collection, extra) => [
+  { $match: { [field]: { $ne: null } } },
+  costGroup(`$${field}`, extra),
+  { $sort: { cost: -1 } },
+  { $limit: TOP_ENTRIES },
+  {
+    $lookup: {
+      from: collection,
+      localField: "_id",
+      foreignField: "_id",
+      as: "doc",
+    },
+  },
+];
+
+const toRow = ({ cost, ...rest }) => ({ ...rest, cost: roundMoney(cost) });
+
+/**
+ * Waste cost of a date range by category, meal type, dish, inventory item
+ * and period
+ * @param {Date} from - UTC midnight
+ * @param {Date} to - UTC midnight, included
+ * @param {String} period - day, week or month
+ * @returns {Promise<Object>}
+ */
+const analyzeFoodWaste = async (from, to, period = "day") => {
+  const [result] = await FoodWaste.aggregate([
+    { $match: { date: { $gte: from, $lte: to } } },
+    {
+      $facet: {
+        totals: [costGroup(null)],
+        byCategory: [costGroup("$category"), { $sort: { cost: -1 } }],
+        byMealType: [
+          { $match: { mealType: { $ne: null } } },
+          costGroup("$mealType"),
+          { $sort: { cost: -1 } },
+        ],
+        byDish: topBy("recipe", Recipe.collection.name, {
+          portions: { $sum: "$quantity" },
+        }),
+        byItem: topBy("inventoryItem", InventoryItem.collection.name, {
+          quantity: { $sum: "$quantity" },
+        }),
+        overTime: [
+          costGroup({
+            period: {
+              $dateToString: { format: PERIOD_FORMATS[period], date: "$date" },
+            },
+            category: "$category",
+          }),
+          { $sort: { "_id.period": 1 } },
+        ],
+      },
+    },
+  ]);
+
+  // One row per period, split by category
+  const overTime = new Map();
+  result.overTime.forEach(({ _id, cost, entries }) => {
+    if (!overTime.has(_id.period)) {
+      overTime.set(_id.period, {
+        period: _id.period,
+        cost: 0,
+        entries: 0,
+        byCategory: {},
+      });
+    }
+    const row = overTime.get(_id.period);
+    row.cost += cost;
+    row.entries += entries;
+    row.byCategory[_id.category] = roundMoney(cost);
+  });
+
+  const totals = result.totals[0] ?? { cost: 0, entries: 0 };
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: to.toISOString().slice(0, 10),
+    period,
+    totalCost: roundMoney(totals.cost),
+    entries: totals.entries,
+    byCategory: result.byCategory.map(({ _id, ...row }) =>
+      toRow({ category: _id, ...row })
+    ),
+    byMealType: result.byMealType.map(({ _id, ...row }) =>
+      toRow({ mealType: _id, ...row })
+    ),
+    byDish: result.byDish.map(({ _id, doc, portions, ...row }) =>
+      toRow({
+        recipe: { _id, name: doc[0]?.name ?? null },
+        portions,
+        ...row,
+      })
+    ),
+    byItem: result.byItem.map(({ _id, doc, quantity, ...row }) =>
+      toRow({
+        inventoryItem: {
+          _id,
+          name: doc[0]?.name ?? null,
+          unit: doc[0]?.unit ?? null,
+        },
+        quantity: Math.round(quantity * 10000) / 10000,
+        ...row,
+      })
+    ),
+    overTime: [...overTime.values()].map((row) => ({
+      ...row,
+      cost: roundMoney(row.cost),
+    })),
+  };
+};
+
+export { PERIOD_FORMATS, getRecipePortionCost, analyzeFoodWaste };
@@ -1,10 +1,12 @@
 import jwt from "jsonwebtoken";
+import { randomUUID } from "node:crypto";
 import {
   ACCESS_TOKEN_EXPIRES_IN,
   REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
 } from "./constants.js";
 
-const createAccessToken = (user, token) => {
+const createAccessToken = (user, token, sessionId = null) => {
   return jwt.sign(
     {
       user: {
@@ -16,23 +18,40 @@ const createAccessToken = (user, token) => {
         phone: user.phone,
         role: user.role,
       },
+      sessionId,
     },
     token,
     { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
-const createRefreshToken = (user, token) => {
+// jwtid makes every rotated token unique even when issued within the same second
+const createRefreshToken = (user, token, sessionId) => {
   return jwt.sign(
     {
       email: user.email,
       id: user._id,
+      sessionId,
     },
     token,
     {
       expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+      jwtid: randomUUID(),
     }
   );
 };
 
-export { createAccessToken, createRefreshToken };
+// Proves the password step of a login for a user with two-factor enabled.
+// It carries no `user` claim, so protect() never accepts it as an access token.
+const createTwoFactorChallengeToken = (user, token) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      purpose: "two_factor_login",
+    },
+    token,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+export { createAccessToken, createRefreshToken, createTwoFactorChallengeToken };
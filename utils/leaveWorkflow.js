@@ -0,0 +1,48 @@
+import crypto from "node:crypto";
+import LeaveRequest from "../models/leaveRequest.model.js";
+import { LEAVE_APPROVAL_CHAIN, LEAVE_SHORT_MAX_HOURS } from "./constants.js";
+
+// Unambiguous characters only, the code is read out and typed at the gate
+const PASS_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Roles that must approve a leave, in order. Leaves up to
+ * LEAVE_SHORT_MAX_HOURS only need the first role of the chain.
+ * @param {Date} departureAt
+ * @param {Date} expectedReturnAt
+ * @returns {Array<String>}
+ */
+const getApprovalChain = (departureAt, expectedReturnAt) => {
+  const hours = (expectedReturnAt - departureAt) / (60 * 60 * 1000);
+  return hours <= LEAVE_SHORT_MAX_HOURS
+    ? LEAVE_APPROVAL_CHAIN.slice(0, 1)
+    : [...LEAVE_APPROVAL_CHAIN];
+};
+
+/**
+ * Random 8 character out-pass code
+ */
+const generatePassCode = () =>
+  Array.from(
+    crypto.randomBytes(8),
+    (byte) => PASS_CODE_ALPHABET[byte % PASS_CODE_ALPHABET.length]
+  ).join("");
+
+/**
+ * Students who were away on leave at some point between two times: checked
+ * out before `to` and not back before `from`
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Set<String>>} Student ids
+ */
+const getStudentsOnLeave = async (from, to) => {
+  const leaves = await LeaveRequest.find({
+    status: { $in: ["checked_out", "returned"] },
+    checkedOutAt: { $lte: to },
+    $or: [{ checkedInAt: null }, { checkedInAt: { $gte: from } }],
+  }).select("student");
+
+  return new Set(leaves.map((leave) => String(leave.student)));
+};
+
+export { getApprovalChain, generatePassCode, getStudentsOnLeave };
@@ -0,0 +1,74 @@
+import path from "path";
+import { promises as fsPromises } from "fs";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mail transports are plain objects with an async `send({ to, subject, text })`.
+ * The active one is picked by MAIL_TRANSPORT; production deployments register
+ * their own (SMTP, SES, ...) with registerMailTransport at startup.
+ */
+const transports = {
+  // Dev stand-in: prints the mail to stdout
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(
+        `[Mailer] To: ${to}\n[Mailer] Subject: ${subject}\n${text}\n[Mailer] ---`
+      );
+    },
+  },
+
+  // Dev stand-in: appends the mail to logs/mail.log
+  file: {
+    send: async ({ to, subject, text }) => {
+      const logsDir = path.join(__dirname, "..", "logs");
+      await fsPromises.mkdir(logsDir, { recursive: true });
+      await fsPromises.appendFile(
+        path.join(logsDir, "mail.log"),
+        `${new Date().toISOString()}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n---\n`
+      );
+    },
+  },
+};
+
+/**
+ * Register (or replace) a mail transport
+ * @param {String} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Object} transport - Object exposing async send({ to, subject, text })
+ */
+const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport. Outside production an
+ * unset MAIL_TRANSPORT prints the mail; in production it is an error, as
+ * mails carry live reset links that must not end up in the logs.
+ * @param {Object} mail
+ * @param {String} mail.to - Recipient address
+ * @param {String} mail.subject - Subject line
+ * @param {String} mail.text - Plain-text body
+ */
+const sendMail = async (mail) => {
+  let name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("MAIL_TRANSPORT is not set");
+    }
+    name = "console";
+  }
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  await transport.send(mail);
+};
+
+export { sendMail, registerMailTransport };
@@ -0,0 +1,278 @@
+import MealPlan from "../models/mealplan.model.js";
+import InventoryItem from "../models/inventory.model.js";
+import Student from "../models/student.model.js";
+import MealOptOut from "../models/mealOptOut.model.js";
+import { MEAL_TYPES } from "./constants.js";
+import {
+  resolveMealPlan,
+  toPlanDate,
+  fromPlanDate,
+} from "./mealPlanResolver.js";
+import { getMealDiners } from "./mealOptOut.js";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Number of students each meal of a date is expected to be cooked for: the
+ * dining headcount less opt-outs once the attendance the meal follows is
+ * marked, otherwise (future dates) the active students less the opt-outs
+ * made so far
+ * @param {Date|null} planDate - UTC midnight, today when omitted, as for
+ *   weekly and cycle plans
+ * @returns {Promise<Object>} Diners by meal type
+ */
+const getExpectedDiners = async (planDate = null) => {
+  const date = planDate ?? toPlanDate(new Date());
+  let activeStudents = null;
+  const diners = {};
+
+  for (const mealType of MEAL_TYPES) {
+    const headcount = await getMealDiners(mealType, fromPlanDate(date));
+    if (headcount) {
+      diners[mealType] = headcount.expectedDiners;
+      continue;
+    }
+
+    if (activeStudents === null) {
+      activeStudents = await Student.countDocuments({ isActive: true });
+    }
+    const optOuts = await MealOptOut.countDocuments({
+      date,
+      mealType,
+      status: "active",
+    });
+    diners[mealType] = Math.max(activeStudents - optOuts, 0);
+  }
+
+  return diners;
+};
+
+/**
+ * Current prices of the inventory items a set of meal plans use
+ * @param {Array} mealPlans
+ * @returns {Promise<Map>} Inventory item id to item
+ */
+const getPlanItems = async (mealPlans) => {
+  const ids = new Set();
+  mealPlans.forEach((mealPlan) =>
+    MEAL_TYPES.forEach((mealType) =>
+      mealPlan[`${mealType}Inventory`].forEach((line) =>
+        ids.add(String(line.inventoryItemId?._id ?? line.inventoryItemId))
+      )
+    )
+  );
+
+  const items = await InventoryItem.find({ _id: { $in: [...ids] } }).select(
+    "name unit costPerUnit"
+  );
+  return new Map(items.map((item) => [String(item._id), item]));
+};
+
+/**
+ * Cost of a meal plan from the inventory lines of each meal and current
+ * prices. Lines of deleted items cost nothing and are listed as missing.
+ * @param {Object} mealPlan
+ * @param {Map} itemsById - From getPlanItems
+ * @param {Number|Object} expectedDiners - For every meal, or by meal type
+ * @returns {Object} expectedDiners, perStudent and meals costs by meal type,
+ *   perStudentTotal, total for the expected diners, line breakdown and
+ *   missing item ids
+ */
+const computeMealPlanCost = (mealPlan, itemsById, expectedDiners) => {
+  const diners = Object.fromEntries(
+    MEAL_TYPES.map((mealType) => [
+      mealType,
+      typeof expectedDiners === "number"
+        ? expectedDiners
+        : expectedDiners[mealType] ?? 0,
+    ])
+  );
+  const perStudent = {};
+  const meals = {};
+  const lines = [];
+  const missingItems = [];
+
+  MEAL_TYPES.forEach((mealType) => {
+    let mealPerStudent = 0;
+
+    mealPlan[`${mealType}Inventory`].forEach((line) => {
+      const itemId = String(line.inventoryItemId?._id ?? line.inventoryItemId);
+      const item = itemsById.get(itemId);
+      if (!item) {
+        missingItems.push(itemId);
+        return;
+      }
+
+      const quantityPerStudent = line.quantity / (line.forStudents || 10);
+      const costPerStudent = quantityPerStudent * item.costPerUnit;
+      mealPerStudent += costPerStudent;
+
+      lines.push({
+        mealType,
+        inventoryItemId: item._id,
+        name: item.name,
+        unit: item.unit,
+        costPerUnit: item.costPerUnit,
+        quantityPerStudent: Math.round(quantityPerStudent * 10000) / 10000,
+        costPerStudent: Math.round(costPerStudent * 10000) / 10000,
+        cost: roundMoney(costPerStudent * diners[mealType]),
+      });
+    });
+
+    perStudent[mealType] = roundMoney(mealPerStudent);
+    meals[mealType] = roundMoney(mealPerStudent * diners[mealType]);
+  });
+
+  const perStudentTotal = roundMoney(
+    MEAL_TYPES.reduce((sum, mealType) => sum + perStudent[mealType], 0)
+  );
+
+  return {
+    expectedDiners: diners,
+    perStudent,
+    perStudentTotal,
+    meals,
+    total: roundMoney(
+      MEAL_TYPES.reduce((sum, mealType) => sum + meals[mealType], 0)
+    ),
+    lines,
+    missingItems,
+  };
+};
+
+/**
+ * Store the computed cost on a meal plan: estimatedCost becomes the day's
+ * cost for the expected diners. The plan is not saved.
+ * @param {Object} mealPlan
+ * @param {Object} options
+ * @param {Map} options.itemsById - Prices to use, loaded when omitted
+ * @param {Object} options.expectedDiners - By meal type, counted for the
+ *   plan's date when omitted
+ * @returns {Promise<Object>} The same meal plan
+ */
+const applyCostToMealPlan = async (
+  mealPlan,
+  { itemsById, expectedDiners } = {}
+) => {
+  const cost = computeMealPlanCost(
+    mealPlan,
+    itemsById ?? (await getPlanItems([mealPlan])),
+    expectedDiners ?? (await getExpectedDiners(mealPlan.date))
+  );
+
+  mealPlan.costPerStudent = cost.perStudent;
+  mealPlan.mealCosts = cost.meals;
+  mealPlan.expectedDiners = cost.expectedDiners;
+  mealPlan.estimatedCost = cost.total;
+  mealPlan.costCalculatedAt = new Date();
+  return mealPlan;
+};
+
+/**
+ * Recalculate and save the cost of meal plans, e.g. after a price change
+ * @param {Object} options
+ * @param {String} options.inventoryItemId - Only plans using this item
+ * @returns {Promise<Number>} Number of meal plans updated
+ */
+const recalculateMealPlanCosts = async ({ inventoryItemId = null } = {}) => {
+  const mealPlans = await MealPlan.find(
+    inventoryItemId
+      ? {
+          $or: MEAL_TYPES.map((mealType) => ({
+            [`${mealType}Inventory.inventoryItemId`]: inventoryItemId,
+          })),
+        }
+      : {}
+  );
+  if (mealPlans.length === 0) return 0;
+
+  const itemsById = await getPlanItems(mealPlans);
+  // Weekly and cycle plans all use today's diners
+  const todayDiners = await getExpectedDiners();
+
+  for (const mealPlan of mealPlans) {
+    await applyCostToMealPlan(mealPlan, {
+      itemsById,
+      expectedDiners: mealPlan.date
+        ? await getExpectedDiners(mealPlan.date)
+        : todayDiners,
+    });
+    await mealPlan.save();
+  }
+
+  return mealPlans.length;
+};
+
+/**
+ * Food cost of the plans served on each date of a range, at current prices
+ * and for the expected diners of each date
+ * @param {Date} from - UTC midnight
+ * @param {Number} days
+ * @returns {Promise<Object>} days, totals and days without a plan
+ */
+const projectFoodCost = async (from, days) => {
+  const resolvedDays = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from);
+    date.setUTCDate(date.getUTCDate() + i);
+    const isoDate = date.toISOString().slice(0, 10);
+    const resolved = await resolveMealPlan(isoDate);
+    resolvedDays.push({
+      date: isoDate,
+      resolved,
+      expectedDiners: resolved ? await getExpectedDiners(date) : null,
+    });
+  }
+
+  const itemsById = await getPlanItems(
+    resolvedDays
+      .filter(({ resolved }) => resolved)
+      .map(({ resolved }) => resolved.mealPlan)
+  );
+
+  const projection = resolvedDays.map(({ date, resolved, expectedDiners }) => {
+    if (!resolved) {
+      return { date, source: null, mealPlan: null, perStudent: 0, total: 0 };
+    }
+    const cost = computeMealPlanCost(
+      resolved.mealPlan,
+      itemsById,
+      expectedDiners
+    );
+    return {
+      date,
+      source: resolved.source,
+      mealPlan: resolved.mealPlan._id,
+      expectedDiners: cost.expectedDiners,
+      perStudent: cost.perStudentTotal,
+      meals: cost.meals,
+      total: cost.total,
+    };
+  });
+
+  const total = roundMoney(projection.reduce((sum, day) => sum + day.total, 0));
+  const plannedDays = projection.filter((day) => day.mealPlan).length;
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    days,
+    total,
+    perStudent: roundMoney(
+      projection.reduce((sum, day) => sum + day.perStudent, 0)
+    ),
+    averagePerDay: plannedDays ? roundMoney(total / plannedDays) : 0,
+    unplannedDates: projection
+      .filter((day) => !day.mealPlan)
+      .map((day) => day.date),
+    projection,
+  };
+};
+
+export {
+  getExpectedDiners,
+  getPlanItems,
+  computeMealPlanCost,
+  applyCostToMealPlan,
+  recalculateMealPlanCosts,
+  projectFoodCost,
+};
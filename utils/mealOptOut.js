@@ -0,0 +1,214 @@
+import MealOptOut from "../models/mealOptOut.model.js";
+import AttendanceRecord from "../models/attendanceRecord.model.js";
+import InventoryUsage from "../models/inventoryUsage.model.js";
+import { getSessionsForDay, sumSessions } from "./attendanceRollup.js";
+import {
+  resolveMealPlan,
+  toPlanDate,
+  fromPlanDate,
+} from "./mealPlanResolver.js";
+import {
+  DINING_ATTENDANCE_STATUSES,
+  MEAL_OPT_OUT_CUTOFF,
+  MEAL_TYPES,
+} from "./constants.js";
+
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+/**
+ * When opt-outs for the meals of a day close: MEAL_OPT_OUT_CUTOFF in server
+ * time on the day before
+ * @param {Date} planDate - UTC midnight
+ * @returns {Date}
+ */
+const getOptOutCutoff = (planDate) => {
+  const [hours, minutes] = MEAL_OPT_OUT_CUTOFF.split(":").map(Number);
+  return new Date(
+    planDate.getUTCFullYear(),
+    planDate.getUTCMonth(),
+    planDate.getUTCDate() - 1,
+    hours,
+    minutes
+  );
+};
+
+/**
+ * Attendance a meal is cooked for. Morning meals (breakfast, lunch) use the
+ * previous day's evening attendance, dinner the same day's.
+ * @param {String} mealType
+ * @param {Date} date - Any time on the day of the meal
+ * @returns {{sessionType: String, attendanceDate: Date}}
+ */
+const getMealAttendanceSlot = (mealType, date) => {
+  const attendanceDate = new Date(date);
+  if (mealType === "breakfast" || mealType === "lunch") {
+    attendanceDate.setDate(attendanceDate.getDate() - 1);
+  }
+  return { sessionType: "evening", attendanceDate };
+};
+
+/**
+ * Students expected to eat a meal: those dining at the attendance the meal
+ * is cooked for, less the ones who opted out of it. Opt-outs of students
+ * not counted as dining change nothing.
+ * @param {String} mealType
+ * @param {Date} date - Any time on the day of the meal
+ * @returns {Promise<Object|null>} attendanceCount, optOuts, optedOut (taken
+ *   off the attendance), expectedDiners, the slot and its sessionIds. Null
+ *   when no dorm has marked the attendance yet.
+ */
+const getMealDiners = async (mealType, date) => {
+  const { sessionType, attendanceDate } = getMealAttendanceSlot(mealType, date);
+  const sessions = await getSessionsForDay(attendanceDate, sessionType);
+  if (sessions.length === 0) return null;
+
+  const attendanceCount = sumSessions(sessions).diningCount;
+  const optedOutStudents = await MealOptOut.distinct("student", {
+    date: toPlanDate(date),
+    mealType,
+    status: "active",
+  });
+
+  const optedOut =
+    optedOutStudents.length === 0
+      ? 0
+      : await AttendanceRecord.countDocuments({
+          _id: {
+            $in: sessions.flatMap((session) => session.attendanceRecords ?? []),
+          },
+          student: { $in: optedOutStudents },
+          status: { $in: DINING_ATTENDANCE_STATUSES },
+        });
+
+  return {
+    mealType,
+    sessionType,
+    attendanceDate,
+    sessionIds: sessions.map((session) => session._id),
+    attendanceCount,
+    optOuts: optedOutStudents.length,
+    optedOut,
+    expectedDiners: Math.max(attendanceCount - optedOut, 0),
+  };
+};
+
+/**
+ * Compare, for each meal of a date range, the diners and quantities the
+ * meal plan expects with the inventory usage recorded for it
+ * @param {Date} from - UTC midnight
+ * @param {Number} days
+ * @returns {Promise<Object>} One row per date and meal, with totals
+ */
+const getMealUsageComparison = async (from, days) => {
+  const to = new Date(from);
+  to.setUTCDate(to.getUTCDate() + days);
+
+  const usages = await InventoryUsage.find({
+    date: { $gte: fromPlanDate(from), $lt: fromPlanDate(to) },
+  }).populate("items.inventoryItemId", "name unit");
+
+  const meals = [];
+  for (let i = 0; i < days; i++) {
+    const planDate = new Date(from);
+    planDate.setUTCDate(planDate.getUTCDate() + i);
+    const isoDate = planDate.toISOString().slice(0, 10);
+    const resolved = await resolveMealPlan(isoDate, { populate: true });
+
+    for (const mealType of MEAL_TYPES) {
+      const diners = await getMealDiners(mealType, fromPlanDate(planDate));
+      const mealUsages = usages.filter(
+        (usage) =>
+          usage.mealType === mealType &&
+          toPlanDate(usage.date).getTime() === planDate.getTime()
+      );
+
+      const items = new Map();
+      const itemFor = (item) => {
+        const key = String(item?._id ?? item);
+        if (!items.has(key)) {
+          items.set(key, {
+            inventoryItemId: item?._id ?? item,
+            name: item?.name ?? null,
+            unit: item?.unit ?? null,
+            expectedQuantity: 0,
+            recordedQuantity: 0,
+          });
+        }
+        return items.get(key);
+      };
+
+      if (resolved && diners) {
+        resolved.mealPlan[`${mealType}Inventory`].forEach((line) => {
+          itemFor(line.inventoryItemId).expectedQuantity +=
+            (line.quantity / (line.forStudents || 10)) * diners.expectedDiners;
+        });
+      }
+      mealUsages.forEach((usage) =>
+        usage.items.forEach((line) => {
+          itemFor(line.inventoryItemId).recordedQuantity +=
+            line.actualQuantityDeducted;
+        })
+      );
+
+      // Usage recorded before opt-outs existed was scaled by attendance.
+      // Several usage records of a meal (cron and manual) were each scaled
+      // for the same diners, so they are not added up.
+      const recordedDiners =
+        mealUsages.length > 0
+          ? Math.max(
+              ...mealUsages.map(
+                (usage) => usage.expectedDiners ?? usage.attendanceCount
+              )
+            )
+          : null;
+
+      meals.push({
+        date: isoDate,
+        mealType,
+        mealPlan: resolved?.mealPlan._id ?? null,
+        attendanceCount: diners?.attendanceCount ?? null,
+        optOuts: diners?.optOuts ?? 0,
+        optedOut: diners?.optedOut ?? 0,
+        expectedDiners: diners?.expectedDiners ?? null,
+        recordedDiners,
+        usageRecords: mealUsages.map((usage) => usage._id),
+        items: [...items.values()].map((item) => ({
+          ...item,
+          expectedQuantity: roundQuantity(item.expectedQuantity),
+          recordedQuantity: roundQuantity(item.recordedQuantity),
+          difference: roundQuantity(
+            item.recordedQuantity - item.expectedQuantity
+          ),
+        })),
+      });
+    }
+  }
+
+  const recorded = meals.filter((meal) => meal.recordedDiners !== null);
+  return {
+    from: from.toISOString().slice(0, 10),
+    days,
+    summary: {
+      meals: meals.length,
+      recordedMeals: recorded.length,
+      optedOut: meals.reduce((sum, meal) => sum + meal.optedOut, 0),
+      // Over the meals with recorded usage, so both sides compare
+      expectedDiners: recorded.reduce(
+        (sum, meal) => sum + (meal.expectedDiners ?? 0),
+        0
+      ),
+      recordedDiners: recorded.reduce(
+        (sum, meal) => sum + meal.recordedDiners,
+        0
+      ),
+    },
+    meals,
+  };
+};
+
+export {
+  getOptOutCutoff,
+  getMealAttendanceSlot,
+  getMealDiners,
+  getMealUsageComparison,
+};
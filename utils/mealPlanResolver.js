@@ -0,0 +1,166 @@
+import MealPlan from "../models/mealplan.model.js";
+import MenuCycle from "../models/menuCycle.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Inventory and recipes populated in meal plan responses
+const MEAL_PLAN_POPULATE = [
+  "breakfastInventory.inventoryItemId",
+  "lunchInventory.inventoryItemId",
+  "dinnerInventory.inventoryItemId",
+  { path: "breakfastRecipes", select: "name servings" },
+  { path: "lunchRecipes", select: "name servings" },
+  { path: "dinnerRecipes", select: "name servings" },
+  { path: "breakfastVariants.recipes", select: "name servings" },
+  { path: "lunchVariants.recipes", select: "name servings" },
+  { path: "dinnerVariants.recipes", select: "name servings" },
+];
+
+/**
+ * Calendar date of a moment in server time, as UTC midnight like the dates
+ * stored on overrides and cycles
+ * @param {Date|String} date
+ * @returns {Date}
+ */
+const toPlanDate = (date) => {
+  const local = new Date(date);
+  return new Date(
+    Date.UTC(local.getFullYear(), local.getMonth(), local.getDate())
+  );
+};
+
+/**
+ * Server-time midnight of a plan date, to compare with dates stored in
+ * server time
+ * @param {Date} planDate - UTC midnight
+ * @returns {Date}
+ */
+const fromPlanDate = (planDate) =>
+  new Date(
+    planDate.getUTCFullYear(),
+    planDate.getUTCMonth(),
+    planDate.getUTCDate()
+  );
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @returns {Date|null} Null when the date is invalid
+ */
+const parsePlanDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value ?? "")) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  // Rejects dates that roll over, like 2025-02-30
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value)
+    ? date
+    : null;
+};
+
+/**
+ * Weekday name of a plan date
+ */
+const getPlanDayName = (planDate) => DAY_NAMES[planDate.getUTCDay()];
+
+/**
+ * Week of the cycle a date falls in, 1 based
+ */
+const getCycleWeek = (cycle, planDate) => {
+  const days = Math.floor((planDate - cycle.effectiveFrom) / DAY_MS);
+  return (Math.floor(days / 7) % cycle.weeks) + 1;
+};
+
+/**
+ * Active cycle whose date range overlaps the given one
+ * @param {Date} from
+ * @param {Date|null} to - null for open ended
+ * @param {String} excludeId - Cycle being updated
+ * @returns {Promise<Object|null>}
+ */
+const findOverlappingCycle = (from, to, excludeId = null) =>
+  MenuCycle.findOne({
+    isActive: true,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    ...(to && { effectiveFrom: { $lte: to } }),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }],
+  });
+
+/**
+ * Meal plan served on a date. A date override wins, then the active menu
+ * cycle covering the date, then the default weekly plan of the weekday.
+ * @param {Date|String} date - Moment in server time, or a YYYY-MM-DD
+ *   calendar date
+ * @param {Object} options
+ * @param {Boolean} options.populate - Populate the inventory items
+ * @returns {Promise<{mealPlan: Object, source: String, cycle: Object|null,
+ *   week: Number|null, date: Date}|null>} source is "override", "cycle" or
+ *   "default", null when nothing is planned
+ */
+const resolveMealPlan = async (date, { populate = false } = {}) => {
+  const planDate = parsePlanDate(date) ?? toPlanDate(date);
+  const day = getPlanDayName(planDate);
+  const findPlan = (query) =>
+    MealPlan.findOne(query).populate(populate ? MEAL_PLAN_POPULATE : []);
+
+  const override = await findPlan({ date: planDate });
+  if (override) {
+    return {
+      mealPlan: override,
+      source: "override",
+      cycle: null,
+      week: null,
+      date: planDate,
+    };
+  }
+
+  const cycle = await MenuCycle.findOne({
+    isActive: true,
+    effectiveFrom: { $lte: planDate },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: planDate } }],
+  }).sort({ effectiveFrom: -1 });
+
+  if (cycle) {
+    const week = getCycleWeek(cycle, planDate);
+    const cyclePlan = await findPlan({ cycle: cycle._id, week, day });
+    if (cyclePlan) {
+      return {
+        mealPlan: cyclePlan,
+        source: "cycle",
+        cycle,
+        week,
+        date: planDate,
+      };
+    }
+  }
+
+  const defaultPlan = await findPlan({ day, date: null, cycle: null });
+  if (!defaultPlan) return null;
+
+  return {
+    mealPlan: defaultPlan,
+    source: "default",
+    cycle: null,
+    week: null,
+    date: planDate,
+  };
+};
+
+export {
+  DAY_NAMES,
+  MEAL_PLAN_POPULATE,
+  toPlanDate,
+  fromPlanDate,
+  parsePlanDate,
+  getPlanDayName,
+  getCycleWeek,
+  findOverlappingCycle,
+  resolveMealPlan,
+};
@@ -0,0 +1,207 @@
+import MealServing from "../models/mealServing.model.js";
+import InventoryUsage from "../models/inventoryUsage.model.js";
+import { toPlanDate, fromPlanDate } from "./mealPlanResolver.js";
+import { MEAL_TYPES, MEAL_SERVING_WINDOWS } from "./constants.js";
+
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const NO_SERVINGS = { served: 0, students: 0, anonymous: 0, scanned: 0 };
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const servingKey = (planDate, mealType) =>
+  `${planDate.toISOString().slice(0, 10)}:${mealType}`;
+
+/**
+ * Meal being served at the counter at a time
+ * @param {Date} now
+ * @returns {String|null} Null outside MEAL_SERVING_WINDOWS
+ */
+const getServingMeal = (now = new Date()) => {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return (
+    MEAL_TYPES.find((mealType) => {
+      const { from, to } = MEAL_SERVING_WINDOWS[mealType];
+      return minutes >= toMinutes(from) && minutes < toMinutes(to);
+    }) ?? null
+  );
+};
+
+/**
+ * Servings recorded per date and meal
+ * @param {Object} match - Filter on servings
+ * @returns {Promise<Map>} "YYYY-MM-DD:mealType" to served (all servings),
+ *   students (tied to a student), anonymous and scanned counts
+ */
+const countServings = async (match) => {
+  const groups = await MealServing.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { date: "$date", mealType: "$mealType" },
+        served: { $sum: "$count" },
+        students: {
+          $sum: { $cond: [{ $ifNull: ["$student", false] }, 1, 0] },
+        },
+        scanned: {
+          $sum: { $cond: [{ $eq: ["$source", "scan"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    groups.map(({ _id, served, students, scanned }) => [
+      servingKey(_id.date, _id.mealType),
+      { served, students, anonymous: served - students, scanned },
+    ])
+  );
+};
+
+/**
+ * Reconcile the inventory deducted for each meal of a date range with the
+ * servings recorded at the counter. What was deducted beyond the portions
+ * served is waste, valued at current prices. Meals without both usage and
+ * servings cannot be reconciled and have null waste.
+ * @param {Date} from - UTC midnight
+ * @param {Number} days
+ * @returns {Promise<Object>} One row per date and meal, with totals
+ */
+const reconcileMealServings = async (from, days) => {
+  const to = new Date(from);
+  to.setUTCDate(to.getUTCDate() + days);
+
+  const [servings, usages] = await Promise.all([
+    countServings({ date: { $gte: from, $lt: to } }),
+    InventoryUsage.find({
+      date: { $gte: fromPlanDate(from), $lt: fromPlanDate(to) },
+    }).populate("items.inventoryItemId", "name unit costPerUnit"),
+  ]);
+
+  const meals = [];
+  for (let i = 0; i < days; i++) {
+    const planDate = new Date(from);
+    planDate.setUTCDate(planDate.getUTCDate() + i);
+
+    for (const mealType of MEAL_TYPES) {
+      const counts = servings.get(servingKey(planDate, mealType)) ?? {
+        ...NO_SERVINGS,
+      };
+      const mealUsages = usages.filter(
+        (usage) =>
+          usage.mealType === mealType &&
+          toPlanDate(usage.date).getTime() === planDate.getTime()
+      );
+      const reconciled = mealUsages.length > 0 && counts.served > 0;
+
+      // Usage lines say how much one student needs, so the portions served
+      // needed that much per serving. A meal can have several usage records
+      // (cron and manual), which must not count the servings again.
+      const items = new Map();
+      mealUsages.forEach((usage) =>
+        usage.items.forEach((line) => {
+          const item = line.inventoryItemId;
+          const key = String(item?._id ?? item);
+          if (!items.has(key)) {
+            items.set(key, {
+              item,
+              deducted: 0,
+              served: 0,
+            });
+          }
+          const entry = items.get(key);
+          entry.deducted += line.actualQuantityDeducted;
+          entry.served = Math.max(
+            entry.served,
+            (line.recordedQuantity / line.recordedForStudents) * counts.served
+          );
+        })
+      );
+
+      let deductedCost = 0;
+      let wasteCost = 0;
+      const itemRows = [...items.values()].map(({ item, deducted, served }) => {
+        const costPerUnit = item?.costPerUnit ?? 0;
+        const waste = Math.max(deducted - served, 0);
+        deductedCost += deducted * costPerUnit;
+        wasteCost += waste * costPerUnit;
+
+        return {
+          inventoryItemId: item?._id ?? item,
+          name: item?.name ?? null,
+          unit: item?.unit ?? null,
+          deductedQuantity: roundQuantity(deducted),
+          servedQuantity: reconciled ? roundQuantity(served) : null,
+          wasteQuantity: reconciled ? roundQuantity(waste) : null,
+          // Served more than was deducted: the usage was under-recorded
+          shortfallQuantity: reconciled
+            ? roundQuantity(Math.max(served - deducted, 0))
+            : null,
+          wasteCost: reconciled ? roundMoney(waste * costPerUnit) : null,
+        };
+      });
+
+      // Usage recorded before opt-outs existed was scaled by attendance.
+      // Several usage records of a meal (cron and manual) were each scaled
+      // for the same diners, so they are not added up.
+      const recordedDiners =
+        mealUsages.length > 0
+          ? Math.max(
+              ...mealUsages.map(
+                (usage) => usage.expectedDiners ?? usage.attendanceCount
+              )
+            )
+          : null;
+
+      meals.push({
+        date: planDate.toISOString().slice(0, 10),
+        mealType,
+        ...counts,
+        recordedDiners,
+        dinerDifference:
+          recordedDiners === null ? null : recordedDiners - counts.served,
+        usageRecords: mealUsages.map((usage) => usage._id),
+        reconciled,
+        deductedCost: roundMoney(deductedCost),
+        wasteCost: reconciled ? roundMoney(wasteCost) : null,
+        wasteRate:
+          reconciled && deductedCost > 0
+            ? Math.round((wasteCost / deductedCost) * 1000) / 10
+            : null,
+        items: itemRows,
+      });
+    }
+  }
+
+  const reconciledMeals = meals.filter((meal) => meal.reconciled);
+  const sum = (rows, field) =>
+    rows.reduce((total, row) => total + row[field], 0);
+  const reconciledCost = sum(reconciledMeals, "deductedCost");
+  const totalWasteCost = sum(reconciledMeals, "wasteCost");
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    days,
+    summary: {
+      meals: meals.length,
+      reconciledMeals: reconciledMeals.length,
+      served: sum(meals, "served"),
+      // Over reconciled meals, so both sides compare
+      recordedDiners: sum(reconciledMeals, "recordedDiners"),
+      reconciledServings: sum(reconciledMeals, "served"),
+      deductedCost: roundMoney(reconciledCost),
+      wasteCost: roundMoney(totalWasteCost),
+      wasteRate:
+        reconciledCost > 0
+          ? Math.round((totalWasteCost / reconciledCost) * 1000) / 10
+          : null,
+    },
+    meals,
+  };
+};
+
+export { NO_SERVINGS, getServingMeal, countServings, reconcileMealServings };
@@ -0,0 +1,324 @@
+import NutritionTarget from "../models/nutritionTarget.model.js";
+import Recipe from "../models/recipe.model.js";
+import InventoryItem from "../models/inventory.model.js";
+import { resolveMealPlan } from "./mealPlanResolver.js";
+import {
+  MEAL_TYPES,
+  NUTRIENTS,
+  NUTRIENT_UNITS,
+  DEFAULT_NUTRITION_TARGETS,
+} from "./constants.js";
+
+const roundNutrient = (amount) => Math.round(amount * 10) / 10;
+
+const emptyNutrients = () =>
+  Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, 0]));
+
+const roundNutrients = (nutrients) =>
+  Object.fromEntries(
+    NUTRIENTS.map((nutrient) => [nutrient, roundNutrient(nutrients[nutrient])])
+  );
+
+const addNutrients = (total, nutrients, factor) =>
+  NUTRIENTS.forEach(
+    (nutrient) => (total[nutrient] += (nutrients?.[nutrient] ?? 0) * factor)
+  );
+
+const hasNutrition = (nutrition) =>
+  NUTRIENTS.some((nutrient) => typeof nutrition?.[nutrient] === "number");
+
+/**
+ * Check the nutrient amounts sent for an inventory item or recipe
+ * @returns {String|null} Error message, null when valid
+ */
+const validateNutrition = (nutrition) => {
+  if (
+    typeof nutrition !== "object" ||
+    nutrition === null ||
+    Array.isArray(nutrition)
+  ) {
+    return "Nutrition must be an object of nutrient amounts";
+  }
+
+  const unknown = Object.keys(nutrition).filter(
+    (nutrient) => !NUTRIENTS.includes(nutrient)
+  );
+  if (unknown.length > 0) {
+    return `Unknown nutrients: ${unknown.join(
+      ", "
+    )}. Must be among: ${NUTRIENTS.join(", ")}`;
+  }
+
+  const invalid = Object.entries(nutrition).filter(
+    ([, amount]) =>
+      amount !== null && !(typeof amount === "number" && amount >= 0)
+  );
+  return invalid.length > 0
+    ? `Nutrient amounts must be numbers of zero or more, or null: ${invalid
+        .map(([nutrient]) => nutrient)
+        .join(", ")}`
+    : null;
+};
+
+/**
+ * Daily minimum per student of each nutrient
+ * @returns {Promise<Object>} Nutrient to { minimum, unit, custom }, custom
+ *   when an admin stored the target
+ */
+const getNutritionTargets = async () => {
+  const stored = await NutritionTarget.find({}).lean();
+  const minimums = new Map(
+    stored.map((target) => [target.nutrient, target.minimum])
+  );
+
+  return Object.fromEntries(
+    NUTRIENTS.map((nutrient) => [
+      nutrient,
+      {
+        minimum: minimums.get(nutrient) ?? DEFAULT_NUTRITION_TARGETS[nutrient],
+        unit: NUTRIENT_UNITS[nutrient],
+        custom: minimums.has(nutrient),
+      },
+    ])
+  );
+};
+
+/**
+ * Nutrients of one serving of a recipe: its own amounts where set, what the
+ * ingredients add up to otherwise
+ * @param {Object} recipe - Recipe with ingredient items populated
+ * @returns {{nutrients: Object, missingItems: Array}} Ingredients without
+ *   nutrition data, counted as nothing
+ */
+const getRecipeNutrition = (recipe) => {
+  const derived = emptyNutrients();
+  const missingItems = [];
+
+  recipe.ingredients.forEach((ingredient) => {
+    const item = ingredient.inventoryItemId;
+    if (!hasNutrition(item?.nutrition)) {
+      missingItems.push(item ?? ingredient.inventoryItemId);
+      return;
+    }
+    addNutrients(
+      derived,
+      item.nutrition,
+      ingredient.quantity / recipe.servings
+    );
+  });
+
+  const own = recipe.nutritionPerServing ?? {};
+  return {
+    nutrients: Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [
+        nutrient,
+        own[nutrient] ?? derived[nutrient],
+      ])
+    ),
+    // Nothing is missing when the recipe states every nutrient itself
+    missingItems: NUTRIENTS.every(
+      (nutrient) => typeof own[nutrient] === "number"
+    )
+      ? []
+      : missingItems,
+  };
+};
+
+/**
+ * Load the recipes and inventory items the meals of some plans are made of
+ * @param {Array} mealPlans
+ * @returns {Promise<{recipesById: Map, itemsById: Map}>}
+ */
+const loadNutritionData = async (mealPlans) => {
+  const recipeIds = new Set();
+  const itemIds = new Set();
+  mealPlans.forEach((mealPlan) =>
+    MEAL_TYPES.forEach((mealType) => {
+      mealPlan[`${mealType}Recipes`].forEach((id) =>
+        recipeIds.add(String(id?._id ?? id))
+      );
+      mealPlan[`${mealType}Inventory`].forEach((line) =>
+        itemIds.add(String(line.inventoryItemId?._id ?? line.inventoryItemId))
+      );
+    })
+  );
+
+  const [recipes, items] = await Promise.all([
+    Recipe.find({ _id: { $in: [...recipeIds] } }).populate(
+      "ingredients.inventoryItemId",
+      "name unit nutrition"
+    ),
+    InventoryItem.find({ _id: { $in: [...itemIds] } }).select(
+      "name unit nutrition"
+    ),
+  ]);
+
+  return {
+    recipesById: new Map(recipes.map((recipe) => [String(recipe._id), recipe])),
+    itemsById: new Map(items.map((item) => [String(item._id), item])),
+  };
+};
+
+/**
+ * Nutrition one student gets from a meal plan's day, against the targets.
+ * Meals built from recipes use the recipes, others their inventory lines.
+ * Items without nutrition data count as nothing and are listed as missing.
+ * @param {Object} mealPlan
+ * @param {Object} data - From loadNutritionData
+ * @param {Object} targets - From getNutritionTargets
+ * @returns {Object} perMeal and daily nutrients, warnings for nutrients
+ *   below their target and missingItems
+ */
+const computeMealPlanNutrition = (
+  mealPlan,
+  { recipesById, itemsById },
+  targets
+) => {
+  const perMeal = {};
+  const daily = emptyNutrients();
+  const missing = new Map();
+  const addMissing = (item) =>
+    missing.set(String(item?._id ?? item), {
+      _id: item?._id ?? item,
+      name: item?.name ?? null,
+    });
+
+  MEAL_TYPES.forEach((mealType) => {
+    const nutrients = emptyNutrients();
+    const recipes = mealPlan[`${mealType}Recipes`]
+      .map((id) => recipesById.get(String(id?._id ?? id)))
+      .filter(Boolean);
+
+    if (recipes.length > 0) {
+      recipes.forEach((recipe) => {
+        const recipeNutrition = getRecipeNutrition(recipe);
+        addNutrients(nutrients, recipeNutrition.nutrients, 1);
+        recipeNutrition.missingItems.forEach(addMissing);
+      });
+    } else {
+      mealPlan[`${mealType}Inventory`].forEach((line) => {
+        const itemId = line.inventoryItemId?._id ?? line.inventoryItemId;
+        const item = itemsById.get(String(itemId));
+        if (!hasNutrition(item?.nutrition)) {
+          addMissing(item ?? itemId);
+          return;
+        }
+        addNutrients(
+          nutrients,
+          item.nutrition,
+          line.quantity / (line.forStudents || 10)
+        );
+      });
+    }
+
+    perMeal[mealType] = roundNutrients(nutrients);
+    addNutrients(daily, nutrients, 1);
+  });
+
+  const warnings = NUTRIENTS.filter(
+    (nutrient) => daily[nutrient] < targets[nutrient].minimum
+  ).map((nutrient) => {
+    const { minimum, unit } = targets[nutrient];
+    return {
+      nutrient,
+      unit,
+      amount: roundNutrient(daily[nutrient]),
+      target: minimum,
+      shortfall: roundNutrient(minimum - daily[nutrient]),
+      percentOfTarget: Math.round((daily[nutrient] / minimum) * 100),
+    };
+  });
+
+  return {
+    perMeal,
+    daily: roundNutrients(daily),
+    warnings,
+    missingItems: [...missing.values()],
+  };
+};
+
+/**
+ * Nutrition of a single meal plan against the current targets
+ * @param {Object} mealPlan
+ * @returns {Promise<Object>} See computeMealPlanNutrition, with the targets
+ */
+const getMealPlanNutrition = async (mealPlan) => {
+  const [data, targets] = await Promise.all([
+    loadNutritionData([mealPlan]),
+    getNutritionTargets(),
+  ]);
+  return { ...computeMealPlanNutrition(mealPlan, data, targets), targets };
+};
+
+/**
+ * Nutrition of the plan served on each date of a range, and how many days
+ * fall below each target
+ * @param {Date} from - UTC midnight
+ * @param {Number} days
+ * @returns {Promise<Object>}
+ */
+const getNutritionReport = async (from, days) => {
+  const resolvedDays = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(from);
+    date.setUTCDate(date.getUTCDate() + i);
+    const isoDate = date.toISOString().slice(0, 10);
+    resolvedDays.push({
+      date: isoDate,
+      resolved: await resolveMealPlan(isoDate),
+    });
+  }
+
+  const [data, targets] = await Promise.all([
+    loadNutritionData(
+      resolvedDays
+        .filter(({ resolved }) => resolved)
+        .map(({ resolved }) => resolved.mealPlan)
+    ),
+    getNutritionTargets(),
+  ]);
+
+  const report = resolvedDays.map(({ date, resolved }) =>
+    resolved
+      ? {
+          date,
+          source: resolved.source,
+          mealPlan: resolved.mealPlan._id,
+          ...computeMealPlanNutrition(resolved.mealPlan, data, targets),
+        }
+      : { date, source: null, mealPlan: null }
+  );
+
+  const planned = report.filter((day) => day.mealPlan);
+  const average = emptyNutrients();
+  planned.forEach((day) =>
+    addNutrients(average, day.daily, 1 / planned.length)
+  );
+
+  return {
+    from: from.toISOString().slice(0, 10),
+    days,
+    targets,
+    averageDaily: roundNutrients(average),
+    daysBelowTarget: Object.fromEntries(
+      NUTRIENTS.map((nutrient) => [
+        nutrient,
+        planned.filter((day) =>
+          day.warnings.some((warning) => warning.nutrient === nutrient)
+        ).length,
+      ])
+    ),
+    unplannedDates: report
+      .filter((day) => !day.mealPlan)
+      .map((day) => day.date),
+    report,
+  };
+};
+
+export {
+  validateNutrition,
+  getNutritionTargets,
+  getRecipeNutrition,
+  getMealPlanNutrition,
+  getNutritionReport,
+};
@@ -0,0 +1,54 @@
+import RolePermission from "../models/rolePermission.model.js";
+import { DEFAULT_ROLE_PERMISSIONS } from "../config/permissions.js";
+
+// Role mappings change rarely, so they are cached per process. Edits made
+// through this process clear the cache immediately; other instances pick the
+// change up once the entry expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Get the permissions granted to a role
+ * @param {String} role - User role
+ * @returns {Promise<Set<String>>}
+ */
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const mapping = await RolePermission.findOne({ role }).lean();
+  const permissions = new Set(
+    mapping ? mapping.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []
+  );
+
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Check whether a user holds every given permission
+ * @param {Object} user - User document (needs role)
+ * @param {...String} permissions - Permission keys from config/permissions.js
+ * @returns {Promise<Boolean>}
+ */
+const hasPermission = async (user, ...permissions) => {
+  if (!user) return false;
+  const granted = await getRolePermissions(user.role);
+  return permissions.every((permission) => granted.has(permission));
+};
+
+/**
+ * Drop cached mappings (all roles, or just one)
+ * @param {String} role - Role to clear (optional)
+ */
+const invalidatePermissionCache = (role = null) => {
+  if (role) {
+    cache.delete(role);
+  } else {
+    cache.clear();
+  }
+};
+
+export { getRolePermissions, hasPermission, invalidatePermissionCache };
@@ -0,0 +1,122 @@
+import MealPlan from "../models/mealplan.model.js";
+import Recipe from "../models/recipe.model.js";
+import { MEAL_TYPES } from "./constants.js";
+import { applyCostToMealPlan } from "./mealCost.js";
+import { applyDietaryInfoToMealPlan } from "./dietary.js";
+
+// Derived meal inventory is stated per 10 students, like inventory usage
+// records expect
+const DERIVED_FOR_STUDENTS = 10;
+
+/**
+ * Inventory a meal needs, adding up the ingredients of its recipes. Items
+ * used by several recipes are merged.
+ * @param {Array} recipes - Recipe documents
+ * @returns {Array} Meal plan inventory entries { inventoryItemId, quantity,
+ *   forStudents }
+ */
+const deriveMealInventory = (recipes) => {
+  const perStudent = new Map();
+
+  recipes.forEach((recipe) => {
+    recipe.ingredients.forEach((ingredient) => {
+      const key = String(ingredient.inventoryItemId);
+      perStudent.set(
+        key,
+        (perStudent.get(key) ?? 0) + ingredient.quantity / recipe.servings
+      );
+    });
+  });
+
+  return [...perStudent].map(([inventoryItemId, quantity]) => ({
+    inventoryItemId,
+    quantity: Math.round(quantity * DERIVED_FOR_STUDENTS * 10000) / 10000,
+    forStudents: DERIVED_FOR_STUDENTS,
+  }));
+};
+
+/**
+ * Set the dish names and inventory of each meal that has recipes. Meals
+ * without recipes keep what was entered by hand. The plan is not saved.
+ * @param {Object} mealPlan - Meal plan document
+ * @returns {Promise<Object>} The same meal plan
+ */
+const applyRecipesToMealPlan = async (mealPlan) => {
+  for (const mealType of MEAL_TYPES) {
+    const recipeIds = mealPlan[`${mealType}Recipes`];
+    if (!recipeIds || recipeIds.length === 0) continue;
+
+    const recipes = await Recipe.find({ _id: { $in: recipeIds } });
+    const recipesById = new Map(
+      recipes.map((recipe) => [String(recipe._id), recipe])
+    );
+    // Keep the order the recipes were listed in
+    const ordered = recipeIds
+      .map((id) => recipesById.get(String(id?._id ?? id)))
+      .filter(Boolean);
+
+    mealPlan[mealType] = ordered.map((recipe) => recipe.name);
+    mealPlan[`${mealType}Inventory`] = deriveMealInventory(ordered);
+  }
+
+  return mealPlan;
+};
+
+/**
+ * Query matching the meal plans serving a recipe, as a main dish or in a
+ * variant
+ */
+const mealPlansUsingRecipe = (recipeId) => ({
+  $or: MEAL_TYPES.flatMap((mealType) => [
+    { [`${mealType}Recipes`]: recipeId },
+    { [`${mealType}Variants.recipes`]: recipeId },
+  ]),
+});
+
+/**
+ * Re-derive the meals, cost and allergens of every plan serving a recipe,
+ * after the recipe changed
+ * @param {String} recipeId
+ * @returns {Promise<Number>} Number of meal plans updated
+ */
+const refreshMealPlansUsingRecipe = async (recipeId) => {
+  const mealPlans = await MealPlan.find(mealPlansUsingRecipe(recipeId));
+
+  for (const mealPlan of mealPlans) {
+    await applyRecipesToMealPlan(mealPlan);
+    await applyCostToMealPlan(mealPlan);
+    await applyDietaryInfoToMealPlan(mealPlan);
+    await mealPlan.save();
+  }
+
+  return mealPlans.length;
+};
+
+/**
+ * Ingredients needed to cook a recipe for a number of servings
+ * @param {Object} recipe - Recipe with populated ingredients
+ * @param {Number} servings
+ * @returns {Array} { inventoryItemId, name, unit, quantity, currentStock,
+ *   sufficient }
+ */
+const getRecipeRequirements = (recipe, servings) =>
+  recipe.ingredients.map((ingredient) => {
+    const item = ingredient.inventoryItemId;
+    const quantity = (ingredient.quantity / recipe.servings) * servings;
+    return {
+      inventoryItemId: item?._id ?? null,
+      name: item?.name ?? null,
+      unit: item?.unit ?? null,
+      quantity: Math.round(quantity * 10000) / 10000,
+      currentStock: item?.currentStock ?? null,
+      sufficient: item ? item.currentStock >= quantity : false,
+    };
+  });
+
+export {
+  mealPlansUsingRecipe,
+  deriveMealInventory,
+  applyRecipesToMealPlan,
+  refreshMealPlansUsingRecipe,
+  getRecipeRequirements,
+};
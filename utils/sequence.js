@@ -0,0 +1,87 @@
+import Counter from "../models/counter.model.js";
+
+/**
+ * Atomically take the next number of a named sequence (starts at 1)
+ * @param {String} name - Sequence name, e.g. "invoice-2025-01"
+ * @returns {Promise<Number>}
+ */
+const getNextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Last number taken from a named sequence, 0 when none was taken yet
+ * @param {String} name
+ * @returns {Promise<Number>}
+ */
+const getCurrentSequence = async (name) => {
+  const counter = await Counter.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+/**
+ * Take the next number of a sequence whose numbers are written inside
+ * transactions. The number is listed as pending for keepMs, so readers can
+ * tell numbers that may not be committed yet (see getTrackedSequence).
+ * @param {String} name
+ * @param {Number} keepMs - How long a number stays pending
+ * @returns {Promise<Number>}
+ */
+const getNextTrackedSequence = async (name, keepMs) => {
+  // One update, so a reader never sees the number without its pending entry
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    [
+      { $set: { seq: { $add: [{ $ifNull: ["$seq", 0] }, 1] } } },
+      {
+        $set: {
+          pending: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$pending", []] },
+                  cond: {
+                    $gt: ["$$this.takenAt", { $subtract: ["$$NOW", keepMs] }],
+                  },
+                },
+              },
+              [{ seq: "$seq", takenAt: "$$NOW" }],
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq;
+};
+
+/**
+ * Last number taken from a tracked sequence and the numbers taken within
+ * keepMs, whose writes may not be committed yet
+ * @param {String} name
+ * @param {Number} keepMs
+ * @returns {Promise<{seq: Number, pending: Number[]}>}
+ */
+const getTrackedSequence = async (name, keepMs) => {
+  const counter = await Counter.findById(name).lean();
+  const since = Date.now() - keepMs;
+  return {
+    seq: counter ? counter.seq : 0,
+    pending: (counter?.pending ?? [])
+      .filter((entry) => entry.takenAt.getTime() > since)
+      .map((entry) => entry.seq),
+  };
+};
+
+export {
+  getNextSequence,
+  getCurrentSequence,
+  getNextTrackedSequence,
+  getTrackedSequence,
+};
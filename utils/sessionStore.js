@@ -0,0 +1,137 @@
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import { createAccessToken, createRefreshToken } from "./generateToken.js";
+import { REFRESH_TOKEN_MAX_AGE_MS } from "./constants.js";
+
+/**
+ * Hash a refresh token before it is stored or compared.
+ * Only the hash is persisted so a database leak does not leak usable tokens.
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Start a new session (token family) for a user on the requesting device
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for device details
+ * @returns {Promise<Object>} session, accessToken and refreshToken
+ */
+const issueSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+
+  const refreshToken = createRefreshToken(
+    user,
+    process.env.REFRESH_TOKEN_SECRET,
+    sessionId
+  );
+  const accessToken = createAccessToken(
+    user,
+    process.env.ACCESS_TOKEN_SECRET,
+    sessionId
+  );
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent") || "unknown",
+    ip: req.ip || req.connection?.remoteAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS),
+  });
+
+  return { session, accessToken, refreshToken };
+};
+
+/**
+ * Replace the refresh token of an existing session with a fresh one
+ * @param {Object} session - Active session document, as loaded by the caller
+ * @param {Object} user - Owner of the session
+ * @returns {Promise<Object|null>} accessToken and refreshToken, or null if the
+ * session was rotated or revoked by another request in the meantime
+ */
+const rotateSession = async (session, user) => {
+  const refreshToken = createRefreshToken(
+    user,
+    process.env.REFRESH_TOKEN_SECRET,
+    session._id
+  );
+  const accessToken = createAccessToken(
+    user,
+    process.env.ACCESS_TOKEN_SECRET,
+    session._id
+  );
+
+  // Match on the hash we loaded so two parallel refreshes cannot both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      tokenHash: hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS),
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session (token family) ID
+ * @param {String} reason - One of the Session revokedReason values
+ * @returns {Promise<Object|null>} The revoked session, or null if none was active
+ */
+const revokeSession = async (sessionId, reason) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - Owner of the sessions
+ * @param {String} reason - One of the Session revokedReason values
+ * @param {String} exceptSessionId - Session to keep alive (optional)
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(
+    query,
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Check whether a session is still usable
+ * @param {String} sessionId - Session (token family) ID
+ * @returns {Promise<Boolean>}
+ */
+const isSessionActive = async (sessionId) => {
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!session;
+};
+
+export {
+  hashToken,
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+};
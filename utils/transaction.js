@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+let transactionsSupported = null;
+
+/**
+ * Whether the connected MongoDB can run transactions. Replica set members
+ * and sharded clusters (mongos) can, a standalone server cannot.
+ * @returns {Promise<Boolean>}
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = !!hello.setName || hello.msg === "isdbgrid";
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run writes in a transaction. On a standalone server they run one by one
+ * with a null session instead, so they work but are not atomic.
+ * @param {Function} fn - Receives the session (or null) to pass to queries
+ * @returns {Promise<*>} What fn returns
+ */
+const withTransaction = async (fn) =>
+  (await supportsTransactions())
+    ? mongoose.connection.transaction(fn)
+    : fn(null);
+
+export { supportsTransactions, withTransaction };
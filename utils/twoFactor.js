@@ -0,0 +1,193 @@
+import crypto from "node:crypto";
+import User from "../models/user.model.js";
+import TwoFactorPolicy from "../models/twoFactorPolicy.model.js";
+import { DEFAULT_TWO_FACTOR_REQUIRED_ROLES } from "../config/permissions.js";
+import { hashToken } from "./sessionStore.js";
+import { verifyTotp } from "./totp.js";
+import {
+  TWO_FACTOR_BACKUP_CODE_COUNT,
+  TWO_FACTOR_SETUP_GRACE_MS,
+} from "./constants.js";
+
+// Same caching strategy as the role permissions in permissionStore.js
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Check whether users of a role must have two-factor enabled
+ * @param {String} role - User role
+ * @returns {Promise<Boolean>}
+ */
+const isTwoFactorRequired = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.required;
+  }
+
+  const policy = await TwoFactorPolicy.findOne({ role }).lean();
+  const required = policy
+    ? policy.required
+    : DEFAULT_TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+  cache.set(role, { required, expiresAt: Date.now() + CACHE_TTL_MS });
+  return required;
+};
+
+/**
+ * Date by which a user has to enrol in two-factor. The grace period starts
+ * the first time their role is seen requiring it.
+ * @param {Object} user - User document
+ * @returns {Promise<Date|null>} Null when the user need not enrol
+ */
+const getTwoFactorSetupDeadline = async (user) => {
+  if (user.twoFactor?.enabled || !(await isTwoFactorRequired(user.role))) {
+    return null;
+  }
+  if (user.twoFactor?.setupDeadline) return user.twoFactor.setupDeadline;
+
+  // Only the first request sets it, concurrent ones read it back
+  await User.updateOne(
+    { _id: user._id, "twoFactor.setupDeadline": null },
+    {
+      $set: {
+        "twoFactor.setupDeadline": new Date(
+          Date.now() + TWO_FACTOR_SETUP_GRACE_MS
+        ),
+      },
+    }
+  );
+  const current = await User.findById(user._id).select(
+    "twoFactor.setupDeadline"
+  );
+  return current.twoFactor.setupDeadline;
+};
+
+/**
+ * Drop cached policies (all roles, or just one)
+ * @param {String} role - Role to clear (optional)
+ */
+const invalidateTwoFactorPolicyCache = (role = null) => {
+  if (role) {
+    cache.delete(role);
+  } else {
+    cache.clear();
+  }
+};
+
+/**
+ * Generate a fresh set of single-use backup codes
+ * @returns {{codes: String[], hashes: String[]}} Codes are shown to the user
+ * once; only the hashes are stored (the TOTP secret is kept in the same
+ * document, so a slow hash would not add any protection)
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const hashBackupCode = (code) =>
+  hashToken(
+    String(code)
+      .toLowerCase()
+      .replace(/[^a-f0-9]/g, "")
+  );
+
+/**
+ * Verify a TOTP code or a backup code for a user with two-factor enabled.
+ * Accepted codes are consumed atomically, so the same code never works twice.
+ * @param {String} userId - User id
+ * @param {Object} input
+ * @param {String} input.code - 6 digit code from the authenticator app
+ * @param {String} input.backupCode - One of the user's backup codes
+ * @returns {Promise<{method: String, backupCodesRemaining: Number}|null>}
+ */
+const verifySecondFactor = async (userId, { code, backupCode } = {}) => {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.backupCodeHashes +twoFactor.lastUsedStep"
+  );
+
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return null;
+
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { "twoFactor.lastUsedStep": step },
+      { new: true }
+    ).select("+twoFactor.backupCodeHashes");
+
+    if (!updated) return null;
+    return {
+      method: "totp",
+      backupCodesRemaining: updated.twoFactor.backupCodeHashes.length,
+    };
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, "twoFactor.backupCodeHashes": hash },
+      { $pull: { "twoFactor.backupCodeHashes": hash } },
+      { new: true }
+    ).select("+twoFactor.backupCodeHashes");
+
+    if (!updated) return null;
+    return {
+      method: "backup_code",
+      backupCodesRemaining: updated.twoFactor.backupCodeHashes.length,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Turn two-factor off for a user and forget the secret and backup codes. The
+ * setup grace period starts again, so a user whose role requires two-factor
+ * is not locked out by a deadline that passed before they enrolled.
+ * @param {String} userId - User id
+ */
+const clearTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": false,
+        "twoFactor.setupDeadline": new Date(
+          Date.now() + TWO_FACTOR_SETUP_GRACE_MS
+        ),
+      },
+      $unset: {
+        "twoFactor.enabledAt": "",
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.backupCodeHashes": "",
+        "twoFactor.lastUsedStep": "",
+      },
+    }
+  );
+};
+
+export {
+  isTwoFactorRequired,
+  getTwoFactorSetupDeadline,
+  invalidateTwoFactorPolicyCache,
+  generateBackupCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+};